@@ -13,6 +13,7 @@
  */
 
 const { LLMReadyAnalyzer } = require('./src/llm_ready_index.js');
+const { parseCrawlArgs } = require('./src/crawler.js');
 
 // Cores para output
 const colors = {
@@ -47,10 +48,17 @@ async function main() {
   
   if (args.length === 0) {
     log('\n📋 USO:', 'bright');
-    log('  node llm_analyzer.js <url> [maxDepth] [outputDir]', 'yellow');
+    log('  node llm_analyzer.js <url> [maxPages] [outputDir] [opções do crawler]', 'yellow');
+    log('\n⚙️ OPÇÕES DO CRAWLER:', 'bright');
+    log('  --max-depth=N                 Profundidade máxima de links/frames', 'yellow');
+    log('  --scope=origin|host|subdomains|any', 'yellow');
+    log('  --include=<regex> / --exclude=<regex> (repetíveis)', 'yellow');
+    log('  --ignore-query                Tratar variantes de query como a mesma página', 'yellow');
+    log('  --delay=<ms>                  Intervalo mínimo entre páginas do mesmo host', 'yellow');
+    log('  --no-frames                   Não seguir URLs de iframes', 'yellow');
     log('\n📝 EXEMPLOS:', 'bright');
     log('  node llm_analyzer.js https://webdollar.io', 'green');
-    log('  node llm_analyzer.js https://example.com 2', 'green');
+    log('  node llm_analyzer.js https://example.com 10 ./out --max-depth=2', 'green');
     log('  node llm_analyzer.js https://suspicious-site.com 1 ./my_analysis', 'green');
     log('\n🔧 FUNCIONALIDADES:', 'bright');
     log('  ✅ Crawler automático de ficheiros JS/WASM', 'green');
@@ -68,23 +76,25 @@ async function main() {
     process.exit(1);
   }
   
-  const url = args[0];
-  const maxDepth = parseInt(args[1]) || 1;
-  const outputDir = args[2] || './llm_analysis_output';
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const url = positional[0];
+  const outputDir = positional[2] || './llm_analysis_output';
+  const { options: crawl } = parseCrawlArgs([url, './downloads', positional[1] || '1', ...args.filter(arg => arg.startsWith('--'))]);
   
   log(`\n🌐 URL: ${url}`, 'bright');
   log(`📁 Diretório de saída: ${outputDir}`, 'bright');
-  log(`🔍 Profundidade máxima: ${maxDepth}`, 'bright');
+  log(`📄 Páginas máximas: ${crawl.maxPages}`, 'bright');
+  log(`🔍 Profundidade máxima: ${crawl.maxDepth === null ? 'sem limite' : crawl.maxDepth}`, 'bright');
   
   // Criar analisador
-  const analyzer = new LLMReadyAnalyzer({ outputDir });
+  const analyzer = new LLMReadyAnalyzer({ outputDir, crawl });
   
   try {
     log('\n🚀 Iniciando análise completa...', 'yellow');
     const startTime = Date.now();
     
     // Executar análise
-    const results = await analyzer.analyzeWebsite(url, maxDepth);
+    const results = await analyzer.analyzeWebsite(url);
     
     const endTime = Date.now();
     const duration = (endTime - startTime) / 1000;
@@ -0,0 +1,383 @@
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const FUNCTION_TYPES = new Set(['FunctionExpression', 'ArrowFunctionExpression']);
+
+// Pré-filtro textual: bundles sem nenhum destes marcadores nem chegam a ser parseados
+const BUNDLE_HINT = /webpack|parcel|\bexports\b/;
+// Global das chunks JSONP: (self.webpackChunkapp = self.webpackChunkapp || []).push(...) / window.webpackJsonp
+const JSONP_GLOBAL = /webpack(?:Jsonp|Chunk)/;
+const PARCEL_REGISTER = /^parcel(?:Require[\w$]*\.register|Register)$/;
+const PARCEL_REQUIRE = /^parcelRequire[\w$]*$/;
+
+// Separação de bundles em módulos (análise estática do AST, nada é executado):
+//   webpack 4/5   — tabela de módulos { id: function (module, exports, require) {...} } ou [function, ...]
+//                   passada ao runtime, ou empurrada numa chunk JSONP (webpackJsonp / webpackChunk*)
+//   browserify    — ({ id: [function (require, module, exports) {...}, { './dep': id }] }, {}, [entrada])
+//   parcel        — o mesmo formato do browserify (Parcel 1) ou parcelRequire.register(id, fn) (Parcel 2)
+//   rollup        — IIFE/UMD com os wrappers do plugin commonjs; o resto da factory fica como módulo main
+class BundleUnpacker {
+  constructor(options = {}) {
+    this.options = {
+      minModules: 2,
+      ...options
+    };
+  }
+
+  parse(code) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+    try {
+      return acorn.parse(code, { ...options, sourceType: 'script' });
+    } catch {
+      try {
+        return acorn.parse(code, { ...options, sourceType: 'module' });
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  // Devolve { format, chunks, entries, modules, errors }; cada módulo tem id, offsets no bundle,
+  // dependências ({ id, request }) e code (o módulo como ficheiro JS autónomo)
+  unpack(code) {
+    const result = { format: null, chunks: [], entries: [], modules: [], errors: [] };
+    if (!BUNDLE_HINT.test(code)) return result;
+    const ast = this.parse(code);
+    if (!ast) {
+      result.errors.push('parse_failed');
+      return result;
+    }
+
+    const layout = this.findWebpackChunk(ast, code) ||
+      this.findWebpackRuntime(ast, code) ||
+      this.findBrowserify(ast, code) ||
+      this.findParcelRegister(ast, code) ||
+      this.findRollup(ast, code);
+    if (!layout || layout.modules.length < this.options.minModules) return result;
+    return { ...result, ...layout };
+  }
+
+  // (self.webpackChunkapp = self.webpackChunkapp || []).push([[chunkIds], { id: fn }, runtime?])
+  findWebpackChunk(ast, code) {
+    let found = null;
+    walk.simple(ast, {
+      CallExpression: node => {
+        if (found) return;
+        const callee = node.callee;
+        if (callee.type !== 'MemberExpression' || this.propertyName(callee) !== 'push') return;
+        if (!JSONP_GLOBAL.test(code.slice(callee.object.start, callee.object.end))) return;
+        const payload = node.arguments[0];
+        if (!payload || payload.type !== 'ArrayExpression' || payload.elements.length < 2) return;
+        const [ids, table, runtime] = payload.elements;
+        if (!ids || ids.type !== 'ArrayExpression' || !table) return;
+        const entries = this.moduleTable(table);
+        if (!entries) return;
+
+        found = {
+          format: 'webpack',
+          chunks: ids.elements.filter(id => id && id.type === 'Literal').map(id => String(id.value)),
+          entries: runtime ? this.webpackEntries(runtime, null) : [],
+          modules: entries.map(entry => this.moduleRecord(entry.id, entry.fn, code, 'webpack', this.webpackDependencies(entry.fn)))
+        };
+      }
+    });
+    return found;
+  }
+
+  // Bundle com o runtime: a maior tabela de módulos usada como tabela[id].call(module.exports, ...)
+  // (webpack 4, argumento da IIFE) ou tabela[id](module, module.exports, require) (webpack 5, var)
+  findWebpackRuntime(ast, code) {
+    let best = null;
+    const visit = (node, ancestors) => {
+      const parent = ancestors[ancestors.length - 2];
+      if (!parent) return;
+
+      let tableName = null;
+      let runtime = null;
+      if (parent.type === 'CallExpression' && parent.arguments[0] === node && FUNCTION_TYPES.has(parent.callee.type)) {
+        const param = parent.callee.params[0];
+        tableName = param && param.type === 'Identifier' ? param.name : null;
+        runtime = parent.callee;
+      } else if (parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier') {
+        tableName = parent.id.name;
+        runtime = [...ancestors].reverse().find(ancestor => ancestor.type === 'Program' || ancestor.type === 'FunctionExpression' ||
+          ancestor.type === 'ArrowFunctionExpression' || ancestor.type === 'FunctionDeclaration');
+      }
+      if (!tableName || !runtime) return;
+
+      const entries = this.moduleTable(node);
+      if (!entries || entries.length < this.options.minModules || (best && best.entries.length >= entries.length)) return;
+      // tabela[id].call(module.exports, module, module.exports, require) / tabela[id](module, module.exports, require)
+      const dispatch = new RegExp(`(?:^|[^\\w$.])${this.escape(tableName)}\\s*\\[[^\\]]+\\]\\s*(?:\\.call\\s*)?\\([^)]*\\.exports\\b`);
+      if (!dispatch.test(code.slice(runtime.start, runtime.end))) return;
+      best = { entries, runtime, table: node, dispatch };
+    };
+    walk.ancestor(ast, { ObjectExpression: visit, ArrayExpression: visit });
+    if (!best) return null;
+
+    return {
+      format: 'webpack',
+      chunks: [],
+      entries: this.webpackEntries(best.runtime, best.table, this.requireFunction(best.runtime, best.table, best.dispatch, code)),
+      modules: best.entries.map(entry => this.moduleRecord(entry.id, entry.fn, code, 'webpack', this.webpackDependencies(entry.fn)))
+    };
+  }
+
+  // { 123: function..., './a.js': (...) => {...} }, [function..., , function...] ou
+  // Array(5).concat([...]) (chunks webpack 4 que não começam no id 0)
+  moduleTable(node) {
+    let table = node;
+    let offset = 0;
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && this.propertyName(node.callee) === 'concat' &&
+      node.callee.object.type === 'CallExpression' && node.callee.object.callee.type === 'Identifier' &&
+      node.callee.object.callee.name === 'Array' && node.callee.object.arguments.length === 1 &&
+      node.callee.object.arguments[0].type === 'Literal' && node.arguments.length === 1) {
+      offset = node.callee.object.arguments[0].value;
+      table = node.arguments[0];
+    }
+
+    const entries = [];
+    if (table.type === 'ObjectExpression') {
+      for (const property of table.properties) {
+        if (property.type !== 'Property' || property.computed || !FUNCTION_TYPES.has(property.value.type) || property.value.params.length > 3) return null;
+        entries.push({ id: String(property.key.type === 'Literal' ? property.key.value : property.key.name), fn: property.value });
+      }
+    } else if (table.type === 'ArrayExpression') {
+      for (let index = 0; index < table.elements.length; index++) {
+        const element = table.elements[index];
+        if (!element) continue;
+        if (!FUNCTION_TYPES.has(element.type) || element.params.length > 3) return null;
+        entries.push({ id: String(index + offset), fn: element });
+      }
+    } else {
+      return null;
+    }
+    return entries.length > 0 ? entries : null;
+  }
+
+  // Função require do runtime: a declaração que indexa a tabela de módulos
+  requireFunction(runtime, table, dispatch, code) {
+    let name = null;
+    walk.simple(runtime, {
+      FunctionDeclaration: node => {
+        if (name || (node.start >= table.start && node.end <= table.end)) return;
+        if (node.params.length === 1 && dispatch.test(code.slice(node.start, node.end))) name = node.id.name;
+      }
+    });
+    return name;
+  }
+
+  // Módulos de entrada: require.s = id (webpack 4/5), require(id) no runtime, ou a lista de
+  // módulos diferidos das chunks webpack 4 ([[id, chunk...]])
+  webpackEntries(runtime, table, requireName = null) {
+    const entries = new Set();
+    if (runtime.type === 'ArrayExpression') {
+      runtime.elements.forEach(deferred => {
+        if (deferred && deferred.type === 'ArrayExpression' && deferred.elements[0] && deferred.elements[0].type === 'Literal') {
+          entries.add(String(deferred.elements[0].value));
+        }
+      });
+      return [...entries];
+    }
+
+    walk.simple(runtime, {
+      AssignmentExpression: node => {
+        if (table && node.start >= table.start && node.end <= table.end) return;
+        if (node.left.type === 'MemberExpression' && this.propertyName(node.left) === 's' && node.right.type === 'Literal') {
+          entries.add(String(node.right.value));
+        }
+      },
+      CallExpression: node => {
+        if (!requireName || (table && node.start >= table.start && node.end <= table.end)) return;
+        const argument = node.arguments[0];
+        if (node.callee.type === 'Identifier' && node.callee.name === requireName && argument && argument.type === 'Literal') {
+          entries.add(String(argument.value));
+        }
+      }
+    });
+    return [...entries];
+  }
+
+  // Chamadas ao require do módulo (3.º parâmetro): r(123), r.t(123, 7), r.bind(r, 123)
+  webpackDependencies(fn) {
+    const param = fn.params[2];
+    if (!param || param.type !== 'Identifier') return [];
+    const ids = new Set();
+    walk.simple(fn.body, {
+      CallExpression: node => {
+        const callee = node.callee;
+        let argument = null;
+        if (callee.type === 'Identifier' && callee.name === param.name) {
+          argument = node.arguments[0];
+        } else if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && callee.object.name === param.name) {
+          const helper = this.propertyName(callee);
+          if (helper === 't') argument = node.arguments[0];
+          if (helper === 'bind') argument = node.arguments[1];
+        }
+        if (argument && argument.type === 'Literal' && (typeof argument.value === 'number' || typeof argument.value === 'string')) {
+          ids.add(String(argument.value));
+        }
+      }
+    });
+    return [...ids].map(id => ({ id, request: null }));
+  }
+
+  // (function e(t, n, r) {...})({ 1: [function (require, module, exports) {...}, { './dep': 2 }] }, {}, [1])
+  findBrowserify(ast, code) {
+    let found = null;
+    walk.simple(ast, {
+      CallExpression: node => {
+        if (found || node.arguments.length < 3) return;
+        const [table, , entries] = node.arguments;
+        if (table.type !== 'ObjectExpression' || entries.type !== 'ArrayExpression' || table.properties.length === 0) return;
+
+        const modules = [];
+        for (const property of table.properties) {
+          if (property.type !== 'Property' || property.computed) return;
+          const value = property.value;
+          if (value.type !== 'ArrayExpression' || value.elements.length !== 2) return;
+          const [fn, mapping] = value.elements;
+          if (!fn || !FUNCTION_TYPES.has(fn.type) || !mapping || mapping.type !== 'ObjectExpression') return;
+          modules.push({ id: property.key.type === 'Literal' ? property.key.value : property.key.name, fn, mapping });
+        }
+
+        const format = /parcelRequire/.test(code.slice(node.callee.start, node.callee.end)) ? 'parcel' : 'browserify';
+        found = {
+          format,
+          chunks: [],
+          entries: entries.elements.filter(entry => entry && entry.type === 'Literal').map(entry => String(entry.value)),
+          modules: modules.map(module => this.moduleRecord(module.id, module.fn, code, format, this.mappingDependencies(module.mapping)))
+        };
+      }
+    });
+    return found;
+  }
+
+  // { './dep': 2, 'lodash': 'abc' } → dependências com o pedido original
+  mappingDependencies(mapping) {
+    return mapping.properties
+      .filter(property => property.type === 'Property' && property.value.type === 'Literal')
+      .map(property => ({
+        id: String(property.value.value),
+        request: String(property.key.type === 'Literal' ? property.key.value : property.key.name)
+      }));
+  }
+
+  // Parcel 2: parcelRequire.register("abc12", function (module, exports) {...}) e parcelRequire("abc12")
+  findParcelRegister(ast, code) {
+    const registered = [];
+    const calls = [];
+    walk.simple(ast, {
+      CallExpression: node => {
+        const callee = code.slice(node.callee.start, node.callee.end).replace(/\s+/g, '');
+        const [id, fn] = node.arguments;
+        if (!id || id.type !== 'Literal' || typeof id.value !== 'string') return;
+        if (PARCEL_REGISTER.test(callee) && fn && FUNCTION_TYPES.has(fn.type)) registered.push({ id: id.value, fn });
+        else if (PARCEL_REQUIRE.test(callee)) calls.push({ id: id.value, node });
+      }
+    });
+    if (registered.length < this.options.minModules) return null;
+
+    const inside = (node, fn) => node.start >= fn.start && node.end <= fn.end;
+    return {
+      format: 'parcel',
+      chunks: [],
+      entries: [...new Set(calls.filter(call => !registered.some(module => inside(call.node, module.fn))).map(call => call.id))],
+      modules: registered.map(module => {
+        const dependencies = [...new Set(calls.filter(call => inside(call.node, module.fn)).map(call => call.id))];
+        return this.moduleRecord(module.id, module.fn, code, 'parcel', dependencies.map(id => ({ id, request: null })));
+      })
+    };
+  }
+
+  // Rollup não guarda fronteiras entre módulos ES (scope hoisting); só os módulos CommonJS
+  // convertidos pelo plugin ficam isolados:
+  //   (function (module, exports) {...})(lib, lib.exports)
+  //   function requireLib () { if (hasRequiredLib) return lib; hasRequiredLib = 1; ... }
+  findRollup(ast, code) {
+    const factory = this.rollupFactory(ast);
+    if (!factory || factory.body.type !== 'BlockStatement') return null;
+
+    const wrappers = [];
+    for (const statement of factory.body.body) {
+      const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+      if (expression && expression.type === 'CallExpression' && FUNCTION_TYPES.has(expression.callee.type) &&
+        expression.callee.body.type === 'BlockStatement' && expression.callee.params.length === 2 && expression.arguments.length === 2 && expression.arguments[0].type === 'Identifier' &&
+        expression.arguments[1].type === 'MemberExpression' && this.propertyName(expression.arguments[1]) === 'exports') {
+        wrappers.push({ id: expression.arguments[0].name, fn: expression.callee });
+      } else if (statement.type === 'FunctionDeclaration' && statement.body.body.length > 0) {
+        const guard = statement.body.body[0];
+        if (guard.type === 'IfStatement' && guard.test.type === 'Identifier' && /^hasRequired/.test(guard.test.name) &&
+          guard.consequent.type === 'ReturnStatement') {
+          wrappers.push({ id: statement.id.name, fn: statement });
+        }
+      }
+    }
+    if (wrappers.length === 0) return null;
+
+    const ids = wrappers.map(wrapper => wrapper.id);
+    const referenced = (source, own) => ids
+      .filter(id => id !== own && new RegExp(`(?:^|[^\\w$])${this.escape(id)}(?![\\w$])`).test(source))
+      .map(id => ({ id, request: null }));
+
+    const modules = wrappers.map(wrapper => {
+      const source = code.slice(wrapper.fn.start, wrapper.fn.end);
+      return this.moduleRecord(wrapper.id, wrapper.fn, code, 'rollup', referenced(source, wrapper.id));
+    });
+
+    // main: a factory sem os corpos dos wrappers (cada um já é um módulo)
+    const blanked = wrappers
+      .map(wrapper => ({ start: wrapper.fn.body.start + 1, end: wrapper.fn.body.end - 1, text: ` /* módulo ${wrapper.id} */ ` }))
+      .sort((a, b) => b.start - a.start)
+      .reduce((source, edit) => source.slice(0, edit.start - factory.start) + edit.text + source.slice(edit.end - factory.start),
+        code.slice(factory.start, factory.end));
+    const main = this.moduleRecord('main', factory, code, 'rollup', ids.map(id => ({ id, request: null })));
+    main.code = `/* módulo main (rollup) */\n(${blanked});\n`;
+
+    return { format: 'rollup', chunks: [], entries: ['main'], modules: [main, ...modules] };
+  }
+
+  // Único statement do programa: IIFE (function (exports, dep) {...})(...) / var lib = (function () {...})()
+  // ou UMD (function (global, factory) {...})(this, (function (exports) {...}))
+  rollupFactory(ast) {
+    const statements = ast.body.filter(statement => !(statement.type === 'ExpressionStatement' && statement.directive));
+    if (statements.length !== 1) return null;
+    const statement = statements[0];
+
+    let call = null;
+    if (statement.type === 'ExpressionStatement') {
+      call = statement.expression.type === 'UnaryExpression' ? statement.expression.argument : statement.expression;
+      if (call.type === 'AssignmentExpression') call = call.right;
+    } else if (statement.type === 'VariableDeclaration' && statement.declarations.length === 1) {
+      call = statement.declarations[0].init;
+    }
+    if (!call || call.type !== 'CallExpression' || !FUNCTION_TYPES.has(call.callee.type)) return null;
+
+    const last = call.arguments[call.arguments.length - 1];
+    if (call.callee.params.length === 2 && last && FUNCTION_TYPES.has(last.type)) return last;
+    return call.callee;
+  }
+
+  moduleRecord(id, fn, code, format, dependencies) {
+    return {
+      id: String(id),
+      start: fn.start,
+      end: fn.end,
+      size: fn.end - fn.start,
+      dependencies,
+      code: `/* módulo ${id} (${format}) */\n(${code.slice(fn.start, fn.end)});\n`
+    };
+  }
+
+  propertyName(member) {
+    if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+    if (member.computed && member.property.type === 'Literal') return String(member.property.value);
+    return null;
+  }
+
+  escape(name) {
+    return name.replace(/[$]/g, '\\$');
+  }
+}
+
+module.exports = { BundleUnpacker };
@@ -0,0 +1,1238 @@
+const acorn = require('acorn');
+
+// Precedência dos operadores binários/lógicos (maior = liga mais forte)
+const BINARY_PRECEDENCE = {
+  '??': 4,
+  '||': 4,
+  '&&': 5,
+  '|': 6,
+  '^': 7,
+  '&': 8,
+  '==': 9, '!=': 9, '===': 9, '!==': 9,
+  '<': 10, '>': 10, '<=': 10, '>=': 10, 'instanceof': 10, 'in': 10,
+  '<<': 11, '>>': 11, '>>>': 11,
+  '+': 12, '-': 12,
+  '*': 13, '/': 13, '%': 13,
+  '**': 14
+};
+
+const PRECEDENCE = {
+  SEQUENCE: 1,
+  ASSIGNMENT: 2,
+  CONDITIONAL: 3,
+  UNARY: 15,
+  POSTFIX: 16,
+  CALL: 18,
+  PRIMARY: 20
+};
+
+const VLQ_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function encodeVlq(value) {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += VLQ_ALPHABET[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+// Início de cada linha do texto, para converter offsets em linha/coluna
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+  return starts;
+}
+
+function positionOf(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low, column: offset - starts[low] };
+}
+
+// Source map v3 (linhas/colunas a partir de 0) do código gerado para o original.
+// x_originalOffsets: para cada linha gerada, o offset no original do primeiro nó mapeado.
+function buildSourceMap(mappings, originalCode, options = {}) {
+  const starts = lineStarts(originalCode);
+  const sorted = [...mappings].sort((a, b) => (a.line - b.line) || (a.column - b.column));
+  const lines = [];
+  const originalOffsets = [];
+  let previousOriginalLine = 0;
+  let previousOriginalColumn = 0;
+
+  sorted.forEach(mapping => {
+    while (lines.length <= mapping.line) {
+      lines.push({ segments: [], previousColumn: 0 });
+      originalOffsets.push(null);
+    }
+    const line = lines[mapping.line];
+    const original = positionOf(starts, Math.min(Math.max(mapping.offset, 0), originalCode.length));
+    line.segments.push(
+      encodeVlq(mapping.column - line.previousColumn) +
+      encodeVlq(0) +
+      encodeVlq(original.line - previousOriginalLine) +
+      encodeVlq(original.column - previousOriginalColumn)
+    );
+    line.previousColumn = mapping.column;
+    previousOriginalLine = original.line;
+    previousOriginalColumn = original.column;
+    if (originalOffsets[mapping.line] === null) originalOffsets[mapping.line] = mapping.offset;
+  });
+
+  return {
+    version: 3,
+    file: options.file || null,
+    sources: [options.source || 'original.js'],
+    names: [],
+    mappings: lines.map(line => line.segments.join(',')).join(';'),
+    x_originalOffsets: originalOffsets
+  };
+}
+
+// Composição de edições textuais: converte offsets do texto final para o texto antes
+// de todas as camadas registadas (cada camada = substituições sobre o texto anterior)
+class OffsetTrail {
+  constructor() {
+    this.layers = [];
+  }
+
+  // Mesmo critério do applyEdits: ordenadas, as que caem dentro de uma edição maior são ignoradas
+  record(edits) {
+    const sorted = [...edits].sort((a, b) => (a.start - b.start) || (b.end - a.end));
+    const layer = [];
+    let coveredUntil = -1;
+    let delta = 0;
+    for (const edit of sorted) {
+      if (edit.start < coveredUntil) continue;
+      coveredUntil = edit.end;
+      const newStart = edit.start + delta;
+      layer.push({ start: edit.start, end: edit.end, newStart, newEnd: newStart + edit.text.length, deltaBefore: delta });
+      delta += edit.text.length - (edit.end - edit.start);
+    }
+    if (layer.length > 0) this.layers.push({ edits: layer, delta });
+  }
+
+  // Descartar as camadas registadas depois de `depth` (voltar a um texto intermédio)
+  rewind(depth) {
+    this.layers.length = Math.min(depth, this.layers.length);
+  }
+
+  toOriginal(offset) {
+    let mapped = offset;
+    for (let i = this.layers.length - 1; i >= 0; i--) {
+      mapped = this.mapBack(this.layers[i], mapped);
+    }
+    return mapped;
+  }
+
+  mapBack(layer, offset) {
+    const edits = layer.edits;
+    let low = 0;
+    let high = edits.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (edits[mid].newStart <= offset) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    if (found === -1) return offset;
+    const edit = edits[found];
+    if (offset < edit.newEnd) {
+      // Dentro do texto substituído: posição equivalente dentro do trecho original
+      return edit.start + Math.min(offset - edit.newStart, Math.max(edit.end - edit.start - 1, 0));
+    }
+    const deltaAfter = edit.deltaBefore + edit.newEnd - edit.newStart - (edit.end - edit.start);
+    return offset - deltaAfter;
+  }
+}
+
+// Gerador de código a partir do AST do acorn: indentação configurável, comentários
+// preservados e mapeamento de cada nó gerado para o offset no código de entrada
+class CodeGenerator {
+  constructor(options = {}) {
+    this.options = {
+      indent: 2,
+      comments: true,
+      annotate: false,
+      banner: null,
+      ...options
+    };
+    this.indentUnit = typeof this.options.indent === 'number' ? ' '.repeat(this.options.indent) : this.options.indent;
+  }
+
+  parse(code, comments) {
+    const options = {
+      ecmaVersion: 'latest',
+      allowHashBang: true,
+      allowReturnOutsideFunction: true,
+      onComment: comments
+    };
+    try {
+      return acorn.parse(code, { ...options, sourceType: 'script' });
+    } catch {
+      comments.length = 0;
+      try {
+        return acorn.parse(code, { ...options, sourceType: 'module' });
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  // Devolve { code, mappings: [{ line, column, offset }] } ou null se o código não fizer parse
+  generate(code) {
+    const comments = [];
+    const ast = this.parse(code, comments);
+    if (!ast) return null;
+    return this.print(ast, this.options.comments ? comments : [], code);
+  }
+
+  print(ast, comments = [], source = '') {
+    this.source = source;
+    this.output = [];
+    this.line = 0;
+    this.column = 0;
+    this.level = 0;
+    this.atLineStart = true;
+    this.mappings = [];
+    this.comments = comments;
+    this.commentIndex = 0;
+    this.noIn = false;
+
+    if (this.options.banner) {
+      this.write(this.options.banner);
+      this.newline();
+      this.newline();
+    }
+    if (ast.type === 'Program') {
+      this.statements(ast.body, ast.end);
+    } else {
+      this.statement(ast);
+    }
+    this.flushComments(Infinity);
+
+    const generated = this.output.join('');
+    this.output = null;
+    return { code: generated.endsWith('\n') ? generated : `${generated}\n`, mappings: this.mappings };
+  }
+
+  // ---- emissão ----
+
+  // A indentação só é escrita quando a linha recebe conteúdo
+  indentLine() {
+    if (!this.atLineStart) return;
+    const indent = this.indentUnit.repeat(this.level);
+    this.output.push(indent);
+    this.column += indent.length;
+    this.atLineStart = false;
+  }
+
+  write(text) {
+    if (text.length === 0) return;
+    this.indentLine();
+    this.output.push(text);
+    const lastNewline = text.lastIndexOf('\n');
+    if (lastNewline === -1) {
+      this.column += text.length;
+    } else {
+      for (let i = 0; i < text.length; i++) {
+        if (text.charCodeAt(i) === 10) this.line++;
+      }
+      this.column = text.length - lastNewline - 1;
+    }
+  }
+
+  newline() {
+    this.output.push('\n');
+    this.line++;
+    this.column = 0;
+    this.atLineStart = true;
+  }
+
+  // Chaveta de fecho de um bloco, mapeada para a do original
+  close(node) {
+    this.indentLine();
+    this.mappings.push({ line: this.line, column: this.column, offset: node.end - 1 });
+    this.write('}');
+  }
+
+  mark(node) {
+    if (typeof node.start !== 'number') return;
+    this.indentLine();
+    this.mappings.push({ line: this.line, column: this.column, offset: node.start });
+  }
+
+  // Comentários que começam antes de `position`, cada um na sua linha
+  flushComments(position) {
+    while (this.commentIndex < this.comments.length && this.comments[this.commentIndex].start < position) {
+      const comment = this.comments[this.commentIndex++];
+      if (!this.atLineStart) this.newline();
+      this.indentLine();
+      this.mappings.push({ line: this.line, column: this.column, offset: comment.start });
+      if (comment.start === 0 && this.source.startsWith('#!')) {
+        this.write(`#!${comment.value}`);
+      } else if (comment.type === 'Line') {
+        this.write(`//${comment.value}`);
+      } else {
+        this.write(`/*${comment.value}*/`);
+      }
+      this.newline();
+    }
+  }
+
+  // ---- instruções ----
+
+  statements(body, end) {
+    body.forEach(statement => this.statement(statement));
+    this.flushComments(end);
+  }
+
+  block(node) {
+    this.mark(node);
+    if (node.body.length === 0 && !this.hasCommentsBefore(node.end)) {
+      this.write('{}');
+      return;
+    }
+    this.write('{');
+    this.newline();
+    this.level++;
+    this.statements(node.body, node.end);
+    this.level--;
+    this.close(node);
+  }
+
+  hasCommentsBefore(position) {
+    return this.commentIndex < this.comments.length && this.comments[this.commentIndex].start < position;
+  }
+
+  // Corpo de if/for/while: bloco na mesma linha, outra instrução indentada na linha seguinte
+  body(node) {
+    if (node.type === 'BlockStatement') {
+      this.write(' ');
+      this.block(node);
+      return true;
+    }
+    this.newline();
+    this.level++;
+    this.statement(node, false);
+    this.level--;
+    return false;
+  }
+
+  annotation(node) {
+    if (!this.options.annotate) return;
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        if (node.id) this.write(`// Função: ${node.id.name}`);
+        else return;
+        break;
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        this.write('// FOR loop');
+        break;
+      case 'WhileStatement':
+        this.write('// WHILE loop');
+        break;
+      case 'DoWhileStatement':
+        this.write('// DO loop');
+        break;
+      default:
+        return;
+    }
+    this.newline();
+  }
+
+  statement(node, ownLine = true) {
+    if (typeof node.start === 'number') this.flushComments(node.start);
+    this.annotation(node);
+    this.mark(node);
+
+    switch (node.type) {
+      case 'ExpressionStatement':
+        if (node.directive !== undefined && node.expression.type === 'Literal' && node.expression.raw) {
+          this.write(node.expression.raw);
+        } else if (this.startsWithForbidden(node.expression)) {
+          this.write('(');
+          this.expression(node.expression, PRECEDENCE.SEQUENCE);
+          this.write(')');
+        } else {
+          this.expression(node.expression, PRECEDENCE.SEQUENCE);
+        }
+        this.write(';');
+        break;
+
+      case 'BlockStatement':
+        this.block(node);
+        break;
+
+      case 'StaticBlock':
+        this.write('static ');
+        this.block(node);
+        break;
+
+      case 'EmptyStatement':
+        this.write(';');
+        break;
+
+      case 'DebuggerStatement':
+        this.write('debugger;');
+        break;
+
+      case 'VariableDeclaration':
+        this.variableDeclaration(node);
+        this.write(';');
+        break;
+
+      case 'FunctionDeclaration':
+        this.functionNode(node);
+        break;
+
+      case 'ClassDeclaration':
+        this.classNode(node);
+        break;
+
+      case 'ReturnStatement':
+        this.write('return');
+        if (node.argument) {
+          this.write(' ');
+          this.expression(node.argument, PRECEDENCE.SEQUENCE);
+        }
+        this.write(';');
+        break;
+
+      case 'ThrowStatement':
+        this.write('throw ');
+        this.expression(node.argument, PRECEDENCE.SEQUENCE);
+        this.write(';');
+        break;
+
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        this.write(node.type === 'BreakStatement' ? 'break' : 'continue');
+        if (node.label) this.write(` ${node.label.name}`);
+        this.write(';');
+        break;
+
+      case 'LabeledStatement':
+        this.write(`${node.label.name}: `);
+        this.statement(node.body, false);
+        break;
+
+      case 'IfStatement':
+        this.ifStatement(node);
+        break;
+
+      case 'SwitchStatement':
+        this.switchStatement(node);
+        break;
+
+      case 'TryStatement':
+        this.write('try ');
+        this.block(node.block);
+        if (node.handler) {
+          this.write(' ');
+          this.mark(node.handler);
+          this.write('catch ');
+          if (node.handler.param) {
+            this.write('(');
+            this.pattern(node.handler.param);
+            this.write(') ');
+          }
+          this.block(node.handler.body);
+        }
+        if (node.finalizer) {
+          this.write(' finally ');
+          this.block(node.finalizer);
+        }
+        break;
+
+      case 'WhileStatement':
+        this.write('while (');
+        this.expression(node.test, PRECEDENCE.SEQUENCE);
+        this.write(')');
+        this.loopBody(node.body);
+        break;
+
+      case 'DoWhileStatement':
+        this.write('do');
+        if (this.body(node.body)) {
+          this.write(' ');
+        } else {
+          this.newline();
+        }
+        this.write('while (');
+        this.expression(node.test, PRECEDENCE.SEQUENCE);
+        this.write(');');
+        break;
+
+      case 'ForStatement':
+        this.write('for (');
+        if (node.init) {
+          this.noIn = true;
+          if (node.init.type === 'VariableDeclaration') this.variableDeclaration(node.init);
+          else this.expression(node.init, PRECEDENCE.SEQUENCE);
+          this.noIn = false;
+        }
+        this.write(';');
+        if (node.test) {
+          this.write(' ');
+          this.expression(node.test, PRECEDENCE.SEQUENCE);
+        }
+        this.write(';');
+        if (node.update) {
+          this.write(' ');
+          this.expression(node.update, PRECEDENCE.SEQUENCE);
+        }
+        this.write(')');
+        this.loopBody(node.body);
+        break;
+
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        this.write(node.type === 'ForOfStatement' && node.await ? 'for await (' : 'for (');
+        if (node.left.type === 'VariableDeclaration') {
+          this.variableDeclaration(node.left);
+        } else {
+          this.pattern(node.left);
+        }
+        this.write(node.type === 'ForInStatement' ? ' in ' : ' of ');
+        this.expression(node.right, node.type === 'ForInStatement' ? PRECEDENCE.SEQUENCE : PRECEDENCE.ASSIGNMENT);
+        this.write(')');
+        this.loopBody(node.body);
+        break;
+
+      case 'WithStatement':
+        this.write('with (');
+        this.expression(node.object, PRECEDENCE.SEQUENCE);
+        this.write(')');
+        this.loopBody(node.body);
+        break;
+
+      case 'ImportDeclaration':
+        this.importDeclaration(node);
+        break;
+
+      case 'ExportNamedDeclaration':
+        this.write('export ');
+        if (node.declaration) {
+          this.statement(node.declaration, false);
+        } else {
+          this.write('{');
+          node.specifiers.forEach((specifier, index) => {
+            if (index > 0) this.write(', ');
+            this.write(this.moduleName(specifier.local));
+            if (this.moduleName(specifier.exported) !== this.moduleName(specifier.local)) {
+              this.write(` as ${this.moduleName(specifier.exported)}`);
+            }
+          });
+          this.write('}');
+          if (node.source) this.write(` from ${this.literal(node.source)}`);
+          this.write(';');
+        }
+        break;
+
+      case 'ExportDefaultDeclaration':
+        this.write('export default ');
+        if (node.declaration.type === 'FunctionDeclaration' || node.declaration.type === 'ClassDeclaration') {
+          this.statement(node.declaration, false);
+        } else {
+          const forbidden = this.startsWithForbidden(node.declaration);
+          if (forbidden) this.write('(');
+          this.expression(node.declaration, PRECEDENCE.ASSIGNMENT);
+          if (forbidden) this.write(')');
+          this.write(';');
+        }
+        break;
+
+      case 'ExportAllDeclaration':
+        this.write('export *');
+        if (node.exported) this.write(` as ${this.moduleName(node.exported)}`);
+        this.write(` from ${this.literal(node.source)};`);
+        break;
+
+      default:
+        throw new Error(`Nó não suportado pelo gerador: ${node.type}`);
+    }
+
+    if (ownLine) this.newline();
+  }
+
+  loopBody(body) {
+    if (body.type === 'EmptyStatement') {
+      this.write(';');
+      return;
+    }
+    this.body(body);
+  }
+
+  ifStatement(node) {
+    this.write('if (');
+    this.expression(node.test, PRECEDENCE.SEQUENCE);
+    this.write(')');
+    const isBlock = this.body(node.consequent);
+    if (!node.alternate) return;
+    if (isBlock) {
+      this.write(' ');
+    } else {
+      this.newline();
+    }
+    this.write('else');
+    if (node.alternate.type === 'IfStatement') {
+      this.write(' ');
+      this.mark(node.alternate);
+      this.ifStatement(node.alternate);
+    } else {
+      this.body(node.alternate);
+    }
+  }
+
+  switchStatement(node) {
+    this.write('switch (');
+    this.expression(node.discriminant, PRECEDENCE.SEQUENCE);
+    this.write(') {');
+    this.newline();
+    this.level++;
+    node.cases.forEach(switchCase => {
+      this.flushComments(switchCase.start);
+      this.mark(switchCase);
+      if (switchCase.test) {
+        this.write('case ');
+        this.expression(switchCase.test, PRECEDENCE.SEQUENCE);
+        this.write(':');
+      } else {
+        this.write('default:');
+      }
+      this.newline();
+      this.level++;
+      switchCase.consequent.forEach(statement => this.statement(statement));
+      this.level--;
+    });
+    this.flushComments(node.end);
+    this.level--;
+    this.close(node);
+  }
+
+  variableDeclaration(node) {
+    this.write(`${node.kind} `);
+    node.declarations.forEach((declarator, index) => {
+      if (index > 0) this.write(', ');
+      this.mark(declarator);
+      this.pattern(declarator.id);
+      if (declarator.init) {
+        this.write(' = ');
+        this.expression(declarator.init, PRECEDENCE.ASSIGNMENT);
+      }
+    });
+  }
+
+  importDeclaration(node) {
+    this.write('import ');
+    const defaults = node.specifiers.filter(s => s.type === 'ImportDefaultSpecifier');
+    const namespace = node.specifiers.filter(s => s.type === 'ImportNamespaceSpecifier');
+    const named = node.specifiers.filter(s => s.type === 'ImportSpecifier');
+    const parts = [];
+    defaults.forEach(s => parts.push(s.local.name));
+    namespace.forEach(s => parts.push(`* as ${s.local.name}`));
+    if (named.length > 0) {
+      parts.push(`{${named.map(s => (this.moduleName(s.imported) === s.local.name ? s.local.name : `${this.moduleName(s.imported)} as ${s.local.name}`)).join(', ')}}`);
+    }
+    if (parts.length > 0) this.write(`${parts.join(', ')} from `);
+    this.write(`${this.literal(node.source)};`);
+  }
+
+  moduleName(node) {
+    return node.type === 'Literal' ? this.literal(node) : node.name;
+  }
+
+  // ---- funções e classes ----
+
+  functionNode(node, { method = false } = {}) {
+    if (!method) {
+      if (node.async) this.write('async ');
+      this.write(node.generator ? 'function*' : 'function');
+      if (node.id) this.write(` ${node.id.name}`);
+    }
+    this.params(node.params);
+    this.write(' ');
+    this.block(node.body);
+  }
+
+  params(params) {
+    this.write('(');
+    params.forEach((param, index) => {
+      if (index > 0) this.write(', ');
+      this.pattern(param);
+    });
+    this.write(')');
+  }
+
+  arrowFunction(node) {
+    if (node.async) this.write('async ');
+    this.params(node.params);
+    this.write(' => ');
+    if (node.body.type === 'BlockStatement') {
+      this.block(node.body);
+    } else if (this.startsWithForbidden(node.body, true)) {
+      this.write('(');
+      this.expression(node.body, PRECEDENCE.ASSIGNMENT);
+      this.write(')');
+    } else {
+      this.expression(node.body, PRECEDENCE.ASSIGNMENT);
+    }
+  }
+
+  classNode(node) {
+    this.write('class');
+    if (node.id) this.write(` ${node.id.name}`);
+    if (node.superClass) {
+      this.write(' extends ');
+      this.expression(node.superClass, PRECEDENCE.CALL);
+    }
+    this.write(' ');
+    this.mark(node.body);
+    if (node.body.body.length === 0 && !this.hasCommentsBefore(node.body.end)) {
+      this.write('{}');
+      return;
+    }
+    this.write('{');
+    this.newline();
+    this.level++;
+    node.body.body.forEach(member => {
+      this.flushComments(member.start);
+      this.mark(member);
+      this.classMember(member);
+      this.newline();
+    });
+    this.flushComments(node.body.end);
+    this.level--;
+    this.close(node.body);
+  }
+
+  classMember(member) {
+    if (member.type === 'StaticBlock') {
+      this.write('static ');
+      this.block(member);
+      return;
+    }
+    if (member.static) this.write('static ');
+    if (member.type === 'PropertyDefinition') {
+      this.propertyKey(member);
+      if (member.value) {
+        this.write(' = ');
+        this.expression(member.value, PRECEDENCE.ASSIGNMENT);
+      }
+      this.write(';');
+      return;
+    }
+    this.methodSignature(member.kind, member.value);
+    this.propertyKey(member);
+    this.functionNode(member.value, { method: true });
+  }
+
+  methodSignature(kind, value) {
+    if (kind === 'get' || kind === 'set') {
+      this.write(`${kind} `);
+      return;
+    }
+    if (value.async) this.write('async ');
+    if (value.generator) this.write('*');
+  }
+
+  propertyKey(node) {
+    if (node.computed) {
+      this.write('[');
+      this.expression(node.key, PRECEDENCE.ASSIGNMENT);
+      this.write(']');
+    } else if (node.key.type === 'PrivateIdentifier') {
+      this.write(`#${node.key.name}`);
+    } else if (node.key.type === 'Literal') {
+      this.write(this.literal(node.key));
+    } else {
+      this.write(node.key.name);
+    }
+  }
+
+  // ---- expressões ----
+
+  precedence(node) {
+    switch (node.type) {
+      case 'SequenceExpression':
+        return PRECEDENCE.SEQUENCE;
+      case 'ArrowFunctionExpression':
+      case 'AssignmentExpression':
+      case 'YieldExpression':
+        return PRECEDENCE.ASSIGNMENT;
+      case 'ConditionalExpression':
+        return PRECEDENCE.CONDITIONAL;
+      case 'LogicalExpression':
+      case 'BinaryExpression':
+        return BINARY_PRECEDENCE[node.operator];
+      case 'UnaryExpression':
+      case 'AwaitExpression':
+        return PRECEDENCE.UNARY;
+      case 'UpdateExpression':
+        return node.prefix ? PRECEDENCE.UNARY : PRECEDENCE.POSTFIX;
+      case 'CallExpression':
+      case 'NewExpression':
+      case 'MemberExpression':
+      case 'ChainExpression':
+      case 'TaggedTemplateExpression':
+      case 'ImportExpression':
+        return PRECEDENCE.CALL;
+      default:
+        return PRECEDENCE.PRIMARY;
+    }
+  }
+
+  // Expressão que não pode começar uma instrução (ou o corpo de uma arrow) sem parênteses
+  startsWithForbidden(node, arrowBody = false) {
+    let current = node;
+    while (current) {
+      switch (current.type) {
+        case 'ObjectExpression':
+          return true;
+        case 'FunctionExpression':
+        case 'ClassExpression':
+          return !arrowBody;
+        case 'AssignmentExpression':
+          if (current.left.type === 'ObjectPattern') return true;
+          current = current.left;
+          break;
+        case 'CallExpression':
+          current = current.callee;
+          break;
+        case 'MemberExpression':
+          current = current.object;
+          break;
+        case 'BinaryExpression':
+        case 'LogicalExpression':
+          current = current.left;
+          break;
+        case 'ConditionalExpression':
+          current = current.test;
+          break;
+        case 'SequenceExpression':
+          current = current.expressions[0];
+          break;
+        case 'TaggedTemplateExpression':
+          current = current.tag;
+          break;
+        case 'ChainExpression':
+          current = current.expression;
+          break;
+        case 'UpdateExpression':
+          if (current.prefix) return false;
+          current = current.argument;
+          break;
+        case 'Identifier':
+          return !arrowBody && current.name === 'let';
+        default:
+          return false;
+      }
+    }
+    return false;
+  }
+
+  expression(node, minPrecedence) {
+    const needsParens = this.precedence(node) < minPrecedence ||
+      (this.noIn && node.type === 'BinaryExpression' && node.operator === 'in');
+    if (needsParens) {
+      const noIn = this.noIn;
+      this.noIn = false;
+      this.write('(');
+      this.expressionBody(node);
+      this.write(')');
+      this.noIn = noIn;
+    } else {
+      this.expressionBody(node);
+    }
+  }
+
+  expressionBody(node) {
+    this.mark(node);
+    switch (node.type) {
+      case 'Identifier':
+        this.write(node.name);
+        break;
+
+      case 'PrivateIdentifier':
+        this.write(`#${node.name}`);
+        break;
+
+      case 'Literal':
+        this.write(this.literal(node));
+        break;
+
+      case 'ThisExpression':
+        this.write('this');
+        break;
+
+      case 'Super':
+        this.write('super');
+        break;
+
+      case 'ArrayExpression':
+      case 'ArrayPattern':
+        this.write('[');
+        node.elements.forEach((element, index) => {
+          if (index > 0) this.write(', ');
+          if (element) {
+            if (node.type === 'ArrayPattern') this.pattern(element);
+            else this.expression(element, PRECEDENCE.ASSIGNMENT);
+          }
+          if (!element && index === node.elements.length - 1) this.write(',');
+        });
+        this.write(']');
+        break;
+
+      case 'ObjectExpression':
+      case 'ObjectPattern':
+        this.objectNode(node);
+        break;
+
+      case 'FunctionExpression':
+        this.functionNode(node);
+        break;
+
+      case 'ArrowFunctionExpression':
+        this.arrowFunction(node);
+        break;
+
+      case 'ClassExpression':
+        this.classNode(node);
+        break;
+
+      case 'TemplateLiteral':
+        this.templateLiteral(node);
+        break;
+
+      case 'TaggedTemplateExpression':
+        this.expression(node.tag, PRECEDENCE.CALL);
+        this.templateLiteral(node.quasi);
+        break;
+
+      case 'SequenceExpression':
+        node.expressions.forEach((expression, index) => {
+          if (index > 0) this.write(', ');
+          this.expression(expression, PRECEDENCE.ASSIGNMENT);
+        });
+        break;
+
+      case 'UnaryExpression': {
+        this.write(node.operator);
+        const argument = node.argument;
+        if (/^[a-z]/.test(node.operator)) {
+          this.write(' ');
+        } else if ((argument.type === 'UnaryExpression' || argument.type === 'UpdateExpression') &&
+          argument.prefix !== false && (node.operator === '+' || node.operator === '-') && argument.operator.startsWith(node.operator)) {
+          this.write(' ');
+        }
+        this.expression(argument, PRECEDENCE.UNARY);
+        break;
+      }
+
+      case 'UpdateExpression':
+        if (node.prefix) {
+          this.write(node.operator);
+          this.expression(node.argument, PRECEDENCE.UNARY);
+        } else {
+          this.expression(node.argument, PRECEDENCE.POSTFIX);
+          this.write(node.operator);
+        }
+        break;
+
+      case 'AwaitExpression':
+        this.write('await ');
+        this.expression(node.argument, PRECEDENCE.UNARY);
+        break;
+
+      case 'YieldExpression':
+        this.write(node.delegate ? 'yield*' : 'yield');
+        if (node.argument) {
+          this.write(' ');
+          this.expression(node.argument, PRECEDENCE.ASSIGNMENT);
+        }
+        break;
+
+      case 'BinaryExpression':
+      case 'LogicalExpression':
+        this.binary(node);
+        break;
+
+      case 'AssignmentExpression':
+        this.pattern(node.left);
+        this.write(` ${node.operator} `);
+        this.expression(node.right, PRECEDENCE.ASSIGNMENT);
+        break;
+
+      case 'AssignmentPattern':
+        this.pattern(node.left);
+        this.write(' = ');
+        this.expression(node.right, PRECEDENCE.ASSIGNMENT);
+        break;
+
+      case 'ConditionalExpression':
+        this.expression(node.test, PRECEDENCE.CONDITIONAL + 1);
+        this.write(' ? ');
+        this.expression(node.consequent, PRECEDENCE.ASSIGNMENT);
+        this.write(' : ');
+        this.expression(node.alternate, PRECEDENCE.ASSIGNMENT);
+        break;
+
+      case 'CallExpression':
+        this.memberObject(node.callee);
+        if (node.optional) this.write('?.');
+        this.arguments(node.arguments);
+        break;
+
+      case 'NewExpression':
+        this.write('new ');
+        if (this.precedence(node.callee) < PRECEDENCE.CALL || this.containsCall(node.callee)) {
+          this.write('(');
+          this.expression(node.callee, PRECEDENCE.SEQUENCE);
+          this.write(')');
+        } else {
+          this.expression(node.callee, PRECEDENCE.CALL);
+        }
+        this.arguments(node.arguments);
+        break;
+
+      case 'MemberExpression':
+        this.memberObject(node.object);
+        if (node.computed) {
+          this.write(node.optional ? '?.[' : '[');
+          this.expression(node.property, PRECEDENCE.SEQUENCE);
+          this.write(']');
+        } else {
+          this.write(node.optional ? '?.' : '.');
+          this.expressionBody(node.property);
+        }
+        break;
+
+      case 'ChainExpression':
+        this.expressionBody(node.expression);
+        break;
+
+      case 'SpreadElement':
+      case 'RestElement':
+        this.write('...');
+        if (node.type === 'RestElement') this.pattern(node.argument);
+        else this.expression(node.argument, PRECEDENCE.ASSIGNMENT);
+        break;
+
+      case 'MetaProperty':
+        this.write(`${node.meta.name}.${node.property.name}`);
+        break;
+
+      case 'ImportExpression':
+        this.write('import(');
+        this.expression(node.source, PRECEDENCE.ASSIGNMENT);
+        if (node.options) {
+          this.write(', ');
+          this.expression(node.options, PRECEDENCE.ASSIGNMENT);
+        }
+        this.write(')');
+        break;
+
+      case 'ParenthesizedExpression':
+        this.write('(');
+        this.expression(node.expression, PRECEDENCE.SEQUENCE);
+        this.write(')');
+        break;
+
+      default:
+        throw new Error(`Nó não suportado pelo gerador: ${node.type}`);
+    }
+  }
+
+  binary(node) {
+    const precedence = BINARY_PRECEDENCE[node.operator];
+    const isExponent = node.operator === '**';
+    const leftMin = isExponent ? PRECEDENCE.POSTFIX : precedence;
+    const rightMin = isExponent ? precedence : precedence + 1;
+
+    this.binaryOperand(node, node.left, leftMin);
+    this.write(` ${node.operator} `);
+    this.binaryOperand(node, node.right, rightMin);
+  }
+
+  // ?? não pode ser misturado com || ou && sem parênteses
+  binaryOperand(parent, child, minPrecedence) {
+    const mixesNullish = child.type === 'LogicalExpression' &&
+      ((parent.operator === '??') !== (child.operator === '??'));
+    if (parent.type === 'LogicalExpression' && mixesNullish) {
+      this.write('(');
+      this.expression(child, PRECEDENCE.SEQUENCE);
+      this.write(')');
+    } else {
+      this.expression(child, minPrecedence);
+    }
+  }
+
+  // Objeto de um acesso membro / callee: (a?.b).c, (1).toString, (a + b).c
+  memberObject(node) {
+    if (node.type === 'ChainExpression') {
+      this.write('(');
+      this.expressionBody(node);
+      this.write(')');
+    } else if (node.type === 'Literal' && typeof node.value === 'number' && /^\d+$/.test(this.literal(node))) {
+      this.write('(');
+      this.expressionBody(node);
+      this.write(')');
+    } else {
+      this.expression(node, PRECEDENCE.CALL);
+    }
+  }
+
+  containsCall(node) {
+    let current = node;
+    while (current) {
+      if (current.type === 'CallExpression') return true;
+      if (current.type === 'MemberExpression') current = current.object;
+      else if (current.type === 'TaggedTemplateExpression') current = current.tag;
+      else if (current.type === 'ChainExpression') return true;
+      else return false;
+    }
+    return false;
+  }
+
+  arguments(args) {
+    this.write('(');
+    args.forEach((argument, index) => {
+      if (index > 0) this.write(', ');
+      this.expression(argument, PRECEDENCE.ASSIGNMENT);
+    });
+    this.write(')');
+  }
+
+  templateLiteral(node) {
+    this.write('`');
+    node.quasis.forEach((quasi, index) => {
+      this.write(quasi.value.raw);
+      if (index < node.expressions.length) {
+        this.write('${');
+        this.expression(node.expressions[index], PRECEDENCE.SEQUENCE);
+        this.write('}');
+      }
+    });
+    this.write('`');
+  }
+
+  // Objetos pequenos numa linha; com muitas propriedades, funções ou objetos aninhados, uma por linha
+  objectNode(node) {
+    const properties = node.properties;
+    if (properties.length === 0) {
+      this.write('{}');
+      return;
+    }
+    const multiline = properties.length > 3 || properties.some(property => {
+      const value = property.value || property.argument;
+      return property.type === 'Property' && (property.method || property.kind !== 'init' ||
+        ['FunctionExpression', 'ArrowFunctionExpression', 'ClassExpression'].includes(value.type) ||
+        (value.type === 'ObjectExpression' && value.properties.length > 0));
+    });
+
+    if (!multiline) {
+      this.write('{ ');
+      properties.forEach((property, index) => {
+        if (index > 0) this.write(', ');
+        this.property(property);
+      });
+      this.write(' }');
+      return;
+    }
+
+    const noIn = this.noIn;
+    this.noIn = false;
+    this.write('{');
+    this.newline();
+    this.level++;
+    properties.forEach((property, index) => {
+      this.flushComments(property.start);
+      this.property(property);
+      if (index < properties.length - 1) this.write(',');
+      this.newline();
+    });
+    this.flushComments(node.end);
+    this.level--;
+    this.close(node);
+    this.noIn = noIn;
+  }
+
+  property(property) {
+    this.mark(property);
+    if (property.type !== 'Property') {
+      this.expressionBody(property);
+      return;
+    }
+    if (property.kind === 'get' || property.kind === 'set' || property.method) {
+      this.methodSignature(property.kind, property.value);
+      this.propertyKey(property);
+      this.functionNode(property.value, { method: true });
+      return;
+    }
+    if (property.shorthand) {
+      this.pattern(property.value);
+      return;
+    }
+    this.propertyKey(property);
+    this.write(': ');
+    if (property.value.type === 'AssignmentPattern' || property.value.type === 'ObjectPattern' || property.value.type === 'ArrayPattern') {
+      this.pattern(property.value);
+    } else {
+      this.expression(property.value, PRECEDENCE.ASSIGNMENT);
+    }
+  }
+
+  pattern(node) {
+    switch (node.type) {
+      case 'Identifier':
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+      case 'RestElement':
+      case 'AssignmentPattern':
+        this.expressionBody(node);
+        break;
+      default:
+        this.expression(node, PRECEDENCE.CALL);
+    }
+  }
+
+  // Literal: usa o texto original quando existe; senão gera com aspas simples
+  literal(node) {
+    if (typeof node.raw === 'string') return node.raw;
+    if (node.regex) return `/${node.regex.pattern}/${node.regex.flags}`;
+    if (typeof node.bigint === 'string') return `${node.bigint}n`;
+    if (typeof node.value === 'string') {
+      return `'${node.value
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t')
+        .replace(/[\u0000-\u001f\u2028\u2029]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`)}'`;
+    }
+    if (typeof node.value === 'number') {
+      if (Object.is(node.value, -0)) return '-0';
+      return String(node.value);
+    }
+    return String(node.value);
+  }
+}
+
+module.exports = { CodeGenerator, OffsetTrail, buildSourceMap };
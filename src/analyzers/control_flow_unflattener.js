@@ -0,0 +1,363 @@
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const LOOP_TYPES = new Set(['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement']);
+
+// Pré-filtro textual: switch (ordem[indice++]) — evita o parse de ficheiros sem dispatchers
+const DISPATCH_HINT = /\bswitch\s*\(\s*[\w$]+\s*\[\s*[\w$]+\s*\+\+\s*\]\s*\)/;
+
+// Reconstrução de funções achatadas pelo control-flow flattening do javascript-obfuscator:
+//   var order = '3|0|1|2'.split('|'), index = 0;
+//   while (!![]) { switch (order[index++]) { case '0': ...; continue; ... } break; }
+// volta a ser a sequência dos corpos dos cases pela ordem da string
+class ControlFlowUnflattener {
+  constructor(options = {}) {
+    this.options = {
+      maxPasses: 10,
+      ...options
+    };
+  }
+
+  parse(code) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+    try {
+      return acorn.parse(code, { ...options, sourceType: 'script' });
+    } catch {
+      try {
+        return acorn.parse(code, { ...options, sourceType: 'module' });
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  // Dispatchers presentes no código (sem o alterar), para o score de controlFlow do CodeAnalyzer
+  detect(code) {
+    const result = { dispatchers: [], functions: 0 };
+    if (!DISPATCH_HINT.test(code)) return result;
+    const ast = this.parse(code);
+    if (!ast) return result;
+
+    walk.full(ast, node => {
+      if (FUNCTION_TYPES.has(node.type)) result.functions++;
+    });
+    result.dispatchers = this.findDispatchers(ast, code).map(candidate => ({
+      function: candidate.functionName,
+      cases: candidate.switchNode.cases.length,
+      unflattenable: !candidate.reason,
+      reason: candidate.reason
+    }));
+    return result;
+  }
+
+  // Devolve { code, report, passes }; passes são as edições de cada passagem (um dispatcher
+  // dentro de um case só é reconstruído na passagem seguinte). Se o resultado não fizer
+  // parse devolve o código original
+  unflatten(code) {
+    const report = {
+      detected: false,
+      unflattened: 0,
+      functions: [],
+      skipped: [],
+      errors: []
+    };
+    if (!DISPATCH_HINT.test(code)) return { code, report, passes: [] };
+
+    const passes = [];
+    let current = code;
+    let ast = this.parse(current);
+    if (!ast) {
+      report.errors.push('parse_failed');
+      return { code, report, passes };
+    }
+
+    for (let pass = 0; pass < this.options.maxPasses; pass++) {
+      const candidates = this.findDispatchers(ast, current);
+      const accepted = [];
+      report.skipped = [];
+
+      for (const candidate of candidates) {
+        if (candidate.reason) {
+          report.skipped.push({ function: candidate.functionName, reason: candidate.reason });
+          continue;
+        }
+        // Aninhado num dispatcher aceite nesta passagem: fica para a próxima
+        if (accepted.some(other => candidate.loop.start >= other.loop.start && candidate.loop.end <= other.loop.end)) continue;
+        accepted.push(candidate);
+      }
+      if (accepted.length === 0) break;
+
+      const edits = accepted.flatMap(candidate => this.dispatcherEdits(candidate, current));
+      current = this.applyEdits(current, edits);
+      ast = this.parse(current);
+      if (!ast) {
+        report.errors.push('unflattened_code_does_not_parse');
+        report.functions = [];
+        return { code, report, passes: [] };
+      }
+      passes.push(edits);
+      accepted.forEach(candidate => report.functions.push({ name: candidate.functionName, cases: candidate.sequence.length }));
+    }
+
+    report.unflattened = report.functions.length;
+    report.detected = report.unflattened > 0 || report.skipped.length > 0;
+    return { code: current, report, passes };
+  }
+
+  // Listas de statements (programa, blocos, cases) com um loop dispatcher
+  findDispatchers(ast, code) {
+    const candidates = [];
+    const scan = (list, ancestors) => {
+      list.forEach((statement, index) => {
+        const dispatcher = this.dispatcherLoop(statement);
+        if (!dispatcher) return;
+        const owner = [...ancestors].reverse().find(node => FUNCTION_TYPES.has(node.type)) || ast;
+        const enclosing = ancestors.slice(0, -1).reverse().map(node => this.statementList(node)).filter(Boolean);
+        candidates.push(this.analyzeDispatcher({ ...dispatcher, list, index, owner, enclosing }, code));
+      });
+    };
+
+    walk.ancestor(ast, {
+      Program: (node, ancestors) => scan(node.body, ancestors),
+      BlockStatement: (node, ancestors) => scan(node.body, ancestors),
+      StaticBlock: (node, ancestors) => scan(node.body, ancestors),
+      SwitchCase: (node, ancestors) => scan(node.consequent, ancestors)
+    });
+    return candidates.sort((a, b) => a.loop.start - b.loop.start);
+  }
+
+  statementList(node) {
+    if (node.type === 'Program' || node.type === 'BlockStatement' || node.type === 'StaticBlock') return node.body;
+    if (node.type === 'SwitchCase') return node.consequent;
+    return null;
+  }
+
+  // while (!![]) / while (true) / for (;;) cujo corpo é só switch (ordem[indice++]) + break
+  dispatcherLoop(statement) {
+    const infinite = (statement.type === 'WhileStatement' && this.isTruthyConstant(statement.test)) ||
+      (statement.type === 'ForStatement' && !statement.init && !statement.update && (!statement.test || this.isTruthyConstant(statement.test)));
+    if (!infinite || statement.body.type !== 'BlockStatement' || statement.body.body.length !== 2) return null;
+
+    const [switchNode, exit] = statement.body.body;
+    if (switchNode.type !== 'SwitchStatement' || exit.type !== 'BreakStatement' || exit.label) return null;
+    const discriminant = switchNode.discriminant;
+    if (discriminant.type !== 'MemberExpression' || !discriminant.computed || discriminant.object.type !== 'Identifier') return null;
+    const update = discriminant.property;
+    if (update.type !== 'UpdateExpression' || update.operator !== '++' || update.prefix || update.argument.type !== 'Identifier') return null;
+
+    return { loop: statement, switchNode, orderName: discriminant.object.name, indexName: update.argument.name };
+  }
+
+  isTruthyConstant(node) {
+    const constant = this.constantValue(node);
+    return constant.known && Boolean(constant.value);
+  }
+
+  // Valor de `true`, `1`, `!![]`, `!0` e afins
+  constantValue(node) {
+    if (node.type === 'Literal' && !node.regex) return { known: true, value: node.value };
+    if (node.type === 'ArrayExpression' && node.elements.length === 0) return { known: true, value: [] };
+    if (node.type === 'UnaryExpression' && node.operator === '!') {
+      const argument = this.constantValue(node.argument);
+      return argument.known ? { known: true, value: !argument.value } : argument;
+    }
+    return { known: false };
+  }
+
+  analyzeDispatcher(candidate, code) {
+    const result = {
+      ...candidate,
+      functionName: this.functionName(candidate.owner),
+      sequence: [],
+      bodies: [],
+      reason: null
+    };
+    const reject = (reason) => {
+      result.reason = reason;
+      return result;
+    };
+
+    const orderDeclaration = this.findDeclarator(candidate.list, candidate.index, candidate.orderName);
+    const indexDeclaration = this.findDeclarator(candidate.list, candidate.index, candidate.indexName);
+    if (!orderDeclaration || !indexDeclaration) return reject('declarations_not_found');
+
+    const order = this.resolveOrder(orderDeclaration.declarator.init, candidate);
+    if (!order) return reject('order_not_constant');
+    const start = indexDeclaration.declarator.init;
+    if (!start || start.type !== 'Literal' || !Number.isInteger(start.value) || start.value < 0) return reject('index_not_constant');
+    result.sequence = order.slice(start.value);
+
+    const cases = new Map();
+    for (const switchCase of candidate.switchNode.cases) {
+      if (!switchCase.test || switchCase.test.type !== 'Literal') return reject('non_literal_case');
+      const label = String(switchCase.test.value);
+      if (cases.has(label)) return reject('duplicate_case');
+      cases.set(label, switchCase);
+    }
+    if (result.sequence.some(label => !cases.has(label))) return reject('missing_case');
+    if (new Set(result.sequence).size !== result.sequence.length) return reject('repeated_case');
+
+    for (let position = 0; position < result.sequence.length; position++) {
+      const statements = [...cases.get(result.sequence[position]).consequent];
+      const last = statements[statements.length - 1];
+      const isLast = position === result.sequence.length - 1;
+      if (last && last.type === 'ContinueStatement' && !last.label) {
+        statements.pop();
+      } else if (!isLast || !last || (last.type !== 'ReturnStatement' && last.type !== 'ThrowStatement')) {
+        return reject('case_does_not_continue');
+      }
+      if (statements.some(statement => this.jumpsOut(statement, false, false))) return reject('jump_inside_case');
+      result.bodies.push(statements);
+    }
+
+    // A ordem e o índice só podem aparecer na declaração e no switch
+    const scope = code.slice(candidate.owner.start, candidate.owner.end);
+    if (this.countReferences(scope, candidate.orderName) !== 2 || this.countReferences(scope, candidate.indexName) !== 2) {
+      return reject('dispatcher_variables_reused');
+    }
+
+    // let/const/class dos cases passam para o bloco que contém o loop: não podem colidir
+    const lexical = this.lexicalNames(result.bodies.flat());
+    const outside = this.lexicalNames(candidate.list.filter(statement => statement !== candidate.loop));
+    if (lexical.some(name => outside.includes(name))) return reject('lexical_conflict');
+
+    result.orderDeclaration = orderDeclaration;
+    result.indexDeclaration = indexDeclaration;
+    return result;
+  }
+
+  functionName(owner) {
+    if (owner.type === 'Program') return '(programa)';
+    return owner.id ? owner.id.name : '(anónima)';
+  }
+
+  // Declarador de `name` num statement anterior ao loop na mesma lista
+  findDeclarator(list, index, name) {
+    for (let i = index - 1; i >= 0; i--) {
+      const statement = list[i];
+      if (statement.type !== 'VariableDeclaration') continue;
+      const declarator = statement.declarations.find(d => d.id.type === 'Identifier' && d.id.name === name);
+      if (declarator) return { declarator, declaration: statement };
+    }
+    return null;
+  }
+
+  // '3|0|1'.split('|') ou storage['chave'].split('|') com storage = { chave: '3|0|1', ... }
+  // declarado antes do loop ou num bloco que o contém (o objeto de storage costuma ser da função exterior)
+  resolveOrder(init, candidate) {
+    if (!init || init.type !== 'CallExpression' || init.callee.type !== 'MemberExpression') return null;
+    if (this.propertyName(init.callee) !== 'split' || init.arguments.length !== 1) return null;
+    const separator = init.arguments[0];
+    if (separator.type !== 'Literal' || typeof separator.value !== 'string') return null;
+    const source = this.stringValue(init.callee.object, candidate);
+    return typeof source === 'string' ? source.split(separator.value) : null;
+  }
+
+  // Os objetos de storage podem encadear-se: { a: outro['b'] }
+  stringValue(node, candidate, depth = 0) {
+    if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+    if (depth > 5 || node.type !== 'MemberExpression' || node.object.type !== 'Identifier') return null;
+    const key = this.propertyName(node);
+    const name = node.object.name;
+    const storage = this.findDeclarator(candidate.list, candidate.index, name) ||
+      candidate.enclosing.map(list => this.findDeclarator(list, list.length, name)).find(Boolean);
+    if (key === null || !storage || !storage.declarator.init || storage.declarator.init.type !== 'ObjectExpression') return null;
+    const property = storage.declarator.init.properties.find(p => p.type === 'Property' && !p.computed &&
+      (p.key.type === 'Identifier' ? p.key.name : String(p.key.value)) === key);
+    return property ? this.stringValue(property.value, candidate, depth + 1) : null;
+  }
+
+  propertyName(member) {
+    if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+    if (member.computed && member.property.type === 'Literal') return String(member.property.value);
+    return null;
+  }
+
+  // continue/break sem label que sairiam do switch ou do loop dispatcher
+  jumpsOut(node, inLoop, inSwitch) {
+    if (!node || typeof node.type !== 'string' || FUNCTION_TYPES.has(node.type)) return false;
+    if (node.type === 'ContinueStatement') return !node.label && !inLoop;
+    if (node.type === 'BreakStatement') return !node.label && !inLoop && !inSwitch;
+
+    const loop = inLoop || LOOP_TYPES.has(node.type);
+    const nestedSwitch = inSwitch || node.type === 'SwitchStatement';
+    return Object.keys(node).some(key => {
+      const value = node[key];
+      if (Array.isArray(value)) return value.some(child => child && this.jumpsOut(child, loop, nestedSwitch));
+      return value && typeof value === 'object' && this.jumpsOut(value, loop, nestedSwitch);
+    });
+  }
+
+  countReferences(source, name) {
+    const escaped = name.replace(/\$/g, '\\$');
+    return (source.match(new RegExp(`(?<![\\w$.])${escaped}(?![\\w$])`, 'g')) || []).length;
+  }
+
+  lexicalNames(statements) {
+    const names = [];
+    statements.forEach(statement => {
+      if (statement.type === 'ClassDeclaration' && statement.id) names.push(statement.id.name);
+      if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+        statement.declarations.forEach(d => {
+          if (d.id.type === 'Identifier') names.push(d.id.name);
+        });
+      }
+    });
+    return names;
+  }
+
+  // Loop substituído pelos corpos dos cases; declarações da ordem e do índice removidas
+  dispatcherEdits(candidate, code) {
+    const text = candidate.bodies
+      .filter(statements => statements.length > 0)
+      .map(statements => code.slice(statements[0].start, statements[statements.length - 1].end))
+      .join('\n');
+    const edits = [{ start: candidate.loop.start, end: candidate.loop.end, text }];
+
+    const removed = new Map();
+    [candidate.orderDeclaration, candidate.indexDeclaration].forEach(({ declarator, declaration }) => {
+      if (!removed.has(declaration)) removed.set(declaration, new Set());
+      removed.get(declaration).add(declarator);
+    });
+    removed.forEach((declarators, declaration) => {
+      this.declaratorsRemoval(declaration, declarators).forEach(range => edits.push({ ...range, text: '' }));
+    });
+    return edits;
+  }
+
+  // Remover vários declaradores sem partir a declaração (`var s = {...}, o = ..., i = 0;`)
+  declaratorsRemoval(declaration, removed) {
+    const all = declaration.declarations;
+    if (all.every(declarator => removed.has(declarator))) {
+      return [{ start: declaration.start, end: declaration.end }];
+    }
+    const ranges = [];
+    let runStart = -1;
+    all.forEach((declarator, index) => {
+      if (removed.has(declarator)) {
+        if (runStart === -1) runStart = index;
+        const next = all[index + 1];
+        if (next && !removed.has(next)) {
+          ranges.push({ start: all[runStart].start, end: next.start });
+          runStart = -1;
+        }
+      }
+    });
+    if (runStart !== -1) {
+      ranges.push({ start: all[runStart - 1].end, end: all[all.length - 1].end });
+    }
+    return ranges;
+  }
+
+  applyEdits(code, edits) {
+    const sorted = [...edits].sort((a, b) => b.start - a.start);
+    let result = code;
+    for (const edit of sorted) {
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+  }
+}
+
+module.exports = { ControlFlowUnflattener };
@@ -0,0 +1,389 @@
+// Fingerprints de primitivas criptográficas usadas por mineradores em WASM.
+// Procuram constantes de ronda, tabelas e tamanhos de scratchpad nas instruções
+// (i32.const/i64.const) e nos segmentos de dados, independentemente dos nomes.
+
+const hex = values => values.map(value => BigInt(value));
+
+// Keccak-f[1600]: constantes de ronda (apenas as que não são valores pequenos e comuns)
+const KECCAK_RC = hex([
+  '0x800000000000808a', '0x8000000080008000', '0x0000000080000001', '0x8000000080008081',
+  '0x8000000000008009', '0x0000000080008009', '0x000000008000000a', '0x000000008000808b',
+  '0x800000000000008b', '0x8000000000008089', '0x8000000000008003', '0x8000000000008002',
+  '0x8000000000000080', '0x800000008000000a', '0x8000000000008080', '0x8000000080008008'
+]);
+
+// BLAKE2b IV (igual ao IV do SHA-512) e primeira palavra já combinada com o bloco de parâmetros
+const BLAKE2B_IV = hex([
+  '0x6a09e667f3bcc908', '0xbb67ae8584caa73b', '0x3c6ef372fe94f82b', '0xa54ff53a5f1d36f1',
+  '0x510e527fade682d1', '0x9b05688c2b3e6c1f', '0x1f83d9abfb41bd6b', '0x5be0cd19137e2179',
+  '0x6a09e667f2bdc948'
+]);
+
+// BLAKE2s IV (igual ao estado inicial do SHA-256)
+const BLAKE2S_IV = hex([
+  '0x6a09e667', '0xbb67ae85', '0x3c6ef372', '0xa54ff53a',
+  '0x510e527f', '0x9b05688c', '0x1f83d9ab', '0x5be0cd19'
+]);
+
+// SHA-256: tabela K
+const SHA256_K = hex([
+  '0x428a2f98', '0x71374491', '0xb5c0fbcf', '0xe9b5dba5', '0x3956c25b', '0x59f111f1', '0x923f82a4', '0xab1c5ed5',
+  '0xd807aa98', '0x12835b01', '0x243185be', '0x550c7dc3', '0x72be5d74', '0x80deb1fe', '0x9bdc06a7', '0xc19bf174',
+  '0xe49b69c1', '0xefbe4786', '0x0fc19dc6', '0x240ca1cc', '0x2de92c6f', '0x4a7484aa', '0x5cb0a9dc', '0x76f988da',
+  '0x983e5152', '0xa831c66d', '0xb00327c8', '0xbf597fc7', '0xc6e00bf3', '0xd5a79147', '0x06ca6351', '0x14292967',
+  '0x27b70a85', '0x2e1b2138', '0x4d2c6dfc', '0x53380d13', '0x650a7354', '0x766a0abb', '0x81c2c92e', '0x92722c85',
+  '0xa2bfe8a1', '0xa81a664b', '0xc24b8b70', '0xc76c51a3', '0xd192e819', '0xd6990624', '0xf40e3585', '0x106aa070',
+  '0x19a4c116', '0x1e376c08', '0x2748774c', '0x34b0bcb5', '0x391c0cb3', '0x4ed8aa4a', '0x5b9cca4f', '0x682e6ff3',
+  '0x748f82ee', '0x78a5636f', '0x84c87814', '0x8cc70208', '0x90befffa', '0xa4506ceb', '0xbef9a3f7', '0xc67178f2'
+]);
+
+// AES: início da T-table Te0 (ordem big-endian e little-endian das palavras)
+const AES_TE0 = hex([
+  '0xc66363a5', '0xf87c7c84', '0xee777799', '0xf67b7b8d', '0xfff2f20d', '0xd66b6bbd', '0xde6f6fb1', '0x91c5c554'
+]);
+const AES_TE0_SWAPPED = hex([
+  '0xa56363c6', '0x847c7cf8', '0x997777ee', '0x8d7b7bf6', '0x0df2f2ff', '0xbd6b6bd6', '0xb16f6fde', '0x54c5c591'
+]);
+
+// Primitivas que confirmam um scratchpad CryptoNight (AES + Keccak) ou a memória do Argon2 (BLAKE2b)
+const CRYPTONIGHT_CORE = ['aes_te0', 'aes_sbox', 'keccak_rc', 'keccak_f1600_structure'];
+const BLAKE2B_CORE = ['blake2b_iv', 'blake2b_g_rotations'];
+
+// BLAKE2b: rotações da função G (rotr 32, 24, 16, 63; como rotl: 32, 40, 48, 1)
+const BLAKE2B_ROTR = [32, 24, 16, 63];
+
+// AES: primeiros 32 bytes da S-box
+const AES_SBOX_PREFIX = Buffer.from([
+  0x63, 0x7c, 0x77, 0x7b, 0xf2, 0x6b, 0x6f, 0xc5, 0x30, 0x01, 0x67, 0x2b, 0xfe, 0xd7, 0xab, 0x76,
+  0xca, 0x82, 0xc9, 0x7d, 0xfa, 0x59, 0x47, 0xf0, 0xad, 0xd4, 0xa2, 0xaf, 0x9c, 0xa4, 0x72, 0xc0
+]);
+
+const CRYPTO_FINGERPRINTS = [
+  {
+    id: 'keccak_rc',
+    algorithm: 'keccak',
+    description: 'Keccak-f[1600] round constants',
+    width: 64,
+    constants: KECCAK_RC,
+    minMatches: 4,
+    weight: 0.6
+  },
+  {
+    id: 'blake2b_iv',
+    algorithm: 'blake2b',
+    description: 'BLAKE2b initialization vector (shared with SHA-512)',
+    width: 64,
+    constants: BLAKE2B_IV,
+    minMatches: 4,
+    weight: 0.5
+  },
+  {
+    id: 'blake2s_iv',
+    algorithm: 'blake2s',
+    description: 'BLAKE2s initialization vector (shared with SHA-256)',
+    width: 32,
+    constants: BLAKE2S_IV,
+    minMatches: 4,
+    weight: 0.3
+  },
+  {
+    id: 'sha256_k',
+    algorithm: 'sha256',
+    description: 'SHA-256 K round constants',
+    width: 32,
+    constants: SHA256_K,
+    minMatches: 8,
+    weight: 0.4
+  },
+  {
+    id: 'aes_te0',
+    algorithm: 'aes',
+    description: 'AES T-table (Te0)',
+    width: 32,
+    constants: AES_TE0,
+    alternates: [AES_TE0_SWAPPED],
+    minMatches: 4,
+    weight: 0.5
+  },
+  {
+    id: 'aes_sbox',
+    algorithm: 'aes',
+    description: 'AES S-box',
+    bytes: AES_SBOX_PREFIX,
+    weight: 0.5
+  },
+  {
+    id: 'cryptonight_scratchpad',
+    algorithm: 'cryptonight',
+    description: 'CryptoNight 2 MiB scratchpad mask',
+    width: 32,
+    constants: hex(['0x1ffff0']),
+    minMatches: 1,
+    requires: CRYPTONIGHT_CORE,
+    weight: 1
+  },
+  {
+    id: 'cryptonight_scratchpad_size',
+    algorithm: 'cryptonight',
+    description: 'CryptoNight 2 MiB scratchpad with 0x80000 iterations',
+    width: 32,
+    constants: hex(['0x200000', '0x80000']),
+    minMatches: 2,
+    requires: CRYPTONIGHT_CORE,
+    weight: 0.8
+  },
+  {
+    id: 'cryptonight_lite_scratchpad',
+    algorithm: 'cryptonight_lite',
+    description: 'CryptoNight-Lite 1 MiB scratchpad mask',
+    width: 32,
+    constants: hex(['0xffff0']),
+    minMatches: 1,
+    requires: CRYPTONIGHT_CORE,
+    weight: 0.8
+  },
+  {
+    id: 'cryptonight_heavy_scratchpad',
+    algorithm: 'cryptonight_heavy',
+    description: 'CryptoNight-Heavy 4 MiB scratchpad mask',
+    width: 32,
+    constants: hex(['0x3ffff0']),
+    minMatches: 1,
+    requires: CRYPTONIGHT_CORE,
+    weight: 0.8
+  },
+  {
+    id: 'argon2_memory',
+    algorithm: 'argon2',
+    description: 'Argon2 256 MiB memory (RandomX cache) in 1 KiB blocks',
+    width: 32,
+    constants: hex(['0x40000', '0x400']),
+    minMatches: 2,
+    requires: BLAKE2B_CORE,
+    weight: 0.5
+  },
+  {
+    id: 'randomx_argon2_salt',
+    algorithm: 'argon2',
+    description: 'RandomX Argon2 salt',
+    bytes: Buffer.from('RandomX\x03', 'latin1'),
+    weight: 0.8
+  }
+];
+
+// Fingerprints estruturais (forma das rondas, sem constantes)
+const STRUCTURE_FINGERPRINTS = [
+  {
+    id: 'blake2b_g_rotations',
+    algorithm: 'blake2b',
+    description: 'BLAKE2b G function rotations (rotr 32/24/16/63)',
+    weight: 0.3,
+    matches: (histogram, profile) => BLAKE2B_ROTR.every(amount => profile.rotations64.has(amount))
+  },
+  {
+    id: 'keccak_f1600_structure',
+    algorithm: 'keccak',
+    description: 'Keccak-f[1600]-like permutation (heavy 64-bit rotate/xor)',
+    weight: 0.4,
+    matches: histogram => (histogram['i64.rotl'] || 0) + (histogram['i64.rotr'] || 0) >= 20 &&
+      (histogram['i64.xor'] || 0) >= 50
+  },
+  {
+    id: 'arx_rounds',
+    algorithm: 'arx_hash',
+    description: 'Add-rotate-xor round function inside a loop (BLAKE/ChaCha-like)',
+    weight: 0.3,
+    matches: (histogram, profile) => profile.maxLoopDepth >= 1 &&
+      (histogram['i32.rotl'] || 0) + (histogram['i32.rotr'] || 0) + (histogram['i64.rotl'] || 0) + (histogram['i64.rotr'] || 0) >= 8 &&
+      (histogram['i32.xor'] || 0) + (histogram['i64.xor'] || 0) >= 8 &&
+      (histogram['i32.add'] || 0) + (histogram['i64.add'] || 0) >= 8
+  }
+];
+
+class CryptoFingerprinter {
+  constructor(options = {}) {
+    this.fingerprints = options.fingerprints || CRYPTO_FINGERPRINTS;
+    this.structureFingerprints = options.structureFingerprints || STRUCTURE_FINGERPRINTS;
+  }
+
+  // Procurar tabelas e constantes nos segmentos de dados
+  scanData(segments) {
+    const hits = [];
+
+    segments.forEach(segment => {
+      if (!segment.bytes || segment.bytes.length === 0) return;
+      const bytes = Buffer.from(segment.bytes);
+
+      this.fingerprints.forEach(fingerprint => {
+        for (const pattern of this.getBytePatterns(fingerprint)) {
+          const position = bytes.indexOf(pattern);
+          if (position === -1) continue;
+
+          hits.push({
+            id: fingerprint.id,
+            algorithm: fingerprint.algorithm,
+            description: fingerprint.description,
+            weight: fingerprint.weight,
+            source: 'data',
+            segment: segment.index,
+            address: segment.offset !== null && segment.offset !== undefined ? segment.offset + position : null,
+            length: this.getTableLength(fingerprint)
+          });
+          break;
+        }
+      });
+    });
+
+    return hits;
+  }
+
+  // Sequências de bytes a procurar nos dados (tabelas em little-endian)
+  getBytePatterns(fingerprint) {
+    if (fingerprint.bytes) return [fingerprint.bytes];
+    if (!fingerprint.constants || fingerprint.constants.length < 4) return [];
+
+    return [fingerprint.constants, ...(fingerprint.alternates || [])].map(constants => {
+      const size = fingerprint.width / 8;
+      const buffer = Buffer.alloc(size * 4);
+      constants.slice(0, 4).forEach((value, i) => {
+        if (size === 8) buffer.writeBigUInt64LE(value, i * size);
+        else buffer.writeUInt32LE(Number(value), i * size);
+      });
+      return buffer;
+    });
+  }
+
+  getTableLength(fingerprint) {
+    if (fingerprint.bytes) return fingerprint.bytes.length;
+    return fingerprint.constants.length * fingerprint.width / 8;
+  }
+
+  // Procurar constantes e estruturas numa função; dataHits associa tabelas referenciadas
+  scanFunction(instructions, profile, dataHits = []) {
+    const values32 = new Set();
+    const values64 = new Set();
+    const addresses = [];
+
+    instructions.forEach(inst => {
+      if (inst.op === 'i32.const' && inst.value !== undefined) {
+        const value = BigInt.asUintN(32, BigInt(inst.value));
+        values32.add(value);
+        addresses.push(Number(value));
+      } else if (inst.op === 'i64.const' && inst.value !== undefined) {
+        values64.add(BigInt.asUintN(64, BigInt(inst.value)));
+      }
+
+      const memOffset = this.getMemOffset(inst);
+      if (memOffset) addresses.push(memOffset);
+    });
+
+    const hits = [];
+    // Quantidades de rotação i64 com operando constante, normalizadas para rotr: i64.rotr/rotl
+    // ou o par shr_u n / shl 64-n que alguns compiladores geram
+    const rotations64 = new Set();
+    const shifts = { 'i64.shr_u': new Set(), 'i64.shl': new Set() };
+    instructions.forEach((inst, index) => {
+      const previous = instructions[index - 1];
+      if (!previous || previous.op !== 'i64.const' || previous.value === undefined) return;
+      const amount = Number(BigInt.asUintN(6, BigInt(previous.value)));
+      if (inst.op === 'i64.rotr') rotations64.add(amount);
+      else if (inst.op === 'i64.rotl') rotations64.add((64 - amount) % 64);
+      else if (shifts[inst.op]) shifts[inst.op].add(amount);
+    });
+    shifts['i64.shr_u'].forEach(amount => {
+      if (shifts['i64.shl'].has(64 - amount)) rotations64.add(amount);
+    });
+
+    this.fingerprints.forEach(fingerprint => {
+      if (!fingerprint.constants) return;
+      const values = fingerprint.width === 64 ? values64 : values32;
+
+      for (const constants of [fingerprint.constants, ...(fingerprint.alternates || [])]) {
+        const matched = constants.filter(value => values.has(value)).length;
+        if (matched >= fingerprint.minMatches) {
+          hits.push({
+            id: fingerprint.id,
+            algorithm: fingerprint.algorithm,
+            description: fingerprint.description,
+            weight: fingerprint.weight,
+            source: 'constants',
+            matched,
+            total: constants.length
+          });
+          break;
+        }
+      }
+    });
+
+    if (profile) {
+      this.structureFingerprints.forEach(fingerprint => {
+        if (fingerprint.matches(profile.histogram, { ...profile, rotations64 })) {
+          hits.push({
+            id: fingerprint.id,
+            algorithm: fingerprint.algorithm,
+            description: fingerprint.description,
+            weight: fingerprint.weight,
+            source: 'structure'
+          });
+        }
+      });
+    }
+
+    // Tabelas em dados referenciadas por endereço constante ou offset de load/store
+    dataHits.forEach(dataHit => {
+      if (dataHit.address === null) return;
+      const end = dataHit.address + dataHit.length;
+      if (addresses.some(address => address >= dataHit.address && address < end) &&
+          !hits.some(hit => hit.id === dataHit.id)) {
+        hits.push({
+          id: dataHit.id,
+          algorithm: dataHit.algorithm,
+          description: dataHit.description,
+          weight: dataHit.weight,
+          source: 'data_reference',
+          segment: dataHit.segment,
+          address: dataHit.address
+        });
+      }
+    });
+
+    return hits;
+  }
+
+  getMemOffset(inst) {
+    if (inst.memOffset !== undefined) return inst.memOffset;
+    if (inst.args) {
+      const arg = inst.args.find(value => typeof value === 'string' && value.startsWith('offset='));
+      if (arg) return Number(arg.slice('offset='.length));
+    }
+    return 0;
+  }
+
+  // Juntar hits por função com os hits de dados que nenhuma função referencia
+  collect(functions, dataHits) {
+    const hits = [];
+
+    functions.forEach(func => {
+      (func.fingerprints || []).forEach(hit => {
+        hits.push({ ...hit, functionIndex: func.index, functionName: func.name });
+      });
+    });
+
+    dataHits.forEach(dataHit => {
+      const referenced = hits.some(hit => hit.source === 'data_reference' &&
+        hit.id === dataHit.id && hit.segment === dataHit.segment);
+      if (!referenced) {
+        hits.push({ ...dataHit, functionIndex: null, functionName: null });
+      }
+    });
+
+    // Tamanhos e máscaras aparecem em código comum: só contam com a primitiva que os usa no módulo
+    const found = new Set(hits.map(hit => hit.id));
+    return hits.filter(hit => {
+      const fingerprint = this.fingerprints.find(candidate => candidate.id === hit.id);
+      return !fingerprint || !fingerprint.requires || fingerprint.requires.some(id => found.has(id));
+    });
+  }
+}
+
+module.exports = { CryptoFingerprinter, CRYPTO_FINGERPRINTS, STRUCTURE_FINGERPRINTS };
@@ -0,0 +1,93 @@
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+// Argumentos cuja avaliação não tem efeitos: a chamada pode sair sem mudar o comportamento
+const PURE_TYPES = new Set(['Literal', 'Identifier', 'ThisExpression']);
+// Listas de instruções de onde uma instrução pode sair sem deixar um ';'
+const STATEMENT_LISTS = { Program: 'body', BlockStatement: 'body', StaticBlock: 'body', SwitchCase: 'consequent' };
+
+// Remoção de código morto sobre o AST: instruções console.log(...) com argumentos sem efeitos
+// e comentários de debug. console.log(f(x)) fica, porque f(x) pode fazer alguma coisa
+class DeadCodeRemover {
+  parse(code, onComment) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true, onComment };
+    try {
+      return acorn.parse(code, { ...options, sourceType: 'script' });
+    } catch {
+      try {
+        if (onComment) onComment.length = 0;
+        return acorn.parse(code, { ...options, sourceType: 'module' });
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  // Devolve { code, report, edits }; se o código não fizer parse fica como está
+  remove(code) {
+    const report = { consoleCalls: 0, comments: 0, errors: [] };
+    const comments = [];
+    const ast = this.parse(code, comments);
+    if (!ast) {
+      report.errors.push('parse_failed');
+      return { code, report, edits: [] };
+    }
+
+    const edits = [];
+    walk.fullAncestor(ast, (node, state, ancestors) => {
+      if (node.type !== 'ExpressionStatement' || !this.isRemovableLog(node.expression)) return;
+      const parent = ancestors[ancestors.length - 2];
+      const list = parent && STATEMENT_LISTS[parent.type];
+      edits.push({ start: node.start, end: node.end, text: list && parent[list].includes(node) ? '' : ';' });
+      report.consoleCalls++;
+    });
+
+    comments.filter(comment => this.isDebugComment(comment)).forEach(comment => {
+      if (edits.some(edit => comment.start >= edit.start && comment.end <= edit.end)) return;
+      // Um comentário de bloco com quebra de linha conta como fim de linha para o ASI
+      const text = comment.type === 'Block' ? (/[\n\r\u2028\u2029]/.test(comment.value) ? '\n' : ' ') : '';
+      edits.push({ start: comment.start, end: comment.end, text });
+      report.comments++;
+    });
+
+    if (edits.length === 0) return { code, report, edits };
+    const sorted = edits.sort((a, b) => a.start - b.start);
+    const parts = [];
+    let position = 0;
+    for (const edit of sorted) {
+      parts.push(code.slice(position, edit.start), edit.text);
+      position = edit.end;
+    }
+    parts.push(code.slice(position));
+
+    const cleaned = parts.join('');
+    if (!this.parse(cleaned)) {
+      report.errors.push('cleaned_code_does_not_parse');
+      return { code, report: { consoleCalls: 0, comments: 0, errors: report.errors }, edits: [] };
+    }
+    return { code: cleaned, report, edits: sorted };
+  }
+
+  isRemovableLog(node) {
+    if (node.type === 'ChainExpression') node = node.expression;
+    if (node.type !== 'CallExpression') return false;
+    const callee = node.callee;
+    if (callee.type !== 'MemberExpression' || callee.computed) return false;
+    if (callee.object.type !== 'Identifier' || callee.object.name !== 'console' || callee.property.name !== 'log') return false;
+    return node.arguments.every(argument => this.isPure(argument));
+  }
+
+  isPure(node) {
+    if (PURE_TYPES.has(node.type)) return true;
+    if (node.type === 'TemplateLiteral') return node.expressions.every(expression => this.isPure(expression));
+    return false;
+  }
+
+  // /* ... debug ... */ e // debug ..., como antes; comentários de licença (/*! */) ficam
+  isDebugComment(comment) {
+    if (comment.type === 'Block') return comment.value.includes('debug') && !comment.value.startsWith('!');
+    return /^\s*debug/.test(comment.value);
+  }
+}
+
+module.exports = { DeadCodeRemover };
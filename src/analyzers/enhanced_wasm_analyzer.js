@@ -2,9 +2,23 @@
 
 const fs = require('fs');
 const path = require('path');
+const { WasmBinaryParser } = require('./wasm_binary_parser.js');
+const { WasmInstructionModel } = require('./wasm_instruction_model.js');
+const { CryptoFingerprinter } = require('./crypto_fingerprints.js');
+const { SignatureDatabase } = require('./signature_db.js');
 
 class EnhancedWasmAnalyzer {
-  constructor() {
+  constructor(options = {}) {
+    this.binaryParser = new WasmBinaryParser();
+    this.instructionModel = new WasmInstructionModel();
+    this.fingerprinter = new CryptoFingerprinter();
+
+    // Peso dos fingerprints criptográficos no score de mining (evidência forte)
+    this.fingerprintWeight = 3;
+
+    // Base local de assinaturas de mineradores conhecidos
+    this.signatures = options.signatures || new SignatureDatabase();
+
     // Padrões de mining em WASM
     this.miningPatterns = {
       // Funções de hash conhecidas para mining
@@ -61,21 +75,31 @@ class EnhancedWasmAnalyzer {
     ];
   }
 
-  // Analisar ficheiro WASM (.wat)
+  // Analisar ficheiro WASM (.wat ou binário .wasm)
   async analyzeWasm(filePath) {
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
+      const raw = fs.readFileSync(filePath);
+
+      // Binário: decodificar nativamente, sem depender do wabt
+      if (this.binaryParser.isWasm(raw)) {
+        return this.analyzeWasmModule(this.binaryParser.parse(raw), filePath, raw);
+      }
+
+      const content = raw.toString('utf8');
+      const structure = this.parseWasmStructure(content);
+      const signatures = this.signatures.matchWasm(raw, structure.functions, content);
       
       const analysis = {
         filePath,
         content,
         size: content.length,
         lines: content.split('\n').length,
-        wasm: this.parseWasmStructure(content),
-        semantic: this.analyzeWasmSemantics(content),
-        mining: this.detectMiningPatterns(content),
-        security: this.analyzeSecurityRisks(content),
-        performance: this.analyzePerformancePatterns(content),
+        wasm: structure,
+        semantic: this.analyzeWasmSemantics(content, structure),
+        signatures,
+        mining: this.signatures.annotateMining(this.detectMiningPatterns(content, structure), signatures),
+        security: this.analyzeSecurityRisks(content, structure),
+        performance: this.analyzePerformancePatterns(content, structure),
         metadata: {
           analyzedAt: new Date().toISOString(),
           language: 'webassembly',
@@ -96,6 +120,133 @@ class EnhancedWasmAnalyzer {
     }
   }
 
+  // Analisar módulo já decodificado pelo WasmBinaryParser
+  analyzeWasmModule(module, filePath = null, raw = null) {
+    const content = this.binaryParser.toWat(module);
+    const structure = this.buildStructureFromModule(module);
+    const signatures = this.signatures.matchWasm(
+      raw || (filePath ? fs.readFileSync(filePath) : null),
+      structure.functions,
+      content
+    );
+
+    return {
+      filePath,
+      content,
+      size: module.size,
+      lines: content.split('\n').length,
+      wasm: structure,
+      semantic: this.analyzeWasmSemantics(content, structure),
+      signatures,
+      mining: this.signatures.annotateMining(this.detectMiningPatterns(content, structure), signatures),
+      security: this.analyzeSecurityRisks(content, structure),
+      performance: this.analyzePerformancePatterns(content, structure),
+      metadata: {
+        analyzedAt: new Date().toISOString(),
+        language: 'webassembly',
+        format: 'wasm'
+      }
+    };
+  }
+
+  // Construir a estrutura a partir do módulo binário (mesmo formato de parseWasmStructure)
+  buildStructureFromModule(module) {
+    const parser = this.binaryParser;
+    const memory = module.memories[0];
+    const resolveCallee = index => module.functions[index] ? (module.functions[index].name || `func_${index}`) : index;
+    const dataFingerprints = this.fingerprinter.scanData(module.data.map(segment => ({
+      index: segment.index,
+      offset: this.constExprValue(segment.offset),
+      bytes: segment.bytes
+    })));
+
+    const structure = {
+      functions: module.functions.filter(func => !func.imported).map(func => {
+        const body = parser.formatFunction(module, func).join('\n');
+        const localNames = module.names.locals[func.index] || {};
+        const locals = [];
+        func.locals.forEach(local => {
+          for (let i = 0; i < local.count; i++) {
+            const localIndex = func.params.length + locals.length;
+            locals.push({ name: localNames[localIndex] || `l${localIndex}`, type: local.type });
+          }
+        });
+
+        return this.describeFunction({
+          index: func.index,
+          name: func.name || `func_${func.index}`,
+          exported: func.exported,
+          parameters: func.params.map((type, i) => ({ name: localNames[i] || `p${i}`, type })),
+          returnType: func.results[0] || null,
+          locals,
+          body,
+          size: func.body ? func.body.size : 0,
+          instructions: func.instructions,
+          line: null
+        }, resolveCallee, dataFingerprints);
+      }),
+      imports: module.imports.map(imp => ({
+        module: imp.module,
+        name: imp.name,
+        type: imp.kind
+      })),
+      exports: module.exports.map(exp => ({
+        name: exp.name,
+        type: `${exp.kind} ${exp.index}`,
+        kind: exp.kind,
+        index: exp.index
+      })),
+      memory: memory ? {
+        name: 'memory',
+        initial: memory.initial,
+        maximum: memory.maximum,
+        shared: memory.shared,
+        imported: memory.imported
+      } : null,
+      tables: module.tables.map(table => ({
+        name: 'table',
+        initial: table.initial,
+        maximum: table.maximum,
+        elementType: table.elementType
+      })),
+      globals: module.globals.map(global => ({
+        name: 'global',
+        type: global.mutable ? `mut ${global.type}` : global.type,
+        init: global.init ? parser.formatConstExpr(module, global.init) : null
+      })),
+      types: module.types.map(type => ({
+        name: 'type',
+        signature: parser.formatSignature(type).trim()
+      })),
+      data: module.data.map(segment => ({
+        name: 'data',
+        mode: segment.mode,
+        offset: segment.offset ? parser.formatConstExpr(module, segment.offset) : null,
+        size: segment.bytes.length,
+        content: parser.escapeBytes(segment.bytes)
+      })),
+      elements: module.elements.map(elem => ({
+        name: 'element',
+        mode: elem.mode,
+        content: elem.functions.join(' ')
+      })),
+      start: module.start !== null ? (module.names.functions[module.start] || String(module.start)) : null,
+      customSections: module.customSections.map(section => ({
+        name: section.name,
+        size: section.size
+      }))
+    };
+
+    structure.cryptoFingerprints = this.fingerprinter.collect(structure.functions, dataFingerprints);
+    return structure;
+  }
+
+  // Valor de uma expressão constante simples (offset de segmento)
+  constExprValue(expr) {
+    const inst = (expr || []).find(item => item.op === 'i32.const' || item.op === 'i64.const');
+    return inst && typeof inst.value === 'number' ? inst.value : null;
+  }
+
   // Parse estrutura WASM
   parseWasmStructure(content) {
     const structure = {
@@ -109,11 +260,16 @@ class EnhancedWasmAnalyzer {
       data: [],
       elements: [],
       start: null,
-      customSections: []
+      customSections: [],
+      cryptoFingerprints: []
     };
 
+    // Modelo de instruções e fingerprints de tabelas nos segmentos de dados
+    const parsed = this.instructionModel.parseWat(content);
+    const dataFingerprints = this.fingerprinter.scanData(parsed.data);
+
     // Extrair funções
-    structure.functions = this.extractFunctions(content);
+    structure.functions = this.extractFunctions(content, parsed, dataFingerprints);
     
     // Extrair imports
     structure.imports = this.extractImports(content);
@@ -145,120 +301,58 @@ class EnhancedWasmAnalyzer {
     // Extrair seções customizadas
     structure.customSections = this.extractCustomSections(content);
 
-    return structure;
-  }
+    // Fingerprints criptográficos (constantes, tabelas e estrutura das rondas)
+    structure.cryptoFingerprints = this.fingerprinter.collect(structure.functions, dataFingerprints);
 
-  // Extrair funções com análise detalhada
-  extractFunctions(content) {
-    const functions = [];
-    
-    // Regex para capturar funções completas
-    const funcRegex = /\(func\s+\$?([a-zA-Z_][a-zA-Z0-9_]*)\s*(?:\([^)]*\))?\s*(?:\([^)]*\))?\s*([\s\S]*?)(?=\(func|\n\(export|\n\(memory|\n\(table|\n\(global|\n\(data|\n\(element|\n\(start|\n\(module|\n$)/g;
-    
-    let match;
-    while ((match = funcRegex.exec(content)) !== null) {
-      const funcName = match[1];
-      const funcBody = match[2];
-      
-      const funcData = {
-        name: funcName,
-        parameters: this.extractFunctionParameters(funcBody),
-        returnType: this.extractReturnType(funcBody),
-        locals: this.extractLocals(funcBody),
-        body: funcBody.trim(),
-        complexity: this.calculateFunctionComplexity(funcBody),
-        instructions: this.extractInstructions(funcBody),
-        patterns: this.analyzeFunctionPatterns(funcBody),
-        line: this.getLineNumber(content, match.index)
-      };
-      
-      functions.push(funcData);
-    }
-    
-    return functions;
+    return structure;
   }
 
-  // Extrair parâmetros de função
-  extractFunctionParameters(funcBody) {
-    const params = [];
-    
-    // Procurar por (param ...)
-    const paramRegex = /\(param\s+\$?([a-zA-Z_][a-zA-Z0-9_]*)\s*([a-zA-Z0-9_]+)/g;
-    let match;
-    
-    while ((match = paramRegex.exec(funcBody)) !== null) {
-      params.push({
-        name: match[1],
-        type: match[2]
-      });
-    }
-    
-    return params;
-  }
+  // Extrair funções a partir do modelo de instruções (s-expressions)
+  extractFunctions(content, parsed = null, dataFingerprints = []) {
+    parsed = parsed || this.instructionModel.parseWat(content);
 
-  // Extrair tipo de retorno
-  extractReturnType(funcBody) {
-    const resultRegex = /\(result\s+([a-zA-Z0-9_]+)/;
-    const match = funcBody.match(resultRegex);
-    return match ? match[1] : null;
+    return parsed.functions
+      .filter(func => !func.imported)
+      .map(func => this.describeFunction({
+        index: func.index,
+        name: func.name || `func_${func.index}`,
+        exported: func.exported,
+        parameters: func.params.map((param, i) => ({ name: param.name || `p${i}`, type: param.type })),
+        returnType: func.results[0] || null,
+        locals: func.locals.map((local, i) => ({ name: local.name || `l${func.params.length + i}`, type: local.type })),
+        body: func.text,
+        size: func.text.length,
+        instructions: func.instructions,
+        line: this.getLineNumber(content, func.start)
+      }, null, dataFingerprints));
   }
 
-  // Extrair variáveis locais
-  extractLocals(funcBody) {
-    const locals = [];
-    
-    const localRegex = /\(local\s+\$?([a-zA-Z_][a-zA-Z0-9_]*)\s*([a-zA-Z0-9_]+)/g;
-    let match;
-    
-    while ((match = localRegex.exec(funcBody)) !== null) {
-      locals.push({
-        name: match[1],
-        type: match[2]
-      });
-    }
-    
-    return locals;
-  }
+  // Completar a descrição da função com perfil, complexidade, padrões e fingerprints
+  describeFunction(func, resolveCallee = null, dataFingerprints = []) {
+    const profile = this.instructionModel.buildProfile(func.instructions, resolveCallee);
 
-  // Extrair instruções
-  extractInstructions(funcBody) {
-    const instructions = [];
-    
-    // Regex para capturar instruções WASM
-    const instRegex = /\b([a-zA-Z][a-zA-Z0-9_.]*)\b/g;
-    let match;
-    
-    while ((match = instRegex.exec(funcBody)) !== null) {
-      const inst = match[1];
-      if (this.isWasmInstruction(inst)) {
-        instructions.push(inst);
-      }
-    }
-    
-    return instructions;
+    return {
+      ...func,
+      complexity: this.calculateFunctionComplexity(profile),
+      instructions: func.instructions.map(inst => inst.op),
+      profile,
+      patterns: this.analyzeFunctionPatterns(profile),
+      fingerprints: this.fingerprinter.scanFunction(func.instructions, profile, dataFingerprints),
+      signatureHash: this.signatures.hashWasmFunction(func.instructions)
+    };
   }
 
-  // Verificar se é instrução WASM
-  isWasmInstruction(inst) {
-    const wasmInstructions = [
-      'local.get', 'local.set', 'local.tee', 'global.get', 'global.set',
-      'i32.load', 'i64.load', 'f32.load', 'f64.load',
-      'i32.store', 'i64.store', 'f32.store', 'f64.store',
-      'i32.const', 'i64.const', 'f32.const', 'f64.const',
-      'i32.add', 'i32.sub', 'i32.mul', 'i32.div',
-      'i32.and', 'i32.or', 'i32.xor', 'i32.shl', 'i32.shr',
-      'call', 'call_indirect', 'return', 'br', 'br_if',
-      'loop', 'block', 'if', 'else', 'end',
-      'memory.grow', 'memory.size', 'memory.copy', 'memory.fill',
-      'drop', 'select', 'unreachable', 'nop'
-    ];
-    
-    return wasmInstructions.includes(inst) || 
-           wasmInstructions.some(wi => inst.startsWith(wi.split('.')[0] + '.'));
+  // Perfil de instruções a partir de texto (corpo de função em WAT)
+  toProfile(target) {
+    return typeof target === 'string'
+      ? this.instructionModel.buildProfile(this.instructionModel.parseBody(target))
+      : target;
   }
 
   // Calcular complexidade de função
-  calculateFunctionComplexity(funcBody) {
+  calculateFunctionComplexity(target) {
+    const profile = this.toProfile(target);
+    const histogram = profile.histogram;
     let complexity = 1; // Base complexity
     
     // Contar estruturas de controle
@@ -266,67 +360,58 @@ class EnhancedWasmAnalyzer {
       'loop', 'block', 'if', 'else', 'br', 'br_if', 'br_table'
     ];
     
-    controlStructures.forEach(struct => {
-      const regex = new RegExp(`\\b${struct}\\b`, 'g');
-      const matches = funcBody.match(regex);
-      if (matches) {
-        complexity += matches.length;
-      }
+    controlStructures.forEach(op => {
+      complexity += histogram[op] || 0;
     });
     
     // Contar chamadas de função
-    const callMatches = funcBody.match(/\bcall\b/g);
-    if (callMatches) {
-      complexity += callMatches.length * 0.5;
-    }
+    complexity += this.instructionModel.callCount(histogram) * 0.5;
     
-    // Contar loops aninhados
-    const loopMatches = funcBody.match(/\(loop/g);
-    if (loopMatches) {
-      complexity += loopMatches.length * 2;
-    }
+    // Loops pesam mais, e cada nível de aninhamento acima do primeiro também
+    complexity += (histogram.loop || 0) * 2;
+    complexity += Math.max(0, profile.maxLoopDepth - 1) * 2;
     
     return Math.round(complexity * 10) / 10;
   }
 
   // Analisar padrões de função
-  analyzeFunctionPatterns(funcBody) {
+  analyzeFunctionPatterns(target) {
+    const profile = this.toProfile(target);
+    const model = this.instructionModel;
+    const histogram = profile.histogram;
     const patterns = {
       crypto: 0,
       memory: 0,
       loops: 0,
       calls: 0,
-      arithmetic: 0
+      arithmetic: 0,
+      bitwise: 0
     };
     
-    // Padrões de crypto
-    this.miningPatterns.hashFunctions.forEach(func => {
-      if (funcBody.includes(func)) {
+    // Padrões de crypto: chamadas a funções de hash conhecidas
+    profile.callees.forEach(callee => {
+      if (this.miningPatterns.hashFunctions.some(func => callee.includes(func))) {
         patterns.crypto++;
       }
     });
+
+    // Rotações combinadas com xor são típicas de rondas de hash
+    if (model.rotateCount(histogram) >= 4 && (histogram['i32.xor'] || 0) + (histogram['i64.xor'] || 0) >= 4) {
+      patterns.crypto++;
+    }
     
     // Padrões de memória
-    if (funcBody.includes('memory.')) {
-      patterns.memory++;
-    }
+    patterns.memory = model.memoryOpCount(histogram);
     
     // Padrões de loops
-    if (funcBody.includes('loop')) {
-      patterns.loops++;
-    }
+    patterns.loops = histogram.loop || 0;
     
     // Padrões de chamadas
-    const callMatches = funcBody.match(/\bcall\b/g);
-    if (callMatches) {
-      patterns.calls = callMatches.length;
-    }
+    patterns.calls = model.callCount(histogram);
     
     // Padrões aritméticos
-    const arithMatches = funcBody.match(/\b(add|sub|mul|div|and|or|xor|shl|shr)\b/g);
-    if (arithMatches) {
-      patterns.arithmetic = arithMatches.length;
-    }
+    patterns.arithmetic = model.arithmeticCount(histogram);
+    patterns.bitwise = model.bitwiseCount(histogram);
     
     return patterns;
   }
@@ -368,7 +453,7 @@ class EnhancedWasmAnalyzer {
 
   // Extrair memória
   extractMemory(content) {
-    const memoryRegex = /\(memory\s+(?:\$?([a-zA-Z_][a-zA-Z0-9_]*)\s+)?(\d+)(?:\s+(\d+))?\)/;
+    const memoryRegex = /\(memory\s+(?:\$?([a-zA-Z_][a-zA-Z0-9_]*)\s+)?(?:\(;\d+;\)\s+)?(\d+)(?:\s+(\d+))?\)/;
     const match = content.match(memoryRegex);
     
     if (match) {
@@ -495,51 +580,52 @@ class EnhancedWasmAnalyzer {
   }
 
   // Analisar semântica WASM
-  analyzeWasmSemantics(content) {
+  analyzeWasmSemantics(content, structure = null) {
+    structure = structure || this.parseWasmStructure(content);
+    const summary = this.summarizeInstructions(structure);
+
     const semantic = {
-      functions: this.extractFunctions(content),
-      complexity: this.calculateOverallComplexity(content),
-      patterns: this.identifySemanticPatterns(content),
+      functions: structure.functions,
+      instructions: summary,
+      complexity: this.calculateOverallComplexity(content, structure),
+      patterns: this.identifySemanticPatterns(content, structure),
       dependencies: this.extractDependencies(content),
-      architecture: this.analyzeArchitecture(content)
+      architecture: this.analyzeArchitecture(content, structure)
     };
 
     return semantic;
   }
 
+  // Histograma agregado de todas as funções do módulo
+  summarizeInstructions(structure) {
+    return this.instructionModel.summarize(structure.functions.map(func => func.profile));
+  }
+
   // Calcular complexidade geral
-  calculateOverallComplexity(content) {
+  calculateOverallComplexity(content, structure = null) {
+    structure = structure || this.parseWasmStructure(content);
+    const histogram = this.summarizeInstructions(structure).histogram;
     let complexity = 0;
     
     // Contar funções
-    const funcMatches = content.match(/\(func/g);
-    if (funcMatches) {
-      complexity += funcMatches.length;
-    }
+    complexity += structure.functions.length;
     
     // Contar loops
-    const loopMatches = content.match(/\(loop/g);
-    if (loopMatches) {
-      complexity += loopMatches.length * 2;
-    }
+    complexity += (histogram.loop || 0) * 2;
     
     // Contar condicionais
-    const ifMatches = content.match(/\(if/g);
-    if (ifMatches) {
-      complexity += ifMatches.length;
-    }
+    complexity += histogram.if || 0;
     
     // Contar chamadas
-    const callMatches = content.match(/\(call/g);
-    if (callMatches) {
-      complexity += callMatches.length * 0.5;
-    }
+    complexity += this.instructionModel.callCount(histogram) * 0.5;
     
     return Math.round(complexity * 10) / 10;
   }
 
   // Identificar padrões semânticos
-  identifySemanticPatterns(content) {
+  identifySemanticPatterns(content, structure = null) {
+    structure = structure || this.parseWasmStructure(content);
+    const histogram = this.summarizeInstructions(structure).histogram;
     const patterns = {
       crypto: 0,
       memory: 0,
@@ -549,31 +635,24 @@ class EnhancedWasmAnalyzer {
     };
     
     // Padrões de crypto
+    const names = this.nameText(structure);
     this.miningPatterns.hashFunctions.forEach(func => {
-      if (content.includes(func)) {
+      if (this.hasName(names, func)) {
         patterns.crypto++;
       }
     });
     
     // Padrões de memória
-    if (content.includes('memory.')) {
-      patterns.memory++;
-    }
+    patterns.memory = this.instructionModel.memoryOpCount(histogram);
     
     // Padrões aritméticos
-    const arithMatches = content.match(/\b(add|sub|mul|div|and|or|xor|shl|shr)\b/g);
-    if (arithMatches) {
-      patterns.arithmetic = arithMatches.length;
-    }
+    patterns.arithmetic = this.instructionModel.arithmeticCount(histogram);
     
     // Padrões de controle
-    const controlMatches = content.match(/\(loop|\(if|\(block/g);
-    if (controlMatches) {
-      patterns.control = controlMatches.length;
-    }
+    patterns.control = (histogram.loop || 0) + (histogram.if || 0) + (histogram.block || 0);
     
     // Padrões de I/O
-    if (content.includes('import') || content.includes('export')) {
+    if (structure.imports.length > 0 || structure.exports.length > 0) {
       patterns.io++;
     }
     
@@ -597,7 +676,8 @@ class EnhancedWasmAnalyzer {
   }
 
   // Analisar arquitetura
-  analyzeArchitecture(content) {
+  analyzeArchitecture(content, structure = null) {
+    structure = structure || this.parseWasmStructure(content);
     const architecture = {
       modular: false,
       functional: false,
@@ -606,15 +686,15 @@ class EnhancedWasmAnalyzer {
     };
     
     // Modular se tem muitos imports/exports
-    const importCount = (content.match(/\(import/g) || []).length;
-    const exportCount = (content.match(/\(export/g) || []).length;
+    const importCount = structure.imports.length;
+    const exportCount = structure.exports.length;
     if (importCount > 5 || exportCount > 5) {
       architecture.modular = true;
     }
     
     // Funcional se tem muitas funções puras
-    const funcCount = (content.match(/\(func/g) || []).length;
-    const callCount = (content.match(/\(call/g) || []).length;
+    const funcCount = structure.functions.length;
+    const callCount = this.instructionModel.callCount(this.summarizeInstructions(structure).histogram);
     if (funcCount > 10 && callCount > funcCount) {
       architecture.functional = true;
     }
@@ -627,68 +707,103 @@ class EnhancedWasmAnalyzer {
     return architecture;
   }
 
+  // Texto onde se procuram os padrões de nomes: nomes de imports, exports e funções e strings dos
+  // segmentos de dados, uma por linha, com camelCase separado por '_'. O WAT inteiro não serve:
+  // os mnemónicos (block, shared, memory.grow...) apareciam como nomes suspeitos em todos os módulos
+  nameText(structure) {
+    const words = name => String(name || '').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+    const dataStrings = segment => {
+      const content = segment.content || '';
+      const quoted = [...content.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(match => match[1]);
+      return (quoted.length > 0 ? quoted : [content])
+        .map(text => text.replace(/\\([0-9a-f]{2})/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16))))
+        .flatMap(text => text.match(/[\x20-\x7e]{4,}/g) || []);
+    };
+
+    return [
+      ...(structure.imports || []).flatMap(imp => [imp.module, imp.name]),
+      ...(structure.exports || []).map(exp => exp.name),
+      ...(structure.functions || []).map(func => func.name),
+      ...(structure.data || []).flatMap(dataStrings)
+    ].filter(Boolean).map(words).join('\n');
+  }
+
+  // Padrão como palavra inteira: 'share' não aparece em 'shared' nem 'coin' em 'bitcoin'
+  hasName(names, pattern) {
+    const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![a-z])${escaped}(?![a-z])`).test(names);
+  }
+
   // Detectar padrões de mining
-  detectMiningPatterns(content) {
+  detectMiningPatterns(content, structure = null) {
+    structure = structure || this.parseWasmStructure(content);
+    const names = this.nameText(structure);
     const mining = {
       detected: false,
       confidence: 0,
       indicators: [],
       algorithms: [],
       patterns: [],
-      evidence: []
+      evidence: [],
+      fingerprints: []
     };
     
     let score = 0;
     let totalChecks = 0;
     
     // 1. Verificar funções de hash
-    const hashScore = this.checkHashFunctions(content, mining);
+    const hashScore = this.checkHashFunctions(names, mining);
     score += hashScore;
     totalChecks += 1;
     
     // 2. Verificar algoritmos de PoW
-    const powScore = this.checkPowAlgorithms(content, mining);
+    const powScore = this.checkPowAlgorithms(names, mining);
     score += powScore;
     totalChecks += 1;
     
     // 3. Verificar padrões de mining
-    const patternScore = this.checkMiningPatterns(content, mining);
+    const patternScore = this.checkMiningPatterns(names, mining);
     score += patternScore;
     totalChecks += 1;
     
     // 4. Verificar bibliotecas de crypto
-    const libScore = this.checkCryptoLibraries(content, mining);
+    const libScore = this.checkCryptoLibraries(names, mining);
     score += libScore;
     totalChecks += 1;
     
     // 5. Verificar uso intensivo de memória
-    const memScore = this.checkMemoryIntensive(content, mining);
+    const memScore = this.checkMemoryIntensive(content, mining, structure);
     score += memScore;
     totalChecks += 1;
     
     // 6. Verificar padrões de CPU intensivo
-    const cpuScore = this.checkCpuIntensive(content, mining);
+    const cpuScore = this.checkCpuIntensive(names, mining, structure);
     score += cpuScore;
     totalChecks += 1;
     
     // 7. Verificar strings suspeitas
-    const stringScore = this.checkSuspiciousStrings(content, mining);
+    const stringScore = this.checkSuspiciousStrings(names, mining);
     score += stringScore;
     totalChecks += 1;
     
+    // 8. Verificar fingerprints criptográficos (funciona em binários sem nomes)
+    const fingerprintScore = this.checkCryptoFingerprints(structure, mining);
+    score += fingerprintScore * this.fingerprintWeight;
+    totalChecks += 1;
+    
     // Calcular resultado final
-    mining.confidence = totalChecks > 0 ? score / totalChecks : 0;
+    mining.confidence = totalChecks > 0 ? Math.min(score / totalChecks, 1) : 0;
     mining.detected = mining.confidence >= 0.3;
     
     return mining;
   }
 
-  // Verificar funções de hash
-  checkHashFunctions(content, mining) {
+  // Verificar funções de hash (names: texto de nameText)
+  checkHashFunctions(names, mining) {
     let score = 0;
     
     this.miningPatterns.hashFunctions.forEach(func => {
-      if (content.includes(func)) {
+      if (this.hasName(names, func)) {
         score += 0.5;
         mining.indicators.push(`hash_function: ${func}`);
         mining.algorithms.push(func);
@@ -700,11 +815,11 @@ class EnhancedWasmAnalyzer {
   }
 
   // Verificar algoritmos de PoW
-  checkPowAlgorithms(content, mining) {
+  checkPowAlgorithms(names, mining) {
     let score = 0;
     
     this.miningPatterns.powAlgorithms.forEach(algo => {
-      if (content.includes(algo)) {
+      if (this.hasName(names, algo)) {
         score += 0.6;
         mining.indicators.push(`pow_algorithm: ${algo}`);
         mining.algorithms.push(algo);
@@ -716,11 +831,11 @@ class EnhancedWasmAnalyzer {
   }
 
   // Verificar padrões de mining
-  checkMiningPatterns(content, mining) {
+  checkMiningPatterns(names, mining) {
     let score = 0;
     
     this.miningPatterns.miningPatterns.forEach(pattern => {
-      if (content.includes(pattern)) {
+      if (this.hasName(names, pattern)) {
         score += 0.2;
         mining.indicators.push(`mining_pattern: ${pattern}`);
         mining.patterns.push(pattern);
@@ -732,11 +847,11 @@ class EnhancedWasmAnalyzer {
   }
 
   // Verificar bibliotecas de crypto
-  checkCryptoLibraries(content, mining) {
+  checkCryptoLibraries(names, mining) {
     let score = 0;
     
     this.miningPatterns.cryptoLibraries.forEach(lib => {
-      if (content.includes(lib)) {
+      if (this.hasName(names, lib)) {
         score += 0.3;
         mining.indicators.push(`crypto_library: ${lib}`);
         mining.evidence.push(`Cryptographic library: ${lib}`);
@@ -747,30 +862,30 @@ class EnhancedWasmAnalyzer {
   }
 
   // Verificar uso intensivo de memória
-  checkMemoryIntensive(content, mining) {
+  checkMemoryIntensive(content, mining, structure) {
+    const histogram = this.summarizeInstructions(structure).histogram;
     let score = 0;
     
     // Verificar operações de memória
-    if (content.includes('memory.grow')) {
+    if (histogram['memory.grow']) {
       score += 0.3;
       mining.indicators.push('memory_grow');
       mining.evidence.push('Dynamic memory growth detected');
     }
     
-    if (content.includes('memory.copy') || content.includes('memory.fill')) {
+    if (histogram['memory.copy'] || histogram['memory.fill']) {
       score += 0.2;
       mining.indicators.push('memory_operations');
       mining.evidence.push('Intensive memory operations detected');
     }
     
-    // Verificar tamanho de memória
-    const memoryMatch = content.match(/\(memory\s+\d+\s+(\d+)\)/);
-    if (memoryMatch) {
-      const maxMemory = parseInt(memoryMatch[1]);
-      if (maxMemory > 1024) { // Mais de 1GB
+    // Verificar tamanho de memória (páginas de 64 KiB)
+    if (structure.memory && structure.memory.maximum) {
+      const maxPages = structure.memory.maximum;
+      if (maxPages > 1024) { // Mais de 64MB
         score += 0.3;
         mining.indicators.push('large_memory');
-        mining.evidence.push(`Large memory allocation: ${maxMemory}MB`);
+        mining.evidence.push(`Large memory allocation: ${maxPages} pages (${maxPages * 64 / 1024}MB)`);
       }
     }
     
@@ -778,19 +893,27 @@ class EnhancedWasmAnalyzer {
   }
 
   // Verificar padrões de CPU intensivo
-  checkCpuIntensive(content, mining) {
+  checkCpuIntensive(names, mining, structure) {
+    const summary = this.summarizeInstructions(structure);
     let score = 0;
     
     // Verificar loops complexos
-    const loopCount = (content.match(/\(loop/g) || []).length;
+    const loopCount = summary.histogram.loop || 0;
     if (loopCount > 5) {
       score += 0.3;
       mining.indicators.push('complex_loops');
       mining.evidence.push(`Multiple loops detected: ${loopCount}`);
     }
     
+    // Verificar loops aninhados
+    if (summary.maxLoopDepth >= 3) {
+      score += 0.2;
+      mining.indicators.push('nested_loops');
+      mining.evidence.push(`Deeply nested loops: depth ${summary.maxLoopDepth}`);
+    }
+    
     // Verificar operações aritméticas
-    const arithCount = (content.match(/\b(add|sub|mul|div|and|or|xor|shl|shr)\b/g) || []).length;
+    const arithCount = this.instructionModel.arithmeticCount(summary.histogram);
     if (arithCount > 50) {
       score += 0.2;
       mining.indicators.push('intensive_arithmetic');
@@ -799,7 +922,7 @@ class EnhancedWasmAnalyzer {
     
     // Verificar padrões de CPU intensivo
     this.miningPatterns.cpuIntensive.forEach(pattern => {
-      if (content.includes(pattern)) {
+      if (this.hasName(names, pattern)) {
         score += 0.2;
         mining.indicators.push(`cpu_intensive: ${pattern}`);
         mining.evidence.push(`CPU-intensive pattern: ${pattern}`);
@@ -809,12 +932,46 @@ class EnhancedWasmAnalyzer {
     return Math.min(score, 1);
   }
 
+  // Verificar fingerprints de primitivas criptográficas
+  checkCryptoFingerprints(structure, mining) {
+    let score = 0;
+    const seen = new Set();
+    
+    (structure.cryptoFingerprints || []).forEach(hit => {
+      mining.fingerprints.push(hit);
+      
+      const location = hit.functionIndex !== null
+        ? `function #${hit.functionIndex} (${hit.functionName})`
+        : `data segment #${hit.segment}`;
+      let detail = '';
+      if (hit.matched) {
+        detail = ` [${hit.matched}/${hit.total} constants]`;
+      } else if (hit.source === 'data_reference') {
+        detail = ` [table referenced at ${hit.address}]`;
+      }
+      mining.indicators.push(`crypto_fingerprint: ${hit.id}@${hit.functionIndex !== null ? hit.functionIndex : `data${hit.segment}`}`);
+      mining.evidence.push(`${hit.description} in ${location}${detail}`);
+      
+      if (!mining.algorithms.includes(hit.algorithm)) {
+        mining.algorithms.push(hit.algorithm);
+      }
+      
+      // Cada fingerprint conta uma vez, mesmo que apareça em várias funções
+      if (!seen.has(hit.id)) {
+        seen.add(hit.id);
+        score += hit.weight;
+      }
+    });
+    
+    return Math.min(score, 1);
+  }
+
   // Verificar strings suspeitas
-  checkSuspiciousStrings(content, mining) {
+  checkSuspiciousStrings(names, mining) {
     let score = 0;
     
     this.suspiciousStrings.forEach(str => {
-      if (content.includes(str)) {
+      if (this.hasName(names, str)) {
         score += 0.1;
         mining.indicators.push(`suspicious_string: ${str}`);
         mining.evidence.push(`Suspicious string: ${str}`);
@@ -825,7 +982,9 @@ class EnhancedWasmAnalyzer {
   }
 
   // Analisar riscos de segurança
-  analyzeSecurityRisks(content) {
+  analyzeSecurityRisks(content, structure = null) {
+    structure = structure || this.parseWasmStructure(content);
+    const histogram = this.summarizeInstructions(structure).histogram;
     const security = {
       risks: [],
       severity: 'low',
@@ -835,25 +994,25 @@ class EnhancedWasmAnalyzer {
     let riskScore = 0;
     
     // Verificar imports suspeitos
-    if (content.includes('import "env"')) {
+    if (structure.imports.some(imp => imp.module === 'env')) {
       riskScore += 0.3;
       security.risks.push('environment_import');
     }
     
     // Verificar operações de memória perigosas
-    if (content.includes('memory.grow')) {
+    if (histogram['memory.grow']) {
       riskScore += 0.2;
       security.risks.push('dynamic_memory');
     }
     
     // Verificar chamadas indiretas
-    if (content.includes('call_indirect')) {
+    if (histogram.call_indirect) {
       riskScore += 0.2;
       security.risks.push('indirect_calls');
     }
     
     // Verificar operações não controladas
-    if (content.includes('unreachable')) {
+    if (histogram.unreachable) {
       riskScore += 0.1;
       security.risks.push('unreachable_code');
     }
@@ -870,7 +1029,9 @@ class EnhancedWasmAnalyzer {
   }
 
   // Analisar padrões de performance
-  analyzePerformancePatterns(content) {
+  analyzePerformancePatterns(content, structure = null) {
+    structure = structure || this.parseWasmStructure(content);
+    const histogram = this.summarizeInstructions(structure).histogram;
     const performance = {
       issues: [],
       score: 0,
@@ -880,7 +1041,7 @@ class EnhancedWasmAnalyzer {
     let perfScore = 0;
     
     // Verificar loops aninhados
-    const loopCount = (content.match(/\(loop/g) || []).length;
+    const loopCount = histogram.loop || 0;
     if (loopCount > 10) {
       perfScore += 0.3;
       performance.issues.push('excessive_loops');
@@ -888,7 +1049,7 @@ class EnhancedWasmAnalyzer {
     }
     
     // Verificar operações de memória custosas
-    const memOpsCount = (content.match(/memory\./g) || []).length;
+    const memOpsCount = this.instructionModel.memoryOpCount(histogram);
     if (memOpsCount > 100) {
       perfScore += 0.2;
       performance.issues.push('memory_intensive');
@@ -896,7 +1057,7 @@ class EnhancedWasmAnalyzer {
     }
     
     // Verificar chamadas de função excessivas
-    const callCount = (content.match(/\(call/g) || []).length;
+    const callCount = this.instructionModel.callCount(histogram);
     if (callCount > 50) {
       perfScore += 0.2;
       performance.issues.push('excessive_calls');
@@ -989,6 +1150,9 @@ class EnhancedWasmAnalyzer {
     for (const file of analysis.files) {
       report.push(`\n📄 Arquivo: ${path.basename(file.filePath)}`);
       report.push(`   Caminho: ${file.filePath}`);
+      if (file.watPath) {
+        report.push(`   WAT gerado: ${file.watPath}`);
+      }
       report.push(`   Tamanho: ${(file.size / 1024).toFixed(2)} KB`);
       report.push(`   Linhas: ${file.lines}`);
       
@@ -1022,6 +1186,12 @@ class EnhancedWasmAnalyzer {
         report.push(`     - Confiança: ${(file.mining.confidence * 100).toFixed(1)}%`);
         report.push(`     - Indicadores: ${file.mining.indicators.length}`);
         report.push(`     - Algoritmos: ${file.mining.algorithms.length}`);
+        if (file.mining.family) {
+          report.push(`     - Família conhecida: ${file.mining.family} (${file.mining.matchType})`);
+        }
+        if (file.mining.fingerprints && file.mining.fingerprints.length > 0) {
+          report.push(`     - Fingerprints criptográficos: ${file.mining.fingerprints.map(hit => hit.id).join(', ')}`);
+        }
         
         if (file.mining.evidence.length > 0) {
           report.push(`     - Evidências:`);
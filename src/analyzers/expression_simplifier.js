@@ -0,0 +1,518 @@
+const acorn = require('acorn');
+
+const NONE = Symbol('none');
+const IDENTIFIER_NAME = /^[A-Za-z_$][\w$]*$/;
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const LIST_TYPES = new Set(['Program', 'BlockStatement', 'StaticBlock', 'SwitchCase']);
+// Ramos que podem substituir um condicional sem parênteses à volta
+const PRIMARY_TYPES = new Set([
+  'Identifier', 'Literal', 'ThisExpression', 'ArrayExpression', 'TemplateLiteral',
+  'MemberExpression', 'CallExpression', 'NewExpression', 'ChainExpression'
+]);
+
+// Operadores sem efeitos laterais quando os operandos são primitivos ou arrays de primitivos
+const UNARY_OPERATORS = {
+  '!': a => !a,
+  '-': a => -a,
+  '+': a => +a,
+  '~': a => ~a,
+  'typeof': a => typeof a
+};
+const BINARY_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '**': (a, b) => a ** b,
+  '&': (a, b) => a & b,
+  '|': (a, b) => a | b,
+  '^': (a, b) => a ^ b,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >> b,
+  '>>>': (a, b) => a >>> b,
+  '==': (a, b) => a == b,
+  '!=': (a, b) => a != b,
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+// Métodos puros avaliados sobre receptores constantes
+const STRING_METHODS = new Set(['charAt', 'charCodeAt', 'concat', 'indexOf', 'slice', 'split', 'substr', 'substring', 'toLowerCase', 'toUpperCase', 'trim']);
+const ARRAY_METHODS = new Set(['concat', 'indexOf', 'join', 'reverse', 'slice']);
+const MATH_FUNCTIONS = new Set(['abs', 'ceil', 'floor', 'max', 'min', 'pow', 'round', 'sign', 'sqrt', 'trunc']);
+// Globais usados pela avaliação; se o código os declarar as chamadas ficam como estão
+const GLOBALS = ['String', 'Math'];
+
+// Simplificação de expressões constantes sobre o AST (o que o EnhancedParser só detecta):
+//   0x1f*0x3-0x5a → 3, !![] → true, 'ab'+'cd' → "abcd", ['a','b'].join('') → "ab",
+//   String.fromCharCode(104,105) → "hi", obj['prop'] → obj.prop, if (false) {...} → removido
+// As edições são textuais (o resto do código fica como está) e repetidas até ao ponto fixo
+class ExpressionSimplifier {
+  constructor(options = {}) {
+    this.options = {
+      maxPasses: 10,
+      maxDepth: 500,
+      ...options
+    };
+    this.shadowed = new Set();
+  }
+
+  parse(code) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+    try {
+      return acorn.parse(code, { ...options, sourceType: 'script' });
+    } catch {
+      try {
+        return acorn.parse(code, { ...options, sourceType: 'module' });
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  // Devolve { code, report, passes }; passes são as edições de cada passagem (um ramo morto
+  // removido só tem as expressões internas simplificadas na passagem seguinte). Se o
+  // resultado não fizer parse devolve o código original
+  simplify(code) {
+    const report = {
+      folded: 0,
+      members: 0,
+      deadBranches: 0,
+      errors: []
+    };
+    const passes = [];
+    let current = code;
+    let ast = this.parse(current);
+    if (!ast) {
+      report.errors.push('parse_failed');
+      return { code, report, passes };
+    }
+
+    for (let pass = 0; pass < this.options.maxPasses; pass++) {
+      this.shadowed = this.shadowedGlobals(ast);
+      const edits = this.collectEdits(ast, current, report);
+      if (edits.length === 0) break;
+
+      current = this.applyEdits(current, edits);
+      ast = this.parse(current);
+      if (!ast) {
+        report.errors.push('simplified_code_does_not_parse');
+        return { code, report: { folded: 0, members: 0, deadBranches: 0, errors: report.errors }, passes: [] };
+      }
+      passes.push(edits);
+    }
+
+    return { code: current, report, passes };
+  }
+
+  // Percurso de cima para baixo: um nó simplificado não é visitado por dentro, por isso as
+  // edições de uma passagem nunca se sobrepõem
+  collectEdits(ast, code, report) {
+    const edits = [];
+    const stack = [{ node: ast, parent: null }];
+    while (stack.length > 0) {
+      const { node, parent } = stack.pop();
+      const next = this.visit(node, parent, code, edits, report);
+      for (const child of next) stack.push({ node: child, parent: node });
+    }
+    return edits;
+  }
+
+  // Devolve os filhos a visitar a seguir
+  visit(node, parent, code, edits, report) {
+    switch (node.type) {
+      case 'IfStatement':
+        return this.deadBranch(node, parent, code, edits, report) ? [] : this.children(node);
+      case 'ConditionalExpression':
+        return this.foldConstant(node, parent, code, edits, report) ||
+          this.selectBranch(node, parent, code, edits, report) ? [] : this.children(node);
+      case 'LogicalExpression':
+        return this.foldConstant(node, parent, code, edits, report) ||
+          this.shortCircuit(node, parent, code, edits, report) ? [] : this.children(node);
+      case 'BinaryExpression':
+        if (this.foldConstant(node, parent, code, edits, report)) return [];
+        return node.operator === '+' ? this.foldConcatenation(node, code, edits, report) : this.children(node);
+      case 'UnaryExpression':
+        // -5 / +5 já são a forma mais simples
+        if ((node.operator === '-' || node.operator === '+') && node.argument.type === 'Literal') return [];
+        return this.foldConstant(node, parent, code, edits, report) ? [] : this.children(node);
+      case 'CallExpression':
+        return this.foldConstant(node, parent, code, edits, report) ? [] : this.children(node);
+      case 'MemberExpression':
+        if (this.foldConstant(node, parent, code, edits, report)) return [];
+        return this.dotAccess(node, code, edits, report) ? [node.object] : this.children(node);
+      default:
+        return this.children(node);
+    }
+  }
+
+  children(node) {
+    const result = [];
+    for (const key of Object.keys(node)) {
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(item => {
+          if (item && typeof item.type === 'string') result.push(item);
+        });
+      } else if (value && typeof value.type === 'string') {
+        result.push(value);
+      }
+    }
+    return result;
+  }
+
+  // Expressão inteiramente constante → literal
+  foldConstant(node, parent, code, edits, report) {
+    if (this.isAssignmentTarget(node, parent)) return false;
+    const value = this.evaluate(node);
+    const text = this.literal(value);
+    if (text === null) return false;
+    // Uma string sozinha numa instrução passaria a ser uma diretiva ('use strict')
+    if (typeof value === 'string' && parent && parent.type === 'ExpressionStatement') return false;
+    edits.push({ start: node.start, end: node.end, text: this.pad(code, node.start, node.end, text) });
+    report.folded++;
+    return true;
+  }
+
+  // x + 'a' + 'b' + 'c' → x + "abc": a partir da primeira string o resto da cadeia é
+  // concatenação, por isso as constantes à direita podem ser juntas
+  foldConcatenation(node, code, edits, report) {
+    const operands = [];
+    let current = node;
+    while (current.type === 'BinaryExpression' && current.operator === '+') {
+      const value = this.evaluate(current.right);
+      if (!this.isPrimitive(value) || !/^\s*\+\s*$/.test(code.slice(current.left.end, current.right.start))) break;
+      operands.push({ node: current.right, value });
+      current = current.left;
+    }
+    operands.reverse();
+
+    const first = operands.findIndex(operand => typeof operand.value === 'string');
+    if (first === -1 || operands.length - first < 2) return this.children(node);
+
+    const value = operands.slice(first + 1).reduce((result, operand) => result + operand.value, operands[first].value);
+    edits.push({ start: operands[first].node.start, end: node.end, text: JSON.stringify(value) });
+    report.folded++;
+    return [current, ...operands.slice(0, first).map(operand => operand.node)];
+  }
+
+  // obj['prop'] → obj.prop (a chave tem de ser um nome válido)
+  dotAccess(node, code, edits, report) {
+    if (!node.computed || node.object.type === 'Literal' && typeof node.object.value === 'number') return false;
+    const key = this.evaluate(node.property);
+    if (typeof key !== 'string' || !IDENTIFIER_NAME.test(key)) return false;
+
+    // Só espaço entre o '[' e a chave (comentários com '[' ficam como estão)
+    const bracket = code.lastIndexOf('[', node.property.start);
+    if (bracket < node.object.end || code.slice(bracket + 1, node.property.start).trim() !== '') return false;
+    edits.push({ start: bracket, end: node.end, text: node.optional ? key : `.${key}` });
+    report.members++;
+    return true;
+  }
+
+  // if (false) {...} else {...} → corpo do ramo que executa; os `var` do ramo removido
+  // continuam declarados (hoisting)
+  deadBranch(node, parent, code, edits, report) {
+    const test = this.evaluate(node.test);
+    if (test === NONE) return false;
+
+    const kept = test ? node.consequent : node.alternate;
+    const removed = test ? node.alternate : node.consequent;
+    const inList = parent && LIST_TYPES.has(parent.type);
+    let text = '';
+    if (kept && kept.type === 'BlockStatement' && inList && !this.hasLexicalDeclarations(kept.body)) {
+      // Sem as chavetas o último statement deixa de terminar em '}' (e um comentário de linha
+      // no fim comeria o código seguinte): só o texto dos statements, com ';' se faltar
+      const statements = kept.body;
+      if (statements.length > 0) {
+        text = code.slice(statements[0].start, statements[statements.length - 1].end);
+        if (!text.endsWith(';')) text += ';';
+      }
+    } else if (kept) {
+      text = code.slice(kept.start, kept.end);
+    }
+
+    const hoisted = removed ? this.hoistedNames(removed) : [];
+    if (hoisted.length > 0) {
+      text = `var ${hoisted.join(', ')};${text ? ` ${text}` : ''}`;
+      if (!inList) text = `{${text}}`;
+    }
+    if (!text && !inList) text = ';';
+
+    edits.push({ start: node.start, end: node.end, text });
+    report.deadBranches++;
+    return true;
+  }
+
+  // true ? a : b → a
+  selectBranch(node, parent, code, edits, report) {
+    const value = this.evaluate(node.test);
+    if (value === NONE) return false;
+    const branch = value ? node.consequent : node.alternate;
+    if (!this.replaceWith(node, parent, branch, code, edits)) return false;
+    report.deadBranches++;
+    return true;
+  }
+
+  // true && x → x, false || x → x, null ?? x → x; o lado esquerdo constante que decide
+  // o resultado é substituído pelo literal
+  shortCircuit(node, parent, code, edits, report) {
+    const left = this.evaluate(node.left);
+    if (left === NONE) return false;
+
+    const takesRight = node.operator === '&&' ? Boolean(left)
+      : node.operator === '||' ? !left
+        : left === null || left === undefined;
+    if (takesRight) {
+      if (!this.replaceWith(node, parent, node.right, code, edits)) return false;
+    } else {
+      const text = this.literal(left);
+      if (text === null) return false;
+      edits.push({ start: node.start, end: node.end, text: this.pad(code, node.start, node.end, text) });
+    }
+    report.folded++;
+    return true;
+  }
+
+  // Substituir um nó pelo texto de um sub-nó (entre parênteses se não for uma expressão primária)
+  replaceWith(node, parent, replacement, code, edits) {
+    let text = code.slice(replacement.start, replacement.end);
+    if (!PRIMARY_TYPES.has(replacement.type)) {
+      // No início de uma instrução os parênteses podiam juntar-se à linha anterior (ASI)
+      if (parent && parent.type === 'ExpressionStatement') return false;
+      text = `(${text})`;
+    }
+    edits.push({ start: node.start, end: node.end, text: this.pad(code, node.start, node.end, text) });
+    return true;
+  }
+
+  // Valor constante da expressão (primitivo ou array de primitivos) ou NONE
+  evaluate(node, depth = 0) {
+    if (depth > this.options.maxDepth) return NONE;
+    switch (node.type) {
+      case 'Literal':
+        return node.regex ? NONE : node.value;
+      case 'TemplateLiteral':
+        return node.expressions.length === 0 && typeof node.quasis[0].value.cooked === 'string'
+          ? node.quasis[0].value.cooked
+          : NONE;
+      case 'ArrayExpression': {
+        const values = [];
+        for (const element of node.elements) {
+          if (!element || element.type === 'SpreadElement') return NONE;
+          const value = this.evaluate(element, depth + 1);
+          if (value === NONE) return NONE;
+          values.push(value);
+        }
+        return values;
+      }
+      case 'UnaryExpression': {
+        const operator = UNARY_OPERATORS[node.operator];
+        if (!operator) return NONE;
+        const argument = this.evaluate(node.argument, depth + 1);
+        return argument === NONE ? NONE : this.apply(operator, argument);
+      }
+      case 'BinaryExpression': {
+        const operator = BINARY_OPERATORS[node.operator];
+        if (!operator) return NONE;
+        const left = this.evaluate(node.left, depth + 1);
+        if (left === NONE) return NONE;
+        const right = this.evaluate(node.right, depth + 1);
+        return right === NONE ? NONE : this.apply(operator, left, right);
+      }
+      case 'LogicalExpression': {
+        const left = this.evaluate(node.left, depth + 1);
+        if (left === NONE) return NONE;
+        const takesRight = node.operator === '&&' ? Boolean(left)
+          : node.operator === '||' ? !left
+            : left === null || left === undefined;
+        return takesRight ? this.evaluate(node.right, depth + 1) : left;
+      }
+      case 'ConditionalExpression': {
+        const test = this.evaluate(node.test, depth + 1);
+        if (test === NONE) return NONE;
+        return this.evaluate(test ? node.consequent : node.alternate, depth + 1);
+      }
+      case 'MemberExpression': {
+        const object = this.evaluate(node.object, depth + 1);
+        if (typeof object !== 'string' && !Array.isArray(object)) return NONE;
+        const key = this.memberKey(node, depth);
+        if (key === 'length') return object.length;
+        // Índices (e a chave vazia) não existem nos protótipos: fora do intervalo é undefined ([][[]])
+        if (key === '') return undefined;
+        const index = typeof key === 'string' && String(Number(key)) === key ? Number(key) : NONE;
+        return Number.isInteger(index) && index >= 0 ? object[index] : NONE;
+      }
+      case 'CallExpression':
+        return this.evaluateCall(node, depth);
+      default:
+        return NONE;
+    }
+  }
+
+  // String.fromCharCode(...), Math.floor(...), 'abc'.split(''), ['a','b'].join(''), (255).toString(16)
+  evaluateCall(node, depth) {
+    const callee = node.callee;
+    if (node.optional || callee.type !== 'MemberExpression' || callee.optional) return NONE;
+    const name = this.memberKey(callee, depth);
+    if (typeof name !== 'string') return NONE;
+
+    const global = callee.object.type === 'Identifier' && GLOBALS.includes(callee.object.name) &&
+      !this.shadowed.has(callee.object.name) ? callee.object.name : null;
+    let method = null;
+    let receiver;
+    if (global === 'String' && name === 'fromCharCode') {
+      method = String.fromCharCode;
+    } else if (global === 'Math' && MATH_FUNCTIONS.has(name)) {
+      method = Math[name];
+    } else {
+      receiver = this.evaluate(callee.object, depth + 1);
+      if (typeof receiver === 'string' && STRING_METHODS.has(name)) method = String.prototype[name];
+      else if (Array.isArray(receiver) && ARRAY_METHODS.has(name)) method = Array.prototype[name];
+      else if (typeof receiver === 'number' && name === 'toString') method = Number.prototype.toString;
+    }
+    if (!method) return NONE;
+
+    const args = [];
+    for (const argument of node.arguments) {
+      if (argument.type === 'SpreadElement') return NONE;
+      const value = this.evaluate(argument, depth + 1);
+      if (value === NONE) return NONE;
+      args.push(value);
+    }
+    if (global && !args.every(arg => typeof arg === 'number')) return NONE;
+    return this.apply((...values) => method.apply(receiver, values), ...args);
+  }
+
+  memberKey(node, depth) {
+    if (!node.computed) return node.property.type === 'Identifier' ? node.property.name : NONE;
+    const key = this.evaluate(node.property, depth + 1);
+    if (key === NONE || typeof key === 'string') return key;
+    return this.apply(String, key);
+  }
+
+  apply(operator, ...args) {
+    try {
+      return operator(...args);
+    } catch {
+      return NONE;
+    }
+  }
+
+  // [1, 2][0] = 3 / delete [1][0]: o membro não é um valor
+  isAssignmentTarget(node, parent) {
+    if (!parent) return false;
+    return (parent.type === 'AssignmentExpression' && parent.left === node) ||
+      parent.type === 'UpdateExpression' ||
+      ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node) ||
+      (parent.type === 'UnaryExpression' && parent.operator === 'delete');
+  }
+
+  isPrimitive(value) {
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+  }
+
+  // Texto do literal ou null se o valor não tiver uma forma literal segura
+  // (NaN/Infinity/undefined são identificadores que podem ser redeclarados)
+  literal(value) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'boolean' || value === null) return String(value);
+    if (typeof value === 'number' && Number.isFinite(value) && !Object.is(value, -0)) return String(value);
+    return null;
+  }
+
+  // Espaço onde a substituição se colaria ao token vizinho (return!0 → return true, a-~5 → a- -6)
+  pad(code, start, end, text) {
+    const before = code[start - 1] || '';
+    const after = code[end] || '';
+    let result = text;
+    if ((/[\w$]/.test(before) && /^[\w$]/.test(result)) || (/[+-]/.test(before) && /^[+-]/.test(result))) result = ` ${result}`;
+    if (/[\w$]/.test(after) && /[\w$]$/.test(result)) result = `${result} `;
+    return result;
+  }
+
+  hasLexicalDeclarations(statements) {
+    return statements.some(statement =>
+      (statement.type === 'VariableDeclaration' && statement.kind !== 'var') ||
+      statement.type === 'ClassDeclaration' || statement.type === 'FunctionDeclaration');
+  }
+
+  // Nomes declarados com var (e funções em blocos) fora de funções aninhadas
+  hoistedNames(root) {
+    const names = new Set();
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.type === 'FunctionDeclaration') {
+        names.add(node.id.name);
+        continue;
+      }
+      if (FUNCTION_TYPES.has(node.type) || node.type === 'ClassExpression' || node.type === 'ClassDeclaration') continue;
+      if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+        node.declarations.forEach(declarator => this.patternNames(declarator.id, names));
+      }
+      this.children(node).forEach(child => stack.push(child));
+    }
+    return [...names];
+  }
+
+  patternNames(pattern, names) {
+    switch (pattern.type) {
+      case 'Identifier':
+        names.add(pattern.name);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach(property => this.patternNames(property.type === 'RestElement' ? property.argument : property.value, names));
+        break;
+      case 'ArrayPattern':
+        pattern.elements.filter(Boolean).forEach(element => this.patternNames(element, names));
+        break;
+      case 'AssignmentPattern':
+        this.patternNames(pattern.left, names);
+        break;
+      case 'RestElement':
+        this.patternNames(pattern.argument, names);
+        break;
+    }
+  }
+
+  // String/Math declarados pelo próprio código (var, parâmetros, funções, classes, catch)
+  shadowedGlobals(ast) {
+    const shadowed = new Set();
+    const stack = [ast];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const bindings = [];
+      if (node.type === 'VariableDeclarator') bindings.push(node.id);
+      if (FUNCTION_TYPES.has(node.type)) bindings.push(...node.params, node.id);
+      if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') bindings.push(node.id);
+      if (node.type === 'CatchClause') bindings.push(node.param);
+      if (node.type === 'ImportSpecifier' || node.type === 'ImportDefaultSpecifier' || node.type === 'ImportNamespaceSpecifier') bindings.push(node.local);
+      const names = new Set();
+      bindings.filter(Boolean).forEach(binding => this.patternNames(binding, names));
+      GLOBALS.filter(name => names.has(name)).forEach(name => shadowed.add(name));
+      this.children(node).forEach(child => stack.push(child));
+    }
+    return shadowed;
+  }
+
+  // Edições sem sobreposição, juntas numa só passagem (milhares de acessos obj['x'] por ficheiro)
+  applyEdits(code, edits) {
+    const sorted = [...edits].sort((a, b) => a.start - b.start);
+    const parts = [];
+    let position = 0;
+    for (const edit of sorted) {
+      parts.push(code.slice(position, edit.start), edit.text);
+      position = edit.end;
+    }
+    parts.push(code.slice(position));
+    return parts.join('');
+  }
+}
+
+module.exports = { ExpressionSimplifier };
@@ -0,0 +1,114 @@
+// Tipos de <script> executados como JavaScript (sem type, MIME de JS ou module)
+const JS_SCRIPT_TYPES = /^(?:|module|(?:text|application)\/(?:x-)?(?:java|ecma)script|text\/(?:jscript|livescript)|text\/javascript1\.[0-5])$/i;
+// Elementos cujo conteúdo é texto cru: não há tags lá dentro
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'plaintext'];
+
+const COMMENT = /<!--[\s\S]*?(?:-->|$)/y;
+const TAG = /<([a-zA-Z][^\s/>]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?|\s*\/(?!>))*)\s*\/?>/y;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', tab: '\t', newline: '\n', colon: ':', lpar: '(', rpar: ')', sol: '/' };
+
+// JavaScript embutido num documento HTML: blocos <script> inline, atributos de eventos
+// (onclick, onload...) e URLs javascript: (href, src, action...). Cada bloco vem com a posição
+// da tag no documento (linha e coluna, 1-based) e os atributos do elemento.
+class InlineScriptExtractor {
+  // [{ kind: 'script'|'handler'|'javascript-url', code, tag, attribute, attributes, line, column }]
+  extract(html) {
+    const found = [];
+    const lower = html.toLowerCase();
+    const lineStarts = [0];
+    for (let i = html.indexOf('\n'); i !== -1; i = html.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+    const position = (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lineStarts[middle] <= offset) low = middle;
+        else high = middle - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+
+    let offset = html.indexOf('<');
+    while (offset !== -1 && offset < html.length) {
+      COMMENT.lastIndex = offset;
+      if (COMMENT.test(html)) {
+        offset = html.indexOf('<', COMMENT.lastIndex);
+        continue;
+      }
+
+      TAG.lastIndex = offset;
+      const match = TAG.exec(html);
+      if (!match) {
+        offset = html.indexOf('<', offset + 1);
+        continue;
+      }
+
+      const tag = match[1].toLowerCase();
+      const attributes = this.parseAttributes(match[2]);
+      const where = position(offset);
+      let next = TAG.lastIndex;
+
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (/^on[a-z]+$/.test(name) && value.trim()) {
+          found.push({ kind: 'handler', code: value, tag, attribute: name, attributes, ...where });
+        } else if (/^\s*javascript:/i.test(value)) {
+          found.push({ kind: 'javascript-url', code: this.decodeJavaScriptUrl(value), tag, attribute: name, attributes, ...where });
+        }
+      });
+
+      if (RAW_TEXT_ELEMENTS.includes(tag)) {
+        const close = lower.indexOf(`</${tag}`, next);
+        const end = close === -1 ? html.length : close;
+        const type = (attributes.type || '').trim();
+        if (tag === 'script' && attributes.src === undefined && JS_SCRIPT_TYPES.test(type) && html.slice(next, end).trim()) {
+          found.push({ kind: 'script', code: html.slice(next, end), tag, attribute: null, attributes, ...where });
+        }
+        next = end;
+      }
+      offset = html.indexOf('<', next);
+    }
+
+    return found;
+  }
+
+  // Atributos de uma tag (nomes em minúsculas, valores com entidades decodificadas; o primeiro ganha)
+  parseAttributes(text) {
+    const attributes = {};
+    for (const match of (text || '').matchAll(ATTRIBUTE)) {
+      const name = match[1].toLowerCase();
+      if (name in attributes) continue;
+      const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      attributes[name] = this.decodeEntities(value || '');
+    }
+    return attributes;
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (entity, decimal, hex, name) => {
+      if (decimal || hex) {
+        const code = parseInt(decimal || hex, decimal ? 10 : 16);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      const value = NAMED_ENTITIES[name.toLowerCase()];
+      return value === undefined ? entity : value;
+    });
+  }
+
+  // O corpo de um URL javascript: é percent-decoded pelo browser antes de ser executado
+  decodeJavaScriptUrl(value) {
+    const code = value.trim().replace(/^javascript:/i, '');
+    try {
+      return decodeURIComponent(code);
+    } catch {
+      return code;
+    }
+  }
+
+  label(item) {
+    if (item.kind === 'script') return `<script> linha ${item.line}, coluna ${item.column}`;
+    return `${item.attribute} de <${item.tag}> linha ${item.line}, coluna ${item.column}`;
+  }
+}
+
+module.exports = { InlineScriptExtractor };
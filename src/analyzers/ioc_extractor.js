@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const acorn = require('acorn');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58_VALUES = new Map([...BASE58_ALPHABET].map((char, index) => [char, BigInt(index)]));
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32M_CONSTANT = 0x2bc830a3;
+
+// Keccak-f[1600] (o Keccak-256 original, usado pelo Monero e pelo EIP-55; não é o SHA3-256 do NIST)
+const KECCAK_ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+  0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+  0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+const KECCAK_ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+const LANE_MASK = (1n << 64n) - 1n;
+
+// Monero: bytes de rede (endereço normal, integrado, subendereço) e base58 em blocos de 8 bytes
+const MONERO_NETWORK_BYTES = new Set([18, 19, 42]);
+const MONERO_BLOCK_SIZES = [0, -1, 1, 2, -1, 3, 4, 5, -1, 6, 7, 8];
+
+const XMR_ADDRESS = /\b[48][1-9A-HJ-NP-Za-km-z]{94}(?:[1-9A-HJ-NP-Za-km-z]{11})?\b/g;
+const BTC_BASE58_ADDRESS = /\b[13][1-9A-HJ-NP-Za-km-z]{25,34}\b/g;
+const BTC_BECH32_ADDRESS = /\bbc1[02-9ac-hj-np-z]{11,71}\b/gi;
+const ETH_ADDRESS = /\b0x[0-9a-fA-F]{40}\b/g;
+const URL_PATTERN = /\b(?:https?|wss?|stratum(?:\+(?:tcp|ssl|tls))?):\/\/[^\s'"`<>()\\{}|^]+/gi;
+// host:porta dentro de strings no JS ("pool.example.com:3333", 'x.x.x.x:8080/path'); em texto
+// simples (strings do WASM, mensagens de rede) basta estar entre espaços ou no início/fim da linha
+const HOST_PORT = /['"`]((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}|(?:\d{1,3}\.){3}\d{1,3}):(\d{2,5})(?=[/'"`])/gi;
+const HOST_PORT_TEXT = /(?:^|[\s'"`=,;])((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}|(?:\d{1,3}\.){3}\d{1,3}):(\d{2,5})(?=[/'"`\s,;\\]|$)/gim;
+const IP_LITERAL = /['"`]((?:\d{1,3}\.){3}\d{1,3})['"`]/g;
+// Site keys passadas aos construtores dos mineradores conhecidos (CoinHive.Anonymous('KEY')...)
+const SITE_KEY_CALL = /\b(CoinHive|CH|CoinImp|Client|CRLT|CryptoLoot|deepMiner|DeepMiner|WMP|Minero|NFMiner)\s*\.\s*(Anonymous|User|Token|Init)\s*\(\s*(['"`])([^'"`\s]{4,128})\3/g;
+const SITE_KEY_FAMILIES = {
+  CoinHive: 'CoinHive', CH: 'CoinHive', CoinImp: 'CoinImp', Client: 'CoinImp', CRLT: 'CryptoLoot',
+  CryptoLoot: 'CryptoLoot', deepMiner: 'DeepMiner', DeepMiner: 'DeepMiner', WMP: 'WebMinePool',
+  Minero: 'Minero', NFMiner: 'NFMiner'
+};
+
+// Indícios de pool/proxy: nome do host, caminho do WebSocket ou porta típica de stratum
+const POOL_HOST_HINT = /(?:^|[.-])(?:pools?|xmr|monero|mine|miner|mining|stratum|proxy|hashvault|nicehash|nanopool|supportxmr|moneroocean|minexmr|f2pool|2miners)(?:[.-]|\d|$)/i;
+const POOL_PATH_HINT = /\/(?:proxy|pool|stratum|mine|miner|mining)\b/i;
+const POOL_PORTS = new Set([3333, 4444, 5555, 6666, 7777, 8888, 9999, 10001, 10128, 13333, 14433, 14444, 15555, 17777, 20535, 45560, 45700]);
+
+const TYPE_ORDER = ['wallet', 'site_key', 'pool', 'domain', 'ip'];
+
+// Extração de indicadores (IOCs) de texto: código JS (original, normalizado, desempacotado),
+// strings dos segmentos de dados WASM e evidência de rede do crawler. Cada IOC tem type
+// (wallet, site_key, pool, domain, ip), value e origins (as variantes de texto onde apareceu).
+// Endereços só são aceites com checksum válido (XMR/BTC); ETH em minúsculas não tem checksum.
+class IocExtractor {
+  // texts: [{ origin, text, code }] — code: true para JS (os comentários são ignorados)
+  extract(texts) {
+    const found = new Map();
+    const add = (ioc, origin) => {
+      const key = `${ioc.type}:${ioc.value}`;
+      if (!found.has(key)) found.set(key, { ...ioc, origins: [] });
+      const entry = found.get(key);
+      if (!entry.origins.includes(origin)) entry.origins.push(origin);
+    };
+
+    texts.forEach(({ origin, text, code }) => {
+      if (!text) return;
+      this.extractText(code ? this.stripComments(text) : text, code).forEach(ioc => add(ioc, origin));
+    });
+
+    return this.sort([...found.values()]);
+  }
+
+  // Carteiras, site keys e pools primeiro; domínios e IPs no fim
+  sort(iocs) {
+    return iocs.sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+  }
+
+  label(ioc) {
+    if (ioc.type === 'wallet') return `Carteira ${ioc.currency}${ioc.checksum === 'none' ? ' (sem checksum)' : ''}: ${ioc.value}`;
+    if (ioc.type === 'site_key') return `Site key ${ioc.family} (${ioc.call}): ${ioc.value}`;
+    if (ioc.type === 'pool') return `Pool: ${ioc.value}`;
+    return `${ioc.type === 'ip' ? 'IP' : 'Domínio'}: ${ioc.value}`;
+  }
+
+  // Contagem por tipo ("1 carteira(s), 2 pool(s), 5 domínio(s)")
+  summarize(iocs) {
+    const names = { wallet: 'carteira(s)', site_key: 'site key(s)', pool: 'pool(s)', domain: 'domínio(s)', ip: 'IP(s)' };
+    return TYPE_ORDER
+      .map(type => [type, iocs.filter(ioc => ioc.type === type).length])
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => `${count} ${names[type]}`)
+      .join(', ');
+  }
+
+  // Só os indicadores específicos de mining (carteiras, site keys, pools)
+  mining(iocs) {
+    return (iocs || []).filter(ioc => ioc.type === 'wallet' || ioc.type === 'site_key' || ioc.type === 'pool');
+  }
+
+  extractText(text, code = true) {
+    const iocs = [];
+    const hosts = new Map();
+    const addHost = (host, port, protocol, value, path = '') => {
+      host = host.toLowerCase().replace(/\.$/, '');
+      const ip = /^(?:\d{1,3}\.){3}\d{1,3}$/.test(host);
+      if (ip ? !this.isIPv4(host) : !/^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}$/.test(host)) return;
+      hosts.set(host, ip ? 'ip' : 'domain');
+
+      const stratum = protocol && protocol.startsWith('stratum');
+      const websocket = protocol === 'ws' || protocol === 'wss';
+      const hinted = POOL_HOST_HINT.test(host) || (websocket && POOL_PATH_HINT.test(path));
+      const poolPort = port !== null && POOL_PORTS.has(port);
+      if (stratum || ((websocket || !protocol) && (hinted || poolPort))) {
+        iocs.push({ type: 'pool', value, host, port, protocol: protocol || null });
+      }
+    };
+
+    for (const match of text.matchAll(URL_PATTERN)) {
+      let url;
+      try {
+        url = new URL(match[0]);
+      } catch {
+        continue;
+      }
+      const protocol = url.protocol.slice(0, -1).toLowerCase();
+      const port = url.port ? Number(url.port) : null;
+      const value = `${protocol}://${url.host}${url.pathname === '/' ? '' : url.pathname}`;
+      addHost(url.hostname, port, protocol, value, url.pathname);
+    }
+
+    for (const match of text.matchAll(code ? HOST_PORT : HOST_PORT_TEXT)) {
+      const port = Number(match[2]);
+      if (port > 0 && port < 65536) addHost(match[1], port, null, `${match[1].toLowerCase()}:${port}`);
+    }
+
+    for (const match of text.matchAll(IP_LITERAL)) {
+      if (this.isIPv4(match[1])) hosts.set(match[1], 'ip');
+    }
+
+    for (const match of text.matchAll(SITE_KEY_CALL)) {
+      iocs.push({ type: 'site_key', value: match[4], family: SITE_KEY_FAMILIES[match[1]], call: `${match[1]}.${match[2]}` });
+    }
+
+    for (const match of text.matchAll(XMR_ADDRESS)) {
+      if (this.isMoneroAddress(match[0])) iocs.push({ type: 'wallet', value: match[0], currency: 'XMR', checksum: 'valid' });
+    }
+    for (const match of text.matchAll(BTC_BASE58_ADDRESS)) {
+      if (this.isBitcoinBase58Address(match[0])) iocs.push({ type: 'wallet', value: match[0], currency: 'BTC', checksum: 'valid' });
+    }
+    for (const match of text.matchAll(BTC_BECH32_ADDRESS)) {
+      if (this.isBech32Address(match[0])) iocs.push({ type: 'wallet', value: match[0].toLowerCase(), currency: 'BTC', checksum: 'valid' });
+    }
+    for (const match of text.matchAll(ETH_ADDRESS)) {
+      const checksum = this.ethereumChecksum(match[0]);
+      if (checksum !== 'invalid' && !/^0x0{40}$/i.test(match[0])) {
+        iocs.push({ type: 'wallet', value: match[0], currency: 'ETH', checksum });
+      }
+    }
+
+    hosts.forEach((type, host) => iocs.push({ type, value: host }));
+    return iocs;
+  }
+
+  // Strings dos segmentos de dados WASM: content com os bytes escapados do WAT (\xx), como no
+  // wasm.data dos binários decodificados, ou texto WAT com as strings entre aspas
+  wasmDataText(segments) {
+    const runs = [];
+    (segments || []).forEach(segment => {
+      const content = String(segment.content || '');
+      const strings = content.includes('"') ? [...content.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(match => match[1]) : [content];
+      for (const body of strings) {
+        const bytes = [];
+        for (let i = 0; i < body.length; i++) {
+          if (body[i] !== '\\') {
+            bytes.push(body.charCodeAt(i) & 0xff);
+            continue;
+          }
+          const next = body.slice(i + 1, i + 3);
+          if (/^[0-9a-fA-F]{2}$/.test(next)) {
+            bytes.push(parseInt(next, 16));
+            i += 2;
+          } else {
+            bytes.push({ n: 10, t: 9, r: 13 }[body[i + 1]] || body.charCodeAt(i + 1));
+            i += 1;
+          }
+        }
+        // Sequências imprimíveis (como o strings(1)), uma por linha
+        Buffer.from(bytes).toString('latin1').split(/[^\x20-\x7e]+/)
+          .filter(run => run.length >= 4)
+          .forEach(run => runs.push(run));
+      }
+    });
+    return runs.join('\n');
+  }
+
+  // Código sem comentários (banners de licença e URLs de documentação não são indicadores)
+  stripComments(code) {
+    const comments = [];
+    try {
+      const tokenizer = acorn.tokenizer(code, {
+        ecmaVersion: 'latest',
+        allowHashBang: true,
+        onComment: (block, text, start, end) => comments.push([start, end])
+      });
+      for (const token of tokenizer) void token;
+    } catch {
+      return code;
+    }
+    if (comments.length === 0) return code;
+
+    const parts = [];
+    let last = 0;
+    comments.forEach(([start, end]) => {
+      parts.push(code.slice(last, start), ' ');
+      last = end;
+    });
+    parts.push(code.slice(last));
+    return parts.join('');
+  }
+
+  isIPv4(value) {
+    const octets = value.split('.');
+    return octets.length === 4 && octets.every(octet => /^\d{1,3}$/.test(octet) && Number(octet) <= 255) &&
+      value !== '0.0.0.0' && value !== '255.255.255.255';
+  }
+
+  base58Decode(value) {
+    let number = 0n;
+    for (const char of value) {
+      const digit = BASE58_VALUES.get(char);
+      if (digit === undefined) return null;
+      number = number * 58n + digit;
+    }
+    const bytes = [];
+    while (number > 0n) {
+      bytes.unshift(Number(number & 0xffn));
+      number >>= 8n;
+    }
+    for (let i = 0; i < value.length && value[i] === '1'; i++) bytes.unshift(0);
+    return Buffer.from(bytes);
+  }
+
+  // P2PKH (1...) e P2SH (3...): versão + hash160 + 4 bytes de sha256(sha256(...))
+  isBitcoinBase58Address(address) {
+    const bytes = this.base58Decode(address);
+    if (!bytes || bytes.length !== 25 || (bytes[0] !== 0x00 && bytes[0] !== 0x05)) return false;
+    const payload = bytes.subarray(0, 21);
+    const hash = crypto.createHash('sha256').update(crypto.createHash('sha256').update(payload).digest()).digest();
+    return hash.subarray(0, 4).equals(bytes.subarray(21));
+  }
+
+  // SegWit bc1...: bech32 (versão 0) ou bech32m (versão 1+)
+  isBech32Address(address) {
+    if (address !== address.toLowerCase() && address !== address.toUpperCase()) return false;
+    const lower = address.toLowerCase();
+    const data = [...lower.slice(3)].map(char => BECH32_ALPHABET.indexOf(char));
+    if (data.some(value => value < 0) || data.length < 7) return false;
+
+    const hrp = 'bc';
+    const values = [...[...hrp].map(char => char.charCodeAt(0) >> 5), 0, ...[...hrp].map(char => char.charCodeAt(0) & 31), ...data];
+    let checksum = 1;
+    values.forEach(value => {
+      const top = checksum >>> 25;
+      checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+      BECH32_GENERATOR.forEach((generator, i) => {
+        if ((top >>> i) & 1) checksum ^= generator;
+      });
+    });
+    checksum >>>= 0;
+    const version = data[0];
+    if (version > 16) return false;
+    return version === 0 ? checksum === 1 : checksum === BECH32M_CONSTANT;
+  }
+
+  // Base58 do Monero: blocos de 11 caracteres → 8 bytes; checksum = keccak256(resto)[0..4]
+  moneroBase58Decode(value) {
+    const bytes = [];
+    for (let offset = 0; offset < value.length; offset += 11) {
+      const block = value.slice(offset, offset + 11);
+      const size = MONERO_BLOCK_SIZES[block.length];
+      if (size === undefined || size < 0) return null;
+      let number = 0n;
+      for (const char of block) {
+        const digit = BASE58_VALUES.get(char);
+        if (digit === undefined) return null;
+        number = number * 58n + digit;
+      }
+      if (number >= 1n << BigInt(size * 8)) return null;
+      for (let i = size - 1; i >= 0; i--) bytes.push(Number((number >> BigInt(i * 8)) & 0xffn));
+    }
+    return Buffer.from(bytes);
+  }
+
+  isMoneroAddress(address) {
+    const bytes = this.moneroBase58Decode(address);
+    if (!bytes || (bytes.length !== 69 && bytes.length !== 77) || !MONERO_NETWORK_BYTES.has(bytes[0])) return false;
+    const checksum = this.keccak256(bytes.subarray(0, bytes.length - 4)).subarray(0, 4);
+    return checksum.equals(bytes.subarray(bytes.length - 4));
+  }
+
+  // EIP-55: maiúsculas onde o nibble do keccak256 do endereço em minúsculas é ≥ 8
+  ethereumChecksum(address) {
+    const hex = address.slice(2);
+    if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return 'none';
+    const hash = this.keccak256(Buffer.from(hex.toLowerCase(), 'ascii')).toString('hex');
+    for (let i = 0; i < 40; i++) {
+      if (/[a-f]/i.test(hex[i]) && (parseInt(hash[i], 16) >= 8) !== (hex[i] !== hex[i].toLowerCase())) return 'invalid';
+    }
+    return 'valid';
+  }
+
+  keccak256(input) {
+    const rate = 136;
+    const padded = Buffer.alloc((Math.floor(input.length / rate) + 1) * rate);
+    Buffer.from(input).copy(padded);
+    padded[input.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += rate) {
+      for (let i = 0; i < rate / 8; i++) state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+      this.keccakPermute(state);
+    }
+
+    const output = Buffer.alloc(32);
+    for (let i = 0; i < 4; i++) output.writeBigUInt64LE(state[i], i * 8);
+    return output;
+  }
+
+  keccakPermute(state) {
+    const rotate = (value, shift) => shift === 0 ? value : ((value << BigInt(shift)) | (value >> BigInt(64 - shift))) & LANE_MASK;
+    const columns = new Array(5);
+    const moved = new Array(25);
+
+    for (let round = 0; round < 24; round++) {
+      for (let x = 0; x < 5; x++) {
+        columns[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+      }
+      for (let x = 0; x < 5; x++) {
+        const delta = columns[(x + 4) % 5] ^ rotate(columns[(x + 1) % 5], 1);
+        for (let y = 0; y < 25; y += 5) state[x + y] ^= delta;
+      }
+      for (let x = 0; x < 5; x++) {
+        for (let y = 0; y < 5; y++) {
+          moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotate(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+        }
+      }
+      for (let x = 0; x < 5; x++) {
+        for (let y = 0; y < 25; y += 5) {
+          state[x + y] = moved[x + y] ^ (~moved[(x + 1) % 5 + y] & LANE_MASK & moved[(x + 2) % 5 + y]);
+        }
+      }
+      state[0] ^= KECCAK_ROUND_CONSTANTS[round];
+    }
+  }
+}
+
+module.exports = { IocExtractor };
@@ -0,0 +1,195 @@
+const { spawn, spawnSync } = require('child_process');
+
+// Modelo de permissões do Node: --permission (22+) ou --experimental-permission (20)
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag)) || null;
+
+// Programa do processo filho (passado com -e, não lê nenhum ficheiro). Lê o trabalho do stdin,
+// retira do realm do host os globais que dão acesso ao sistema e só depois avalia o código
+// num contexto sem protótipo (this.constructor não chega ao Function do host).
+function sandboxMain() {
+  const vm = require('vm');
+  const fs = require('fs');
+  const job = JSON.parse(fs.readFileSync(0, 'utf8'));
+  const host = process;
+  const exit = host.exit.bind(host);
+  const stdout = host.stdout;
+
+  host.on('unhandledRejection', () => {});
+  ['binding', '_linkedBinding', 'dlopen', 'getBuiltinModule', 'mainModule'].forEach(name => {
+    try {
+      host[name] = undefined;
+    } catch (e) {}
+  });
+  ['process', 'require', 'module', 'exports', 'Buffer', 'fetch', 'WebSocket', 'EventSource', 'navigator', 'global'].forEach(name => {
+    try {
+      delete globalThis[name];
+    } catch (e) {}
+  });
+
+  const timeout = job.timeout;
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: true, wasm: true },
+    microtaskMode: 'afterEvaluate'
+  });
+  const run = code => vm.runInContext(code, context, { timeout });
+
+  // Erros descritos dentro do sandbox: getters do código avaliado nunca correm no host sem timeout
+  const describe = error => {
+    context.__sandboxError = error;
+    try {
+      const described = run('(function (e) { try { return { name: e && e.name ? String(e.name) : typeof e, message: e && e.message !== undefined ? String(e.message) : String(e) }; } catch (x) { return { name: "Error", message: "unprintable error" }; } })(__sandboxError)');
+      return { name: String(described.name), message: String(described.message) };
+    } catch (e) {
+      return { name: 'Error', message: String(e && e.message) };
+    } finally {
+      delete context.__sandboxError;
+    }
+  };
+
+  const result = { errors: [], values: [], collected: null, error: null };
+  // O processo só termina depois de o resultado sair todo pelo pipe
+  const finish = () => stdout.write(JSON.stringify(result), () => exit(0));
+  try {
+    run(job.prelude || '');
+  } catch (error) {
+    result.error = `prelude: ${describe(error).message}`;
+    return finish();
+  }
+
+  (job.scripts || []).forEach((code, index) => {
+    try {
+      run(code);
+    } catch (error) {
+      result.errors.push({ script: index, ...describe(error) });
+    }
+  });
+  result.values = (job.evaluate || []).map(expression => {
+    try {
+      const value = run(expression);
+      return typeof value === 'string' ? value : null;
+    } catch (e) {
+      return null;
+    }
+  });
+  if (job.collect) {
+    try {
+      const value = run(job.collect);
+      result.collected = typeof value === 'string' ? value : null;
+    } catch (error) {
+      result.error = `collect: ${describe(error).message}`;
+    }
+  }
+
+  return finish();
+}
+
+const SANDBOX_SOURCE = `(${sandboxMain.toString()})();`;
+
+// Sandbox para código vindo dos sites analisados: processo node à parte, sem variáveis de
+// ambiente, com o modelo de permissões ativo (sem fs, child_process nem workers), geração de
+// código a partir de strings proibida no realm do host, limite de memória e processo morto
+// no fim do tempo. Sem modelo de permissões (Node < 20) o código não é executado.
+//
+// job: { prelude, scripts: [código], evaluate: [expressão], collect: expressão }
+// → { errors: [{ script, name, message }], values: [string|null], collected: string|null, error }
+class IsolatedSandbox {
+  constructor(options = {}) {
+    this.options = {
+      timeout: 2000,
+      memoryLimitMb: 128,
+      maxOutput: 16 * 1024 * 1024,
+      ...options
+    };
+  }
+
+  static isAvailable() {
+    return PERMISSION_FLAG !== null;
+  }
+
+  args() {
+    return [
+      PERMISSION_FLAG,
+      '--disallow-code-generation-from-strings',
+      `--max-old-space-size=${this.options.memoryLimitMb}`,
+      '--no-warnings',
+      '-e', SANDBOX_SOURCE
+    ];
+  }
+
+  // Tempo total do processo: cada script tem o seu timeout dentro do filho
+  wallTimeout(job) {
+    const steps = (job.scripts || []).length + (job.evaluate || []).length;
+    return this.options.timeout * 3 + 1000 + Math.min(steps, 100) * 50;
+  }
+
+  input(job) {
+    return JSON.stringify({ ...job, timeout: this.options.timeout });
+  }
+
+  unavailable() {
+    return { errors: [], values: [], collected: null, error: 'isolated sandbox unavailable (Node.js without permission model)' };
+  }
+
+  parse(stdout, status, signal, timedOut) {
+    if (timedOut) return { ...this.unavailable(), error: 'sandbox timeout' };
+    if (status !== 0) return { ...this.unavailable(), error: signal ? `sandbox killed (${signal})` : `sandbox exited with code ${status}` };
+    try {
+      return JSON.parse(stdout);
+    } catch (error) {
+      return { ...this.unavailable(), error: error.message };
+    }
+  }
+
+  // Versão síncrona (desofuscação e verificação correm dentro de transformações síncronas)
+  runSync(job) {
+    if (!IsolatedSandbox.isAvailable()) return this.unavailable();
+    const child = spawnSync(process.execPath, this.args(), {
+      input: this.input(job),
+      encoding: 'utf8',
+      env: {},
+      stdio: ['pipe', 'pipe', 'ignore'],
+      timeout: this.wallTimeout(job),
+      killSignal: 'SIGKILL',
+      maxBuffer: this.options.maxOutput
+    });
+    const timedOut = Boolean(child.error && child.error.code === 'ETIMEDOUT');
+    if (child.error && !timedOut) return { ...this.unavailable(), error: child.error.message };
+    return this.parse(child.stdout, child.status, child.signal, timedOut);
+  }
+
+  run(job) {
+    if (!IsolatedSandbox.isAvailable()) return Promise.resolve(this.unavailable());
+    return new Promise((resolve) => {
+      const child = spawn(process.execPath, this.args(), { env: {}, stdio: ['pipe', 'pipe', 'ignore'] });
+      const chunks = [];
+      let size = 0;
+      let timedOut = false;
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(result);
+      };
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, this.wallTimeout(job));
+
+      child.stdout.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.options.maxOutput) child.kill('SIGKILL');
+        else chunks.push(chunk);
+      });
+      child.stdin.on('error', () => {});
+      child.on('error', error => finish({ ...this.unavailable(), error: error.message }));
+      child.on('close', (status, signal) => {
+        finish(this.parse(Buffer.concat(chunks).toString('utf8'), status, signal, timedOut));
+      });
+      child.stdin.end(this.input(job));
+    });
+  }
+}
+
+module.exports = { IsolatedSandbox };
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { BASE64_PRELUDE } = require('./sandbox_prelude');
+const { IsolatedSandbox } = require('./isolated_sandbox');
+
+// Formatos de empacotamento reconhecidos (pela ordem de verificação)
+const PACKER_FORMATS = [
+  { name: 'dean-edwards-packer', pattern: /eval\s*\(\s*function\s*\(\s*p\s*,\s*a\s*,\s*c\s*,\s*k\s*,\s*e\s*,\s*[rd]\s*\)/ },
+  { name: 'aaencode', pattern: /ﾟωﾟﾉ|\(ﾟДﾟ\)|ﾟΘﾟ/ },
+  { name: 'jsfuck', test: code => code.length > 200 && /^[\s[\]()!+;]+$/.test(code) },
+  { name: 'eval-atob', pattern: /\beval\s*\(\s*(?:(?:window|self|globalThis|this)\s*\.\s*)?atob\s*\(/ },
+  { name: 'eval', pattern: /\beval\s*\(/ },
+  { name: 'function-constructor', pattern: /\bnew\s+Function\s*\(|\bFunction\s*\(\s*['"`]|\[\s*['"]constructor['"]\s*\]\s*\(/ },
+  { name: 'string-timer', pattern: /\bset(?:Timeout|Interval)\s*\(\s*['"`]/ }
+];
+
+// Corpos de Function triviais gerados pelo JSFuck/AAEncode (ex.: "return escape", "return new Date(...)")
+const TRIVIAL_PAYLOAD = /^return\b[\s\w$.\/()]*;?$/;
+
+// Rondas de callbacks pendentes (timers, then de stubs): cada ronda corre os callbacks
+// registados pelas microtasks da anterior
+const FLUSH_ROUNDS = 4;
+
+// Ambiente do sandbox: DOM/BOM falsos (proxies que aceitam qualquer acesso) e hooks que
+// registam as strings passadas a eval, Function, setTimeout/setInterval e document.write.
+// As strings capturadas continuam a ser executadas (dentro do sandbox) para que cadeias
+// como JSFuck/AAEncode cheguem à camada seguinte. Os stubs são thenables: fetch(...).then(...)
+// não interrompe o loader e os callbacks correm no flush, com um stub como valor resolvido.
+const UNPACKER_PRELUDE = `${BASE64_PRELUDE}
+(function (global) {
+  var nativeEval = global.eval;
+  var NativeFunction = global.Function;
+  var stringify = JSON.stringify;
+  var captures = [];
+  var pending = [];
+  var flushed = 0;
+  var nesting = 0;
+  var timerId = 0;
+
+  function capture(sink, code) {
+    if (typeof code !== 'string' || captures.length >= 200) return;
+    captures.push({ sink: sink, code: code, level: nesting + 1 });
+  }
+
+  function runNested(fn) {
+    nesting++;
+    try {
+      return fn();
+    } finally {
+      nesting--;
+    }
+  }
+
+  function stub(overrides) {
+    var cache = {};
+    var target = function () {};
+    var proxy = new Proxy(target, {
+      get: function (t, prop) {
+        if (overrides && Object.prototype.hasOwnProperty.call(overrides, prop)) return overrides[prop];
+        if (prop === Symbol.toPrimitive) return function (hint) { return hint === 'number' ? 0 : ''; };
+        if (prop === 'toString' || prop === 'valueOf') return function () { return ''; };
+        if (prop === 'then') return then;
+        if (typeof prop === 'symbol') return undefined;
+        if (prop === 'length') return 0;
+        if (!(prop in cache)) cache[prop] = stub();
+        return cache[prop];
+      },
+      set: function (t, prop, value) {
+        if (prop === 'innerHTML' || prop === 'outerHTML' || prop === 'text' || prop === 'textContent') capture('dom', String(value));
+        cache[prop] = value;
+        return true;
+      },
+      has: function () { return true; },
+      apply: function () { return stub(); },
+      construct: function () { return stub(); }
+    });
+    return proxy;
+  }
+
+  // Valor resolvido de um stub: também é stub, mas já não é thenable (await não fica em ciclo)
+  function then(onFulfilled) {
+    if (typeof onFulfilled === 'function') {
+      pending.push(function () { onFulfilled(stub({ then: undefined })); });
+    }
+    return stub();
+  }
+
+  global.eval = function (code) {
+    if (typeof code !== 'string') return code;
+    capture('eval', code);
+    return runNested(function () { return nativeEval(code); });
+  };
+
+  var HookedFunction = function () {
+    var args = Array.prototype.slice.call(arguments);
+    capture('Function', args.length ? String(args[args.length - 1]) : '');
+    var fn = NativeFunction.apply(null, args);
+    return function () {
+      var self = this;
+      var callArgs = arguments;
+      return runNested(function () { return fn.apply(self, callArgs); });
+    };
+  };
+  HookedFunction.prototype = NativeFunction.prototype;
+  Object.defineProperty(NativeFunction.prototype, 'constructor', { value: HookedFunction, writable: true, configurable: true });
+  global.Function = HookedFunction;
+
+  function schedule(sink) {
+    return function (handler) {
+      if (typeof handler === 'string') {
+        capture(sink, handler);
+        pending.push(function () { nativeEval(handler); });
+      } else if (typeof handler === 'function') {
+        var args = Array.prototype.slice.call(arguments, 2);
+        pending.push(function () { handler.apply(global, args); });
+      }
+      return ++timerId;
+    };
+  }
+  global.setTimeout = schedule('setTimeout');
+  global.setInterval = schedule('setInterval');
+  global.setImmediate = schedule('setImmediate');
+  global.requestAnimationFrame = schedule('requestAnimationFrame');
+  global.clearTimeout = global.clearInterval = global.cancelAnimationFrame = function () {};
+
+  var write = function () {
+    capture('document.write', Array.prototype.join.call(arguments, ''));
+  };
+  global.document = stub({ write: write, writeln: write, cookie: '', readyState: 'complete', referrer: '' });
+  global.navigator = stub({ userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36', hardwareConcurrency: 4, language: 'en-US', platform: 'Win32' });
+  global.location = stub({ href: 'http://localhost/', host: 'localhost', hostname: 'localhost', protocol: 'http:', origin: 'http://localhost', pathname: '/', search: '', hash: '' });
+  ['localStorage', 'sessionStorage', 'screen', 'history', 'console', 'performance', 'XMLHttpRequest', 'fetch',
+   'WebSocket', 'Worker', 'SharedWorker', 'Image', 'MutationObserver', 'Notification', 'chrome', 'jQuery', '$'].forEach(function (name) {
+    global[name] = stub();
+  });
+  global.window = global.self = global.top = global.parent = global.globalThis = global;
+  global.addEventListener = global.removeEventListener = global.postMessage = function () {};
+
+  Object.defineProperty(global, '__unpackerCaptures', {
+    value: function () {
+      return stringify(captures);
+    }
+  });
+  Object.defineProperty(global, '__unpackerFlush', {
+    value: function () {
+      for (; flushed < pending.length && flushed < 100; flushed++) {
+        try {
+          runNested(pending[flushed]);
+        } catch (e) {}
+      }
+    }
+  });
+})(this);
+`;
+
+// Desempacotamento de payloads eval/Function/setTimeout(string) até ao ponto fixo
+class JsUnpacker {
+  constructor(options = {}) {
+    this.options = {
+      timeout: 2000,
+      memoryLimitMb: 128,
+      maxLayers: 20,
+      maxSize: 2 * 1024 * 1024,
+      minPayloadLength: 8,
+      ...options
+    };
+    this.sandbox = new IsolatedSandbox({ timeout: this.options.timeout, memoryLimitMb: this.options.memoryLimitMb });
+  }
+
+  detectFormat(code) {
+    const trimmed = code.trim();
+    for (const format of PACKER_FORMATS) {
+      if (format.pattern ? format.pattern.test(trimmed) : format.test(trimmed)) return format.name;
+    }
+    return null;
+  }
+
+  // Vale a pena correr o sandbox? (formato reconhecido ou sinks eval/Function detetados pelo CodeAnalyzer)
+  shouldUnpack(content, obfuscation = null) {
+    if (content.length > this.options.maxSize) return false;
+    if (this.detectFormat(content)) return true;
+    const packed = obfuscation && obfuscation.packed;
+    if (!packed || !packed.patternCounts) return false;
+    return Object.entries(packed.patternCounts)
+      .some(([pattern, count]) => count > 0 && /eval|Function/.test(pattern));
+  }
+
+  // Correr um payload no sandbox isolado (processo à parte com limites de memória e tempo)
+  async runSandboxed(code) {
+    const result = await this.sandbox.run({
+      prelude: UNPACKER_PRELUDE,
+      scripts: [code, ...Array(FLUSH_ROUNDS).fill('__unpackerFlush()')],
+      collect: '__unpackerCaptures()'
+    });
+    const errors = result.errors || [];
+    const error = result.error || (errors.length > 0 ? errors[0].message : null);
+
+    let list = [];
+    try {
+      list = result.collected ? JSON.parse(result.collected) : [];
+    } catch {
+      list = [];
+    }
+    const captures = (Array.isArray(list) ? list : []).map(item => ({
+      sink: String(item && item.sink),
+      code: String(item && item.code),
+      level: Number(item && item.level) || 1
+    }));
+    return { captures, error };
+  }
+
+  hash(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+
+  // Devolve { format, layers, fixpoint, errors }; cada camada tem o sink que a recebeu
+  async unpack(code) {
+    const result = {
+      format: this.detectFormat(code),
+      layers: [],
+      fixpoint: true,
+      errors: []
+    };
+
+    const seen = new Set([this.hash(code.trim())]);
+    const queue = [{ code, index: 0, depth: 0 }];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      const { captures, error } = await this.runSandboxed(current.code);
+      if (error) result.errors.push({ layer: current.index, error });
+
+      for (const captured of captures) {
+        const payload = captured.code.trim();
+        if (payload.length < this.options.minPayloadLength || TRIVIAL_PAYLOAD.test(payload)) continue;
+        const digest = this.hash(payload);
+        if (seen.has(digest)) continue;
+        seen.add(digest);
+
+        if (result.layers.length >= this.options.maxLayers) {
+          result.fixpoint = false;
+          return result;
+        }
+
+        const layer = {
+          index: result.layers.length + 1,
+          parent: current.index,
+          depth: current.depth + captured.level,
+          sink: captured.sink,
+          format: this.detectFormat(payload),
+          size: payload.length,
+          sha256: digest,
+          code: payload
+        };
+        result.layers.push(layer);
+        // HTML de document.write/innerHTML: os scripts inline são camadas à parte
+        if (captured.sink === 'document.write' || captured.sink === 'dom') {
+          this.extractInlineScripts(payload).forEach(script => {
+            const scriptDigest = this.hash(script);
+            if (seen.has(scriptDigest) || result.layers.length >= this.options.maxLayers) return;
+            seen.add(scriptDigest);
+            const scriptLayer = {
+              index: result.layers.length + 1,
+              parent: layer.index,
+              depth: layer.depth + 1,
+              sink: 'inline-script',
+              format: this.detectFormat(script),
+              size: script.length,
+              sha256: scriptDigest,
+              code: script
+            };
+            result.layers.push(scriptLayer);
+            queue.push({ code: script, index: scriptLayer.index, depth: scriptLayer.depth });
+          });
+        } else {
+          // Corpos de Function podem ter return no topo: executar dentro de uma função
+          const runnable = captured.sink === 'Function' ? `(function () {\n${payload}\n})();` : payload;
+          queue.push({ code: runnable, index: layer.index, depth: layer.depth });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  extractInlineScripts(html) {
+    const scripts = [];
+    const pattern = /<script\b(?![^>]*\bsrc\s*=)[^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      const script = match[1].trim();
+      if (script.length >= this.options.minPayloadLength) scripts.push(script);
+    }
+    return scripts;
+  }
+}
+
+module.exports = { JsUnpacker, PACKER_FORMATS };
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const { SignatureDatabase } = require('./signature_db.js');
+
+const DEFAULT_LIBRARY_DB_PATH = path.join(__dirname, '..', '..', 'signatures', 'known_libraries.json');
+
+// Hash normalizado só para ficheiros com tokens suficientes (o mesmo mínimo do fuzzy hash)
+const HASH_MIN_TOKENS = 50;
+// Força de cada tipo de evidência (o hash normalizado é a única identificação exata)
+const MATCH_CONFIDENCE = { hash: 1, package: 0.9, banner: 0.9, shape: 0.8 };
+
+// Base local de bibliotecas de terceiros (jQuery, lodash, crypto-js, hash-wasm, argon2-browser...):
+//   hashes   — sha256 dos tokens normalizados (SignatureDatabase.tokenizeJavaScript) → versão exata,
+//              resistente a reindentação, comentários e renomeação de variáveis
+//   banners  — regex do comentário de licença (grupo 1 = versão, se existir)
+//   versions — regex de constantes de versão no código (só completam a versão)
+//   shapes   — nomes de propriedades característicos no AST (sobrevivem à minificação)
+//   packages — nomes npm para caminhos node_modules/<pacote>/ ou <pacote>@<versão>/ (módulos e source maps)
+class LibraryDatabase {
+  constructor(options = {}) {
+    this.dbPath = options.dbPath || process.env.LIBRARY_SIGNATURES || DEFAULT_LIBRARY_DB_PATH;
+    this.signatures = options.signatures || new SignatureDatabase();
+    this.data = null;
+  }
+
+  // Carregar a base (vazia se o ficheiro não existir)
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.dbPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Erro ao ler base de bibliotecas ${this.dbPath}: ${error.message}`);
+      }
+      this.data = { version: 0, libraries: [] };
+    }
+
+    this.data.libraries = this.data.libraries || [];
+    return this.data;
+  }
+
+  save() {
+    const data = this.load();
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    fs.writeFileSync(this.dbPath, JSON.stringify(data, null, 2) + '\n');
+  }
+
+  get version() {
+    return this.load().version;
+  }
+
+  // Fator aplicado à confiança de mining de ficheiros que são uma biblioteca benigna conhecida
+  get benignMiningWeight() {
+    const weight = this.load().benignMiningWeight;
+    return typeof weight === 'number' ? weight : 0.3;
+  }
+
+  // sha256 dos tokens normalizados; null se o ficheiro for pequeno demais
+  normalizedHash(content) {
+    const tokens = this.signatures.tokenizeJavaScript(content);
+    if (tokens.length < HASH_MIN_TOKENS) return null;
+    return this.signatures.sha256(tokens.join(' '));
+  }
+
+  // Nomes de propriedades do AST: obj.nome, obj['nome'], { nome: ... } e métodos de classes
+  propertyNames(ast) {
+    const names = new Set();
+    if (!ast) return names;
+
+    walk.full(ast, node => {
+      if (node.type === 'MemberExpression') {
+        if (!node.computed && node.property.type === 'Identifier') names.add(node.property.name);
+        else if (node.property.type === 'Literal' && typeof node.property.value === 'string') names.add(node.property.value);
+      } else if ((node.type === 'Property' || node.type === 'MethodDefinition') && !node.computed) {
+        if (node.key.type === 'Identifier') names.add(node.key.name);
+        else if (node.key.type === 'Literal') names.add(String(node.key.value));
+      }
+    });
+    return names;
+  }
+
+  parse(content) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+    try {
+      return acorn.parse(content, { ...options, sourceType: 'script' });
+    } catch {
+      try {
+        return acorn.parse(content, { ...options, sourceType: 'module' });
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  // Bibliotecas num ficheiro JS. origin é o caminho original (id de módulo, fonte do source map ou
+  // o próprio ficheiro). Cada resultado tem scope 'file' só com o hash normalizado exato (o ficheiro
+  // é uma release conhecida); banners, caminhos de pacote e propriedades copiam-se para qualquer
+  // código e ficam 'embedded', apenas como etiqueta.
+  identify(content, { ast, origin = null } = {}) {
+    const libraries = this.load().libraries;
+    if (libraries.length === 0) return [];
+
+    const hash = this.normalizedHash(content);
+    const names = this.propertyNames(ast === undefined ? this.parse(content) : ast);
+    const originPath = origin ? origin.replace(/\\/g, '/') : '';
+    const found = [];
+
+    libraries.forEach(library => {
+      const evidence = [];
+      let version = null;
+      let scope = 'embedded';
+
+      const hashVersion = hash && library.hashes ? library.hashes[hash] : undefined;
+      if (hashVersion !== undefined) {
+        evidence.push({ matchType: 'hash', detail: hash });
+        version = hashVersion;
+        scope = 'file';
+      }
+
+      for (const pkg of library.packages || []) {
+        const escaped = pkg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = new RegExp(`(?:^|/)(?:node_modules/${escaped}|${escaped}@(\\d+\\.\\d+\\.\\d+[\\w.-]*))/`).exec(originPath);
+        if (!match) continue;
+        evidence.push({ matchType: 'package', detail: match[0].replace(/^\/|\/$/g, '') });
+        version = version || match[1] || null;
+        break;
+      }
+
+      for (const banner of library.banners || []) {
+        const match = new RegExp(banner).exec(content);
+        if (!match) continue;
+        evidence.push({ matchType: 'banner', detail: match[0].trim().slice(0, 80) });
+        version = version || match[1] || null;
+        break;
+      }
+
+      const shapes = library.shapes || [];
+      if (shapes.length > 0 && names.size > 0) {
+        const present = shapes.filter(name => names.has(name));
+        if (present.length >= (library.minShapes || shapes.length)) {
+          evidence.push({ matchType: 'shape', detail: `${present.length}/${shapes.length} propriedades` });
+        }
+      }
+
+      if (evidence.length === 0) return;
+      for (const pattern of library.versions || []) {
+        if (version) break;
+        const match = new RegExp(pattern).exec(content);
+        if (match) version = match[1];
+      }
+
+      const best = evidence.reduce((a, b) => MATCH_CONFIDENCE[b.matchType] > MATCH_CONFIDENCE[a.matchType] ? b : a);
+      found.push({
+        name: library.name,
+        version,
+        benign: library.benign !== false,
+        category: library.category || null,
+        scope,
+        matchType: best.matchType,
+        confidence: MATCH_CONFIDENCE[best.matchType],
+        evidence
+      });
+    });
+
+    return found.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  label(library) {
+    return library.version ? `${library.name} ${library.version}` : library.name;
+  }
+
+  // Reduzir a confiança de mining de ficheiros que são uma release benigna conhecida (hash exato).
+  // Correspondências a mineradores conhecidos (hash, fuzzy ou nome de família) mantêm o peso total.
+  annotateMining(mining, libraries) {
+    const benign = (libraries || []).filter(library => library.benign && library.scope === 'file');
+    if (benign.length === 0) return mining;
+
+    mining.library = this.label(benign[0]);
+    if (mining.indicators.some(indicator => indicator.startsWith('known_miner: '))) return mining;
+
+    const weight = this.benignMiningWeight;
+    mining.confidence *= weight;
+    mining.detected = mining.confidence >= 0.5;
+    mining.indicators.push(`benign_library: ${mining.library}`);
+    mining.evidence.push(`Known benign library ${mining.library} (${benign[0].matchType}): mining confidence weighted by ${weight}`);
+    return mining;
+  }
+
+  // Adicionar hashes normalizados de uma versão (cria a biblioteca se não existir)
+  addSamples(libraryName, version, filePaths, options = {}) {
+    const data = this.load();
+    let library = data.libraries.find(item => item.name.toLowerCase() === libraryName.toLowerCase());
+    if (!library) {
+      library = { name: libraryName, category: options.category || null, benign: true, packages: [], banners: [], versions: [], shapes: [], hashes: {} };
+      data.libraries.push(library);
+    }
+
+    library.hashes = library.hashes || {};
+    for (const filePath of filePaths) {
+      const hash = this.normalizedHash(fs.readFileSync(filePath, 'utf8'));
+      if (hash) library.hashes[hash] = version;
+    }
+
+    data.version = (data.version || 0) + 1;
+    data.updated = new Date().toISOString().slice(0, 10);
+    this.save();
+    return library;
+  }
+}
+
+module.exports = { LibraryDatabase, DEFAULT_LIBRARY_DB_PATH };
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const db = new LibraryDatabase();
+
+  if (command === 'list') {
+    const data = db.load();
+    console.log(`Base de bibliotecas v${data.version} (${db.dbPath})`);
+    data.libraries.forEach(library => {
+      const versions = [...new Set(Object.values(library.hashes || {}))];
+      console.log(`- ${library.name}${library.benign === false ? '' : ' (benigna)'}: ${Object.keys(library.hashes || {}).length} hashes ` +
+        `(${versions.join(', ') || 'sem versões'}), ${(library.banners || []).length} banners, ${(library.shapes || []).length} propriedades`);
+    });
+  } else if (command === 'add' && args.length >= 3) {
+    const library = db.addSamples(args[0], args[1], args.slice(2));
+    console.log(`✅ Biblioteca ${library.name} ${args[1]} atualizada (base v${db.version})`);
+  } else if (command === 'match' && args.length === 1) {
+    console.log(JSON.stringify(db.identify(fs.readFileSync(args[0], 'utf8'), { origin: args[0] }), null, 2));
+  } else {
+    console.error('Uso: node library_db.js list');
+    console.error('     node library_db.js add <biblioteca> <versão> <ficheiro...>');
+    console.error('     node library_db.js match <ficheiro>');
+    process.exit(1);
+  }
+}
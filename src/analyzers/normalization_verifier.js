@@ -0,0 +1,409 @@
+const acorn = require('acorn');
+const { BASE64_PRELUDE } = require('./sandbox_prelude');
+const { IsolatedSandbox } = require('./isolated_sandbox');
+
+// Transformações que não mudam a forma do AST (só nomes, escapes, formatação e comentários).
+// As outras (arrays de strings, fluxo de controle, código morto) só são verificadas por execução
+const SHAPE_PRESERVING = new Set(['decodeStrings', 'renameVariables', 'beautifyCode', 'addExplanatoryComments']);
+
+// Chaves do AST que não contam para a equivalência
+const IGNORED_KEYS = new Set(['type', 'start', 'end', 'loc', 'range', 'raw', 'directive', 'shorthand']);
+
+// Ambiente de execução: DOM/rede falsos que registam chamadas, atribuições e construções
+// (console não é registado porque o removeDeadCode o remove de propósito). Math.random e
+// Date são fixos para as duas execuções produzirem o mesmo traço
+const TRACE_PRELUDE = `${BASE64_PRELUDE}
+(function (global) {
+  var stringify = JSON.stringify;
+  var trace = [];
+  var pending = [];
+  var limit = 500;
+  var NOW = 1700000000000;
+  var seed = 42;
+
+  function record(entry) {
+    if (trace.length < limit) trace.push(entry);
+  }
+
+  function describe(value) {
+    if (value && value.__tracePath) return '<' + value.__tracePath + '>';
+    if (typeof value === 'function') return 'function';
+    if (typeof value === 'string') return JSON.stringify(value.length > 200 ? value.slice(0, 200) + '...' : value);
+    if (value === null || typeof value !== 'object') return String(value);
+    if (Array.isArray(value)) return '[' + value.slice(0, 10).map(describe).join(',') + ']';
+    try {
+      return '{' + Object.keys(value).slice(0, 10).map(function (key) { return key + ':' + describe(value[key]); }).join(',') + '}';
+    } catch (e) {
+      return 'object';
+    }
+  }
+
+  function queueCallbacks(path, args) {
+    args.forEach(function (arg) {
+      if (typeof arg === 'function') pending.push(function () { arg.call(global, stub(path + '#event')); });
+    });
+  }
+
+  function stub(path, overrides) {
+    var cache = {};
+    var target = function () {};
+    return new Proxy(target, {
+      get: function (t, prop) {
+        if (prop === '__tracePath') return path;
+        if (overrides && Object.prototype.hasOwnProperty.call(overrides, prop)) return overrides[prop];
+        if (prop === Symbol.toPrimitive) return function (hint) { return hint === 'number' ? 0 : ''; };
+        if (prop === 'toString' || prop === 'valueOf') return function () { return ''; };
+        if (prop === 'then' || typeof prop === 'symbol') return undefined;
+        if (prop === 'length') return 0;
+        if (!(prop in cache)) cache[prop] = stub(path + '.' + String(prop));
+        return cache[prop];
+      },
+      set: function (t, prop, value) {
+        record('set ' + path + '.' + String(prop) + ' = ' + describe(value));
+        if (typeof value === 'function') queueCallbacks(path + '.' + String(prop), [value]);
+        cache[prop] = value;
+        return true;
+      },
+      has: function () { return true; },
+      apply: function (t, self, args) {
+        record('call ' + path + '(' + args.map(describe).join(', ') + ')');
+        queueCallbacks(path, args);
+        return stub(path + '()');
+      },
+      construct: function (t, args) {
+        record('new ' + path + '(' + args.map(describe).join(', ') + ')');
+        queueCallbacks(path, args);
+        return stub('new ' + path);
+      }
+    });
+  }
+
+  Math.random = function () {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x80000000;
+  };
+  var NativeDate = global.Date;
+  NativeDate.now = function () { return NOW; };
+  global.Date = new Proxy(NativeDate, {
+    construct: function (t, args) { return args.length ? Reflect.construct(t, args) : new t(NOW); },
+    apply: function () { return new NativeDate(NOW).toString(); }
+  });
+
+  function schedule(name) {
+    return function (handler) {
+      record(name + '(' + describe(handler) + ')');
+      if (typeof handler === 'function') {
+        var args = Array.prototype.slice.call(arguments, 2);
+        pending.push(function () { handler.apply(global, args); });
+      }
+      return pending.length;
+    };
+  }
+  global.setTimeout = schedule('setTimeout');
+  global.setInterval = schedule('setInterval');
+  global.setImmediate = schedule('setImmediate');
+  global.requestAnimationFrame = schedule('requestAnimationFrame');
+  global.clearTimeout = global.clearInterval = global.cancelAnimationFrame = function () {};
+
+  var silent = function () {};
+  global.console = { log: silent, info: silent, warn: silent, error: silent, debug: silent, trace: silent, dir: silent, table: silent };
+  global.navigator = stub('navigator', { userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36', hardwareConcurrency: 4, language: 'en-US', platform: 'Win32' });
+  global.location = stub('location', { href: 'http://localhost/', host: 'localhost', hostname: 'localhost', protocol: 'http:', origin: 'http://localhost', pathname: '/', search: '', hash: '' });
+  ['document', 'localStorage', 'sessionStorage', 'screen', 'history', 'performance', 'XMLHttpRequest', 'fetch',
+   'WebSocket', 'Worker', 'SharedWorker', 'Image', 'MutationObserver', 'Notification', 'WebAssembly', 'crypto',
+   'indexedDB', 'chrome', 'jQuery', '$', 'addEventListener', 'removeEventListener', 'postMessage', 'importScripts'].forEach(function (name) {
+    global[name] = stub(name);
+  });
+  global.window = global.self = global.top = global.parent = global.globalThis = global;
+
+  Object.defineProperty(global, '__verifierTrace', {
+    value: function () {
+      return stringify(trace.map(String));
+    }
+  });
+  Object.defineProperty(global, '__verifierFlush', {
+    value: function () {
+      for (var i = 0; i < pending.length && i < 100; i++) {
+        try {
+          pending[i]();
+        } catch (e) {
+          record('throw ' + (e && e.name ? e.name : typeof e));
+        }
+      }
+    }
+  });
+})(this);
+`;
+
+// Caracteres de controlo (ex.: \x00 produzido por uma decodificação errada) escapados para o relatório
+function printable(text) {
+  return text.replace(/[\u0000-\u001f]/g, c => `\\x${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+// Verificação de que a normalização preservou o comportamento: cada passo é comparado
+// com o anterior (AST módulo renomeações) e, opcionalmente, o original e o final são
+// executados num sandbox e os traços de efeitos comparados
+class NormalizationVerifier {
+  constructor(options = {}) {
+    this.options = {
+      runtime: false,
+      timeout: 2000,
+      memoryLimitMb: 128,
+      ...options
+    };
+    this.sandbox = new IsolatedSandbox({ timeout: this.options.timeout, memoryLimitMb: this.options.memoryLimitMb });
+  }
+
+  parse(code) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+    try {
+      return { ast: acorn.parse(code, { ...options, sourceType: 'script' }) };
+    } catch (scriptError) {
+      try {
+        return { ast: acorn.parse(code, { ...options, sourceType: 'module' }) };
+      } catch {
+        return { ast: null, error: scriptError.message };
+      }
+    }
+  }
+
+  // steps: [{ transform, code }] pela ordem em que foram aplicados ao original
+  verify(original, steps, options = {}) {
+    const runtime = options.runtime !== undefined ? options.runtime : this.options.runtime;
+    const result = {
+      verified: true,
+      failedTransform: null,
+      reason: null,
+      difference: null,
+      checks: [],
+      runtime: null
+    };
+
+    let before = { code: original, ...this.parse(original) };
+    if (!before.ast) {
+      result.checks.push({ transform: 'original', status: 'parse_failed' });
+      return result;
+    }
+
+    for (const step of steps) {
+      if (step.code === before.code) {
+        result.checks.push({ transform: step.transform, status: 'unchanged' });
+        continue;
+      }
+      const after = { code: step.code, ...this.parse(step.code) };
+      if (!after.ast) {
+        result.checks.push({ transform: step.transform, status: 'parse_failed' });
+        this.fail(result, step.transform, 'normalized_code_does_not_parse', { error: printable(after.error) });
+        return result;
+      }
+
+      if (SHAPE_PRESERVING.has(step.transform)) {
+        const difference = this.compareAst(before.ast, after.ast);
+        if (difference) {
+          difference.line = this.lineAt(before.code, difference.start);
+          difference.normalizedLine = this.lineAt(after.code, difference.normalizedStart);
+          result.checks.push({ transform: step.transform, status: 'ast_mismatch' });
+          this.fail(result, step.transform, 'ast_mismatch', difference);
+          return result;
+        }
+        result.checks.push({ transform: step.transform, status: 'equivalent' });
+      } else {
+        result.checks.push({ transform: step.transform, status: 'parses' });
+      }
+      before = after;
+    }
+
+    if (runtime && steps.length > 0) {
+      this.verifyRuntime(original, steps, result);
+    }
+    return result;
+  }
+
+  fail(result, transform, reason, difference) {
+    result.verified = false;
+    result.failedTransform = transform;
+    result.reason = reason;
+    result.difference = difference;
+  }
+
+  // Executa original e final; se os traços divergirem, executa os passos intermédios
+  // para encontrar a primeira transformação que mudou o comportamento
+  verifyRuntime(original, steps, result) {
+    const reference = this.trace(original);
+    const final = this.trace(steps[steps.length - 1].code);
+    result.runtime = { events: reference.trace.length, equivalent: true, errors: [] };
+    if (reference.error || final.error) {
+      result.runtime.errors.push(...[reference.error, final.error].filter(Boolean));
+      return;
+    }
+
+    let difference = this.compareTraces(reference.trace, final.trace);
+    if (!difference) return;
+    result.runtime.equivalent = false;
+
+    let culprit = steps[steps.length - 1].transform;
+    for (const step of steps.slice(0, -1)) {
+      const intermediate = this.trace(step.code);
+      const stepDifference = intermediate.error ? null : this.compareTraces(reference.trace, intermediate.trace);
+      if (stepDifference) {
+        culprit = step.transform;
+        difference = stepDifference;
+        break;
+      }
+    }
+    this.fail(result, culprit, 'runtime_trace_mismatch', difference);
+  }
+
+  // Execução com traço no IsolatedSandbox (o original é código do site); runSync para a
+  // verificação continuar síncrona. Erros só pelo tipo, porque a mensagem inclui nomes de
+  // variáveis que a renomeação muda
+  trace(code) {
+    const result = this.sandbox.runSync({
+      prelude: TRACE_PRELUDE,
+      scripts: [code, '__verifierFlush()'],
+      collect: '__verifierTrace()'
+    });
+    if (result.error) return { trace: [], error: result.error };
+    try {
+      const trace = JSON.parse(result.collected);
+      return { trace: trace.concat(result.errors.map(error => `throw ${error.name}`)) };
+    } catch (error) {
+      return { trace: [], error: error.message };
+    }
+  }
+
+  compareTraces(before, after) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      if (before[i] !== after[i]) {
+        return { event: i, before: before[i] || null, after: after[i] || null };
+      }
+    }
+    return null;
+  }
+
+  // Comparação estrutural; identificadores podem mudar de nome desde que a renomeação seja
+  // consistente (cada nome novo corresponde a um único nome original). Propriedades, labels
+  // e nomes de import/export têm de ser iguais. Literais comparam-se pelo valor
+  compareAst(beforeAst, afterAst) {
+    const renames = new Map();
+    const stack = [{ a: beforeAst, b: afterAst, path: 'Program', fixed: false }];
+
+    while (stack.length > 0) {
+      const { a, b, path, fixed } = stack.pop();
+      if (a === b) continue;
+      if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+        return this.difference(path, a, b);
+      }
+      if (Array.isArray(a) || Array.isArray(b)) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+          return this.difference(path, a, b);
+        }
+        for (let i = a.length - 1; i >= 0; i--) {
+          stack.push({ a: a[i], b: b[i], path: `${path}[${i}]`, fixed });
+        }
+        continue;
+      }
+      if (a.type !== b.type) return this.difference(path, a, b);
+
+      if (a.type === 'Identifier') {
+        if (fixed) {
+          if (a.name !== b.name) return this.difference(path, a, b);
+        } else if (renames.has(b.name) && renames.get(b.name) !== a.name) {
+          return this.difference(path, a, b);
+        } else {
+          renames.set(b.name, a.name);
+        }
+        continue;
+      }
+      if (a.type === 'Literal') {
+        if (!this.sameLiteral(a, b)) return this.difference(path, a, b);
+        continue;
+      }
+      if (a.type === 'TemplateElement') {
+        if (a.value.cooked !== b.value.cooked || a.tail !== b.tail) return this.difference(path, a, b);
+        continue;
+      }
+
+      const keys = Object.keys(a).filter(key => !IGNORED_KEYS.has(key));
+      for (let i = keys.length - 1; i >= 0; i--) {
+        const key = keys[i];
+        const valueA = a[key];
+        const valueB = b[key];
+        if (valueA !== null && typeof valueA === 'object') {
+          stack.push({ a: valueA, b: valueB, path: `${path}.${key}`, fixed: this.isFixedName(a, key) });
+        } else if (valueA !== valueB) {
+          return this.difference(`${path}.${key}`, a, b);
+        }
+      }
+    }
+    return null;
+  }
+
+  // Nomes que não são bindings: propriedades não computadas, labels, import/export, meta
+  isFixedName(node, key) {
+    switch (node.type) {
+      case 'MemberExpression':
+        return key === 'property' && !node.computed;
+      case 'Property':
+      case 'MethodDefinition':
+      case 'PropertyDefinition':
+        return key === 'key' && !node.computed;
+      case 'LabeledStatement':
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        return key === 'label';
+      case 'ImportSpecifier':
+        return key === 'imported';
+      case 'ExportSpecifier':
+      case 'ExportAllDeclaration':
+        return key === 'exported';
+      case 'MetaProperty':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  sameLiteral(a, b) {
+    if (a.regex || b.regex) {
+      return Boolean(a.regex && b.regex) && a.regex.pattern === b.regex.pattern && a.regex.flags === b.regex.flags;
+    }
+    if (typeof a.bigint === 'string' || typeof b.bigint === 'string') {
+      return typeof a.bigint === 'string' && typeof b.bigint === 'string' && BigInt(a.bigint) === BigInt(b.bigint);
+    }
+    return Object.is(a.value, b.value);
+  }
+
+  difference(path, a, b) {
+    return {
+      path,
+      before: this.describeNode(a),
+      after: this.describeNode(b),
+      start: a && typeof a.start === 'number' ? a.start : null,
+      normalizedStart: b && typeof b.start === 'number' ? b.start : null
+    };
+  }
+
+  describeNode(node) {
+    if (node === null || node === undefined) return String(node);
+    if (Array.isArray(node)) return `${node.length} elementos`;
+    if (typeof node !== 'object') return String(node);
+    if (node.type === 'Identifier') return `Identifier ${node.name}`;
+    if (node.type === 'Literal') {
+      return `Literal ${printable(node.raw !== undefined ? node.raw : String(node.value))}`.slice(0, 120);
+    }
+    return node.type;
+  }
+
+  lineAt(code, offset) {
+    if (typeof offset !== 'number') return null;
+    let line = 1;
+    for (let i = 0; i < offset && i < code.length; i++) {
+      if (code.charCodeAt(i) === 10) line++;
+    }
+    return line;
+  }
+}
+
+module.exports = { NormalizationVerifier, SHAPE_PRESERVING };
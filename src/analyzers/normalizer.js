@@ -1,336 +1,253 @@
 const fs = require('fs');
 const path = require('path');
+const { StringArrayDeobfuscator } = require('./string_array_deobfuscator');
+const { ScopeRenamer } = require('./scope_renamer');
+const { ControlFlowUnflattener } = require('./control_flow_unflattener');
+const { ExpressionSimplifier } = require('./expression_simplifier');
+const { StringLiteralDecoder } = require('./string_literal_decoder');
+const { DeadCodeRemover } = require('./dead_code_remover');
+const { CodeGenerator, OffsetTrail, buildSourceMap } = require('./code_generator');
+const { NormalizationVerifier } = require('./normalization_verifier');
+
+// Relatório de cada transformação (descartado quando a verificação volta a um passo anterior)
+const STEP_REPORTS = {
+  unflattenControlFlow: 'lastControlFlowReport',
+  simplifyExpressions: 'lastSimplificationReport',
+  renameVariables: 'lastRenameReport'
+};
+
+const NORMALIZED_BANNER = '/*\n * Código normalizado e desofuscado\n * Gerado automaticamente pelo CodeNormalizer\n */';
 
 class CodeNormalizer {
   constructor() {
-    this.variableCounter = 0;
-    this.functionCounter = 0;
     this.stringMap = new Map();
+    this.stringArrayDeobfuscator = new StringArrayDeobfuscator();
+    this.scopeRenamer = new ScopeRenamer();
+    this.controlFlowUnflattener = new ControlFlowUnflattener();
+    this.expressionSimplifier = new ExpressionSimplifier();
+    this.stringLiteralDecoder = new StringLiteralDecoder();
+    this.deadCodeRemover = new DeadCodeRemover();
+    this.verifier = new NormalizationVerifier();
+    this.lastStringArrayReport = null;
+    this.lastRenameReport = null;
+    this.lastControlFlowReport = null;
+    this.lastSimplificationReport = null;
+    this.lastSourceMap = null;
+    this.lastMappings = null;
+    this.lastVerification = null;
+    this.offsetTrail = new OffsetTrail();
   }
 
   // Normalizar código JavaScript
   normalizeJavaScript(content, options = {}) {
     const {
       beautify = true,
+      unflattenControlFlow = true,
+      simplifyExpressions = true,
       renameVariables = true,
       decodeStrings = true,
       removeDeadCode = true,
-      addComments = true
+      addComments = true,
+      indent = 2,
+      verify = true,
+      verifyRuntime = false
     } = options;
 
     let normalized = content;
+    this.lastRenameReport = null;
+    this.lastControlFlowReport = null;
+    this.lastSimplificationReport = null;
+    this.lastMappings = null;
+    this.offsetTrail = new OffsetTrail();
+
+    // Resultado de cada transformação, para a verificação identificar a que falhou (com as
+    // camadas do offsetTrail e os mapeamentos desse ponto, para se poder voltar a ele)
+    const steps = [];
+    const track = (transform) => {
+      if (verify) steps.push({ transform, code: normalized, depth: this.offsetTrail.layers.length, mappings: this.lastMappings });
+    };
+
+    // 1. Desofuscar arrays de strings (sobre o AST, antes de qualquer transformação textual)
+    normalized = this.deobfuscateStringArrays(normalized);
+    track('deobfuscateStringArrays');
+
+    // 1b. Reconstruir funções achatadas em dispatchers while/switch (precisa da string de ordem já literal)
+    if (unflattenControlFlow) {
+      normalized = this.unflattenControlFlow(normalized);
+      track('unflattenControlFlow');
+    }
+
+    // 1c. Dobrar expressões constantes, obj['x'] → obj.x e ramos if (false) (depois do
+    // flattening, que deixa as condições opacas já literais)
+    if (simplifyExpressions) {
+      normalized = this.simplifyExpressions(normalized);
+      track('simplifyExpressions');
+    }
 
-    // 1. Decodificar strings se necessário
+    // 2. Decodificar os escapes das strings literais (\x41, \u0041, \101)
     if (decodeStrings) {
       normalized = this.decodeStrings(normalized);
+      track('decodeStrings');
     }
 
-    // 2. Desofuscar arrays de strings
-    normalized = this.deobfuscateStringArrays(normalized);
-
-    // 3. Remover código morto
+    // 3. Remover código morto (console.log sem efeitos, comentários de debug)
     if (removeDeadCode) {
       normalized = this.removeDeadCode(normalized);
+      track('removeDeadCode');
     }
 
     // 4. Renomear variáveis
     if (renameVariables) {
       normalized = this.renameVariables(normalized);
+      track('renameVariables');
     }
 
-    // 5. Beautify/formatar código
+    // 5. Regenerar o código a partir do AST (com os comentários explicativos, se pedidos)
     if (beautify) {
-      normalized = this.beautifyCode(normalized);
+      normalized = this.beautifyCode(normalized, { indent, annotate: addComments });
+      track('beautifyCode');
     }
 
-    // 6. Adicionar comentários explicativos
-    if (addComments) {
+    // 6. Adicionar comentários explicativos quando o código não foi regenerado
+    if (addComments && !this.lastMappings) {
       normalized = this.addExplanatoryComments(normalized);
+      track('addExplanatoryComments');
+    }
+
+    // 7. Verificar que as transformações preservaram o comportamento (AST e, opcionalmente, execução)
+    this.lastVerification = verify ? this.verifier.verify(content, steps, { runtime: verifyRuntime }) : null;
+
+    // Verificação falhada: devolver o resultado do último passo que passou (ou o original)
+    if (this.lastVerification && !this.lastVerification.verified) {
+      const failed = steps.findIndex(step => step.transform === this.lastVerification.failedTransform);
+      const kept = failed > 0 ? steps[failed - 1] : { transform: 'original', code: content, depth: 0, mappings: null };
+      normalized = kept.code;
+      this.offsetTrail.rewind(kept.depth);
+      this.lastMappings = kept.mappings;
+      this.lastVerification.returnedStep = kept.transform;
+      steps.slice(Math.max(failed, 0)).forEach(step => {
+        if (STEP_REPORTS[step.transform]) this[STEP_REPORTS[step.transform]] = null;
+      });
     }
 
+    // Source map das linhas normalizadas para os offsets no código original
+    this.lastSourceMap = buildSourceMap(this.lastMappings || this.lineMappings(normalized), content);
+
     return normalized;
   }
 
-  // Decodificar strings codificadas
+  // Decodificar os escapes das strings literais (StringLiteralDecoder): só o texto de cada
+  // literal muda; String.fromCharCode(...) fica para o simplifyExpressions
   decodeStrings(content) {
-    let decoded = content;
-
-    // Decodificar hex strings (\x41 -> A)
-    decoded = decoded.replace(/\\x([0-9a-fA-F]{2})/g, (match, hex) => {
-      return String.fromCharCode(parseInt(hex, 16));
-    });
-
-    // Decodificar unicode strings (\u0041 -> A)
-    decoded = decoded.replace(/\\u([0-9a-fA-F]{4})/g, (match, hex) => {
-      return String.fromCharCode(parseInt(hex, 16));
-    });
-
-    // Decodificar octal strings (\101 -> A)
-    decoded = decoded.replace(/\\([0-7]{1,3})/g, (match, octal) => {
-      return String.fromCharCode(parseInt(octal, 8));
-    });
-
-    // Decodificar String.fromCharCode
-    decoded = decoded.replace(/String\.fromCharCode\s*\(([^)]+)\)/g, (match, codes) => {
-      try {
-        const charCodes = codes.split(',').map(code => parseInt(code.trim()));
-        return charCodes.map(code => String.fromCharCode(code)).join('');
-      } catch (e) {
-        return match; // Manter original se não conseguir decodificar
-      }
-    });
-
-    return decoded;
+    const { code, edits } = this.stringLiteralDecoder.decode(content);
+    if (code !== content) this.offsetTrail.record(edits);
+    return code;
   }
 
-  // Desofuscar arrays de strings
+  // Desofuscar arrays de strings: primeiro a variante javascript-obfuscator (AST + sandbox),
+  // depois arrays simples `var X = [...]` lidos só com índices literais
   deobfuscateStringArrays(content) {
-    // Encontrar arrays de strings
-    const arrayPattern = /var\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*\[([^\]]+)\]/g;
-    const stringArrays = new Map();
-    
-    let match;
-    while ((match = arrayPattern.exec(content)) !== null) {
-      const arrayName = match[1];
-      const arrayContent = match[2];
-      
-      try {
-        // Extrair strings do array
-        const strings = this.extractStringsFromArray(arrayContent);
-        stringArrays.set(arrayName, strings);
-      } catch (e) {
-        // Ignorar arrays que não conseguimos processar
-      }
-    }
-
-    // Substituir referências aos arrays por strings literais
-    let deobfuscated = content;
-    for (const [arrayName, strings] of stringArrays) {
-      // Padrão: arrayName[index]
-      const indexPattern = new RegExp(`${arrayName}\\s*\\[\\s*(\\d+)\\s*\\]`, 'g');
-      deobfuscated = deobfuscated.replace(indexPattern, (match, index) => {
-        const idx = parseInt(index);
-        if (idx >= 0 && idx < strings.length) {
-          return `"${strings[idx].replace(/"/g, '\\"')}"`;
-        }
-        return match;
-      });
+    const { code, report, edits } = this.stringArrayDeobfuscator.deobfuscate(content);
+    this.lastStringArrayReport = report;
+    if (report.detected) {
+      this.offsetTrail.record(edits || []);
+      return code;
     }
 
-    return deobfuscated;
+    const indexed = this.stringArrayDeobfuscator.inlineIndexedArrays(content);
+    if (indexed.code !== content) this.offsetTrail.record(indexed.edits);
+    return indexed.code;
   }
 
-  // Extrair strings de um array JavaScript
-  extractStringsFromArray(arrayContent) {
-    const strings = [];
-    let current = '';
-    let inString = false;
-    let stringChar = '';
-    let i = 0;
-
-    while (i < arrayContent.length) {
-      const char = arrayContent[i];
-      
-      if (!inString) {
-        if (char === '"' || char === "'") {
-          inString = true;
-          stringChar = char;
-          current = '';
-        } else if (char === ',') {
-          // Fim de um elemento
-          if (current.trim()) {
-            strings.push(current.trim());
-            current = '';
-          }
-        } else if (!/\s/.test(char)) {
-          current += char;
-        }
-      } else {
-        if (char === stringChar && arrayContent[i-1] !== '\\') {
-          // Fim da string
-          strings.push(current);
-          current = '';
-          inString = false;
-        } else if (char === '\\' && i + 1 < arrayContent.length) {
-          // Escape sequence
-          current += char + arrayContent[i + 1];
-          i++; // Pular próximo caractere
-        } else {
-          current += char;
-        }
-      }
-      
-      i++;
-    }
-
-    // Adicionar última string se houver
-    if (current.trim()) {
-      strings.push(current.trim());
-    }
-
-    return strings;
-  }
-
-  // Remover código morto (implementação básica)
+  // Remover código morto (DeadCodeRemover): instruções console.log(...) sem efeitos nos
+  // argumentos e comentários de debug; se o resultado não fizer parse fica como está
   removeDeadCode(content) {
-    // Remover console.log em produção (opcional)
-    let cleaned = content.replace(/console\.log\s*\([^)]*\)\s*;?\s*/g, '');
-    
-    // Remover comentários de debug
-    cleaned = cleaned.replace(/\/\*[\s\S]*?debug[\s\S]*?\*\//g, '');
-    cleaned = cleaned.replace(/\/\/\s*debug.*$/gm, '');
-    
-    // Remover linhas vazias excessivas
-    cleaned = cleaned.replace(/\n\s*\n\s*\n/g, '\n\n');
-    
-    return cleaned;
+    const { code, edits } = this.deadCodeRemover.remove(content);
+    if (code !== content) this.offsetTrail.record(edits);
+    return code;
   }
 
-  // Renomear variáveis para nomes mais legíveis
+  // Renomear bindings com análise de âmbito (ScopeRenamer): só as referências de cada
+  // binding mudam; se o código não fizer parse fica como está
   renameVariables(content) {
-    this.variableCounter = 0;
-    this.functionCounter = 0;
-    const variableMap = new Map();
-    const functionMap = new Map();
-
-    // Encontrar e mapear variáveis
-    const varPatterns = [
-      /var\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g,
-      /let\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g,
-      /const\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g
-    ];
-
-    for (const pattern of varPatterns) {
-      let match;
-      while ((match = pattern.exec(content)) !== null) {
-        const varName = match[1];
-        if (varName.length <= 2 && !variableMap.has(varName)) {
-          variableMap.set(varName, this.generateVariableName());
-        }
-      }
-    }
-
-    // Encontrar e mapear funções
-    const funcPatterns = [
-      /function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g,
-      /const\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*\(/g,
-      /let\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*\(/g,
-      /var\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*\(/g
-    ];
-
-    for (const pattern of funcPatterns) {
-      let match;
-      while ((match = pattern.exec(content)) !== null) {
-        const funcName = match[1];
-        if (funcName.length <= 2 && !functionMap.has(funcName)) {
-          functionMap.set(funcName, this.generateFunctionName());
-        }
-      }
-    }
-
-    // Aplicar renomeações
-    let renamed = content;
-    
-    // Renomear variáveis
-    for (const [oldName, newName] of variableMap) {
-      const regex = new RegExp(`\\b${oldName}\\b`, 'g');
-      renamed = renamed.replace(regex, newName);
-    }
-
-    // Renomear funções
-    for (const [oldName, newName] of functionMap) {
-      const regex = new RegExp(`\\b${oldName}\\b`, 'g');
-      renamed = renamed.replace(regex, newName);
-    }
-
-    return renamed;
+    const { code, report, edits } = this.scopeRenamer.rename(content);
+    this.lastRenameReport = report;
+    if (code !== content) this.offsetTrail.record(edits);
+    return code;
   }
 
-  // Gerar nome de variável legível
-  generateVariableName() {
-    const names = [
-      'data', 'value', 'result', 'item', 'element', 'object', 'array',
-      'string', 'number', 'boolean', 'function', 'callback', 'handler',
-      'config', 'options', 'settings', 'params', 'args', 'response',
-      'request', 'error', 'success', 'flag', 'status', 'count', 'index'
-    ];
-    
-    const name = names[this.variableCounter % names.length];
-    this.variableCounter++;
-    return name + (this.variableCounter > names.length ? this.variableCounter : '');
-  }
-
-  // Gerar nome de função legível
-  generateFunctionName() {
-    const names = [
-      'init', 'setup', 'process', 'handle', 'execute', 'run', 'start',
-      'stop', 'update', 'refresh', 'load', 'save', 'create', 'destroy',
-      'validate', 'check', 'verify', 'parse', 'format', 'convert',
-      'transform', 'calculate', 'compute', 'generate', 'build', 'make'
-    ];
-    
-    const name = names[this.functionCounter % names.length];
-    this.functionCounter++;
-    return name + (this.functionCounter > names.length ? this.functionCounter : '');
+  // Desfazer o control-flow flattening (ControlFlowUnflattener): o loop dispatcher é
+  // substituído pelos corpos dos cases na ordem da string `'3|0|1'.split('|')`
+  unflattenControlFlow(content) {
+    const { code, report, passes } = this.controlFlowUnflattener.unflatten(content);
+    this.lastControlFlowReport = report;
+    passes.forEach(edits => this.offsetTrail.record(edits));
+    return code;
   }
 
-  // Beautify/formatar código
-  beautifyCode(content) {
-    let beautified = content;
-
-    // Adicionar quebras de linha após ponto e vírgula
-    beautified = beautified.replace(/;(\s*)/g, ';\n$1');
-
-    // Adicionar quebras de linha após chaves de abertura
-    beautified = beautified.replace(/\{(\s*)/g, '{\n$1');
-
-    // Adicionar quebras de linha antes de chaves de fechamento
-    beautified = beautified.replace(/(\s*)\}/g, '\n$1}');
-
-    // Adicionar quebras de linha após vírgulas em objetos/arrays
-    beautified = beautified.replace(/,(\s*)/g, ',\n$1');
-
-    // Adicionar quebras de linha após operadores
-    beautified = beautified.replace(/([+\-*/=<>!&|])\s*(\w)/g, '$1\n$2');
-
-    // Indentar código
-    beautified = this.indentCode(beautified);
-
-    // Limpar linhas vazias excessivas
-    beautified = beautified.replace(/\n\s*\n\s*\n/g, '\n\n');
-
-    return beautified;
+  // Simplificar expressões (ExpressionSimplifier): 0x1f*0x3-0x5a, !![], 'ab'+'cd',
+  // String.fromCharCode(...) passam a literais; se o resultado não fizer parse fica como está
+  simplifyExpressions(content) {
+    const { code, report, passes } = this.expressionSimplifier.simplify(content);
+    this.lastSimplificationReport = report;
+    passes.forEach(edits => this.offsetTrail.record(edits));
+    return code;
   }
 
-  // Indentar código
-  indentCode(content) {
-    const lines = content.split('\n');
-    const indented = [];
-    let indentLevel = 0;
-    const indentSize = 2;
-
-    for (let line of lines) {
-      line = line.trim();
-      if (!line) {
-        indented.push('');
-        continue;
+  // String.replace que regista a edição no offsetTrail (só o trecho que realmente muda),
+  // para o source map conseguir voltar aos offsets do código original
+  replaceTracked(content, pattern, replacement) {
+    const edits = [];
+    const result = content.replace(pattern, (...args) => {
+      const match = args[0];
+      const offset = args.find(arg => typeof arg === 'number');
+      const text = typeof replacement === 'function' ? replacement(...args) : replacement;
+      if (text !== match) {
+        let prefix = 0;
+        while (prefix < match.length && prefix < text.length && match[prefix] === text[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < match.length - prefix && suffix < text.length - prefix &&
+          match[match.length - 1 - suffix] === text[text.length - 1 - suffix]) suffix++;
+        edits.push({ start: offset + prefix, end: offset + match.length - suffix, text: text.slice(prefix, text.length - suffix) });
       }
+      return text;
+    });
+    this.offsetTrail.record(edits);
+    return result;
+  }
 
-      // Diminuir indentação antes de chaves de fechamento
-      if (line.startsWith('}') || line.startsWith(']') || line.startsWith(')')) {
-        indentLevel = Math.max(0, indentLevel - 1);
-      }
+  // Regenerar o código a partir do AST (CodeGenerator): indentação configurável, comentários
+  // preservados e mapeamento de cada nó para o offset no código original. Se o código não
+  // fizer parse fica como está
+  beautifyCode(content, options = {}) {
+    const { indent = 2, annotate = false } = options;
+    const generator = new CodeGenerator({
+      indent,
+      annotate,
+      banner: annotate ? NORMALIZED_BANNER : null
+    });
+    const generated = generator.generate(content);
+    if (!generated) {
+      return content;
+    }
 
-      // Adicionar linha com indentação
-      indented.push(' '.repeat(indentLevel * indentSize) + line);
+    this.lastMappings = generated.mappings.map(mapping => ({
+      line: mapping.line,
+      column: mapping.column,
+      offset: this.offsetTrail.toOriginal(mapping.offset)
+    }));
+    return generated.code;
+  }
 
-      // Aumentar indentação após chaves de abertura
-      if (line.endsWith('{') || line.endsWith('[') || line.endsWith('(')) {
-        indentLevel++;
+  // Mapeamento linha a linha (sem regeneração): início de cada linha no código original
+  lineMappings(content) {
+    const mappings = [{ line: 0, column: 0, offset: this.offsetTrail.toOriginal(0) }];
+    for (let i = 0; i < content.length; i++) {
+      if (content.charCodeAt(i) === 10) {
+        mappings.push({ line: mappings.length, column: 0, offset: this.offsetTrail.toOriginal(i + 1) });
       }
     }
-
-    return indented.join('\n');
+    return mappings;
   }
 
   // Adicionar comentários explicativos
@@ -338,16 +255,16 @@ class CodeNormalizer {
     let commented = content;
 
     // Adicionar comentário no início
-    commented = '/*\n * Código normalizado e desofuscado\n * Gerado automaticamente pelo CodeNormalizer\n */\n\n' + commented;
+    commented = this.replaceTracked(commented, /^/, `${NORMALIZED_BANNER}\n\n`);
 
     // Adicionar comentários em funções complexas
     const functionPattern = /function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\([^)]*\)\s*\{/g;
-    commented = commented.replace(functionPattern, (match, funcName) => {
+    commented = this.replaceTracked(commented, functionPattern, (match, funcName) => {
       return `// Função: ${funcName}\n${match}`;
     });
 
     // Adicionar comentários em loops
-    commented = commented.replace(/(for|while|do)\s*\([^)]*\)\s*\{/g, (match, loopType) => {
+    commented = this.replaceTracked(commented, /(for|while|do)\s*\([^)]*\)\s*\{/g, (match, loopType) => {
       return `// ${loopType.toUpperCase()} loop\n${match}`;
     });
 
@@ -367,6 +284,15 @@ class CodeNormalizer {
       }
       
       fs.writeFileSync(outputPath, normalized, 'utf8');
+
+      // Source map ao lado do ficheiro normalizado (sources aponta para o download original)
+      const sourceMapPath = `${outputPath}.map`;
+      const sourceMap = {
+        ...this.lastSourceMap,
+        file: path.basename(outputPath),
+        sources: [path.relative(outputDir, inputPath).split(path.sep).join('/')]
+      };
+      fs.writeFileSync(sourceMapPath, JSON.stringify(sourceMap), 'utf8');
       
       return {
         success: true,
@@ -374,7 +300,13 @@ class CodeNormalizer {
         outputPath,
         originalSize: content.length,
         normalizedSize: normalized.length,
-        compressionRatio: (1 - normalized.length / content.length) * 100
+        compressionRatio: (1 - normalized.length / content.length) * 100,
+        stringArrays: this.lastStringArrayReport,
+        controlFlow: this.lastControlFlowReport,
+        simplification: this.lastSimplificationReport,
+        renaming: this.lastRenameReport,
+        sourceMap: sourceMapPath,
+        verification: this.lastVerification
       };
     } catch (error) {
       return {
@@ -465,6 +397,12 @@ class CodeNormalizer {
       report.push(`- Taxa de compressão: ${compressionRatio.toFixed(1)}%`);
       report.push('');
     }
+
+    const unverified = results.success.filter(result => result.verification && !result.verification.verified);
+    if (unverified.length > 0) {
+      report.push(`⚠️  Arquivos que falharam a verificação de equivalência: ${unverified.length}`);
+      report.push('');
+    }
     
     // Arquivos processados com sucesso
     if (results.success.length > 0) {
@@ -476,6 +414,56 @@ class CodeNormalizer {
         report.push(`  Tamanho original: ${(result.originalSize / 1024).toFixed(2)} KB`);
         report.push(`  Tamanho normalizado: ${(result.normalizedSize / 1024).toFixed(2)} KB`);
         report.push(`  Compressão: ${result.compressionRatio.toFixed(1)}%`);
+        if (result.sourceMap) {
+          report.push(`  Source map: ${result.sourceMap}`);
+        }
+        if (result.verification) {
+          const verification = result.verification;
+          if (verification.verified) {
+            const runtime = verification.runtime ? (verification.runtime.errors.length > 0 ? ', execução não verificada' : ', execução') : '';
+            report.push(`  Verificação: equivalente (AST${runtime})`);
+          } else {
+            const difference = verification.difference || {};
+            report.push(`  ⚠️  Verificação: FALHOU em ${verification.failedTransform} (${verification.reason}); guardado o resultado de ${verification.returnedStep}`);
+            if (difference.error) {
+              report.push(`    ${difference.error}`);
+            } else if (difference.path) {
+              report.push(`    ${difference.path}: ${difference.before} → ${difference.after} (linha ${difference.line}, normalizado linha ${difference.normalizedLine})`);
+            } else if (difference.event !== undefined) {
+              report.push(`    Evento ${difference.event}: ${difference.before} → ${difference.after}`);
+            }
+          }
+        }
+        if (result.stringArrays && result.stringArrays.detected) {
+          const arrays = result.stringArrays;
+          report.push(`  String array: ${arrays.variant}`);
+          report.push(`    Literais inlined: ${arrays.replacements}, não resolvidos: ${arrays.unresolved}`);
+          report.push(`    Decoders: ${arrays.decoders.join(', ')}${arrays.decodersRemoved ? ' (removidos)' : ''}`);
+        }
+        if (result.controlFlow && result.controlFlow.detected) {
+          const controlFlow = result.controlFlow;
+          const names = controlFlow.functions.map(fn => fn.name).join(', ');
+          report.push(`  Fluxo de controle: ${controlFlow.unflattened} função(ões) reconstruída(s)${names ? ` (${names})` : ''}`);
+          if (controlFlow.skipped.length > 0) {
+            report.push(`    Dispatchers mantidos: ${controlFlow.skipped.map(skipped => `${skipped.function}: ${skipped.reason}`).join(', ')}`);
+          }
+        }
+        if (result.simplification) {
+          const simplification = result.simplification;
+          const total = simplification.folded + simplification.members + simplification.deadBranches;
+          if (total > 0) {
+            report.push(`  Simplificação: ${simplification.folded} expressões constantes, ${simplification.members} acessos obj['x'] → obj.x, ${simplification.deadBranches} ramos mortos`);
+          }
+        }
+        if (result.renaming) {
+          const renaming = result.renaming;
+          if (renaming.errors.length > 0) {
+            report.push(`  Renomeação: não aplicada (${renaming.errors.join(', ')})`);
+          } else if (renaming.renamed > 0) {
+            const skipped = renaming.skipped.dynamic + renaming.skipped.fixed + renaming.skipped.global;
+            report.push(`  Renomeação: ${renaming.renamed} bindings${skipped > 0 ? `, ${skipped} mantidos (eval/with, exports, globais)` : ''}`);
+          }
+        }
       }
     }
     
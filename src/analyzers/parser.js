@@ -1,8 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const { WasmBinaryParser } = require('./wasm_binary_parser.js');
+const { ControlFlowUnflattener } = require('./control_flow_unflattener.js');
 
 class CodeAnalyzer {
   constructor() {
+    this.wasmParser = new WasmBinaryParser({ decodeBodies: false });
+    this.controlFlowUnflattener = new ControlFlowUnflattener();
+
     this.obfuscationPatterns = {
       // Padrões de ofuscação comuns
       minified: {
@@ -121,6 +126,19 @@ class CodeAnalyzer {
         confidence: Math.min(obfuscationScore / config.threshold, 1.0)
       };
     }
+
+    // Control-flow flattening (dispatchers while/switch detetados no AST): soma ao score a
+    // fração de funções achatadas; um dispatcher basta para a deteção (não aparece em código escrito à mão)
+    const flattening = this.controlFlowUnflattener.detect(content);
+    const controlFlow = results.controlFlow;
+    controlFlow.flattenedFunctions = flattening.dispatchers.length;
+    controlFlow.patternCounts['flattened-dispatcher'] = flattening.dispatchers.length;
+    if (flattening.dispatchers.length > 0) {
+      controlFlow.matches += flattening.dispatchers.length;
+      controlFlow.score += flattening.dispatchers.length / Math.max(flattening.functions, 1);
+      controlFlow.detected = true;
+      controlFlow.confidence = Math.min(controlFlow.score / controlFlow.threshold, 1.0);
+    }
     
     return results;
   }
@@ -324,13 +342,27 @@ class CodeAnalyzer {
   analyzeWasm(filePath) {
     try {
       const buffer = fs.readFileSync(filePath);
+      const isWasm = this.isWasmFile(buffer);
+
+      // Decodificar o módulo uma única vez para todas as etapas
+      let module = null;
+      let parseError = null;
+      if (isWasm) {
+        try {
+          module = this.wasmParser.parse(buffer);
+        } catch (error) {
+          parseError = error.message;
+        }
+      }
+
       const analysis = {
         filePath,
         size: buffer.length,
-        isWasm: this.isWasmFile(buffer),
-        sections: this.analyzeWasmSections(buffer),
-        imports: this.analyzeWasmImports(buffer),
-        exports: this.analyzeWasmExports(buffer),
+        isWasm,
+        parseError,
+        sections: this.analyzeWasmSections(buffer, module),
+        imports: this.analyzeWasmImports(module),
+        exports: this.analyzeWasmExports(module),
         suggestions: []
       };
 
@@ -360,54 +392,59 @@ class CodeAnalyzer {
            buffer[3] === 0x6d;
   }
 
-  // Analisar seções do WASM (implementação básica)
-  analyzeWasmSections(buffer) {
-    // Implementação básica - em um parser real seria mais complexo
-    return {
+  // Analisar seções do WASM
+  analyzeWasmSections(buffer, module) {
+    const sections = {
       magic: buffer.slice(0, 4).toString('hex'),
-      version: buffer.slice(4, 8).readUInt32LE(0),
-      totalSections: this.countWasmSections(buffer)
+      version: buffer.length >= 8 ? buffer.readUInt32LE(4) : null,
+      totalSections: 0,
+      list: []
     };
-  }
 
-  // Contar seções do WASM
-  countWasmSections(buffer) {
-    let count = 0;
-    let offset = 8; // Após magic e version
-    
-    while (offset < buffer.length) {
-      if (offset >= buffer.length) break;
-      const sectionId = buffer[offset];
-      if (sectionId === 0) break; // End of sections
-      count++;
-      
-      // Ler tamanho da seção
-      offset++;
-      let sectionSize = 0;
-      let shift = 0;
-      while (offset < buffer.length) {
-        const byte = buffer[offset++];
-        sectionSize |= (byte & 0x7F) << shift;
-        if ((byte & 0x80) === 0) break;
-        shift += 7;
-      }
-      
-      offset += sectionSize;
-    }
-    
-    return count;
+    if (!module) return sections;
+
+    sections.totalSections = module.sections.length;
+    sections.list = module.sections.map(section => ({
+      id: section.id,
+      name: section.customName ? `custom:${section.customName}` : section.name,
+      offset: section.offset,
+      size: section.size
+    }));
+    sections.counts = {
+      types: module.types.length,
+      functions: module.functions.filter(func => !func.imported).length,
+      tables: module.tables.length,
+      memories: module.memories.length,
+      globals: module.globals.length,
+      elements: module.elements.length,
+      data: module.data.length
+    };
+
+    return sections;
   }
 
-  // Analisar imports do WASM (implementação básica)
-  analyzeWasmImports(buffer) {
-    // Implementação básica - seria mais complexa em um parser real
-    return [];
+  // Analisar imports do WASM
+  analyzeWasmImports(module) {
+    if (!module) return [];
+
+    return module.imports.map(imp => ({
+      module: imp.module,
+      name: imp.name,
+      kind: imp.kind,
+      index: imp.index,
+      signature: imp.kind === 'func' ? module.types[imp.typeIndex] || null : null
+    }));
   }
 
-  // Analisar exports do WASM (implementação básica)
-  analyzeWasmExports(buffer) {
-    // Implementação básica - seria mais complexa em um parser real
-    return [];
+  // Analisar exports do WASM
+  analyzeWasmExports(module) {
+    if (!module) return [];
+
+    return module.exports.map(exp => ({
+      name: exp.name,
+      kind: exp.kind,
+      index: exp.index
+    }));
   }
 
   // Gerar sugestões para arquivos WASM
@@ -421,12 +458,19 @@ class CodeAnalyzer {
         message: 'Arquivo não é um WASM válido.',
         action: 'verify_file_format'
       });
+    } else if (analysis.parseError) {
+      suggestions.push({
+        type: 'error',
+        priority: 'high',
+        message: `Falha ao decodificar o WASM: ${analysis.parseError}`,
+        action: 'verify_file_format'
+      });
     } else {
       suggestions.push({
         type: 'analysis',
         priority: 'medium',
-        message: 'Arquivo WASM válido. Considere usar ferramentas como wasm2wat para análise.',
-        action: 'use_wasm_tools'
+        message: 'Arquivo WASM válido. Use o WasmPipeline para gerar o WAT e a análise detalhada.',
+        action: 'use_wasm_pipeline'
       });
     }
     
@@ -573,6 +617,10 @@ class CodeAnalyzer {
           report.push(`Seções: ${file.sections.totalSections}`);
         }
         
+        if (file.imports && file.exports) {
+          report.push(`Imports: ${file.imports.length}, Exports: ${file.exports.length}`);
+        }
+        
         if (file.suggestions.length > 0) {
           report.push('Sugestões:');
           for (const suggestion of file.suggestions) {
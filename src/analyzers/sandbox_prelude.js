@@ -0,0 +1,27 @@
+// Código que corre dentro dos contextos vm dos desofuscadores.
+// Definido como texto para não expor funções do host ao código avaliado.
+
+// atob/btoa (não existem num contexto vm vazio)
+const BASE64_PRELUDE = `
+var atob = function (input) {
+  var chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=';
+  var str = String(input).replace(/[\\s=]+$/, '').replace(/\\s/g, '');
+  var output = '';
+  for (var bc = 0, bs, buffer, idx = 0; (buffer = str.charAt(idx++)); ~buffer && (bs = bc % 4 ? bs * 64 + buffer : buffer, bc++ % 4) ? output += String.fromCharCode(255 & bs >> (-2 * bc & 6)) : 0) {
+    buffer = chars.indexOf(buffer);
+  }
+  return output;
+};
+var btoa = function (input) {
+  var chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=';
+  var str = String(input);
+  var output = '';
+  for (var block, charCode, idx = 0, map = chars; str.charAt(idx | 0) || (map = '=', idx % 1); output += map.charAt(63 & block >> 8 - idx % 1 * 8)) {
+    charCode = str.charCodeAt(idx += 3 / 4);
+    block = block << 8 | charCode;
+  }
+  return output;
+};
+`;
+
+module.exports = { BASE64_PRELUDE };
@@ -0,0 +1,765 @@
+const acorn = require('acorn');
+
+// Palavras reservadas e globais que nunca podem ser usados como novo nome
+const RESERVED = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+  'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'implements', 'interface', 'package',
+  'private', 'protected', 'public', 'await', 'async', 'of', 'get', 'set',
+  'arguments', 'eval', 'undefined', 'NaN', 'Infinity', 'window', 'self', 'document', 'globalThis'
+]);
+
+// Nomes para instâncias de construtores conhecidos (new X)
+const CONSTRUCTOR_NAMES = {
+  Uint8Array: 'bytes',
+  Int8Array: 'bytes',
+  Uint8ClampedArray: 'bytes',
+  Uint16Array: 'words',
+  Int16Array: 'words',
+  Uint32Array: 'words',
+  Int32Array: 'words',
+  Float32Array: 'floats',
+  Float64Array: 'floats',
+  ArrayBuffer: 'buffer',
+  SharedArrayBuffer: 'sharedBuffer',
+  DataView: 'view',
+  Array: 'list',
+  Object: 'object',
+  RegExp: 'pattern',
+  XMLHttpRequest: 'xhr',
+  Function: 'func'
+};
+
+// Objetos WebAssembly.* (construtores e funções)
+const WASM_NAMES = {
+  Module: 'wasmModule',
+  Instance: 'wasmInstance',
+  Memory: 'wasmMemory',
+  Table: 'wasmTable',
+  Global: 'wasmGlobal',
+  compile: 'wasmModule',
+  compileStreaming: 'wasmModule',
+  instantiate: 'wasmResult',
+  instantiateStreaming: 'wasmResult'
+};
+
+// Resultado de chamadas a funções globais
+const CALL_NAMES = {
+  fetch: 'response',
+  atob: 'decoded',
+  btoa: 'encoded',
+  unescape: 'decoded',
+  escape: 'encoded',
+  decodeURIComponent: 'decoded',
+  encodeURIComponent: 'encoded',
+  parseInt: 'number',
+  parseFloat: 'number',
+  setTimeout: 'timer',
+  setInterval: 'timer',
+  requestAnimationFrame: 'frameId',
+  Symbol: 'symbol'
+};
+
+// Resultado de chamadas a métodos (x.metodo())
+const METHOD_NAMES = {
+  split: 'parts',
+  join: 'joined',
+  map: 'mapped',
+  filter: 'filtered',
+  reduce: 'reduced',
+  slice: 'slice',
+  substring: 'substring',
+  substr: 'substring',
+  replace: 'replaced',
+  trim: 'trimmed',
+  toString: 'text',
+  toLowerCase: 'text',
+  toUpperCase: 'text',
+  fromCharCode: 'text',
+  charCodeAt: 'charCode',
+  charAt: 'char',
+  indexOf: 'position',
+  lastIndexOf: 'position',
+  keys: 'keys',
+  values: 'values',
+  entries: 'entries',
+  then: 'promise',
+  json: 'data',
+  text: 'text',
+  arrayBuffer: 'buffer',
+  parse: 'data',
+  stringify: 'json',
+  now: 'timestamp',
+  random: 'random',
+  querySelector: 'element',
+  getElementById: 'element',
+  querySelectorAll: 'elements',
+  getElementsByTagName: 'elements',
+  getElementsByClassName: 'elements',
+  getContext: 'context',
+  createObjectURL: 'objectUrl',
+  postMessage: 'posted',
+  exec: 'match',
+  match: 'match',
+  test: 'matches'
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Consulta às tabelas sem apanhar propriedades herdadas (toString, constructor...)
+function lookup(table, key) {
+  return Object.prototype.hasOwnProperty.call(table, key) ? table[key] : null;
+}
+
+function lowerFirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+function upperFirst(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// "my-module/worker.js" → "worker"; "wasm_exec" → "wasmExec"
+function toCamelCase(text) {
+  const base = String(text).split('/').pop().replace(/\.[a-z]+$/i, '');
+  const words = base.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  if (words.length === 0) return null;
+  const name = lowerFirst(words[0]) + words.slice(1).map(upperFirst).join('');
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+// Âmbito léxico: função (var/params) ou bloco (let/const/class)
+class Scope {
+  constructor(node, parent, isFunction) {
+    this.node = node;
+    this.parent = parent;
+    this.isFunction = isFunction;
+    this.bindings = new Map();
+    this.dynamic = false;
+  }
+
+  functionScope() {
+    let scope = this;
+    while (!scope.isFunction) scope = scope.parent;
+    return scope;
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.bindings.has(name)) return scope.bindings.get(name);
+    }
+    return null;
+  }
+
+  // eval direto ou with: qualquer binding visível pode ser acedido pelo nome
+  markDynamic() {
+    for (let scope = this; scope; scope = scope.parent) scope.dynamic = true;
+  }
+}
+
+// Renomeação de bindings sobre o AST do acorn com análise de âmbito: cada binding com
+// nome curto/ofuscado recebe um nome único derivado do uso (worker, wasmBytes, onMessage)
+// e só as suas referências são alteradas — propriedades, strings e bindings sombreados
+// com o mesmo nome ficam intactos.
+class ScopeRenamer {
+  constructor(options = {}) {
+    this.options = {
+      maxNameLength: 2,
+      // Globais de scripts clássicos são propriedades do window: outros scripts e handlers on*
+      // usam-nos pelo nome, por isso só são renomeados se pedido (módulos não têm globais)
+      renameGlobals: false,
+      ...options
+    };
+  }
+
+  parse(code) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+    try {
+      return { ast: acorn.parse(code, { ...options, sourceType: 'script' }), sourceType: 'script' };
+    } catch {
+      try {
+        return { ast: acorn.parse(code, { ...options, sourceType: 'module' }), sourceType: 'module' };
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  // Nome curto (≤ maxNameLength) ou no formato _0x1a2b do javascript-obfuscator
+  isObscure(name) {
+    return name.length <= this.options.maxNameLength || /^_0x[0-9a-f]+$/i.test(name);
+  }
+
+  // Devolve { code, report, edits }; se o resultado não fizer parse devolve o código original
+  rename(code) {
+    const report = {
+      renamed: 0,
+      bindings: [],
+      skipped: { dynamic: 0, fixed: 0, global: 0 },
+      errors: []
+    };
+
+    const parsed = this.parse(code);
+    if (!parsed) {
+      report.errors.push('parse_failed');
+      return { code, report };
+    }
+
+    const state = this.analyze(parsed.ast, parsed.sourceType);
+    const used = new Set([...state.names, ...RESERVED]);
+    const edits = [];
+
+    for (const binding of state.bindings) {
+      if (!this.isObscure(binding.name)) continue;
+      if (binding.fixed) {
+        report.skipped.fixed++;
+        continue;
+      }
+      if (binding.scope.dynamic) {
+        report.skipped.dynamic++;
+        continue;
+      }
+      if (!this.options.renameGlobals && binding.scope.parent === null && parsed.sourceType === 'script') {
+        report.skipped.global++;
+        continue;
+      }
+
+      const newName = this.allocate(this.suggestName(binding, state), used);
+      const identifiers = [...binding.declarations, ...binding.references.map(ref => ref.id)];
+      identifiers.forEach(id => {
+        const key = state.shorthand.get(id);
+        edits.push({ start: id.start, end: id.end, text: key ? `${key}: ${newName}` : newName });
+      });
+      report.bindings.push({ from: binding.name, to: newName, kind: binding.kind, references: binding.references.length });
+    }
+
+    if (report.bindings.length === 0) {
+      return { code, report };
+    }
+
+    const renamed = this.applyEdits(code, edits);
+    if (!this.parse(renamed)) {
+      report.errors.push('renamed_code_does_not_parse');
+      report.bindings = [];
+      return { code, report };
+    }
+
+    report.renamed = report.bindings.length;
+    return { code: renamed, report, edits };
+  }
+
+  // Construir âmbitos, declarar bindings e resolver referências
+  analyze(ast, sourceType) {
+    const state = {
+      sourceType,
+      parents: [],
+      bindings: [],
+      references: [],
+      names: new Set(),
+      shorthand: new Map(),
+      functionContexts: new Map(),
+      functionBindings: new Map()
+    };
+    this.state = state;
+
+    const programScope = new Scope(ast, null, true);
+    this.visit(ast, programScope);
+
+    state.references.forEach(ref => {
+      const binding = ref.scope.lookup(ref.id.name);
+      if (binding) {
+        binding.references.push(ref);
+        if (ref.pin) binding.fixed = true;
+      }
+    });
+
+    this.state = null;
+    return state;
+  }
+
+  visit(node, scope) {
+    if (!node || typeof node.type !== 'string') return;
+    this.state.parents.push(node);
+    try {
+      this.visitNode(node, scope);
+    } finally {
+      this.state.parents.pop();
+    }
+  }
+
+  visitChildren(node, scope) {
+    for (const key of Object.keys(node)) {
+      if (key === 'type' || key === 'start' || key === 'end' || key === 'loc' || key === 'range') continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => this.visit(child, scope));
+      } else if (value && typeof value.type === 'string') {
+        this.visit(value, scope);
+      }
+    }
+  }
+
+  visitStatements(block, scope) {
+    this.state.parents.push(block);
+    try {
+      block.body.forEach(statement => this.visit(statement, scope));
+    } finally {
+      this.state.parents.pop();
+    }
+  }
+
+  parentOf(offset = 1) {
+    const parents = this.state.parents;
+    return parents[parents.length - 1 - offset] || null;
+  }
+
+  visitNode(node, scope) {
+    switch (node.type) {
+      case 'Identifier':
+        this.addReference(node, scope);
+        break;
+
+      case 'VariableDeclaration': {
+        const target = node.kind === 'var' ? scope.functionScope() : scope;
+        const parent = this.parentOf();
+        node.declarations.forEach(declarator => {
+          const context = {
+            init: declarator.init,
+            loop: parent && parent.type === 'ForStatement' && parent.init === node,
+            iteration: parent && (parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node ? parent.type : null
+          };
+          this.declarePattern(declarator.id, target, node.kind, scope, context);
+          if (declarator.init) this.visit(declarator.init, scope);
+        });
+        break;
+      }
+
+      case 'FunctionDeclaration': {
+        if (node.id) {
+          const binding = this.declare(node.id, scope, 'function', { init: node });
+          // Funções declaradas em blocos têm semântica Annex B em scripts: não renomear
+          if (!scope.isFunction && this.state.sourceType === 'script') binding.fixed = true;
+          this.state.functionBindings.set(node, binding);
+        }
+        this.visitFunction(node, scope);
+        break;
+      }
+
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        this.visitFunction(node, scope);
+        break;
+
+      case 'ClassDeclaration':
+        if (node.id) this.declare(node.id, scope, 'class', { init: node });
+        if (node.superClass) this.visit(node.superClass, scope);
+        this.visit(node.body, scope);
+        break;
+
+      case 'ClassExpression': {
+        let classScope = scope;
+        if (node.id) {
+          classScope = new Scope(node, scope, false);
+          this.declare(node.id, classScope, 'class', { init: node });
+        }
+        if (node.superClass) this.visit(node.superClass, classScope);
+        this.visit(node.body, classScope);
+        break;
+      }
+
+      case 'BlockStatement':
+      case 'StaticBlock':
+        this.visitStatements(node, new Scope(node, scope, node.type === 'StaticBlock'));
+        break;
+
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        this.visitChildren(node, new Scope(node, scope, false));
+        break;
+
+      case 'SwitchStatement': {
+        this.visit(node.discriminant, scope);
+        const casesScope = new Scope(node, scope, false);
+        node.cases.forEach(switchCase => this.visit(switchCase, casesScope));
+        break;
+      }
+
+      case 'CatchClause': {
+        const catchScope = new Scope(node, scope, false);
+        if (node.param) this.declarePattern(node.param, catchScope, 'catch', catchScope, {});
+        this.visitStatements(node.body, catchScope);
+        break;
+      }
+
+      case 'MemberExpression':
+        this.visit(node.object, scope);
+        if (node.computed) this.visit(node.property, scope);
+        break;
+
+      case 'Property':
+        if (node.computed) this.visit(node.key, scope);
+        if (node.shorthand) this.markShorthand(node);
+        this.visit(node.value, scope);
+        break;
+
+      case 'MethodDefinition':
+      case 'PropertyDefinition':
+        if (node.computed) this.visit(node.key, scope);
+        if (node.value) this.visit(node.value, node.type === 'PropertyDefinition' ? new Scope(node, scope, true) : scope);
+        break;
+
+      case 'LabeledStatement':
+        this.visit(node.body, scope);
+        break;
+
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'MetaProperty':
+      case 'ExportAllDeclaration':
+        break;
+
+      case 'ImportDeclaration':
+        node.specifiers.forEach(specifier => {
+          this.declare(specifier.local, scope, 'import', {}).fixed = true;
+        });
+        break;
+
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          this.visit(node.declaration, scope);
+          this.exportedIdentifiers(node.declaration).forEach(name => {
+            const binding = scope.bindings.get(name);
+            if (binding) binding.fixed = true;
+          });
+        }
+        if (!node.source) {
+          node.specifiers.forEach(specifier => this.addReference(specifier.local, scope, true));
+        }
+        break;
+
+      case 'CallExpression':
+        if (node.callee.type === 'Identifier' && node.callee.name === 'eval') scope.markDynamic();
+        this.visitChildren(node, scope);
+        break;
+
+      case 'WithStatement':
+        scope.markDynamic();
+        this.visitChildren(node, scope);
+        break;
+
+      default:
+        this.visitChildren(node, scope);
+    }
+  }
+
+  visitFunction(node, scope) {
+    this.state.functionContexts.set(node, { parent: this.parentOf(), grandparent: this.parentOf(2) });
+
+    let outer = scope;
+    if (node.type === 'FunctionExpression' && node.id) {
+      outer = new Scope(node, scope, false);
+      this.state.functionBindings.set(node, this.declare(node.id, outer, 'function', { init: node }));
+    }
+
+    const functionScope = new Scope(node, outer, true);
+    node.params.forEach((param, index) => {
+      this.declarePattern(param, functionScope, 'param', functionScope, { functionNode: node, paramIndex: index });
+    });
+
+    if (node.body.type === 'BlockStatement') {
+      this.visitStatements(node.body, functionScope);
+    } else {
+      this.visit(node.body, functionScope);
+    }
+  }
+
+  // Declarar os identificadores de um padrão; defaults e chaves computadas são expressões
+  declarePattern(pattern, target, kind, expressionScope, context) {
+    switch (pattern.type) {
+      case 'Identifier':
+        this.declare(pattern, target, kind, context);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach(property => {
+          if (property.type === 'RestElement') {
+            this.declarePattern(property.argument, target, kind, expressionScope, {});
+            return;
+          }
+          if (property.computed) this.visit(property.key, expressionScope);
+          if (property.shorthand) this.markShorthand(property);
+          const keyName = !property.computed && property.key.type === 'Identifier' ? property.key.name : null;
+          this.declarePattern(property.value, target, kind, expressionScope, { keyName });
+        });
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(element => {
+          if (element) this.declarePattern(element, target, kind, expressionScope, {});
+        });
+        break;
+      case 'RestElement':
+        this.declarePattern(pattern.argument, target, kind, expressionScope, context);
+        break;
+      case 'AssignmentPattern':
+        this.declarePattern(pattern.left, target, kind, expressionScope, { ...context, init: context.init || pattern.right });
+        this.visit(pattern.right, expressionScope);
+        break;
+      default:
+        this.visit(pattern, expressionScope);
+    }
+  }
+
+  declare(id, scope, kind, context) {
+    let binding = scope.bindings.get(id.name);
+    if (!binding) {
+      binding = {
+        name: id.name,
+        kind,
+        scope,
+        declarations: [],
+        references: [],
+        init: null,
+        context,
+        fixed: false
+      };
+      scope.bindings.set(id.name, binding);
+      this.state.bindings.push(binding);
+    }
+    binding.declarations.push(id);
+    if (!binding.init && context.init) binding.init = context.init;
+    if (context.init && (context.init.type === 'FunctionExpression' || context.init.type === 'ArrowFunctionExpression')) {
+      this.state.functionBindings.set(context.init, binding);
+    }
+    this.state.names.add(id.name);
+    return binding;
+  }
+
+  addReference(id, scope, pin = false) {
+    this.state.references.push({ id, scope, pin, parent: this.parentOf(), grandparent: this.parentOf(2) });
+    this.state.names.add(id.name);
+  }
+
+  // {a} → a chave fica, só o valor é renomeado ({a: worker})
+  markShorthand(property) {
+    const value = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+    if (value.type === 'Identifier') this.state.shorthand.set(value, property.key.name);
+  }
+
+  exportedIdentifiers(declaration) {
+    if (declaration.type === 'VariableDeclaration') {
+      return declaration.declarations.flatMap(declarator => this.patternNames(declarator.id));
+    }
+    return declaration.id ? [declaration.id.name] : [];
+  }
+
+  patternNames(pattern) {
+    switch (pattern.type) {
+      case 'Identifier': return [pattern.name];
+      case 'ObjectPattern': return pattern.properties.flatMap(p => this.patternNames(p.type === 'RestElement' ? p.argument : p.value));
+      case 'ArrayPattern': return pattern.elements.filter(Boolean).flatMap(e => this.patternNames(e));
+      case 'RestElement': return this.patternNames(pattern.argument);
+      case 'AssignmentPattern': return this.patternNames(pattern.left);
+      default: return [];
+    }
+  }
+
+  // "WebAssembly.instantiate", "fetch", "worker.postMessage"
+  calleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression') {
+      const property = callee.computed
+        ? (callee.property.type === 'Literal' ? String(callee.property.value) : null)
+        : callee.property.name;
+      if (!property) return null;
+      const object = this.calleeName(callee.object);
+      return object ? `${object}.${property}` : property;
+    }
+    return null;
+  }
+
+  // Evento para o qual a expressão é registada como handler (ou null)
+  handlerEvent(node, parent) {
+    if (!parent) return null;
+    if (parent.type === 'AssignmentExpression' && parent.right === node &&
+        parent.left.type === 'MemberExpression' && !parent.left.computed) {
+      const match = /^on(\w+)$/.exec(parent.left.property.name);
+      if (match) return match[1];
+    }
+    if (parent.type === 'CallExpression' && parent.arguments[1] === node) {
+      const callee = this.calleeName(parent.callee) || '';
+      const event = parent.arguments[0];
+      if (/(^|\.)addEventListener$/.test(callee) && event && event.type === 'Literal' && typeof event.value === 'string') {
+        return event.value;
+      }
+    }
+    if (parent.type === 'Property' && parent.value === node && !parent.computed && parent.key.type === 'Identifier') {
+      const match = /^on(\w+)$/.exec(parent.key.name);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  // Evento de uma função: registada diretamente ou através do binding a que foi atribuída
+  functionEvent(functionNode, state) {
+    const context = state.functionContexts.get(functionNode);
+    const direct = context ? this.handlerEvent(functionNode, context.parent) : null;
+    if (direct) return direct;
+    const binding = state.functionBindings.get(functionNode);
+    if (!binding) return null;
+    for (const ref of binding.references) {
+      const event = this.handlerEvent(ref.id, ref.parent);
+      if (event) return event;
+    }
+    return null;
+  }
+
+  suggestName(binding, state) {
+    const context = binding.context || {};
+
+    if (binding.kind === 'catch') return 'error';
+
+    // Uso das referências
+    for (const ref of binding.references) {
+      const { id, parent } = ref;
+      if ((parent.type === 'CallExpression' || parent.type === 'NewExpression') && parent.arguments[0] === id) {
+        const callee = this.calleeName(parent.callee) || '';
+        if (/^WebAssembly\.(instantiate|compile|validate|Module)$/.test(callee)) return 'wasmBytes';
+        if (/^WebAssembly\.(instantiateStreaming|compileStreaming)$/.test(callee)) return 'wasmResponse';
+      }
+      if (parent.type === 'NewExpression' && parent.arguments[1] === id && this.calleeName(parent.callee) === 'WebAssembly.Instance') {
+        return 'wasmImports';
+      }
+    }
+
+    const init = binding.init;
+    if (init && (init.type === 'FunctionDeclaration' || init.type === 'FunctionExpression' || init.type === 'ArrowFunctionExpression')) {
+      const event = this.functionEvent(init, state);
+      if (event) return `on${upperFirst(toCamelCase(event) || 'Event')}`;
+      const created = this.returnedConstructor(init);
+      if (created) return `create${upperFirst(created)}`;
+      return 'func';
+    }
+
+    if (binding.kind === 'param') {
+      if (context.paramIndex === 0 && this.functionEvent(context.functionNode, state)) return 'event';
+      if (binding.references.some(ref => ref.parent.type === 'CallExpression' && ref.parent.callee === ref.id)) return 'callback';
+    }
+
+    if (context.loop && init && init.type === 'Literal' && typeof init.value === 'number') return 'index';
+    if (context.iteration === 'ForInStatement') return 'key';
+    if (context.iteration === 'ForOfStatement') return 'item';
+
+    const fromInit = init ? this.initName(init) : null;
+    if (fromInit) return fromInit;
+    if (context.keyName && !this.isObscure(context.keyName)) return context.keyName;
+
+    switch (binding.kind) {
+      case 'param': return 'arg';
+      case 'class': return 'Klass';
+      default: return 'value';
+    }
+  }
+
+  // Nome a partir do valor inicial do binding
+  initName(init) {
+    switch (init.type) {
+      case 'AwaitExpression':
+        return init.argument ? this.initName(init.argument) : null;
+      case 'AssignmentExpression':
+        return this.initName(init.right);
+      case 'LogicalExpression':
+        return this.initName(init.right) || this.initName(init.left);
+      case 'ConditionalExpression':
+        return this.initName(init.consequent) || this.initName(init.alternate);
+      case 'NewExpression': {
+        const callee = this.calleeName(init.callee);
+        if (!callee) return null;
+        const wasm = /^WebAssembly\.(\w+)$/.exec(callee);
+        if (wasm) return lookup(WASM_NAMES, wasm[1]);
+        const constructorName = callee.split('.').pop();
+        return lookup(CONSTRUCTOR_NAMES, constructorName) || this.validName(lowerFirst(constructorName));
+      }
+      case 'CallExpression': {
+        const callee = this.calleeName(init.callee);
+        if (!callee) return null;
+        const wasm = /^WebAssembly\.(\w+)$/.exec(callee);
+        if (wasm) return lookup(WASM_NAMES, wasm[1]);
+        const argument = init.arguments[0];
+        const literal = argument && argument.type === 'Literal' && typeof argument.value === 'string' ? argument.value : null;
+        if (callee === 'require' && literal) return this.validName(toCamelCase(literal));
+        if (/\.createElement$/.test(callee) && literal) return this.validName(`${toCamelCase(literal)}Element`);
+        if (lookup(CALL_NAMES, callee)) return lookup(CALL_NAMES, callee);
+        const method = callee.split('.').pop();
+        if (callee.includes('.') && lookup(METHOD_NAMES, method)) return lookup(METHOD_NAMES, method);
+        const prefixed = /^(?:get|create|load|make|build|fetch|read|new|init)([A-Z][\w$]*)$/.exec(method);
+        if (prefixed) return this.validName(lowerFirst(prefixed[1]));
+        return this.isObscure(method) ? null : this.validName(`${method}Result`);
+      }
+      case 'MemberExpression':
+        if (init.computed || this.isObscure(init.property.name)) return null;
+        return this.validName(init.property.name);
+      case 'ArrayExpression':
+        return 'list';
+      case 'ObjectExpression':
+        return 'options';
+      case 'TemplateLiteral':
+        return 'text';
+      case 'Literal':
+        if (init.regex) return 'pattern';
+        if (typeof init.value === 'string') return 'text';
+        if (typeof init.value === 'number') return 'number';
+        if (typeof init.value === 'boolean') return 'flag';
+        return null;
+      case 'BinaryExpression':
+        if (init.operator === '+' && [init.left, init.right].some(side => side.type === 'Literal' && typeof side.value === 'string')) return 'text';
+        return null;
+      case 'ClassExpression':
+        return 'Klass';
+      default:
+        return null;
+    }
+  }
+
+  // Função que devolve new X → "x" (para createX)
+  returnedConstructor(functionNode) {
+    const body = functionNode.body;
+    const returned = body.type === 'BlockStatement'
+      ? body.body.filter(statement => statement.type === 'ReturnStatement').map(statement => statement.argument)
+      : [body];
+    for (const argument of returned) {
+      if (argument && argument.type === 'NewExpression') {
+        const callee = this.calleeName(argument.callee);
+        if (callee) return callee.split('.').pop();
+      }
+    }
+    return null;
+  }
+
+  validName(name) {
+    if (!name || !IDENTIFIER.test(name) || this.isObscure(name) || RESERVED.has(name)) return null;
+    return name;
+  }
+
+  // Nome único no ficheiro: nunca colide com outro binding, global ou nome já atribuído
+  allocate(base, used) {
+    let name = base;
+    let counter = 2;
+    while (used.has(name)) {
+      name = `${base}${counter++}`;
+    }
+    used.add(name);
+    return name;
+  }
+
+  applyEdits(code, edits) {
+    const sorted = [...edits].sort((a, b) => b.start - a.start);
+    let result = code;
+    for (const edit of sorted) {
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+  }
+}
+
+module.exports = { ScopeRenamer };
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', '..', 'signatures', 'known_miners.json');
+
+// Parâmetros do fuzzy hash (MinHash sobre shingles de tokens JS normalizados)
+const FUZZY_PREFIX = 'mh1';
+const FUZZY_PERMUTATIONS = 64;
+const FUZZY_SHINGLE = 5;
+const FUZZY_MIN_TOKENS = 50;
+
+// Funções WASM muito pequenas geram hashes iguais em módulos sem relação
+const MIN_FUNCTION_INSTRUCTIONS = 16;
+
+const JS_KEYWORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'return', 'super', 'switch', 'this', 'throw', 'try', 'typeof',
+  'var', 'void', 'while', 'with', 'yield', 'async', 'await', 'null', 'true', 'false', 'undefined'
+]);
+
+const JS_TOKEN = /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\d[\w.]*)|([A-Za-z_$][\w$]*)|(\S)/g;
+
+class SignatureDatabase {
+  constructor(options = {}) {
+    this.dbPath = options.dbPath || process.env.MINER_SIGNATURES || DEFAULT_DB_PATH;
+    this.data = null;
+  }
+
+  // Carregar a base (vazia se o ficheiro não existir)
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.dbPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Erro ao ler base de assinaturas ${this.dbPath}: ${error.message}`);
+      }
+      this.data = { version: 0, families: [] };
+    }
+
+    this.data.families = this.data.families || [];
+    return this.data;
+  }
+
+  save() {
+    const data = this.load();
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    fs.writeFileSync(this.dbPath, JSON.stringify(data, null, 2) + '\n');
+  }
+
+  get version() {
+    return this.load().version;
+  }
+
+  get fuzzyThreshold() {
+    return this.load().fuzzyThreshold || 0.7;
+  }
+
+  // Nomes/palavras-chave de todas as famílias
+  getNameIndicators() {
+    const indicators = [];
+    this.load().families.forEach(family => {
+      (family.names || []).forEach(name => indicators.push({ family: family.name, name }));
+    });
+    return indicators;
+  }
+
+  sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // Hash de função WASM: sequência de opcodes e constantes (ignora índices e nomes)
+  hashWasmFunction(instructions) {
+    if (!instructions || instructions.length < MIN_FUNCTION_INSTRUCTIONS) return null;
+
+    const normalized = instructions
+      .map(inst => inst.value !== undefined ? `${inst.op}:${inst.value}` : inst.op)
+      .join(';');
+    return this.sha256(normalized);
+  }
+
+  // Tokens JS normalizados: identificadores (exceto palavras reservadas e propriedades após '.') e strings viram marcadores
+  tokenizeJavaScript(content) {
+    const tokens = [];
+    let match;
+
+    JS_TOKEN.lastIndex = 0;
+    while ((match = JS_TOKEN.exec(content)) !== null) {
+      if (match[1]) continue;
+      if (match[2]) tokens.push('S');
+      else if (match[3]) tokens.push(match[3]);
+      else if (match[4]) tokens.push(JS_KEYWORDS.has(match[4]) || tokens[tokens.length - 1] === '.' ? match[4] : 'I');
+      else tokens.push(match[5]);
+    }
+
+    return tokens;
+  }
+
+  // Fuzzy hash (MinHash) de um bundle JS; null se o ficheiro for pequeno demais
+  fuzzyHash(content) {
+    const tokens = this.tokenizeJavaScript(content);
+    if (tokens.length < FUZZY_MIN_TOKENS) return null;
+
+    const mins = new Array(FUZZY_PERMUTATIONS).fill(0xffffffff);
+    const seen = new Set();
+
+    for (let i = 0; i + FUZZY_SHINGLE <= tokens.length; i++) {
+      const base = this.fnv1a(tokens.slice(i, i + FUZZY_SHINGLE).join(' '));
+      if (seen.has(base)) continue;
+      seen.add(base);
+
+      for (let k = 0; k < FUZZY_PERMUTATIONS; k++) {
+        const value = this.mix(base, k);
+        if (value < mins[k]) mins[k] = value;
+      }
+    }
+
+    return `${FUZZY_PREFIX}:${mins.map(value => value.toString(16).padStart(8, '0')).join('')}`;
+  }
+
+  // Similaridade estimada (Jaccard) entre dois fuzzy hashes
+  compareFuzzy(a, b) {
+    if (!a || !b) return 0;
+    const [prefixA, valuesA] = a.split(':');
+    const [prefixB, valuesB] = b.split(':');
+    if (prefixA !== prefixB || valuesA.length !== valuesB.length) return 0;
+
+    let equal = 0;
+    for (let i = 0; i < valuesA.length; i += 8) {
+      if (valuesA.slice(i, i + 8) === valuesB.slice(i, i + 8)) equal++;
+    }
+    return equal / (valuesA.length / 8);
+  }
+
+  fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  mix(value, seed) {
+    let hash = (value ^ Math.imul(seed + 1, 0x9e3779b1)) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+  }
+
+  // Comparar um ficheiro JS com a base (nomes procurados no código simplificado, se houver)
+  matchJavaScript(content, simplified = content) {
+    const sha256 = this.sha256(content);
+    const fuzzy = this.fuzzyHash(content);
+    const matches = [];
+
+    this.load().families.forEach(family => {
+      if ((family.sha256 || []).includes(sha256)) {
+        matches.push({ family: family.name, matchType: 'sha256', confidence: 1, detail: sha256 });
+      }
+
+      if (fuzzy && family.fuzzy && family.fuzzy.length > 0) {
+        const similarity = Math.max(...family.fuzzy.map(hash => this.compareFuzzy(fuzzy, hash)));
+        if (similarity >= this.fuzzyThreshold) {
+          matches.push({
+            family: family.name,
+            matchType: 'fuzzy',
+            confidence: Math.round(similarity * 100) / 100,
+            detail: `${(similarity * 100).toFixed(0)}% similar`
+          });
+        }
+      }
+    });
+
+    matches.push(...this.matchNames(simplified));
+    return this.buildResult(sha256, matches, { fuzzy });
+  }
+
+  // Comparar um módulo WASM com a base (ficheiro inteiro e hashes por função)
+  matchWasm(raw, functions = [], text = '') {
+    const sha256 = raw ? this.sha256(raw) : null;
+    const functionHashes = functions.filter(func => func.signatureHash);
+    const matches = [];
+
+    this.load().families.forEach(family => {
+      if ((family.sha256 || []).includes(sha256)) {
+        matches.push({ family: family.name, matchType: 'sha256', confidence: 1, detail: sha256 });
+      }
+
+      const known = new Set(family.wasmFunctions || []);
+      if (known.size === 0) return;
+
+      const matched = functionHashes.filter(func => known.has(func.signatureHash));
+      const required = Math.min(family.minFunctionMatches || 3, known.size);
+      if (matched.length >= required) {
+        matches.push({
+          family: family.name,
+          matchType: 'wasm_function',
+          confidence: Math.round(Math.min(1, 0.7 + 0.3 * matched.length / known.size) * 100) / 100,
+          detail: `${matched.length}/${known.size} functions`,
+          functions: matched.map(func => func.index)
+        });
+      }
+    });
+
+    matches.push(...this.matchNames(text));
+    return this.buildResult(sha256, matches);
+  }
+
+  // Palavras-chave das famílias como palavra inteira (evidência fraca, não altera a confiança):
+  // 'coinimp' não aparece em 'coinimporter' nem 'deepminer' em 'mydeepminerstats'
+  matchNames(content) {
+    const lower = content.toLowerCase();
+    return this.getNameIndicators()
+      .filter(indicator => {
+        const escaped = indicator.name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`).test(lower);
+      })
+      .map(indicator => ({
+        family: indicator.family,
+        matchType: 'name',
+        confidence: 0,
+        detail: indicator.name
+      }));
+  }
+
+  buildResult(sha256, matches, extra = {}) {
+    const strong = matches.filter(match => match.matchType !== 'name')
+      .sort((a, b) => b.confidence - a.confidence);
+    const best = strong[0] || matches[0] || null;
+
+    return {
+      version: this.version,
+      sha256,
+      ...extra,
+      family: best ? best.family : null,
+      matchType: best ? best.matchType : null,
+      matches
+    };
+  }
+
+  // Aplicar correspondências ao resultado de mining (hash/fuzzy são evidência definitiva)
+  annotateMining(mining, signatures) {
+    if (!signatures || signatures.matches.length === 0) return mining;
+
+    signatures.matches.forEach(match => {
+      mining.indicators.push(`known_miner: ${match.family} (${match.matchType})`);
+      mining.evidence.push(`Known miner family ${match.family} matched by ${match.matchType}: ${match.detail}`);
+
+      if (match.matchType !== 'name') {
+        mining.detected = true;
+        mining.confidence = Math.max(mining.confidence, match.confidence);
+      }
+    });
+
+    mining.family = signatures.family;
+    mining.matchType = signatures.matchType;
+    return mining;
+  }
+
+  // Adicionar amostras conhecidas a uma família (cria a família se não existir)
+  addSamples(familyName, filePaths, options = {}) {
+    const data = this.load();
+    let family = data.families.find(item => item.name.toLowerCase() === familyName.toLowerCase());
+    if (!family) {
+      family = { name: familyName, description: options.description || '', names: [], sha256: [], wasmFunctions: [], fuzzy: [] };
+      data.families.push(family);
+    }
+
+    const addUnique = (list, value) => {
+      if (value && !list.includes(value)) list.push(value);
+    };
+
+    for (const filePath of filePaths) {
+      const raw = fs.readFileSync(filePath);
+      family.sha256 = family.sha256 || [];
+      addUnique(family.sha256, this.sha256(raw));
+
+      if (options.wasmAnalyzer && path.extname(filePath).toLowerCase() === '.wasm') {
+        const module = options.wasmAnalyzer.binaryParser.parse(raw);
+        family.wasmFunctions = family.wasmFunctions || [];
+        module.functions
+          .filter(func => !func.imported)
+          .forEach(func => addUnique(family.wasmFunctions, this.hashWasmFunction(func.instructions)));
+      } else if (path.extname(filePath).toLowerCase() === '.js') {
+        family.fuzzy = family.fuzzy || [];
+        addUnique(family.fuzzy, this.fuzzyHash(raw.toString('utf8')));
+      }
+    }
+
+    data.version = (data.version || 0) + 1;
+    data.updated = new Date().toISOString().slice(0, 10);
+    this.save();
+    return family;
+  }
+}
+
+module.exports = { SignatureDatabase, DEFAULT_DB_PATH };
+
+// Exportar antes da CLI: enhanced_wasm_analyzer.js também requer este módulo
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const db = new SignatureDatabase();
+
+  if (command === 'list') {
+    const data = db.load();
+    console.log(`Base de assinaturas v${data.version} (${db.dbPath})`);
+    data.families.forEach(family => {
+      console.log(`- ${family.name}: ${(family.sha256 || []).length} sha256, ` +
+        `${(family.wasmFunctions || []).length} funções WASM, ${(family.fuzzy || []).length} fuzzy, ` +
+        `${(family.names || []).length} nomes`);
+    });
+  } else if (command === 'add' && args.length >= 2) {
+    const { EnhancedWasmAnalyzer } = require('./enhanced_wasm_analyzer.js');
+    const family = db.addSamples(args[0], args.slice(1), { wasmAnalyzer: new EnhancedWasmAnalyzer({ signatures: db }) });
+    console.log(`✅ Família ${family.name} atualizada (base v${db.version})`);
+  } else if (command === 'match' && args.length === 1) {
+    const { EnhancedWasmAnalyzer } = require('./enhanced_wasm_analyzer.js');
+    const filePath = args[0];
+    if (path.extname(filePath).toLowerCase() === '.js') {
+      console.log(JSON.stringify(db.matchJavaScript(fs.readFileSync(filePath, 'utf8')), null, 2));
+    } else {
+      new EnhancedWasmAnalyzer({ signatures: db }).analyzeWasm(filePath).then(result => {
+        console.log(JSON.stringify(result.signatures || { error: result.error }, null, 2));
+      });
+    }
+  } else {
+    console.error('Uso: node signature_db.js list');
+    console.error('     node signature_db.js add <família> <ficheiro...>');
+    console.error('     node signature_db.js match <ficheiro>');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64_DIGITS].map((digit, index) => [digit, index]));
+// Prefixo anti-XSSI que alguns servidores põem antes do JSON do mapa
+const XSSI_PREFIX = /^\)\]\}'[^\n]*\n/;
+// Fontes originais que vale a pena analisar como JavaScript (sem extensão: webpack/bootstrap e afins)
+const SCRIPT_SOURCE = /(?:\.(?:[cm]?js|jsx|ts|tsx)|\/[^./]+)$/i;
+
+// Último comentário //# sourceMappingURL= (ou o antigo //@) de um script; null se não houver
+function findSourceMappingUrl(code) {
+  const marker = 'sourceMappingURL=';
+  const index = code.lastIndexOf(marker);
+  if (index < 0) return null;
+  const lineStart = code.lastIndexOf('\n', index) + 1;
+  if (!/\/\/[#@][ \t]*$/.test(code.slice(lineStart, index))) return null;
+  const match = /^[^\s'"`]+/.exec(code.slice(index + marker.length));
+  return match ? match[0] : null;
+}
+
+// Conteúdo de um URL data: (base64 ou percent-encoded); null se não for data:
+function decodeDataUrl(url) {
+  const match = /^data:([^,]*),(.*)$/s.exec(url);
+  if (!match) return null;
+  if (/;base64$/i.test(match[1])) return Buffer.from(match[2], 'base64').toString('utf8');
+  try {
+    return decodeURIComponent(match[2]);
+  } catch {
+    return match[2];
+  }
+}
+
+// Reconstrução das fontes originais a partir de source maps v3:
+//   - o mapa vem de <script>.map gravado pelo crawler, do sourceMappingURL (ficheiro local ou data: inline)
+//   - sourcesContent dá o código original de cada fonte (webpack:///./src/miner.js, ../lib/x.ts...)
+//   - as mappings (VLQ) ligam posições do código gerado a fonte/linha/coluna originais
+// Mapas indexados (sections) são achatados num só mapa com as linhas deslocadas.
+class SourceMapReconstructor {
+  constructor(options = {}) {
+    this.options = {
+      maxSources: 2000,
+      ...options
+    };
+  }
+
+  // Mapa de um script: <ficheiro>.map ao lado, ou o referido pelo sourceMappingURL; null se não houver
+  load(filePath, code) {
+    const candidates = [`${filePath}.map`];
+    const reference = findSourceMappingUrl(code);
+    if (reference && reference.startsWith('data:')) {
+      const inline = decodeDataUrl(reference);
+      if (inline !== null) candidates.push({ inline });
+    } else if (reference && !/^[a-z][\w+.-]*:/i.test(reference)) {
+      candidates.push(path.resolve(path.dirname(filePath), decodeURIComponent(reference.split(/[?#]/)[0])));
+    }
+
+    for (const candidate of candidates) {
+      let text;
+      let mapPath = null;
+      if (typeof candidate === 'string') {
+        if (!fs.existsSync(candidate) || !fs.statSync(candidate).isFile()) continue;
+        text = fs.readFileSync(candidate, 'utf8');
+        mapPath = candidate;
+      } else {
+        text = candidate.inline;
+      }
+      const map = this.parse(text);
+      if (map) return { ...map, mapPath, inline: mapPath === null };
+    }
+    return null;
+  }
+
+  // JSON do mapa → { file, sources, sourcesContent, lines } (lines: segmentos por linha gerada); null se inválido
+  parse(text) {
+    let raw;
+    try {
+      raw = JSON.parse(text.replace(/^\uFEFF/, '').replace(XSSI_PREFIX, ''));
+    } catch {
+      return null;
+    }
+    if (!raw || raw.version !== 3) return null;
+
+    const map = { file: raw.file || null, sources: [], sourcesContent: [], lines: [] };
+    if (Array.isArray(raw.sections)) {
+      for (const section of raw.sections) {
+        if (!section.map || !section.offset) continue;
+        this.append(map, section.map, section.offset.line || 0, section.offset.column || 0);
+      }
+    } else if (typeof raw.mappings === 'string') {
+      this.append(map, raw, 0, 0);
+    } else {
+      return null;
+    }
+    return map;
+  }
+
+  // Juntar um mapa (ou secção) ao mapa achatado, a partir da linha/coluna geradas indicadas
+  append(map, raw, lineOffset, columnOffset) {
+    if (raw.version !== 3 || typeof raw.mappings !== 'string') return;
+    const base = map.sources.length;
+    const root = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+    (raw.sources || []).forEach((source, index) => {
+      map.sources.push(source === null ? null : `${root}${source}`);
+      const content = Array.isArray(raw.sourcesContent) ? raw.sourcesContent[index] : null;
+      map.sourcesContent.push(typeof content === 'string' ? content : null);
+    });
+
+    this.decodeMappings(raw.mappings).forEach((segments, line) => {
+      if (segments.length === 0) return;
+      const target = lineOffset + line;
+      while (map.lines.length <= target) map.lines.push([]);
+      segments.forEach(segment => {
+        const column = line === 0 ? segment[0] + columnOffset : segment[0];
+        map.lines[target].push(segment.length >= 4
+          ? [column, segment[1] + base, segment[2], segment[3]]
+          : [column]);
+      });
+    });
+  }
+
+  // Mappings VLQ → por linha gerada, segmentos [coluna, fonte, linha, coluna] com valores absolutos
+  decodeMappings(mappings) {
+    const lines = [];
+    let source = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+
+    mappings.split(';').forEach(group => {
+      const segments = [];
+      let column = 0;
+      for (const encoded of group.split(',')) {
+        if (!encoded) continue;
+        const values = this.decodeVlq(encoded);
+        if (!values) continue;
+        column += values[0];
+        if (values.length >= 4) {
+          source += values[1];
+          originalLine += values[2];
+          originalColumn += values[3];
+          segments.push([column, source, originalLine, originalColumn]);
+        } else {
+          segments.push([column]);
+        }
+      }
+      segments.sort((a, b) => a[0] - b[0]);
+      lines.push(segments);
+    });
+    return lines;
+  }
+
+  decodeVlq(encoded) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const digit of encoded) {
+      const bits = BASE64_VALUES.get(digit);
+      if (bits === undefined) return null;
+      value += (bits & 31) * 2 ** shift;
+      if (bits & 32) {
+        shift += 5;
+        continue;
+      }
+      values.push(value % 2 === 1 ? -(value - 1) / 2 : value / 2);
+      value = 0;
+      shift = 0;
+    }
+    return shift === 0 ? values : null;
+  }
+
+  // Fontes com sourcesContent como ficheiros: { index, source, path (relativo e seguro), content, script }
+  reconstruct(map) {
+    const sources = [];
+    const usedPaths = new Set();
+    let missing = 0;
+
+    map.sources.forEach((source, index) => {
+      const content = map.sourcesContent[index];
+      if (source === null || content === null) {
+        missing++;
+        return;
+      }
+      if (sources.length >= this.options.maxSources) return;
+
+      let relative = this.sourcePath(source) || `source_${index}.js`;
+      if (usedPaths.has(relative)) {
+        const ext = path.posix.extname(relative);
+        relative = `${relative.slice(0, relative.length - ext.length)}_${index}${ext}`;
+      }
+      usedPaths.add(relative);
+      sources.push({ index, source, path: relative, content, script: SCRIPT_SOURCE.test(`/${relative}`) });
+    });
+
+    return { sources, missing };
+  }
+
+  // webpack:///./src/miner.js?abcd → webpack/src/miner.js (sem '..', sem query, segmentos sanitizados)
+  sourcePath(source) {
+    const scheme = /^([a-z][\w+.-]*):\/*/i.exec(source);
+    const rest = (scheme ? source.slice(scheme[0].length) : source).split(/[?#]/)[0];
+    const segments = rest.split(/[\\/]+/)
+      .filter(segment => segment && segment !== '.' && segment !== '..')
+      .map(segment => segment.replace(/[^\w.@+-]+/g, '_').slice(0, 100));
+    if (segments.length === 0) return null;
+    if (scheme && scheme[1].toLowerCase() !== 'file') segments.unshift(scheme[1].toLowerCase());
+    return segments.join('/');
+  }
+
+  lineStarts(code) {
+    const starts = [0];
+    for (let index = code.indexOf('\n'); index !== -1; index = code.indexOf('\n', index + 1)) starts.push(index + 1);
+    return starts;
+  }
+
+  // Posição original (fonte, linha e coluna 1-based) de um offset no código gerado; null se não mapeado
+  originalPosition(map, code, offset, lineStarts = this.lineStarts(code)) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    const column = offset - lineStarts[low];
+    const segments = map.lines[low] || [];
+
+    high = segments.length - 1;
+    low = 0;
+    let found = null;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (segments[middle][0] <= column) {
+        found = segments[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    if (!found || found.length < 4 || map.sources[found[1]] === undefined) return null;
+    return { source: map.sources[found[1]], line: found[2] + 1, column: found[3] + 1 };
+  }
+
+  // Localizar termos detetados no código gerado e devolvê-los na fonte original
+  // ({ term, source, line, column }, uma entrada por termo e fonte)
+  locate(map, code, terms, maxPerTerm = 5) {
+    const locations = [];
+    const lowerCode = code.toLowerCase();
+    const lineStarts = this.lineStarts(code);
+    for (const term of terms) {
+      const needle = term.toLowerCase();
+      const seen = new Set();
+      for (let offset = lowerCode.indexOf(needle); offset !== -1 && seen.size < maxPerTerm; offset = lowerCode.indexOf(needle, offset + needle.length)) {
+        const position = this.originalPosition(map, code, offset, lineStarts);
+        if (!position || seen.has(position.source)) continue;
+        seen.add(position.source);
+        locations.push({ term, ...position });
+      }
+    }
+    return locations;
+  }
+}
+
+module.exports = { SourceMapReconstructor, findSourceMappingUrl, decodeDataUrl };
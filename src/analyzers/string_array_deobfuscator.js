@@ -0,0 +1,524 @@
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const { BASE64_PRELUDE } = require('./sandbox_prelude');
+const { IsolatedSandbox } = require('./isolated_sandbox');
+
+// Alfabeto usado pelos decoders base64/RC4 do javascript-obfuscator
+const BASE64_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';
+
+// Globais mínimos do contexto: atob/btoa e aliases do objeto global
+const SANDBOX_PRELUDE = `${BASE64_PRELUDE}
+var window = this, self = this, globalThis = this;
+`;
+
+// Desofuscação de string arrays do javascript-obfuscator (obfuscator.io) sobre o AST:
+// array de strings (var ou função que se redefine), IIFE de rotação, decoders e wrappers.
+// As funções encontradas são avaliadas no IsolatedSandbox (limites de memória e tempo) e cada
+// chamada com argumentos constantes é substituída pelo literal decodificado.
+class StringArrayDeobfuscator {
+  constructor(options = {}) {
+    this.options = {
+      minStrings: 3,
+      timeout: 1000,
+      memoryLimitMb: 64,
+      maxDecoderSize: 8000,
+      removeDecoders: true,
+      ...options
+    };
+    this.sandbox = new IsolatedSandbox({ timeout: this.options.timeout, memoryLimitMb: this.options.memoryLimitMb });
+  }
+
+  parse(code) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+    try {
+      return acorn.parse(code, { ...options, sourceType: 'script' });
+    } catch {
+      try {
+        return acorn.parse(code, { ...options, sourceType: 'module' });
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  // Devolve { code, report, edits } — report.detected indica se a variante foi reconhecida;
+  // edits (só quando há substituições) são as edições aplicadas sobre o código de entrada
+  deobfuscate(code) {
+    const report = {
+      detected: false,
+      variant: null,
+      arrayType: null,
+      rotation: false,
+      encoding: 'none',
+      arrays: [],
+      decoders: [],
+      wrappers: [],
+      aliases: [],
+      replacements: 0,
+      unresolved: 0,
+      decodersRemoved: false,
+      errors: []
+    };
+
+    const ast = this.parse(code);
+    if (!ast) {
+      report.errors.push('parse_failed');
+      return { code, report };
+    }
+
+    const arrays = this.findStringArrays(ast);
+    if (arrays.length === 0) return { code, report };
+    const arrayNames = new Set(arrays.map(array => array.name));
+
+    const decoders = this.findDecoders(ast, arrayNames);
+    if (decoders.length === 0) return { code, report };
+
+    const rotations = this.findRotations(ast, arrayNames, code);
+
+    // Um array comum lido por uma função não chega: exige rotação, array auto-redefinido
+    // ou deslocamento do índice no decoder (`i = i - 0x1e0`)
+    const obfuscatorShape = rotations.length > 0 || arrays.some(array => array.type === 'function') ||
+      decoders.some(decoder => this.shiftsIndex(decoder.fn));
+    if (!obfuscatorShape) return { code, report };
+
+    // O array não pode ser usado (nem alterado) fora da maquinaria
+    const arrayRanges = [...arrays, ...decoders, ...rotations];
+    let escapes = false;
+    walk.full(ast, node => {
+      if (node.type === 'Identifier' && arrayNames.has(node.name) &&
+          !arrayRanges.some(range => node.start >= range.start && node.end <= range.end)) {
+        escapes = true;
+      }
+    });
+    if (escapes) {
+      report.errors.push('string_array_used_outside_decoders');
+      return { code, report };
+    }
+
+    const callables = new Map(decoders.map(decoder => [decoder.name, decoder.name]));
+    const { wrappers, aliases } = this.findWrappersAndAliases(ast, callables);
+
+    report.arrays = arrays.map(array => ({ name: array.name, type: array.type, strings: array.count }));
+    report.arrayType = arrays[0].type;
+    report.decoders = decoders.map(decoder => decoder.name);
+    report.wrappers = wrappers.map(wrapper => wrapper.name);
+    report.aliases = aliases.map(alias => alias.name);
+    report.rotation = rotations.length > 0;
+    const encodings = new Set(decoders.map(decoder => this.detectEncoding(code.slice(decoder.start, decoder.end))));
+    if (encodings.size > 1) encodings.delete('none');
+    report.encoding = [...encodings].join('+');
+
+    // Código executado no sandbox: array, decoders, wrappers e rotação
+    const sandboxSource = [
+      ...arrays.map(array => array.type === 'var' ? `var ${array.name} = ${code.slice(array.init.start, array.init.end)}` : code.slice(array.start, array.end)),
+      ...decoders.map(decoder => this.declarationSource(decoder, code)),
+      ...wrappers.map(wrapper => this.declarationSource(wrapper, code, callables)),
+      ...rotations.map(rotation => code.slice(rotation.start, rotation.end))
+    ].join(';\n');
+
+    // Zonas que pertencem à maquinaria do obfuscator (não são call sites a substituir)
+    const machinery = [...arrays, ...decoders, ...wrappers, ...rotations];
+    const insideMachinery = node => machinery.some(range => node.start >= range.start && node.end <= range.end);
+
+    const edits = [];
+    const remainingReferences = [];
+    const calls = [];
+    walk.full(ast, node => {
+      if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && callables.has(node.callee.name)) {
+        if (insideMachinery(node)) return;
+        if (!node.arguments.every(arg => this.isStatic(arg))) {
+          report.unresolved++;
+          remainingReferences.push(node.callee);
+          return;
+        }
+        calls.push(node);
+      }
+    });
+
+    // Todas as chamadas são avaliadas de uma vez no mesmo processo do sandbox
+    const sandboxed = this.sandbox.runSync({
+      prelude: SANDBOX_PRELUDE,
+      scripts: [sandboxSource],
+      evaluate: calls.map(node => {
+        const args = node.arguments.map(arg => code.slice(arg.start, arg.end)).join(', ');
+        return `${callables.get(node.callee.name)}(${args})`;
+      })
+    });
+    const sandboxError = sandboxed.error || (sandboxed.errors.length > 0 ? sandboxed.errors[0].message : null);
+    if (sandboxError) {
+      report.errors.push(`sandbox: ${sandboxError}`);
+      report.unresolved = 0;
+      return { code, report };
+    }
+
+    report.detected = true;
+    report.variant = this.describeVariant(report);
+
+    calls.forEach((node, index) => {
+      const value = sandboxed.values[index];
+      if (typeof value === 'string') {
+        edits.push({ start: node.start, end: node.end, text: JSON.stringify(value), callee: node.callee });
+        report.replacements++;
+        return;
+      }
+      // chamada que o decoder não consegue resolver
+      report.unresolved++;
+      remainingReferences.push(node.callee);
+    });
+
+    // Referências que sobram fora da maquinaria e dos aliases impedem a remoção
+    const replacedCallees = new Set(edits.map(edit => edit.callee));
+    const aliasIds = new Set(aliases.map(alias => alias.node.id));
+    const trackedNames = new Set([...arrayNames, ...callables.keys()]);
+    walk.full(ast, node => {
+      if (node.type !== 'Identifier' || !trackedNames.has(node.name)) return;
+      if (replacedCallees.has(node) || aliasIds.has(node) || insideMachinery(node)) return;
+      if (aliases.some(alias => node.start >= alias.node.start && node.end <= alias.node.end)) return;
+      remainingReferences.push(node);
+    });
+
+    if (this.options.removeDecoders && remainingReferences.length === 0) {
+      machinery.forEach(range => edits.push({ start: range.removeStart, end: range.removeEnd, text: '' }));
+      aliases.forEach(alias => edits.push({ start: alias.removeStart, end: alias.removeEnd, text: '' }));
+      report.decodersRemoved = true;
+    }
+
+    return { code: this.applyEdits(code, edits), report, edits };
+  }
+
+  // Arrays de strings sem a maquinaria do obfuscator (`var X = ['a', 'b', 'c']; f(X[1])`): cada
+  // X[n] passa ao literal, mas só quando todas as ocorrências do nome são a declaração ou leituras
+  // com índice inteiro dentro dos limites (nem atribuições, nem X passado como valor, nem sombras).
+  // Devolve { code, report, edits }; a declaração fica (pode ser uma global)
+  inlineIndexedArrays(code) {
+    const report = { arrays: [], replacements: 0, errors: [] };
+    const ast = this.parse(code);
+    if (!ast) {
+      report.errors.push('parse_failed');
+      return { code, report, edits: [] };
+    }
+
+    const candidates = new Map();
+    this.findStringArrays(ast).filter(array => array.type === 'var').forEach(array => {
+      // Declarado duas vezes: nenhum dos dois é garantidamente o lido
+      candidates.set(array.name, candidates.has(array.name) ? null : { ...array, reads: [] });
+    });
+
+    walk.fullAncestor(ast, (node, state, ancestors) => {
+      if (node.type !== 'Identifier' || !candidates.get(node.name)) return;
+      const array = candidates.get(node.name);
+      const parent = ancestors[ancestors.length - 2];
+      if (parent.type === 'VariableDeclarator' && parent.id === node && parent.init === array.init) return;
+      const index = parent.type === 'MemberExpression' && parent.object === node && parent.computed &&
+        parent.property.type === 'Literal' ? parent.property.value : null;
+      if (Number.isInteger(index) && index >= 0 && index < array.count &&
+          this.isPlainRead(parent, ancestors[ancestors.length - 3], ancestors[ancestors.length - 4])) {
+        array.reads.push({ member: parent, statement: ancestors[ancestors.length - 3].type === 'ExpressionStatement' });
+        return;
+      }
+      candidates.set(node.name, null);
+    });
+
+    const edits = [];
+    candidates.forEach(array => {
+      if (!array || array.reads.length === 0) return;
+      array.reads.forEach(({ member, statement }) => {
+        const literal = JSON.stringify(array.init.elements[member.property.value].value);
+        // Uma string sozinha numa instrução passaria a ser uma diretiva ('use strict')
+        edits.push({ start: member.start, end: member.end, text: statement ? `(${literal})` : literal });
+      });
+      report.arrays.push({ name: array.name, strings: array.count, replacements: array.reads.length });
+      report.replacements += array.reads.length;
+    });
+
+    return { code: edits.length > 0 ? this.applyEdits(code, edits) : code, report, edits };
+  }
+
+  // X[n] só lido: não é alvo de atribuição, ++/--, delete, desestruturação nem chamado
+  isPlainRead(member, parent, grandparent) {
+    switch (parent.type) {
+      case 'AssignmentExpression':
+      case 'AssignmentPattern':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        return parent.left !== member;
+      case 'UpdateExpression':
+      case 'RestElement':
+        return false;
+      case 'UnaryExpression':
+        return parent.operator !== 'delete';
+      case 'CallExpression':
+      case 'NewExpression':
+        return parent.callee !== member;
+      case 'TaggedTemplateExpression':
+        return parent.tag !== member;
+      case 'ArrayPattern':
+        return false;
+      case 'Property':
+        return parent.value !== member || !grandparent || grandparent.type !== 'ObjectPattern';
+      default:
+        return true;
+    }
+  }
+
+  // Arrays de strings: `var X = ['a', 'b', ...]` ou `function X() { var a = [...]; X = function () { return a; }; return X(); }`
+  findStringArrays(ast) {
+    const arrays = [];
+    const isStringArray = node => node && node.type === 'ArrayExpression' &&
+      node.elements.length >= this.options.minStrings &&
+      node.elements.every(element => element && element.type === 'Literal' && typeof element.value === 'string');
+
+    walk.fullAncestor(ast, (node, state, ancestors) => {
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        let literalArray = null;
+        let redefines = false;
+        walk.full(node.body, inner => {
+          if (inner.type === 'VariableDeclarator' && isStringArray(inner.init)) literalArray = inner.init;
+          if (inner.type === 'AssignmentExpression' && inner.left.type === 'Identifier' && inner.left.name === node.id.name) redefines = true;
+        });
+        if (literalArray && redefines) {
+          arrays.push({ name: node.id.name, type: 'function', count: literalArray.elements.length, ...this.statementRange(node) });
+        }
+      }
+
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isStringArray(node.init)) {
+        const inFunction = ancestors.slice(0, -1).some(ancestor => /Function/.test(ancestor.type));
+        if (inFunction) return;
+        arrays.push({
+          name: node.id.name,
+          type: 'var',
+          count: node.init.elements.length,
+          init: node.init,
+          start: node.start,
+          end: node.end,
+          ...this.declaratorRemoval(node, ancestors[ancestors.length - 2])
+        });
+      }
+    });
+
+    return arrays;
+  }
+
+  // Decoders: funções nomeadas que leem diretamente o array (sem ser numa função aninhada)
+  findDecoders(ast, arrayNames) {
+    const decoders = [];
+    const candidates = [];
+
+    walk.fullAncestor(ast, (node, state, ancestors) => {
+      if (node.type === 'FunctionDeclaration' && node.id && !arrayNames.has(node.id.name)) {
+        candidates.push({ name: node.id.name, fn: node, ...this.statementRange(node) });
+      }
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init &&
+          /^(?:FunctionExpression|ArrowFunctionExpression)$/.test(node.init.type)) {
+        candidates.push({
+          name: node.id.name,
+          fn: node.init,
+          start: node.start,
+          end: node.end,
+          ...this.declaratorRemoval(node, ancestors[ancestors.length - 2])
+        });
+      }
+    });
+
+    candidates.forEach(candidate => {
+      if (candidate.fn.params.length === 0) return;
+      if (candidate.end - candidate.start > this.options.maxDecoderSize) return;
+      if (this.directlyReferences(candidate.fn.body, arrayNames)) {
+        decoders.push(candidate);
+      }
+    });
+
+    return decoders;
+  }
+
+  // IIFE de rotação: chamada a uma função anónima com o array como argumento e push/shift no corpo
+  findRotations(ast, arrayNames, code) {
+    const rotations = [];
+    walk.full(ast, node => {
+      if (node.type !== 'ExpressionStatement') return;
+      let expression = node.expression;
+      if (expression.type === 'UnaryExpression') expression = expression.argument;
+      if (expression.type !== 'CallExpression') return;
+      const callee = expression.callee;
+      if (!/^(?:FunctionExpression|ArrowFunctionExpression)$/.test(callee.type)) return;
+      if (!expression.arguments.some(arg => arg.type === 'Identifier' && arrayNames.has(arg.name))) return;
+      const source = code.slice(node.start, node.end);
+      if (!/push/.test(source) || !/shift/.test(source)) return;
+      rotations.push(this.statementRange(node));
+    });
+    return rotations;
+  }
+
+  // Wrappers (`function w(a, b) { return decoder(a - 0x12, b); }`) e aliases (`var w = decoder`), até ao ponto fixo
+  findWrappersAndAliases(ast, callables) {
+    const wrappers = [];
+    const aliases = [];
+    const processed = new Set();
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      walk.fullAncestor(ast, (node, state, ancestors) => {
+        if (processed.has(node)) return;
+        // O mesmo nome local pode repetir-se em várias funções, desde que aponte para o mesmo decoder
+        if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init &&
+            node.init.type === 'Identifier' && callables.has(node.init.name) &&
+            (!callables.has(node.id.name) || callables.get(node.id.name) === callables.get(node.init.name))) {
+          callables.set(node.id.name, callables.get(node.init.name));
+          aliases.push({ name: node.id.name, node, ...this.declaratorRemoval(node, ancestors[ancestors.length - 2]) });
+          processed.add(node);
+          changed = true;
+          return;
+        }
+
+        let name = null;
+        let fn = null;
+        let range = null;
+        if (node.type === 'FunctionDeclaration' && node.id) {
+          name = node.id.name;
+          fn = node;
+          range = this.statementRange(node);
+        } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init &&
+                   /^(?:FunctionExpression|ArrowFunctionExpression)$/.test(node.init.type)) {
+          name = node.id.name;
+          fn = node.init;
+          range = { start: node.start, end: node.end, ...this.declaratorRemoval(node, ancestors[ancestors.length - 2]) };
+        }
+        if (!name || callables.has(name)) return;
+
+        const call = this.singleReturnCall(fn);
+        if (call && call.callee.type === 'Identifier' && callables.has(call.callee.name)) {
+          callables.set(name, name);
+          wrappers.push({ name, fn, target: call.callee.name, ...range });
+          processed.add(node);
+          changed = true;
+        }
+      });
+    }
+
+    return { wrappers, aliases };
+  }
+
+  shiftsIndex(fn) {
+    let shifted = false;
+    walk.full(fn.body, node => {
+      if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' &&
+          node.right.type === 'BinaryExpression' && node.right.operator === '-' &&
+          node.right.right.type === 'Literal' && typeof node.right.right.value === 'number') {
+        shifted = true;
+      }
+    });
+    return shifted;
+  }
+
+  singleReturnCall(fn) {
+    if (fn.body.type === 'CallExpression') return fn.body;
+    if (fn.body.type !== 'BlockStatement' || fn.body.body.length !== 1) return null;
+    const statement = fn.body.body[0];
+    if (statement.type !== 'ReturnStatement' || !statement.argument) return null;
+    return statement.argument.type === 'CallExpression' ? statement.argument : null;
+  }
+
+  directlyReferences(body, names) {
+    let found = false;
+    const visit = node => {
+      if (found || !node || typeof node.type !== 'string') return;
+      if (node.type === 'Identifier' && names.has(node.name)) {
+        found = true;
+        return;
+      }
+      // Não descer em funções aninhadas (evita apanhar o código que contém tudo)
+      if (/Function/.test(node.type)) return;
+      for (const key of Object.keys(node)) {
+        const value = node[key];
+        if (Array.isArray(value)) value.forEach(visit);
+        else if (value && typeof value.type === 'string') visit(value);
+      }
+    };
+    visit(body);
+    return found;
+  }
+
+  // Fonte de uma função para o sandbox; nos wrappers o alvo é resolvido para o decoder global
+  declarationSource(entry, code, callables = null) {
+    let source = code.slice(entry.fn.start, entry.fn.end);
+    if (callables && entry.target) {
+      const call = this.singleReturnCall(entry.fn);
+      const calleeStart = call.callee.start - entry.fn.start;
+      const calleeEnd = call.callee.end - entry.fn.start;
+      source = source.slice(0, calleeStart) + callables.get(entry.target) + source.slice(calleeEnd);
+    }
+    if (entry.fn.type === 'FunctionDeclaration') return source;
+    return `var ${entry.name} = ${source}`;
+  }
+
+  isStatic(node) {
+    switch (node.type) {
+      case 'Literal':
+        return typeof node.value === 'number' || typeof node.value === 'string';
+      case 'UnaryExpression':
+        return ['-', '+', '~', '!'].includes(node.operator) && this.isStatic(node.argument);
+      case 'BinaryExpression':
+        return this.isStatic(node.left) && this.isStatic(node.right);
+      case 'TemplateLiteral':
+        return node.expressions.length === 0;
+      default:
+        return false;
+    }
+  }
+
+  detectEncoding(decoderSource) {
+    const base64 = decoderSource.includes(BASE64_ALPHABET) || /\batob\b/.test(decoderSource);
+    if (!base64) return 'none';
+    return /%\s*(?:0x100|256)\b/.test(decoderSource) ? 'rc4' : 'base64';
+  }
+
+  describeVariant(report) {
+    const parts = [report.arrayType === 'function' ? 'array em função auto-redefinida' : 'array em var'];
+    parts.push(report.rotation ? 'rotação' : 'sem rotação');
+    parts.push(report.encoding === 'none' ? 'decoder simples' : `decoder ${report.encoding}`);
+    if (report.wrappers.length > 0) parts.push(`${report.wrappers.length} wrapper(s)`);
+    return `javascript-obfuscator (${parts.join(', ')})`;
+  }
+
+  // Intervalo de um statement e a zona a remover
+  statementRange(node) {
+    return { start: node.start, end: node.end, removeStart: node.start, removeEnd: node.end };
+  }
+
+  // Remover um declarador sem partir a declaração (`var a = x, b = y;`)
+  declaratorRemoval(declarator, declaration) {
+    if (!declaration || declaration.type !== 'VariableDeclaration') {
+      return { removeStart: declarator.start, removeEnd: declarator.end };
+    }
+    const index = declaration.declarations.indexOf(declarator);
+    if (declaration.declarations.length === 1) {
+      return { removeStart: declaration.start, removeEnd: declaration.end };
+    }
+    if (index < declaration.declarations.length - 1) {
+      return { removeStart: declarator.start, removeEnd: declaration.declarations[index + 1].start };
+    }
+    return { removeStart: declaration.declarations[index - 1].end, removeEnd: declarator.end };
+  }
+
+  // Aplicar edições de trás para a frente, ignorando as que ficam dentro de uma remoção maior
+  applyEdits(code, edits) {
+    const sorted = [...edits].sort((a, b) => (a.start - b.start) || (b.end - a.end));
+    const kept = [];
+    let coveredUntil = -1;
+    for (const edit of sorted) {
+      if (edit.start < coveredUntil) continue;
+      kept.push(edit);
+      coveredUntil = edit.end;
+    }
+
+    let result = code;
+    for (let i = kept.length - 1; i >= 0; i--) {
+      const edit = kept[i];
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+  }
+}
+
+module.exports = { StringArrayDeobfuscator };
@@ -0,0 +1,83 @@
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+// Escapes que ficam escritos na forma curta
+const SHORT_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t', '\b': '\\b', '\f': '\\f', '\v': '\\v' };
+// Caracteres de controlo, invisíveis, separadores e surrogates isolados continuam escapados
+const KEEP_ESCAPED = /[\p{Cc}\p{Cf}\p{Cs}\p{Zl}\p{Zp}\p{Co}\p{Cn}]|(?! )\p{Zs}/u;
+
+function hex(code, width) {
+  return code.toString(16).toUpperCase().padStart(width, '0');
+}
+
+// Literal com as mesmas aspas e só os escapes necessários
+function quote(value, quoteChar) {
+  let out = '';
+  for (const char of value) {
+    const code = char.codePointAt(0);
+    if (char === quoteChar || char === '\\') out += `\\${char}`;
+    else if (SHORT_ESCAPES[char]) out += SHORT_ESCAPES[char];
+    else if (!KEEP_ESCAPED.test(char)) out += char;
+    else if (code <= 0xff) out += `\\x${hex(code, 2)}`;
+    else if (code <= 0xffff) out += `\\u${hex(code, 4)}`;
+    else out += `\\u{${hex(code, 1)}}`;
+  }
+  return `${quoteChar}${out}${quoteChar}`;
+}
+
+// Decodificação dos escapes das strings literais sobre o AST: "\x41B\103" → "ABC".
+// Só o texto do literal muda (o valor e a forma do AST ficam iguais); as diretivas
+// ("use strict") ficam como estão, porque um escape é o que as distingue de uma string comum
+class StringLiteralDecoder {
+  parse(code) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+    try {
+      return acorn.parse(code, { ...options, sourceType: 'script' });
+    } catch {
+      try {
+        return acorn.parse(code, { ...options, sourceType: 'module' });
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  // Devolve { code, report, edits }; se o código não fizer parse fica como está
+  decode(code) {
+    const report = { decoded: 0, errors: [] };
+    if (!code.includes('\\')) return { code, report, edits: [] };
+
+    const ast = this.parse(code);
+    if (!ast) {
+      report.errors.push('parse_failed');
+      return { code, report, edits: [] };
+    }
+
+    const directives = new Set();
+    const edits = [];
+    walk.full(ast, node => {
+      if (node.type === 'ExpressionStatement' && node.directive !== undefined) directives.add(node.expression);
+    });
+    walk.full(ast, node => {
+      if (node.type !== 'Literal' || typeof node.value !== 'string' || directives.has(node)) return;
+      if (!node.raw.includes('\\')) return;
+      const text = quote(node.value, node.raw[0]);
+      if (text === node.raw) return;
+      edits.push({ start: node.start, end: node.end, text });
+      report.decoded++;
+    });
+
+    if (edits.length === 0) return { code, report, edits };
+    const sorted = edits.sort((a, b) => a.start - b.start);
+    const parts = [];
+    let position = 0;
+    for (const edit of sorted) {
+      parts.push(code.slice(position, edit.start), edit.text);
+      position = edit.end;
+    }
+    parts.push(code.slice(position));
+    return { code: parts.join(''), report, edits: sorted };
+  }
+}
+
+module.exports = { StringLiteralDecoder };
@@ -0,0 +1,1271 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+
+// IDs das seções do formato binário
+const SECTION_NAMES = {
+  0: 'custom',
+  1: 'type',
+  2: 'import',
+  3: 'function',
+  4: 'table',
+  5: 'memory',
+  6: 'global',
+  7: 'export',
+  8: 'start',
+  9: 'element',
+  10: 'code',
+  11: 'data',
+  12: 'datacount',
+  13: 'tag'
+};
+
+const VALUE_TYPES = {
+  0x7f: 'i32',
+  0x7e: 'i64',
+  0x7d: 'f32',
+  0x7c: 'f64',
+  0x7b: 'v128',
+  0x70: 'funcref',
+  0x6f: 'externref'
+};
+
+const EXTERNAL_KINDS = ['func', 'table', 'memory', 'global', 'tag'];
+
+// Caracteres permitidos num identificador $nome do formato de texto
+const WAT_ID = /^[0-9A-Za-z!#$%&'*+\-./:<=>?@\\^_`|~]+$/;
+// Nomes de funções repetidos por módulo (name section): não podem ser usados como $nome
+const DUPLICATE_FUNCTION_NAMES = new WeakMap();
+
+// Tabela de opcodes de um byte: [nome, tipo de imediato]
+const OPCODES = {
+  0x00: ['unreachable'],
+  0x01: ['nop'],
+  0x02: ['block', 'blocktype'],
+  0x03: ['loop', 'blocktype'],
+  0x04: ['if', 'blocktype'],
+  0x05: ['else'],
+  0x06: ['try', 'blocktype'],
+  0x07: ['catch', 'tag'],
+  0x08: ['throw', 'tag'],
+  0x09: ['rethrow', 'label'],
+  0x0b: ['end'],
+  0x0c: ['br', 'label'],
+  0x0d: ['br_if', 'label'],
+  0x0e: ['br_table', 'br_table'],
+  0x0f: ['return'],
+  0x10: ['call', 'func'],
+  0x11: ['call_indirect', 'call_indirect'],
+  0x12: ['return_call', 'func'],
+  0x13: ['return_call_indirect', 'call_indirect'],
+  0x18: ['delegate', 'label'],
+  0x19: ['catch_all'],
+  0x1a: ['drop'],
+  0x1b: ['select'],
+  0x1c: ['select', 'select_types'],
+  0x20: ['local.get', 'local'],
+  0x21: ['local.set', 'local'],
+  0x22: ['local.tee', 'local'],
+  0x23: ['global.get', 'global'],
+  0x24: ['global.set', 'global'],
+  0x25: ['table.get', 'table'],
+  0x26: ['table.set', 'table'],
+  0x3f: ['memory.size', 'memory'],
+  0x40: ['memory.grow', 'memory'],
+  0x41: ['i32.const', 'i32'],
+  0x42: ['i64.const', 'i64'],
+  0x43: ['f32.const', 'f32'],
+  0x44: ['f64.const', 'f64'],
+  0xd0: ['ref.null', 'reftype'],
+  0xd1: ['ref.is_null'],
+  0xd2: ['ref.func', 'func']
+};
+
+// Loads/stores (0x28 - 0x3e) recebem memarg
+[
+  'i32.load', 'i64.load', 'f32.load', 'f64.load',
+  'i32.load8_s', 'i32.load8_u', 'i32.load16_s', 'i32.load16_u',
+  'i64.load8_s', 'i64.load8_u', 'i64.load16_s', 'i64.load16_u',
+  'i64.load32_s', 'i64.load32_u',
+  'i32.store', 'i64.store', 'f32.store', 'f64.store',
+  'i32.store8', 'i32.store16', 'i64.store8', 'i64.store16', 'i64.store32'
+].forEach((name, i) => {
+  OPCODES[0x28 + i] = [name, 'memarg'];
+});
+
+// Instruções numéricas sem imediatos (0x45 - 0xc4)
+[
+  'i32.eqz', 'i32.eq', 'i32.ne', 'i32.lt_s', 'i32.lt_u', 'i32.gt_s', 'i32.gt_u',
+  'i32.le_s', 'i32.le_u', 'i32.ge_s', 'i32.ge_u',
+  'i64.eqz', 'i64.eq', 'i64.ne', 'i64.lt_s', 'i64.lt_u', 'i64.gt_s', 'i64.gt_u',
+  'i64.le_s', 'i64.le_u', 'i64.ge_s', 'i64.ge_u',
+  'f32.eq', 'f32.ne', 'f32.lt', 'f32.gt', 'f32.le', 'f32.ge',
+  'f64.eq', 'f64.ne', 'f64.lt', 'f64.gt', 'f64.le', 'f64.ge',
+  'i32.clz', 'i32.ctz', 'i32.popcnt', 'i32.add', 'i32.sub', 'i32.mul',
+  'i32.div_s', 'i32.div_u', 'i32.rem_s', 'i32.rem_u', 'i32.and', 'i32.or',
+  'i32.xor', 'i32.shl', 'i32.shr_s', 'i32.shr_u', 'i32.rotl', 'i32.rotr',
+  'i64.clz', 'i64.ctz', 'i64.popcnt', 'i64.add', 'i64.sub', 'i64.mul',
+  'i64.div_s', 'i64.div_u', 'i64.rem_s', 'i64.rem_u', 'i64.and', 'i64.or',
+  'i64.xor', 'i64.shl', 'i64.shr_s', 'i64.shr_u', 'i64.rotl', 'i64.rotr',
+  'f32.abs', 'f32.neg', 'f32.ceil', 'f32.floor', 'f32.trunc', 'f32.nearest',
+  'f32.sqrt', 'f32.add', 'f32.sub', 'f32.mul', 'f32.div', 'f32.min', 'f32.max',
+  'f32.copysign',
+  'f64.abs', 'f64.neg', 'f64.ceil', 'f64.floor', 'f64.trunc', 'f64.nearest',
+  'f64.sqrt', 'f64.add', 'f64.sub', 'f64.mul', 'f64.div', 'f64.min', 'f64.max',
+  'f64.copysign',
+  'i32.wrap_i64', 'i32.trunc_f32_s', 'i32.trunc_f32_u', 'i32.trunc_f64_s',
+  'i32.trunc_f64_u', 'i64.extend_i32_s', 'i64.extend_i32_u', 'i64.trunc_f32_s',
+  'i64.trunc_f32_u', 'i64.trunc_f64_s', 'i64.trunc_f64_u', 'f32.convert_i32_s',
+  'f32.convert_i32_u', 'f32.convert_i64_s', 'f32.convert_i64_u', 'f32.demote_f64',
+  'f64.convert_i32_s', 'f64.convert_i32_u', 'f64.convert_i64_s', 'f64.convert_i64_u',
+  'f64.promote_f32', 'i32.reinterpret_f32', 'i64.reinterpret_f64',
+  'f32.reinterpret_i32', 'f64.reinterpret_i64',
+  'i32.extend8_s', 'i32.extend16_s', 'i64.extend8_s', 'i64.extend16_s',
+  'i64.extend32_s'
+].forEach((name, i) => {
+  OPCODES[0x45 + i] = [name];
+});
+
+// Prefixo 0xfc: conversões saturadas, bulk memory e operações de tabela
+const FC_OPCODES = {
+  0: ['i32.trunc_sat_f32_s'],
+  1: ['i32.trunc_sat_f32_u'],
+  2: ['i32.trunc_sat_f64_s'],
+  3: ['i32.trunc_sat_f64_u'],
+  4: ['i64.trunc_sat_f32_s'],
+  5: ['i64.trunc_sat_f32_u'],
+  6: ['i64.trunc_sat_f64_s'],
+  7: ['i64.trunc_sat_f64_u'],
+  8: ['memory.init', 'memory_init'],
+  9: ['data.drop', 'data'],
+  10: ['memory.copy', 'memory_copy'],
+  11: ['memory.fill', 'memory'],
+  12: ['table.init', 'table_init'],
+  13: ['elem.drop', 'elem'],
+  14: ['table.copy', 'table_copy'],
+  15: ['table.grow', 'table'],
+  16: ['table.size', 'table'],
+  17: ['table.fill', 'table']
+};
+
+class WasmBinaryParser {
+  constructor(options = {}) {
+    this.options = {
+      decodeBodies: true,
+      ...options
+    };
+  }
+
+  // Verificar magic number (\0asm)
+  isWasm(buffer) {
+    return buffer.length >= 8 &&
+           buffer[0] === 0x00 &&
+           buffer[1] === 0x61 &&
+           buffer[2] === 0x73 &&
+           buffer[3] === 0x6d;
+  }
+
+  // Ler e decodificar um ficheiro .wasm
+  parseFile(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    return this.parse(buffer);
+  }
+
+  // Decodificar módulo binário completo
+  parse(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+      buffer = Buffer.from(buffer);
+    }
+
+    if (!this.isWasm(buffer)) {
+      throw new Error('Magic number WASM inválido');
+    }
+
+    const reader = new WasmReader(buffer, 4);
+    const module = {
+      version: reader.u32le(),
+      size: buffer.length,
+      sections: [],
+      types: [],
+      imports: [],
+      functions: [],
+      tables: [],
+      memories: [],
+      globals: [],
+      exports: [],
+      start: null,
+      elements: [],
+      data: [],
+      dataCount: null,
+      tags: [],
+      customSections: [],
+      names: { module: null, functions: {}, locals: {} }
+    };
+
+    // Contadores de imports, usados para calcular índices absolutos
+    const imported = { func: 0, table: 0, memory: 0, global: 0, tag: 0 };
+    const functionTypeIndices = [];
+
+    while (!reader.eof()) {
+      const id = reader.byte();
+      const size = reader.u32();
+      const start = reader.pos;
+      const end = start + size;
+
+      if (end > buffer.length) {
+        throw new Error(`Seção ${id} excede o tamanho do ficheiro (offset ${start})`);
+      }
+
+      const section = {
+        id,
+        name: SECTION_NAMES[id] || `unknown_${id}`,
+        offset: start,
+        size
+      };
+
+      const sectionReader = new WasmReader(buffer, start, end);
+
+      switch (id) {
+        case 0:
+          section.customName = this.parseCustomSection(sectionReader, module);
+          break;
+        case 1:
+          this.parseTypeSection(sectionReader, module);
+          break;
+        case 2:
+          this.parseImportSection(sectionReader, module, imported);
+          break;
+        case 3:
+          for (let i = 0, n = sectionReader.u32(); i < n; i++) {
+            functionTypeIndices.push(sectionReader.u32());
+          }
+          break;
+        case 4:
+          for (let i = 0, n = sectionReader.u32(); i < n; i++) {
+            module.tables.push({
+              index: imported.table + i,
+              imported: false,
+              ...this.readTableType(sectionReader)
+            });
+          }
+          break;
+        case 5:
+          for (let i = 0, n = sectionReader.u32(); i < n; i++) {
+            module.memories.push({
+              index: imported.memory + i,
+              imported: false,
+              ...this.readLimits(sectionReader)
+            });
+          }
+          break;
+        case 6:
+          for (let i = 0, n = sectionReader.u32(); i < n; i++) {
+            const type = this.readGlobalType(sectionReader);
+            module.globals.push({
+              index: imported.global + i,
+              imported: false,
+              ...type,
+              init: this.readConstExpr(sectionReader)
+            });
+          }
+          break;
+        case 7:
+          for (let i = 0, n = sectionReader.u32(); i < n; i++) {
+            const name = sectionReader.string();
+            const kind = EXTERNAL_KINDS[sectionReader.byte()] || 'unknown';
+            module.exports.push({ name, kind, index: sectionReader.u32() });
+          }
+          break;
+        case 8:
+          module.start = sectionReader.u32();
+          break;
+        case 9:
+          this.parseElementSection(sectionReader, module);
+          break;
+        case 10:
+          this.parseCodeSection(sectionReader, module, imported, functionTypeIndices);
+          break;
+        case 11:
+          this.parseDataSection(sectionReader, module);
+          break;
+        case 12:
+          module.dataCount = sectionReader.u32();
+          break;
+        case 13:
+          for (let i = 0, n = sectionReader.u32(); i < n; i++) {
+            sectionReader.byte(); // atributo (sempre 0 = exception)
+            const typeIndex = sectionReader.u32();
+            module.tags.push({
+              index: imported.tag + i,
+              typeIndex,
+              type: module.types[typeIndex] || null
+            });
+          }
+          break;
+        default:
+          // Seção desconhecida: registar e saltar
+          break;
+      }
+
+      module.sections.push(section);
+      reader.pos = end;
+    }
+
+    // Declarações sem corpo (módulo truncado ou sem seção code)
+    for (let i = module.functions.length - imported.func; i < functionTypeIndices.length; i++) {
+      module.functions.push(this.createFunction(module, imported.func + i, functionTypeIndices[i], false));
+    }
+
+    this.applyNames(module);
+
+    return module;
+  }
+
+  // Seção custom (inclui a seção "name")
+  parseCustomSection(reader, module) {
+    const name = reader.string();
+    const custom = {
+      name,
+      offset: reader.pos,
+      size: reader.end - reader.pos
+    };
+    module.customSections.push(custom);
+
+    if (name === 'name') {
+      try {
+        this.parseNameSection(reader, module);
+      } catch (error) {
+        // Seção "name" malformada não invalida o módulo
+        custom.error = error.message;
+      }
+    }
+
+    return name;
+  }
+
+  parseNameSection(reader, module) {
+    while (!reader.eof()) {
+      const subId = reader.byte();
+      const size = reader.u32();
+      const end = reader.pos + size;
+
+      if (subId === 0) {
+        module.names.module = reader.string();
+      } else if (subId === 1) {
+        for (let i = 0, n = reader.u32(); i < n; i++) {
+          const index = reader.u32();
+          module.names.functions[index] = reader.string();
+        }
+      } else if (subId === 2) {
+        for (let i = 0, n = reader.u32(); i < n; i++) {
+          const funcIndex = reader.u32();
+          const locals = {};
+          for (let j = 0, m = reader.u32(); j < m; j++) {
+            const localIndex = reader.u32();
+            locals[localIndex] = reader.string();
+          }
+          module.names.locals[funcIndex] = locals;
+        }
+      }
+
+      reader.pos = end;
+    }
+  }
+
+  parseTypeSection(reader, module) {
+    for (let i = 0, n = reader.u32(); i < n; i++) {
+      const form = reader.byte();
+      if (form !== 0x60) {
+        throw new Error(`Forma de tipo não suportada: 0x${form.toString(16)} (offset ${reader.pos - 1})`);
+      }
+      const params = [];
+      for (let j = 0, m = reader.u32(); j < m; j++) params.push(this.readValueType(reader));
+      const results = [];
+      for (let j = 0, m = reader.u32(); j < m; j++) results.push(this.readValueType(reader));
+      module.types.push({ index: i, params, results });
+    }
+  }
+
+  parseImportSection(reader, module, imported) {
+    for (let i = 0, n = reader.u32(); i < n; i++) {
+      const moduleName = reader.string();
+      const name = reader.string();
+      const kindByte = reader.byte();
+      const kind = EXTERNAL_KINDS[kindByte] || 'unknown';
+      const entry = { module: moduleName, name, kind };
+
+      switch (kindByte) {
+        case 0x00: {
+          const typeIndex = reader.u32();
+          entry.typeIndex = typeIndex;
+          entry.index = imported.func++;
+          const func = this.createFunction(module, entry.index, typeIndex, true);
+          func.importModule = moduleName;
+          func.importName = name;
+          module.functions.push(func);
+          break;
+        }
+        case 0x01:
+          Object.assign(entry, this.readTableType(reader));
+          entry.index = imported.table++;
+          module.tables.push({ index: entry.index, imported: true, ...this.pick(entry, ['elementType', 'initial', 'maximum']) });
+          break;
+        case 0x02:
+          Object.assign(entry, this.readLimits(reader));
+          entry.index = imported.memory++;
+          module.memories.push({ index: entry.index, imported: true, ...this.pick(entry, ['initial', 'maximum', 'shared', 'memory64']) });
+          break;
+        case 0x03:
+          Object.assign(entry, this.readGlobalType(reader));
+          entry.index = imported.global++;
+          module.globals.push({ index: entry.index, imported: true, type: entry.type, mutable: entry.mutable, init: null });
+          break;
+        case 0x04:
+          reader.byte();
+          entry.typeIndex = reader.u32();
+          entry.index = imported.tag++;
+          break;
+        default:
+          throw new Error(`Tipo de import desconhecido: ${kindByte} (offset ${reader.pos - 1})`);
+      }
+
+      module.imports.push(entry);
+    }
+  }
+
+  parseElementSection(reader, module) {
+    for (let i = 0, n = reader.u32(); i < n; i++) {
+      const flags = reader.u32();
+      const segment = {
+        index: i,
+        mode: 'active',
+        tableIndex: 0,
+        offset: null,
+        elementType: 'funcref',
+        functions: [],
+        expressions: []
+      };
+
+      if (flags & 0x01) {
+        segment.mode = (flags & 0x02) ? 'declarative' : 'passive';
+      } else if (flags & 0x02) {
+        segment.tableIndex = reader.u32();
+      }
+
+      if (segment.mode === 'active') {
+        segment.offset = this.readConstExpr(reader);
+      }
+
+      const usesExpressions = (flags & 0x04) !== 0;
+
+      // elemkind (0x00 = funcref) ou reftype, presente exceto nas formas 0 e 4
+      if (flags & 0x03) {
+        const kind = reader.byte();
+        if (usesExpressions) segment.elementType = VALUE_TYPES[kind] || 'funcref';
+      }
+
+      for (let j = 0, m = reader.u32(); j < m; j++) {
+        if (usesExpressions) {
+          const expr = this.readConstExpr(reader);
+          segment.expressions.push(expr);
+          const refFunc = expr.find(inst => inst.op === 'ref.func');
+          if (refFunc) segment.functions.push(refFunc.func);
+        } else {
+          segment.functions.push(reader.u32());
+        }
+      }
+
+      module.elements.push(segment);
+    }
+  }
+
+  parseCodeSection(reader, module, imported, functionTypeIndices) {
+    const count = reader.u32();
+
+    for (let i = 0; i < count; i++) {
+      const bodySize = reader.u32();
+      const bodyStart = reader.pos;
+      const bodyEnd = bodyStart + bodySize;
+      const index = imported.func + i;
+
+      const func = this.createFunction(module, index, functionTypeIndices[i], false);
+      const bodyReader = new WasmReader(reader.buffer, bodyStart, bodyEnd);
+
+      for (let j = 0, n = bodyReader.u32(); j < n; j++) {
+        const localCount = bodyReader.u32();
+        func.locals.push({ count: localCount, type: this.readValueType(bodyReader) });
+      }
+
+      func.body = {
+        offset: bodyStart,
+        size: bodySize,
+        codeOffset: bodyReader.pos,
+        bytes: reader.buffer.subarray(bodyReader.pos, bodyEnd)
+      };
+
+      if (this.options.decodeBodies) {
+        func.instructions = this.decodeExpression(bodyReader);
+      }
+
+      module.functions.push(func);
+      reader.pos = bodyEnd;
+    }
+  }
+
+  parseDataSection(reader, module) {
+    for (let i = 0, n = reader.u32(); i < n; i++) {
+      const flags = reader.u32();
+      const segment = {
+        index: i,
+        mode: flags === 1 ? 'passive' : 'active',
+        memoryIndex: flags === 2 ? reader.u32() : 0,
+        offset: null,
+        bytes: null
+      };
+
+      if (segment.mode === 'active') {
+        segment.offset = this.readConstExpr(reader);
+      }
+
+      const size = reader.u32();
+      segment.fileOffset = reader.pos;
+      segment.bytes = reader.bytes(size);
+      module.data.push(segment);
+    }
+  }
+
+  createFunction(module, index, typeIndex, isImported) {
+    const type = module.types[typeIndex] || { params: [], results: [] };
+    return {
+      index,
+      name: null,
+      typeIndex,
+      params: type.params,
+      results: type.results,
+      imported: isImported,
+      locals: [],
+      body: null,
+      instructions: []
+    };
+  }
+
+  // Associar nomes da seção "name" ou, na falta, dos exports
+  applyNames(module) {
+    const exportNames = {};
+    module.exports
+      .filter(exp => exp.kind === 'func')
+      .forEach(exp => {
+        if (!(exp.index in exportNames)) exportNames[exp.index] = exp.name;
+      });
+
+    module.functions.forEach(func => {
+      func.name = module.names.functions[func.index] ||
+        exportNames[func.index] ||
+        (func.imported ? `${func.importModule}.${func.importName}` : null);
+      func.exported = func.index in exportNames;
+    });
+  }
+
+  // Decodificar uma expressão até ao "end" final
+  decodeExpression(reader) {
+    const instructions = [];
+    let depth = 0;
+
+    while (!reader.eof()) {
+      const inst = this.readInstruction(reader);
+
+      if (inst.op === 'end') {
+        if (depth === 0) break;
+        depth--;
+      } else if (inst.op === 'block' || inst.op === 'loop' || inst.op === 'if' || inst.op === 'try') {
+        depth++;
+      } else if (inst.op === 'delegate') {
+        depth--;
+      }
+
+      instructions.push(inst);
+    }
+
+    return instructions;
+  }
+
+  // Decodificar instruções de um intervalo de bytes arbitrário
+  decodeInstructions(bytes) {
+    const buffer = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+    return this.decodeExpression(new WasmReader(buffer, 0, buffer.length));
+  }
+
+  readConstExpr(reader) {
+    return this.decodeExpression(reader);
+  }
+
+  readInstruction(reader) {
+    const offset = reader.pos;
+    const code = reader.byte();
+    let entry;
+
+    if (code === 0xfc) {
+      const sub = reader.u32();
+      entry = FC_OPCODES[sub];
+      if (!entry) throw new Error(`Opcode 0xfc ${sub} desconhecido (offset ${offset})`);
+    } else if (code === 0xfd) {
+      return this.readSimdInstruction(reader, offset);
+    } else if (code === 0xfe) {
+      return this.readAtomicInstruction(reader, offset);
+    } else {
+      entry = OPCODES[code];
+      if (!entry) throw new Error(`Opcode 0x${code.toString(16)} desconhecido (offset ${offset})`);
+    }
+
+    const [op, immediate] = entry;
+    const inst = { op, offset };
+
+    switch (immediate) {
+      case 'blocktype':
+        inst.blockType = this.readBlockType(reader);
+        break;
+      case 'label':
+        inst.label = reader.u32();
+        break;
+      case 'br_table': {
+        inst.labels = [];
+        for (let i = 0, n = reader.u32(); i < n; i++) inst.labels.push(reader.u32());
+        inst.defaultLabel = reader.u32();
+        break;
+      }
+      case 'func':
+        inst.func = reader.u32();
+        break;
+      case 'call_indirect':
+        inst.typeIndex = reader.u32();
+        inst.table = reader.u32();
+        break;
+      case 'local':
+        inst.local = reader.u32();
+        break;
+      case 'global':
+        inst.global = reader.u32();
+        break;
+      case 'table':
+        inst.table = reader.u32();
+        break;
+      case 'tag':
+        inst.tag = reader.u32();
+        break;
+      case 'memory':
+        inst.memory = reader.u32();
+        break;
+      case 'memarg':
+        Object.assign(inst, this.readMemArg(reader));
+        break;
+      case 'i32':
+        inst.value = reader.s32();
+        break;
+      case 'i64': {
+        // Number quando seguro, senão string decimal (exata e serializável em JSON)
+        const value = reader.s64();
+        inst.value = (value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER))
+          ? Number(value)
+          : value.toString();
+        break;
+      }
+      case 'f32':
+        inst.value = reader.f32();
+        break;
+      case 'f64':
+        inst.value = reader.f64();
+        break;
+      case 'reftype':
+        inst.refType = VALUE_TYPES[reader.byte()] || 'unknown';
+        break;
+      case 'select_types': {
+        inst.types = [];
+        for (let i = 0, n = reader.u32(); i < n; i++) inst.types.push(this.readValueType(reader));
+        break;
+      }
+      case 'memory_init':
+        inst.data = reader.u32();
+        inst.memory = reader.u32();
+        break;
+      case 'data':
+        inst.data = reader.u32();
+        break;
+      case 'memory_copy':
+        inst.memory = reader.u32();
+        inst.sourceMemory = reader.u32();
+        break;
+      case 'table_init':
+        inst.elem = reader.u32();
+        inst.table = reader.u32();
+        break;
+      case 'elem':
+        inst.elem = reader.u32();
+        break;
+      case 'table_copy':
+        inst.table = reader.u32();
+        inst.sourceTable = reader.u32();
+        break;
+      default:
+        break;
+    }
+
+    return inst;
+  }
+
+  // SIMD (0xfd): apenas os imediatos são decodificados com precisão
+  readSimdInstruction(reader, offset) {
+    const sub = reader.u32();
+    const inst = { op: SIMD_NAMES[sub] || `v128.op_${sub}`, offset, simd: sub };
+
+    if (sub <= 11 || sub === 92 || sub === 93) {
+      Object.assign(inst, this.readMemArg(reader));
+    } else if (sub === 12 || sub === 13) {
+      inst.bytes = Array.from(reader.bytes(16));
+    } else if (sub >= 21 && sub <= 34) {
+      inst.lane = reader.byte();
+    } else if (sub >= 84 && sub <= 91) {
+      Object.assign(inst, this.readMemArg(reader));
+      inst.lane = reader.byte();
+    }
+
+    return inst;
+  }
+
+  // Atómicas (0xfe, threads)
+  readAtomicInstruction(reader, offset) {
+    const sub = reader.u32();
+    const inst = { op: ATOMIC_NAMES[sub] || `atomic.op_${sub}`, offset, atomic: sub };
+
+    if (sub === 0x03) {
+      reader.byte(); // atomic.fence: byte reservado
+    } else {
+      Object.assign(inst, this.readMemArg(reader));
+    }
+
+    return inst;
+  }
+
+  readMemArg(reader) {
+    let align = reader.u32();
+    let memory = 0;
+    // multi-memory: bit 6 indica índice de memória explícito
+    if (align & 0x40) {
+      align &= ~0x40;
+      memory = reader.u32();
+    }
+    return { align, memOffset: reader.u32(), memory };
+  }
+
+  readBlockType(reader) {
+    const byte = reader.peek();
+    if (byte === 0x40) {
+      reader.byte();
+      return null;
+    }
+    if (VALUE_TYPES[byte]) {
+      reader.byte();
+      return VALUE_TYPES[byte];
+    }
+    return { typeIndex: reader.s33() };
+  }
+
+  readValueType(reader) {
+    const byte = reader.byte();
+    const type = VALUE_TYPES[byte];
+    if (!type) throw new Error(`Tipo de valor desconhecido: 0x${byte.toString(16)} (offset ${reader.pos - 1})`);
+    return type;
+  }
+
+  readLimits(reader) {
+    const flags = reader.byte();
+    const limits = {
+      initial: reader.u32(),
+      maximum: null,
+      shared: (flags & 0x02) !== 0,
+      memory64: (flags & 0x04) !== 0
+    };
+    if (flags & 0x01) limits.maximum = reader.u32();
+    return limits;
+  }
+
+  readTableType(reader) {
+    const elementType = this.readValueType(reader);
+    const limits = this.readLimits(reader);
+    return { elementType, initial: limits.initial, maximum: limits.maximum };
+  }
+
+  readGlobalType(reader) {
+    const type = this.readValueType(reader);
+    return { type, mutable: reader.byte() === 1 };
+  }
+
+  pick(obj, keys) {
+    const result = {};
+    keys.forEach(key => { result[key] = obj[key]; });
+    return result;
+  }
+
+  // Obter tipo de função pelo índice absoluto
+  getFunctionType(module, funcIndex) {
+    const func = module.functions[funcIndex];
+    return func ? { params: func.params, results: func.results } : null;
+  }
+
+  // Gerar texto WAT (formato semelhante ao wasm2wat) a partir do módulo
+  toWat(module) {
+    const lines = ['(module'];
+
+    if (module.names.module && WAT_ID.test(module.names.module)) {
+      lines[0] = `(module $${module.names.module}`;
+    }
+
+    module.types.forEach(type => {
+      lines.push(`  (type (;${type.index};) (func${this.formatSignature(type)}))`);
+    });
+
+    module.imports.forEach(imp => {
+      const head = `  (import "${this.escapeString(imp.module)}" "${this.escapeString(imp.name)}"`;
+      switch (imp.kind) {
+        case 'func':
+          lines.push(`${head} (func ${this.funcDefinition(module, imp.index)} (type ${imp.typeIndex})))`);
+          break;
+        case 'table':
+          lines.push(`${head} (table (;${imp.index};) ${this.formatLimits(imp)} ${imp.elementType}))`);
+          break;
+        case 'memory':
+          lines.push(`${head} (memory (;${imp.index};) ${this.formatLimits(imp)}))`);
+          break;
+        case 'global':
+          lines.push(`${head} (global (;${imp.index};) ${this.formatGlobalType(imp)}))`);
+          break;
+        default:
+          lines.push(`${head} (${imp.kind} (;${imp.index};) (type ${imp.typeIndex})))`);
+      }
+    });
+
+    module.functions.filter(func => !func.imported).forEach(func => {
+      lines.push(...this.formatFunction(module, func));
+    });
+
+    module.tables.filter(table => !table.imported).forEach(table => {
+      lines.push(`  (table (;${table.index};) ${this.formatLimits(table)} ${table.elementType})`);
+    });
+
+    module.memories.filter(memory => !memory.imported).forEach(memory => {
+      lines.push(`  (memory (;${memory.index};) ${this.formatLimits(memory)})`);
+    });
+
+    module.globals.filter(global => !global.imported).forEach(global => {
+      lines.push(`  (global (;${global.index};) ${this.formatGlobalType(global)} (${this.formatConstExpr(module, global.init)}))`);
+    });
+
+    module.exports.forEach(exp => {
+      const target = exp.kind === 'func' ? this.funcLabel(module, exp.index) : exp.index;
+      lines.push(`  (export "${this.escapeString(exp.name)}" (${exp.kind} ${target}))`);
+    });
+
+    if (module.start !== null) {
+      lines.push(`  (start ${this.funcLabel(module, module.start)})`);
+    }
+
+    module.elements.forEach(elem => {
+      const parts = [`(elem (;${elem.index};)`];
+      if (elem.mode === 'declarative') parts.push('declare');
+      if (elem.mode === 'active') {
+        if (elem.tableIndex !== 0) parts.push(`(table ${elem.tableIndex})`);
+        parts.push(`(${this.formatConstExpr(module, elem.offset)})`);
+      }
+      parts.push('func');
+      elem.functions.forEach(index => parts.push(this.funcLabel(module, index)));
+      lines.push(`  ${parts.join(' ')})`);
+    });
+
+    module.data.forEach(segment => {
+      const parts = [`(data (;${segment.index};)`];
+      if (segment.mode === 'active') {
+        if (segment.memoryIndex !== 0) parts.push(`(memory ${segment.memoryIndex})`);
+        parts.push(`(${this.formatConstExpr(module, segment.offset)})`);
+      }
+      parts.push(`"${this.escapeBytes(segment.bytes)}"`);
+      lines.push(`  ${parts.join(' ')})`);
+    });
+
+    lines[lines.length - 1] += ')';
+    return lines.join('\n') + '\n';
+  }
+
+  // Texto WAT de uma única função
+  formatFunction(module, func) {
+    const lines = [];
+    const type = { params: func.params, results: func.results };
+    lines.push(`  (func ${this.funcDefinition(module, func.index)} (type ${func.typeIndex})${this.formatSignature(type)}`);
+
+    const localTypes = [];
+    func.locals.forEach(local => {
+      for (let i = 0; i < local.count; i++) localTypes.push(local.type);
+    });
+    if (localTypes.length > 0) {
+      lines.push(`    (local ${localTypes.join(' ')})`);
+    }
+
+    let indent = 2;
+    (func.instructions || []).forEach(inst => {
+      if (inst.op === 'end' || inst.op === 'else' || inst.op === 'catch' ||
+          inst.op === 'catch_all' || inst.op === 'delegate') {
+        indent = Math.max(2, indent - 1);
+      }
+      lines.push(`${'  '.repeat(indent)}${this.formatInstruction(module, inst)}`);
+      if (inst.op === 'block' || inst.op === 'loop' || inst.op === 'if' || inst.op === 'try' ||
+          inst.op === 'else' || inst.op === 'catch' || inst.op === 'catch_all') {
+        indent++;
+      }
+    });
+
+    lines[lines.length - 1] += ')';
+    return lines;
+  }
+
+  formatInstruction(module, inst) {
+    const parts = [inst.op];
+
+    if (inst.blockType !== undefined && inst.blockType !== null) {
+      parts.push(typeof inst.blockType === 'string'
+        ? `(result ${inst.blockType})`
+        : `(type ${inst.blockType.typeIndex})`);
+    }
+    if (inst.label !== undefined) parts.push(inst.label);
+    if (inst.labels !== undefined) parts.push(...inst.labels, inst.defaultLabel);
+    if (inst.func !== undefined) parts.push(this.funcLabel(module, inst.func));
+    if (inst.op === 'call_indirect' || inst.op === 'return_call_indirect') {
+      if (inst.table !== 0) parts.push(inst.table);
+      parts.push(`(type ${inst.typeIndex})`);
+    } else if (inst.table !== undefined) {
+      parts.push(inst.table);
+      if (inst.sourceTable !== undefined) parts.push(inst.sourceTable);
+    }
+    if (inst.local !== undefined) parts.push(inst.local);
+    if (inst.global !== undefined) parts.push(inst.global);
+    if (inst.tag !== undefined) parts.push(inst.tag);
+    if (inst.elem !== undefined) parts.push(inst.elem);
+    if (inst.data !== undefined) parts.push(inst.data);
+    if (inst.memOffset !== undefined) {
+      if (inst.memOffset !== 0) parts.push(`offset=${inst.memOffset}`);
+      parts.push(`align=${Math.pow(2, inst.align)}`);
+    }
+    if (inst.lane !== undefined) parts.push(inst.lane);
+    if (inst.value !== undefined) parts.push(this.formatNumber(inst.value));
+    if (inst.refType !== undefined) parts.push(inst.refType === 'funcref' ? 'func' : 'extern');
+    if (inst.types !== undefined) parts.push(`(result ${inst.types.join(' ')})`);
+    if (inst.bytes !== undefined) {
+      parts.push(inst.op === 'v128.const'
+        ? `i8x16 ${inst.bytes.join(' ')}`
+        : inst.bytes.join(' '));
+    }
+
+    return parts.join(' ');
+  }
+
+  formatConstExpr(module, expr) {
+    if (!expr || expr.length === 0) return '';
+    return expr.map(inst => this.formatInstruction(module, inst)).join(') (');
+  }
+
+  formatSignature(type) {
+    let text = '';
+    if (type.params.length > 0) text += ` (param ${type.params.join(' ')})`;
+    if (type.results.length > 0) text += ` (result ${type.results.join(' ')})`;
+    return text;
+  }
+
+  formatLimits(limits) {
+    let text = `${limits.initial}`;
+    if (limits.maximum !== null && limits.maximum !== undefined) text += ` ${limits.maximum}`;
+    if (limits.shared) text += ' shared';
+    return text;
+  }
+
+  formatGlobalType(global) {
+    return global.mutable ? `(mut ${global.type})` : global.type;
+  }
+
+  formatNumber(value) {
+    if (typeof value === 'string') return value;
+    if (Number.isNaN(value)) return 'nan';
+    if (value === Infinity) return 'inf';
+    if (value === -Infinity) return '-inf';
+    return String(value);
+  }
+
+  // Nome da função como identificador WAT: só nomes com caracteres válidos e únicos no módulo
+  funcName(module, index) {
+    const name = module.names.functions[index];
+    if (!name || !WAT_ID.test(name)) return null;
+    let duplicates = DUPLICATE_FUNCTION_NAMES.get(module.names.functions);
+    if (!duplicates) {
+      const seen = new Set();
+      duplicates = new Set();
+      Object.values(module.names.functions).forEach(other => {
+        if (seen.has(other)) duplicates.add(other);
+        seen.add(other);
+      });
+      DUPLICATE_FUNCTION_NAMES.set(module.names.functions, duplicates);
+    }
+    return duplicates.has(name) ? null : name;
+  }
+
+  // Referência a uma função (call, export, start, elem): $nome ou o índice
+  funcLabel(module, index) {
+    const name = this.funcName(module, index);
+    return name ? `$${name}` : `${index}`;
+  }
+
+  // Definição de uma função (func, import): $nome ou o índice em comentário, como o wasm2wat
+  funcDefinition(module, index) {
+    const name = this.funcName(module, index);
+    return name ? `$${name}` : `(;${index};)`;
+  }
+
+  escapeString(str) {
+    return this.escapeBytes(Buffer.from(str, 'utf8'));
+  }
+
+  escapeBytes(bytes) {
+    let out = '';
+    for (const byte of bytes) {
+      if (byte >= 0x20 && byte < 0x7f && byte !== 0x22 && byte !== 0x5c) {
+        out += String.fromCharCode(byte);
+      } else {
+        out += '\\' + byte.toString(16).padStart(2, '0');
+      }
+    }
+    return out;
+  }
+}
+
+// Nomes das instruções SIMD (0xfd), indexados pelo subopcode
+const SIMD_NAMES = {
+  0: 'v128.load', 1: 'v128.load8x8_s', 2: 'v128.load8x8_u', 3: 'v128.load16x4_s',
+  4: 'v128.load16x4_u', 5: 'v128.load32x2_s', 6: 'v128.load32x2_u',
+  7: 'v128.load8_splat', 8: 'v128.load16_splat', 9: 'v128.load32_splat',
+  10: 'v128.load64_splat', 11: 'v128.store', 12: 'v128.const', 13: 'i8x16.shuffle',
+  14: 'i8x16.swizzle', 15: 'i8x16.splat', 16: 'i16x8.splat', 17: 'i32x4.splat',
+  18: 'i64x2.splat', 19: 'f32x4.splat', 20: 'f64x2.splat',
+  21: 'i8x16.extract_lane_s', 22: 'i8x16.extract_lane_u', 23: 'i8x16.replace_lane',
+  24: 'i16x8.extract_lane_s', 25: 'i16x8.extract_lane_u', 26: 'i16x8.replace_lane',
+  27: 'i32x4.extract_lane', 28: 'i32x4.replace_lane', 29: 'i64x2.extract_lane',
+  30: 'i64x2.replace_lane', 31: 'f32x4.extract_lane', 32: 'f32x4.replace_lane',
+  33: 'f64x2.extract_lane', 34: 'f64x2.replace_lane',
+  35: 'i8x16.eq', 36: 'i8x16.ne', 37: 'i8x16.lt_s', 38: 'i8x16.lt_u', 39: 'i8x16.gt_s',
+  40: 'i8x16.gt_u', 41: 'i8x16.le_s', 42: 'i8x16.le_u', 43: 'i8x16.ge_s', 44: 'i8x16.ge_u',
+  45: 'i16x8.eq', 46: 'i16x8.ne', 47: 'i16x8.lt_s', 48: 'i16x8.lt_u', 49: 'i16x8.gt_s',
+  50: 'i16x8.gt_u', 51: 'i16x8.le_s', 52: 'i16x8.le_u', 53: 'i16x8.ge_s', 54: 'i16x8.ge_u',
+  55: 'i32x4.eq', 56: 'i32x4.ne', 57: 'i32x4.lt_s', 58: 'i32x4.lt_u', 59: 'i32x4.gt_s',
+  60: 'i32x4.gt_u', 61: 'i32x4.le_s', 62: 'i32x4.le_u', 63: 'i32x4.ge_s', 64: 'i32x4.ge_u',
+  65: 'f32x4.eq', 66: 'f32x4.ne', 67: 'f32x4.lt', 68: 'f32x4.gt', 69: 'f32x4.le', 70: 'f32x4.ge',
+  71: 'f64x2.eq', 72: 'f64x2.ne', 73: 'f64x2.lt', 74: 'f64x2.gt', 75: 'f64x2.le', 76: 'f64x2.ge',
+  77: 'v128.not', 78: 'v128.and', 79: 'v128.andnot', 80: 'v128.or', 81: 'v128.xor',
+  82: 'v128.bitselect', 83: 'v128.any_true',
+  84: 'v128.load8_lane', 85: 'v128.load16_lane', 86: 'v128.load32_lane',
+  87: 'v128.load64_lane', 88: 'v128.store8_lane', 89: 'v128.store16_lane',
+  90: 'v128.store32_lane', 91: 'v128.store64_lane',
+  92: 'v128.load32_zero', 93: 'v128.load64_zero',
+  94: 'f32x4.demote_f64x2_zero', 95: 'f64x2.promote_low_f32x4',
+  96: 'i8x16.abs', 97: 'i8x16.neg', 98: 'i8x16.popcnt', 99: 'i8x16.all_true',
+  100: 'i8x16.bitmask', 101: 'i8x16.narrow_i16x8_s', 102: 'i8x16.narrow_i16x8_u',
+  103: 'f32x4.ceil', 104: 'f32x4.floor', 105: 'f32x4.trunc', 106: 'f32x4.nearest',
+  107: 'i8x16.shl', 108: 'i8x16.shr_s', 109: 'i8x16.shr_u', 110: 'i8x16.add',
+  111: 'i8x16.add_sat_s', 112: 'i8x16.add_sat_u', 113: 'i8x16.sub', 114: 'i8x16.sub_sat_s',
+  115: 'i8x16.sub_sat_u', 116: 'f64x2.ceil', 117: 'f64x2.floor', 118: 'i8x16.min_s',
+  119: 'i8x16.min_u', 120: 'i8x16.max_s', 121: 'i8x16.max_u', 122: 'f64x2.trunc',
+  123: 'i8x16.avgr_u', 124: 'i16x8.extadd_pairwise_i8x16_s', 125: 'i16x8.extadd_pairwise_i8x16_u',
+  126: 'i32x4.extadd_pairwise_i16x8_s', 127: 'i32x4.extadd_pairwise_i16x8_u',
+  128: 'i16x8.abs', 129: 'i16x8.neg', 130: 'i16x8.q15mulr_sat_s', 131: 'i16x8.all_true',
+  132: 'i16x8.bitmask', 133: 'i16x8.narrow_i32x4_s', 134: 'i16x8.narrow_i32x4_u',
+  135: 'i16x8.extend_low_i8x16_s', 136: 'i16x8.extend_high_i8x16_s',
+  137: 'i16x8.extend_low_i8x16_u', 138: 'i16x8.extend_high_i8x16_u',
+  139: 'i16x8.shl', 140: 'i16x8.shr_s', 141: 'i16x8.shr_u', 142: 'i16x8.add',
+  143: 'i16x8.add_sat_s', 144: 'i16x8.add_sat_u', 145: 'i16x8.sub', 146: 'i16x8.sub_sat_s',
+  147: 'i16x8.sub_sat_u', 148: 'f64x2.nearest', 149: 'i16x8.mul', 150: 'i16x8.min_s',
+  151: 'i16x8.min_u', 152: 'i16x8.max_s', 153: 'i16x8.max_u', 155: 'i16x8.avgr_u',
+  156: 'i16x8.extmul_low_i8x16_s', 157: 'i16x8.extmul_high_i8x16_s',
+  158: 'i16x8.extmul_low_i8x16_u', 159: 'i16x8.extmul_high_i8x16_u',
+  160: 'i32x4.abs', 161: 'i32x4.neg', 163: 'i32x4.all_true', 164: 'i32x4.bitmask',
+  167: 'i32x4.extend_low_i16x8_s', 168: 'i32x4.extend_high_i16x8_s',
+  169: 'i32x4.extend_low_i16x8_u', 170: 'i32x4.extend_high_i16x8_u',
+  171: 'i32x4.shl', 172: 'i32x4.shr_s', 173: 'i32x4.shr_u', 174: 'i32x4.add',
+  177: 'i32x4.sub', 181: 'i32x4.mul', 182: 'i32x4.min_s', 183: 'i32x4.min_u',
+  184: 'i32x4.max_s', 185: 'i32x4.max_u', 186: 'i32x4.dot_i16x8_s',
+  188: 'i32x4.extmul_low_i16x8_s', 189: 'i32x4.extmul_high_i16x8_s',
+  190: 'i32x4.extmul_low_i16x8_u', 191: 'i32x4.extmul_high_i16x8_u',
+  192: 'i64x2.abs', 193: 'i64x2.neg', 195: 'i64x2.all_true', 196: 'i64x2.bitmask',
+  199: 'i64x2.extend_low_i32x4_s', 200: 'i64x2.extend_high_i32x4_s',
+  201: 'i64x2.extend_low_i32x4_u', 202: 'i64x2.extend_high_i32x4_u',
+  203: 'i64x2.shl', 204: 'i64x2.shr_s', 205: 'i64x2.shr_u', 206: 'i64x2.add',
+  209: 'i64x2.sub', 213: 'i64x2.mul', 214: 'i64x2.eq', 215: 'i64x2.ne',
+  216: 'i64x2.lt_s', 217: 'i64x2.gt_s', 218: 'i64x2.le_s', 219: 'i64x2.ge_s',
+  220: 'i64x2.extmul_low_i32x4_s', 221: 'i64x2.extmul_high_i32x4_s',
+  222: 'i64x2.extmul_low_i32x4_u', 223: 'i64x2.extmul_high_i32x4_u',
+  224: 'f32x4.abs', 225: 'f32x4.neg', 227: 'f32x4.sqrt', 228: 'f32x4.add', 229: 'f32x4.sub',
+  230: 'f32x4.mul', 231: 'f32x4.div', 232: 'f32x4.min', 233: 'f32x4.max', 234: 'f32x4.pmin',
+  235: 'f32x4.pmax', 236: 'f64x2.abs', 237: 'f64x2.neg', 239: 'f64x2.sqrt', 240: 'f64x2.add',
+  241: 'f64x2.sub', 242: 'f64x2.mul', 243: 'f64x2.div', 244: 'f64x2.min', 245: 'f64x2.max',
+  246: 'f64x2.pmin', 247: 'f64x2.pmax',
+  248: 'i32x4.trunc_sat_f32x4_s', 249: 'i32x4.trunc_sat_f32x4_u',
+  250: 'f32x4.convert_i32x4_s', 251: 'f32x4.convert_i32x4_u',
+  252: 'i32x4.trunc_sat_f64x2_s_zero', 253: 'i32x4.trunc_sat_f64x2_u_zero',
+  254: 'f64x2.convert_low_i32x4_s', 255: 'f64x2.convert_low_i32x4_u'
+};
+
+// Nomes das instruções atómicas (threads): loads/stores e, a partir de 0x1e, grupos de 7
+// read-modify-write por operação (i32, i64, i32 8/16 bits, i64 8/16/32 bits)
+const ATOMIC_NAMES = {
+  0x00: 'memory.atomic.notify', 0x01: 'memory.atomic.wait32', 0x02: 'memory.atomic.wait64',
+  0x03: 'atomic.fence',
+  0x10: 'i32.atomic.load', 0x11: 'i64.atomic.load', 0x12: 'i32.atomic.load8_u',
+  0x13: 'i32.atomic.load16_u', 0x14: 'i64.atomic.load8_u', 0x15: 'i64.atomic.load16_u',
+  0x16: 'i64.atomic.load32_u', 0x17: 'i32.atomic.store', 0x18: 'i64.atomic.store',
+  0x19: 'i32.atomic.store8', 0x1a: 'i32.atomic.store16', 0x1b: 'i64.atomic.store8',
+  0x1c: 'i64.atomic.store16', 0x1d: 'i64.atomic.store32'
+};
+['add', 'sub', 'and', 'or', 'xor', 'xchg', 'cmpxchg'].forEach((operation, group) => {
+  ['i32.atomic.rmw.', 'i64.atomic.rmw.', 'i32.atomic.rmw8.', 'i32.atomic.rmw16.',
+    'i64.atomic.rmw8.', 'i64.atomic.rmw16.', 'i64.atomic.rmw32.'].forEach((prefix, index) => {
+    ATOMIC_NAMES[0x1e + group * 7 + index] = `${prefix}${operation}${index < 2 ? '' : '_u'}`;
+  });
+});
+
+// Leitor sequencial de bytes com suporte a LEB128
+class WasmReader {
+  constructor(buffer, start = 0, end = buffer.length) {
+    this.buffer = buffer;
+    this.pos = start;
+    this.end = end;
+  }
+
+  eof() {
+    return this.pos >= this.end;
+  }
+
+  ensure(count) {
+    if (this.pos + count > this.end) {
+      throw new Error(`Fim inesperado dos dados (offset ${this.pos})`);
+    }
+  }
+
+  peek() {
+    this.ensure(1);
+    return this.buffer[this.pos];
+  }
+
+  byte() {
+    this.ensure(1);
+    return this.buffer[this.pos++];
+  }
+
+  bytes(count) {
+    this.ensure(count);
+    const slice = this.buffer.subarray(this.pos, this.pos + count);
+    this.pos += count;
+    return slice;
+  }
+
+  u32le() {
+    this.ensure(4);
+    const value = this.buffer[this.pos] |
+      (this.buffer[this.pos + 1] << 8) |
+      (this.buffer[this.pos + 2] << 16) |
+      (this.buffer[this.pos + 3] << 24);
+    this.pos += 4;
+    return value >>> 0;
+  }
+
+  // LEB128 sem sinal (aceita valores acima de 32 bits para memory64)
+  u32() {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = this.byte();
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  s32() {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = this.byte();
+      result |= (byte & 0x7f) << shift;
+      shift += 7;
+    } while (byte & 0x80);
+    if (shift < 32 && (byte & 0x40)) {
+      result |= (~0 << shift);
+    }
+    return result | 0;
+  }
+
+  s33() {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = this.byte();
+      result += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+    if (byte & 0x40) result -= multiplier;
+    return result;
+  }
+
+  s64() {
+    let result = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      byte = this.byte();
+      result |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    if (byte & 0x40) {
+      result -= 1n << shift;
+    }
+    return BigInt.asIntN(64, result);
+  }
+
+  f32() {
+    this.ensure(4);
+    const value = this.buffer.readFloatLE(this.pos);
+    this.pos += 4;
+    return value;
+  }
+
+  f64() {
+    this.ensure(8);
+    const value = this.buffer.readDoubleLE(this.pos);
+    this.pos += 8;
+    return value;
+  }
+
+  string() {
+    const length = this.u32();
+    return this.bytes(length).toString('utf8');
+  }
+}
+
+// Execução direta: imprimir o WAT de um ficheiro .wasm
+if (require.main === module) {
+  const filePath = process.argv[2];
+
+  if (!filePath) {
+    console.error('Uso: node wasm_binary_parser.js <ficheiro.wasm>');
+    process.exit(1);
+  }
+
+  const parser = new WasmBinaryParser();
+  process.stdout.write(parser.toWat(parser.parseFile(filePath)));
+}
+
+module.exports = { WasmBinaryParser, WasmReader, SECTION_NAMES };
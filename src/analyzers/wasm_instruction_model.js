@@ -0,0 +1,521 @@
+// Instruções que abrem um bloco estruturado
+const BLOCK_OPS = new Set(['block', 'loop', 'if', 'try']);
+
+// Instruções que terminam um bloco básico
+const TERMINATOR_OPS = new Set([
+  'block', 'loop', 'if', 'else', 'end', 'try', 'catch', 'catch_all', 'delegate',
+  'br', 'br_if', 'br_table', 'return', 'unreachable', 'throw', 'rethrow',
+  'return_call', 'return_call_indirect'
+]);
+
+// Anotações de tipo que não são instruções dentro de um bloco
+const TYPE_ANNOTATIONS = new Set(['result', 'type', 'param']);
+
+// Formas de v128.const
+const SIMD_SHAPES = new Set(['i8x16', 'i16x8', 'i32x4', 'i64x2', 'f32x4', 'f64x2']);
+
+const ARITHMETIC_OP = /^(?:i32|i64|f32|f64|v128|[if]\d+x\d+)\.(?:add|sub|mul|div(?:_[su])?|rem_[su]|and|andnot|or|xor|shl|shr_[su]|rotl|rotr)$/;
+const BITWISE_OP = /^(?:i32|i64|v128|i\d+x\d+)\.(?:and|andnot|or|xor|shl|shr_[su]|rotl|rotr|not)$/;
+const ROTATE_OP = /^(?:i32|i64)\.(?:rotl|rotr)$/;
+const LOAD_STORE_OP = /^(?:i32|i64|f32|f64|v128)\.(?:load|store)/;
+
+class WasmInstructionModel {
+  // Parse de texto WAT em funções com instruções estruturadas
+  parseWat(content) {
+    const tree = this.parseSExpressions(this.tokenize(content));
+    const fields = this.getModuleFields(tree);
+
+    const result = {
+      functions: [],
+      memories: [],
+      data: []
+    };
+
+    let funcIndex = 0;
+    for (const field of fields) {
+      const head = this.headOf(field);
+
+      if (head === 'import') {
+        // (import "m" "n" (func ...)) ocupa um índice de função
+        const desc = field.items.find(item => item.type === 'list' && this.headOf(item) === 'func');
+        if (desc) funcIndex++;
+      } else if (head === 'func') {
+        result.functions.push(this.parseFuncNode(field, content, funcIndex++));
+      } else if (head === 'data') {
+        result.data.push(this.parseDataNode(field, result.data.length));
+      } else if (head === 'memory') {
+        const numbers = field.items.filter(item => item.type === 'atom' && /^\d/.test(item.value));
+        if (numbers.length > 0) {
+          result.memories.push({
+            initial: this.parseInteger(numbers[0].value),
+            maximum: numbers[1] ? this.parseInteger(numbers[1].value) : null
+          });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Tokenizar WAT (ignora comentários ;; e (; ;), preserva strings)
+  tokenize(content) {
+    const tokens = [];
+    const length = content.length;
+    let i = 0;
+
+    while (i < length) {
+      const char = content[i];
+
+      if (char === ' ' || char === '\n' || char === '\t' || char === '\r') {
+        i++;
+      } else if (char === ';' && content[i + 1] === ';') {
+        while (i < length && content[i] !== '\n') i++;
+      } else if (char === '(' && content[i + 1] === ';') {
+        // Comentário de bloco (pode ser aninhado)
+        let depth = 1;
+        i += 2;
+        while (i < length && depth > 0) {
+          if (content[i] === '(' && content[i + 1] === ';') {
+            depth++;
+            i += 2;
+          } else if (content[i] === ';' && content[i + 1] === ')') {
+            depth--;
+            i += 2;
+          } else {
+            i++;
+          }
+        }
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, start: i });
+        i++;
+      } else if (char === '"') {
+        const start = i;
+        i++;
+        while (i < length && content[i] !== '"') {
+          if (content[i] === '\\') i++;
+          i++;
+        }
+        i++;
+        tokens.push({ type: 'string', value: content.slice(start + 1, i - 1), start });
+      } else {
+        const start = i;
+        while (i < length && !/[\s()";]/.test(content[i])) i++;
+        tokens.push({ type: 'atom', value: content.slice(start, i), start });
+      }
+    }
+
+    return tokens;
+  }
+
+  // Construir árvore de s-expressions a partir dos tokens
+  parseSExpressions(tokens) {
+    const root = { type: 'list', items: [], start: 0, end: 0 };
+    const stack = [root];
+
+    for (const token of tokens) {
+      const current = stack[stack.length - 1];
+
+      if (token.type === '(') {
+        const list = { type: 'list', items: [], start: token.start, end: token.start };
+        current.items.push(list);
+        stack.push(list);
+      } else if (token.type === ')') {
+        if (stack.length > 1) {
+          current.end = token.start + 1;
+          stack.pop();
+        }
+      } else {
+        current.items.push(token);
+      }
+    }
+
+    return root;
+  }
+
+  getModuleFields(tree) {
+    const moduleNode = tree.items.find(item => item.type === 'list' && this.headOf(item) === 'module');
+    return (moduleNode ? moduleNode.items : tree.items).filter(item => item.type === 'list');
+  }
+
+  headOf(node) {
+    return node && node.type === 'list' && node.items[0] && node.items[0].type === 'atom'
+      ? node.items[0].value
+      : null;
+  }
+
+  // Converter um nó (func ...) em função estruturada
+  parseFuncNode(node, content, index) {
+    const func = {
+      index,
+      name: null,
+      imported: false,
+      exported: false,
+      params: [],
+      results: [],
+      locals: [],
+      instructions: [],
+      text: content.slice(node.start, node.end),
+      start: node.start
+    };
+
+    let i = 1;
+    if (node.items[i] && node.items[i].type === 'atom' && node.items[i].value.startsWith('$')) {
+      func.name = node.items[i].value.slice(1);
+      i++;
+    }
+
+    // Cabeçalho: export/import inline, type, param, result, local
+    for (; i < node.items.length; i++) {
+      const item = node.items[i];
+      const head = this.headOf(item);
+
+      if (head === 'export') {
+        func.exported = true;
+      } else if (head === 'import') {
+        func.imported = true;
+      } else if (head === 'type') {
+        continue;
+      } else if (head === 'param' || head === 'local') {
+        const target = head === 'param' ? func.params : func.locals;
+        const atoms = item.items.slice(1).filter(a => a.type === 'atom');
+        if (atoms[0] && atoms[0].value.startsWith('$')) {
+          target.push({ name: atoms[0].value.slice(1), type: atoms[1] ? atoms[1].value : 'unknown' });
+        } else {
+          atoms.forEach(atom => target.push({ name: null, type: atom.value }));
+        }
+      } else if (head === 'result') {
+        item.items.slice(1).forEach(atom => func.results.push(atom.value));
+      } else {
+        break;
+      }
+    }
+
+    this.flattenInstructions(node.items.slice(i), func.instructions);
+    return func;
+  }
+
+  // Segmento de dados: offset constante (se ativo) e bytes decodificados
+  parseDataNode(node, index) {
+    const segment = { index, mode: 'passive', offset: null, bytes: null };
+    const chunks = [];
+
+    node.items.slice(1).forEach(item => {
+      if (item.type === 'string') {
+        chunks.push(this.decodeString(item.value));
+      } else if (item.type === 'list' && this.headOf(item) !== 'memory') {
+        const expr = this.headOf(item) === 'offset' ? item.items.slice(1) : [item];
+        const instructions = [];
+        this.flattenInstructions(expr, instructions);
+
+        segment.mode = 'active';
+        const constInst = instructions.find(inst => inst.op === 'i32.const' || inst.op === 'i64.const');
+        segment.offset = constInst && typeof constInst.value === 'number' ? constInst.value : null;
+      }
+    });
+
+    segment.bytes = Buffer.concat(chunks);
+    return segment;
+  }
+
+  // Decodificar string WAT (escapes \hh, \n, \t, \u{...}) para bytes
+  decodeString(raw) {
+    const simple = { n: 0x0a, t: 0x09, r: 0x0d, '"': 0x22, "'": 0x27, '\\': 0x5c };
+    const chunks = [];
+    let plainStart = 0;
+    let i = 0;
+
+    const flushPlain = end => {
+      if (end > plainStart) chunks.push(Buffer.from(raw.slice(plainStart, end), 'utf8'));
+    };
+
+    while (i < raw.length) {
+      if (raw[i] !== '\\') {
+        i++;
+        continue;
+      }
+
+      flushPlain(i);
+      const next = raw[i + 1];
+
+      if (next in simple) {
+        chunks.push(Buffer.from([simple[next]]));
+        i += 2;
+      } else if (next === 'u' && raw[i + 2] === '{') {
+        const close = raw.indexOf('}', i);
+        chunks.push(Buffer.from(String.fromCodePoint(parseInt(raw.slice(i + 3, close), 16)), 'utf8'));
+        i = close + 1;
+      } else {
+        chunks.push(Buffer.from([parseInt(raw.slice(i + 1, i + 3), 16)]));
+        i += 3;
+      }
+      plainStart = i;
+    }
+
+    flushPlain(raw.length);
+    return Buffer.concat(chunks);
+  }
+
+  // Parse de um trecho de corpo de função (sem o cabeçalho)
+  parseBody(text) {
+    const tree = this.parseSExpressions(this.tokenize(text));
+    const items = tree.items.filter(item => {
+      const head = this.headOf(item);
+      return !(head === 'param' || head === 'result' || head === 'local' || head === 'type');
+    });
+    const instructions = [];
+    this.flattenInstructions(items, instructions);
+    return instructions;
+  }
+
+  // Achatar instruções (forma plana e forma "folded") numa lista linear
+  flattenInstructions(items, out) {
+    let i = 0;
+
+    while (i < items.length) {
+      const item = items[i];
+
+      if (item.type === 'list') {
+        this.flattenFolded(item, out);
+        i++;
+        continue;
+      }
+
+      if (item.type !== 'atom' || this.isImmediate(item.value, null)) {
+        i++;
+        continue;
+      }
+
+      const inst = { op: item.value, args: [], offset: item.start };
+      i++;
+
+      // Consumir imediatos e anotações de tipo do bloco
+      while (i < items.length) {
+        const next = items[i];
+        if (next.type === 'atom' && this.isImmediate(next.value, inst.op)) {
+          inst.args.push(next.value);
+          i++;
+        } else if (next.type === 'string') {
+          inst.args.push(next.value);
+          i++;
+        } else if (next.type === 'list' && TYPE_ANNOTATIONS.has(this.headOf(next))) {
+          inst.args.push(this.annotationText(next));
+          i++;
+        } else {
+          break;
+        }
+      }
+
+      this.attachValue(inst);
+      out.push(inst);
+    }
+  }
+
+  // Instrução em forma folded: (op imediatos operandos...)
+  flattenFolded(node, out) {
+    const head = this.headOf(node);
+    if (!head || TYPE_ANNOTATIONS.has(head) || head === 'local') return;
+
+    const inst = { op: head, args: [], offset: node.start };
+    const rest = node.items.slice(1);
+    let i = 0;
+
+    while (i < rest.length) {
+      const item = rest[i];
+      if (item.type === 'atom' && this.isImmediate(item.value, head)) {
+        inst.args.push(item.value);
+      } else if (item.type === 'string') {
+        inst.args.push(item.value);
+      } else if (item.type === 'list' && TYPE_ANNOTATIONS.has(this.headOf(item))) {
+        inst.args.push(this.annotationText(item));
+      } else {
+        break;
+      }
+      i++;
+    }
+    this.attachValue(inst);
+
+    const body = rest.slice(i);
+
+    if (head === 'if') {
+      // (if cond... (then ...) (else ...))
+      const thenNode = body.find(item => this.headOf(item) === 'then');
+      const elseNode = body.find(item => this.headOf(item) === 'else');
+      body.filter(item => item !== thenNode && item !== elseNode)
+        .forEach(item => this.flattenInstructions([item], out));
+      out.push(inst);
+      if (thenNode) this.flattenInstructions(thenNode.items.slice(1), out);
+      if (elseNode) {
+        out.push({ op: 'else', args: [], offset: elseNode.start });
+        this.flattenInstructions(elseNode.items.slice(1), out);
+      }
+      out.push({ op: 'end', args: [], offset: node.end - 1 });
+    } else if (BLOCK_OPS.has(head)) {
+      out.push(inst);
+      this.flattenInstructions(body, out);
+      out.push({ op: 'end', args: [], offset: node.end - 1 });
+    } else {
+      // Operandos primeiro (pós-ordem), depois a própria instrução
+      this.flattenInstructions(body, out);
+      out.push(inst);
+    }
+  }
+
+  annotationText(node) {
+    return `(${node.items.map(item => item.type === 'list' ? this.annotationText(item) : item.value).join(' ')})`;
+  }
+
+  // Decidir se um átomo é imediato da instrução anterior
+  isImmediate(value, op) {
+    if (/^[-+]?(?:\d|0x|inf|nan)/i.test(value)) return true;
+    if (value.startsWith('$')) return true;
+    if (value.startsWith('offset=') || value.startsWith('align=')) return true;
+    if (op === 'ref.null' && (value === 'func' || value === 'extern')) return true;
+    if (op === 'v128.const' && SIMD_SHAPES.has(value)) return true;
+    return false;
+  }
+
+  // Valor numérico das constantes (i64 fora do intervalo seguro fica como string decimal)
+  attachValue(inst) {
+    if (!inst.op.endsWith('.const') || inst.args.length === 0) return;
+
+    const raw = inst.args[0];
+    if (inst.op === 'i32.const') {
+      const parsed = this.parseInteger(raw);
+      if (parsed !== null) inst.value = Number(BigInt.asIntN(32, BigInt(parsed)));
+    } else if (inst.op === 'i64.const') {
+      const parsed = this.parseBigInt(raw);
+      if (parsed !== null) {
+        const value = BigInt.asIntN(64, parsed);
+        inst.value = (value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER))
+          ? Number(value)
+          : value.toString();
+      }
+    } else if (inst.op === 'f32.const' || inst.op === 'f64.const') {
+      inst.value = parseFloat(raw.replace(/_/g, ''));
+    }
+  }
+
+  parseInteger(raw) {
+    const value = this.parseBigInt(raw);
+    return value === null ? null : Number(value);
+  }
+
+  parseBigInt(raw) {
+    const clean = raw.replace(/_/g, '');
+    const match = clean.match(/^([-+]?)(0x[0-9a-f]+|\d+)$/i);
+    if (!match) return null;
+    const magnitude = BigInt(match[2]);
+    return match[1] === '-' ? -magnitude : magnitude;
+  }
+
+  // Perfil de uma função: histograma, aninhamento e blocos básicos
+  buildProfile(instructions, resolveCallee = null) {
+    const profile = {
+      instructionCount: instructions.length,
+      histogram: {},
+      maxBlockDepth: 0,
+      maxLoopDepth: 0,
+      basicBlocks: [],
+      callees: []
+    };
+
+    const stack = [];
+    let loopDepth = 0;
+    let blockStart = 0;
+
+    instructions.forEach((inst, i) => {
+      const op = inst.op;
+      profile.histogram[op] = (profile.histogram[op] || 0) + 1;
+
+      if (BLOCK_OPS.has(op)) {
+        stack.push(op);
+        if (op === 'loop') {
+          loopDepth++;
+          profile.maxLoopDepth = Math.max(profile.maxLoopDepth, loopDepth);
+        }
+        profile.maxBlockDepth = Math.max(profile.maxBlockDepth, stack.length);
+      } else if (op === 'end' || op === 'delegate') {
+        if (stack.pop() === 'loop') loopDepth--;
+      }
+
+      if (op === 'call' || op === 'return_call') {
+        const target = inst.func !== undefined ? inst.func : inst.args && inst.args[0];
+        const name = resolveCallee ? resolveCallee(target) : target;
+        if (name !== undefined && name !== null) {
+          profile.callees.push(String(name).replace(/^\$/, ''));
+        }
+      }
+
+      if (TERMINATOR_OPS.has(op) || i === instructions.length - 1) {
+        profile.basicBlocks.push({
+          start: blockStart,
+          end: i,
+          size: i - blockStart + 1,
+          terminator: op,
+          loopDepth
+        });
+        blockStart = i + 1;
+      }
+    });
+
+    return profile;
+  }
+
+  // Somar contagens de um conjunto de operações no histograma
+  countOps(histogram, predicate) {
+    let total = 0;
+    for (const [op, count] of Object.entries(histogram)) {
+      if (predicate(op)) total += count;
+    }
+    return total;
+  }
+
+  arithmeticCount(histogram) {
+    return this.countOps(histogram, op => ARITHMETIC_OP.test(op));
+  }
+
+  bitwiseCount(histogram) {
+    return this.countOps(histogram, op => BITWISE_OP.test(op));
+  }
+
+  rotateCount(histogram) {
+    return this.countOps(histogram, op => ROTATE_OP.test(op));
+  }
+
+  memoryOpCount(histogram) {
+    return this.countOps(histogram, op => op.startsWith('memory.'));
+  }
+
+  loadStoreCount(histogram) {
+    return this.countOps(histogram, op => LOAD_STORE_OP.test(op));
+  }
+
+  callCount(histogram) {
+    return (histogram.call || 0) + (histogram.call_indirect || 0) +
+      (histogram.return_call || 0) + (histogram.return_call_indirect || 0);
+  }
+
+  // Agregar perfis de várias funções
+  summarize(profiles) {
+    const summary = {
+      functions: profiles.length,
+      instructionCount: 0,
+      histogram: {},
+      maxLoopDepth: 0,
+      basicBlocks: 0
+    };
+
+    profiles.forEach(profile => {
+      summary.instructionCount += profile.instructionCount;
+      summary.maxLoopDepth = Math.max(summary.maxLoopDepth, profile.maxLoopDepth);
+      summary.basicBlocks += profile.basicBlocks.length;
+      for (const [op, count] of Object.entries(profile.histogram)) {
+        summary.histogram[op] = (summary.histogram[op] || 0) + count;
+      }
+    });
+
+    return summary;
+  }
+}
+
+module.exports = { WasmInstructionModel };
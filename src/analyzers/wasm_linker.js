@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Glue das toolchains: padrões no JS que carrega o módulo e nos imports/exports/strings do próprio módulo.
+// O texto do lado WASM tem uma linha por import ("modulo.nome"), por export ("export:nome") e por string de dados.
+const TOOLCHAINS = [
+  {
+    name: 'Emscripten',
+    js: [
+      /\bwasmBinaryFile\b/,
+      /\bENVIRONMENT_IS_(?:WEB|NODE|WORKER|SHELL)\b/,
+      /\b_?emscripten_\w+/,
+      /\bHEAPU8\b/,
+      /\bModule\s*(?:\.\s*|\[\s*['"])(?:asm|wasmBinary|instantiateWasm|locateFile|wasmMemory)\b/,
+      /\bcreateWasm\b|\bwasmImports\b|\basmLibraryArg\b/
+    ],
+    jsMin: 2,
+    wasm: [
+      /^env\.(?:_?emscripten_\w+|__syscall_\w+|__cxa_\w+|_?abort(?:OnCannotGrowMemory)?)$/m,
+      /^wasi_snapshot_preview1\.\w+$/m,
+      /^export:(?:__wasm_call_ctors|stackAlloc|stackSave|stackRestore|_?emscripten_\w+|__errno_location)$/m
+    ],
+    wasmMin: 2
+  },
+  {
+    name: 'wasm-bindgen',
+    js: [
+      /\b__wbg_\w+/,
+      /\b__wbindgen_\w+/,
+      /\bgetStringFromWasm0?\b|\bpassStringToWasm0?\b|\bgetUint8Memory0?\b/,
+      /\b__wbg_init\b|\binitSync\b|\b__wbg_finalize_init\b/
+    ],
+    jsMin: 2,
+    wasm: [
+      /\.__wb(?:g|indgen)_\w+$/m,
+      /^export:__wbindgen_\w+$/m
+    ],
+    wasmMin: 1
+  },
+  {
+    name: 'AssemblyScript',
+    js: [
+      /\b__lowerString\b|\b__liftString\b|\b__liftArray\b/,
+      /\b__getString\b|\b__newString\b/,
+      /\b__pin\b|\b__unpin\b|\b__collect\b/,
+      /@assemblyscript\/loader|\bASC_TARGET\b/,
+      /~lib\//
+    ],
+    jsMin: 2,
+    wasm: [
+      /^env\.abort$/m,
+      /^export:(?:__new|__pin|__unpin|__collect|__rtti_base|__setArgumentsLength)$/m,
+      /~lib\//
+    ],
+    wasmMin: 2
+  },
+  {
+    name: 'Go',
+    js: [
+      /\bwasm_exec\b/,
+      /\bnew\s+Go\s*\(\s*\)/,
+      /\bruntime\.wasmExit\b|\bsyscall\/js\.\w+/,
+      /\b(?:globalThis|global|window)\.Go\s*=\s*class\b/,
+      /\bgo\.importObject\b|\bgo\.run\s*\(/
+    ],
+    jsMin: 2,
+    wasm: [
+      /^(?:go|gojs)\.(?:runtime|syscall\/js)\.\w+$/m,
+      /^env\.syscall\/js\.\w+$/m
+    ],
+    wasmMin: 1
+  }
+];
+
+const WEBASSEMBLY_CALL = /\bWebAssembly\s*\.\s*(instantiateStreaming|instantiate|compileStreaming|compile|Module|Instance|validate)\b/g;
+const WASM_URL = /['"`]([^'"`\s]*\.wasm)(?:[?#][^'"`]*)?['"`]/gi;
+// import ... from './pkg_bg' (módulo WASM importado como ES module, convenção do wasm-bindgen)
+const BINDGEN_IMPORT = /\bfrom\s*['"]([^'"]+_bg)['"]/g;
+// Bytes embutidos: base64 a começar por \0asm (AGFzbQ) e arrays com o magic number 0,97,115,109
+const BASE64_MODULE = /AGFzbQ[A-Za-z0-9+/]{10,}={0,2}/g;
+const BYTE_ARRAY_MODULE = /\[\s*(?:0|0x0+)\s*,\s*(?:97|0x61)\s*,\s*(?:115|0x73)\s*,\s*(?:109|0x6d)\s*,(?:\s*(?:0x[0-9a-f]{1,2}|\d{1,3})\s*,?)+\]/gi;
+
+// Import com nome curto demais (a, b, c... do Emscripten minificado) não prova nada
+const MIN_IMPORT_NAME = 3;
+// Ligação só pelos imports: o JS tem de fornecer quase todos (e pelo menos 2)
+const IMPORT_LINK_RATIO = 0.8;
+const IMPORT_LINK_MIN = 2;
+// URL de um frame de stack trace do V8 nos metadados dos dumps de runtime
+const STACK_FRAME_URL = /((?:https?|blob):[^\s()]+?):\d+:\d+\)?$/;
+
+// Ligação entre scripts e módulos WASM: quem carrega o quê (chamadas à API WebAssembly,
+// URLs .wasm referidos, bytes embutidos) e se os nomes importados pelo módulo (env.*,
+// wbg.__wbg_*, gojs.syscall/js.*) são fornecidos pelo script. Também identifica a toolchain
+// (Emscripten, wasm-bindgen, AssemblyScript, Go) de cada lado. Os módulos capturados em runtime
+// trazem nos metadados o script que os compilou, que tem prioridade sobre as heurísticas.
+class WasmLinker {
+  // Sinais de carregamento num script: { calls, urls, embedded, toolchains }; null se não houver nenhum
+  analyzeLoader(code) {
+    const calls = [...new Set([...code.matchAll(WEBASSEMBLY_CALL)].map(match => match[1]))];
+    const urls = [...new Set([...code.matchAll(WASM_URL), ...code.matchAll(BINDGEN_IMPORT)].map(match => match[1]))];
+    const embedded = [];
+
+    for (const match of code.matchAll(BASE64_MODULE)) {
+      this.addEmbedded(embedded, 'base64', Buffer.from(match[0], 'base64'));
+    }
+    for (const match of code.matchAll(BYTE_ARRAY_MODULE)) {
+      const bytes = match[0].slice(1, -1).split(',').map(value => value.trim()).filter(Boolean).map(Number);
+      if (bytes.every(value => value >= 0 && value <= 255)) this.addEmbedded(embedded, 'array', Buffer.from(bytes));
+    }
+
+    const toolchains = this.detectToolchains(code, 'js');
+    if (calls.length === 0 && urls.length === 0 && embedded.length === 0 && toolchains.length === 0) return null;
+    return { calls, urls, embedded, toolchains };
+  }
+
+  addEmbedded(embedded, encoding, bytes) {
+    // Cabeçalho completo: \0asm + versão 1
+    if (bytes.length < 8 || bytes.readUInt32LE(4) !== 1) return;
+    const sha256 = crypto.createHash('sha256').update(bytes).digest('hex');
+    if (!embedded.some(item => item.sha256 === sha256)) embedded.push({ encoding, size: bytes.length, sha256 });
+  }
+
+  detectToolchains(text, side) {
+    return TOOLCHAINS
+      .filter(toolchain => toolchain[side].filter(pattern => pattern.test(text)).length >= toolchain[`${side}Min`])
+      .map(toolchain => toolchain.name);
+  }
+
+  // Texto do lado WASM para os padrões de toolchain (imports, exports e strings dos dados;
+  // sem os \00 do WAT, as strings UTF-16 do AssemblyScript ficam legíveis)
+  moduleText(structure) {
+    if (!structure) return '';
+    return [
+      ...(structure.imports || []).map(imp => `${imp.module}.${imp.name}`),
+      ...(structure.exports || []).map(exp => `export:${exp.name}`),
+      ...(structure.data || []).map(segment => (segment.content || '').replace(/\\00/g, ''))
+    ].join('\n');
+  }
+
+  moduleToolchains(structure) {
+    return this.detectToolchains(this.moduleText(structure), 'wasm');
+  }
+
+  // Imports do módulo fornecidos pelo script (nome presente como identificador, chave ou string)
+  importCoverage(code, structure) {
+    const names = [...new Set((structure && structure.imports || [])
+      .filter(imp => !/^(?:memory|table)\b/.test(imp.type || ''))
+      .map(imp => imp.name)
+      .filter(name => name.length >= MIN_IMPORT_NAME))];
+    const provided = names.filter(name => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(?:^|[^\\w$])${escaped}(?![\\w$])`).test(code);
+    });
+    return { provided: provided.length, total: names.length, missing: names.filter(name => !provided.includes(name)).slice(0, 20) };
+  }
+
+  // Metadados de um dump de runtime (runtime_<sha256>.json ao lado do .wasm, gravado pelo crawler):
+  // por referência, a chamada, o URL do script e os ficheiros gravados do script e da stack
+  readDumpMetadata(binaryPath) {
+    if (!binaryPath || !/\.wasm$/i.test(binaryPath)) return null;
+    const metaPath = binaryPath.replace(/\.wasm$/i, '.json');
+    let meta;
+    try {
+      meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    } catch {
+      return null;
+    }
+    if (!meta || meta.file !== path.basename(binaryPath) || !Array.isArray(meta.references)) return null;
+
+    const dir = path.dirname(metaPath);
+    return {
+      sha256: meta.sha256 || null,
+      references: meta.references.map(reference => ({
+        api: reference.api || null,
+        pageUrl: reference.pageUrl || null,
+        scriptUrl: reference.scriptUrl || null,
+        scripts: [reference.scriptPath, ...(reference.stackPaths || [])]
+          .filter(Boolean)
+          .map(relative => path.resolve(dir, relative)),
+        urls: [reference.scriptUrl, ...(reference.stack || []).map(frame => (STACK_FRAME_URL.exec(frame) || [])[1])]
+          .filter(Boolean)
+      }))
+    };
+  }
+
+  // Referência do dump feita pelo script: ficheiro gravado do script ou de um frame da stack;
+  // sem ficheiros resolvidos (captura antiga), nome do ficheiro no URL como no crawler
+  runtimeReference(dump, scriptPath) {
+    if (!dump) return null;
+    const resolved = path.resolve(scriptPath);
+    const scriptName = path.basename(scriptPath).toLowerCase();
+    return dump.references.find(reference => reference.scripts.includes(resolved)) ||
+      dump.references.find(reference => reference.scripts.length === 0 && reference.urls.some(url => {
+        const name = path.posix.basename(url.split(/[?#]/)[0]).toLowerCase();
+        return name !== '' && (name === scriptName || scriptName.endsWith(`_${name}`));
+      })) ||
+      null;
+  }
+
+  // Como um script se liga a um módulo: via 'runtime' (o dump do módulo foi compilado por este
+  // script, segundo os metadados da captura), 'embedded' (mesmo sha256), 'url' (nome do ficheiro
+  // gravado pelo crawler termina no nome referido), 'esm' (o módulo importa o próprio script,
+  // import './pkg.js' do wasm-bindgen) e/ou 'imports' (script fornece os imports)
+  link(loader, code, module, scriptPath) {
+    const via = [];
+    const runtime = this.runtimeReference(module.runtimeDump, scriptPath);
+    if (runtime) via.push('runtime');
+
+    const sha256 = module.signatures ? module.signatures.sha256 : null;
+    if (sha256 && loader.embedded.some(item => item.sha256 === sha256)) via.push('embedded');
+
+    const stem = name => name.toLowerCase().replace(/\.(?:wasm|wat)$/, '');
+    const moduleName = stem(path.basename(module.binaryPath || module.filePath));
+    const referenced = loader.urls.some(url => {
+      const name = stem(path.posix.basename(url.split(/[?#]/)[0]));
+      return name === moduleName || moduleName.endsWith(`_${name}`);
+    });
+    if (referenced) via.push('url');
+
+    const scriptName = path.basename(scriptPath).toLowerCase().replace(/\.[cm]?js$/, '');
+    const esm = (module.wasm ? module.wasm.imports : []).some(imp => {
+      if (!/^\.{0,2}\//.test(imp.module)) return false;
+      const name = path.posix.basename(imp.module).toLowerCase().replace(/\.[cm]?js$/, '');
+      return name === scriptName || scriptName.endsWith(`_${name}`);
+    });
+    if (esm) via.push('esm');
+
+    const imports = this.importCoverage(code, module.wasm);
+    const importsMatch = (loader.calls.length > 0 || loader.toolchains.length > 0) &&
+      imports.total >= IMPORT_LINK_MIN && imports.provided / imports.total >= IMPORT_LINK_RATIO;
+    if (importsMatch) via.push('imports');
+
+    if (via.length === 0) return null;
+    return runtime
+      ? { via, imports, runtime: { api: runtime.api, pageUrl: runtime.pageUrl, scriptUrl: runtime.scriptUrl } }
+      : { via, imports };
+  }
+}
+
+module.exports = { WasmLinker };
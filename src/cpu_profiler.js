@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const { pageArtifactPath } = require('./runtime_instrumentation');
+
+// Tipos de target CDP que correm código da página fora da main thread
+const WORKER_TARGET_TYPES = ['worker', 'shared_worker', 'service_worker'];
+
+// Limiares de uso de CPU (fração de um core) durante a janela visível
+const SUSTAINED_CPU = 0.5;
+const HIGH_CPU = 0.8;
+const IDLE_CPU = 0.1;
+
+// Simula um separador oculto: document.hidden/visibilityState + evento visibilitychange.
+// Corre no browser (frame.evaluate).
+function setPageHidden(hidden) {
+  const state = hidden ? 'hidden' : 'visible';
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => state });
+  Object.defineProperty(document, 'webkitHidden', { configurable: true, get: () => hidden });
+  document.dispatchEvent(new Event('visibilitychange'));
+  window.dispatchEvent(new Event(hidden ? 'blur' : 'focus'));
+}
+
+function metricsToObject(metrics) {
+  const result = {};
+  (metrics || []).forEach(metric => {
+    result[metric.name] = metric.value;
+  });
+  return result;
+}
+
+// Uso médio de CPU entre a primeira e a última amostra de uma fase
+function phaseUsage(samples) {
+  if (samples.length < 2) return null;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const wallMs = last.time - first.time;
+  if (wallMs <= 0) return null;
+
+  const usage = {
+    wallMs,
+    mainThreadCpu: (last.taskDurationMs - first.taskDurationMs) / wallMs,
+    scriptCpu: (last.scriptDurationMs - first.scriptDurationMs) / wallMs,
+    processCpu: null
+  };
+  if (first.rendererCpuMs !== null && last.rendererCpuMs !== null) {
+    usage.processCpu = (last.rendererCpuMs - first.rendererCpuMs) / wallMs;
+  }
+  // CPU do renderer da página inclui os workers; sem o pid (ou sem SystemInfo) fica só a main thread
+  usage.cpu = usage.processCpu !== null ? Math.max(usage.processCpu, usage.mainThreadCpu) : usage.mainThreadCpu;
+  return usage;
+}
+
+// Veredito de abuso de recursos a partir do perfil de uma página
+function resourceVerdict(profile) {
+  const indicators = [];
+  let confidence = 0;
+  const visible = profile.visible;
+  const cpu = visible ? visible.cpu : 0;
+
+  if (cpu >= HIGH_CPU) {
+    confidence += 0.6;
+    indicators.push(`high_cpu: ${(cpu * 100).toFixed(0)}%`);
+  } else if (cpu >= SUSTAINED_CPU) {
+    confidence += 0.4;
+    indicators.push(`sustained_cpu: ${(cpu * 100).toFixed(0)}%`);
+  }
+
+  const workers = profile.workers.spawned;
+  if (workers >= 2) {
+    confidence += 0.2;
+    indicators.push(`workers_spawned: ${workers}`);
+    if (profile.hardwareConcurrency && workers >= profile.hardwareConcurrency) {
+      confidence += 0.1;
+      indicators.push(`workers_per_core: ${workers}/${profile.hardwareConcurrency}`);
+    }
+  }
+
+  // Mineradores furtivos abrandam quando o separador deixa de estar visível
+  if (profile.throttling === 'backs_off_when_hidden' && cpu >= SUSTAINED_CPU) {
+    confidence += 0.2;
+    indicators.push('backs_off_when_hidden');
+  } else if (profile.throttling === 'ignores_visibility' && cpu >= SUSTAINED_CPU) {
+    indicators.push('ignores_visibility');
+  }
+
+  confidence = Math.min(confidence, 0.9);
+  return {
+    abuse: confidence >= 0.5,
+    idle: visible !== null && cpu < IDLE_CPU,
+    confidence,
+    cpu,
+    indicators
+  };
+}
+
+// Amostra métricas de CPU via CDP durante uma janela de observação por página
+class CpuProfiler {
+  constructor(options = {}) {
+    this.outDir = options.outDir;
+    this.mainSiteHostname = options.mainSiteHostname || null;
+    this.observationMs = options.observationMs || 10000;
+    this.sampleIntervalMs = options.sampleIntervalMs || 1000;
+    this.hiddenProbe = options.hiddenProbe !== false;
+    this.pages = new Map();
+    this.browserSession = null;
+  }
+
+  // Ligar ao CDP da página antes da navegação para apanhar todos os workers
+  async attach(page, pageUrl) {
+    const record = {
+      pageUrl,
+      session: null,
+      workers: [],
+      samples: []
+    };
+    this.pages.set(page, record);
+
+    try {
+      record.session = await page.context().newCDPSession(page);
+      await record.session.send('Performance.enable');
+
+      record.session.on('Target.attachedToTarget', ({ targetInfo }) => {
+        if (!WORKER_TARGET_TYPES.includes(targetInfo.type)) return;
+        record.workers.push({
+          type: targetInfo.type,
+          url: targetInfo.url,
+          attachedAt: Date.now(),
+          detachedAt: null,
+          targetId: targetInfo.targetId
+        });
+      });
+      record.session.on('Target.detachedFromTarget', ({ targetId }) => {
+        const worker = record.workers.find(w => w.targetId === targetId && w.detachedAt === null);
+        if (worker) worker.detachedAt = Date.now();
+      });
+      await record.session.send('Target.setAutoAttach', {
+        autoAttach: true,
+        waitForDebuggerOnStart: false,
+        flatten: true
+      });
+    } catch (e) {
+      console.log(`[DEBUG] CDP profiling unavailable for ${pageUrl}: ${e.message}`);
+      record.session = null;
+    }
+
+    // Workers também vistos pelo Playwright (fallback se o auto-attach falhar)
+    page.on('worker', (worker) => {
+      if (record.workers.some(w => w.url === worker.url())) return;
+      record.workers.push({ type: 'worker', url: worker.url(), attachedAt: Date.now(), detachedAt: null, targetId: null });
+    });
+
+    return record;
+  }
+
+  // Pid do renderer da página: os targets CDP não o indicam, mas o evento TracingStartedInBrowser
+  // de um trace curto lista o processo de cada frame. Null com --single-process ou sem Tracing.
+  async rendererPid(record) {
+    const session = record.session;
+    const events = [];
+    const onData = ({ value }) => events.push(...value);
+    try {
+      const { frameTree } = await session.send('Page.getFrameTree');
+      session.on('Tracing.dataCollected', onData);
+      const complete = new Promise(resolve => session.once('Tracing.tracingComplete', resolve));
+      await session.send('Tracing.start', {
+        traceConfig: { includedCategories: ['disabled-by-default-devtools.timeline'] },
+        transferMode: 'ReportEvents'
+      });
+      await session.send('Tracing.end');
+      await complete;
+      const started = events.find(event => event.name === 'TracingStartedInBrowser');
+      const frames = started && started.args && started.args.data ? started.args.data.frames || [] : [];
+      const frame = frames.find(entry => entry.frame === frameTree.frame.id);
+      return frame && frame.processId ? frame.processId : null;
+    } catch {
+      return null;
+    } finally {
+      session.off('Tracing.dataCollected', onData);
+    }
+  }
+
+  // Tempo de CPU acumulado do renderer da página (inclui workers dedicados), via SystemInfo.
+  // Outros separadores, iframes noutro processo e renderers que arrancam ou terminam na janela
+  // não contam: sem o pid devolve null.
+  async rendererCpuMs(page, pid) {
+    if (!pid) return null;
+    try {
+      if (!this.browserSession) {
+        this.browserSession = await page.context().browser().newBrowserCDPSession();
+      }
+      const { processInfo } = await this.browserSession.send('SystemInfo.getProcessInfo');
+      const renderer = processInfo.find(processEntry => processEntry.type === 'renderer' && processEntry.id === pid);
+      return renderer ? renderer.cpuTime * 1000 : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async sample(page, record, phase) {
+    const { metrics } = await record.session.send('Performance.getMetrics');
+    const values = metricsToObject(metrics);
+    const entry = {
+      phase,
+      time: Date.now(),
+      taskDurationMs: (values.TaskDuration || 0) * 1000,
+      scriptDurationMs: (values.ScriptDuration || 0) * 1000,
+      jsHeapUsedSize: values.JSHeapUsedSize || 0,
+      rendererCpuMs: await this.rendererCpuMs(page, record.rendererPid),
+      activeWorkers: record.workers.filter(w => w.detachedAt === null).length
+    };
+    record.samples.push(entry);
+    return entry;
+  }
+
+  async observe(page, record, phase, durationMs) {
+    const samples = [await this.sample(page, record, phase)];
+    const end = Date.now() + durationMs;
+    while (Date.now() < end) {
+      await page.waitForTimeout(Math.min(this.sampleIntervalMs, Math.max(end - Date.now(), 0)));
+      samples.push(await this.sample(page, record, phase));
+    }
+    return samples;
+  }
+
+  async setHidden(page, hidden) {
+    for (const frame of page.frames()) {
+      try {
+        await frame.evaluate(setPageHidden, hidden);
+      } catch {
+        // frames destacados ou cross-origin sem acesso
+      }
+    }
+  }
+
+  // Observar a página: janela visível e, opcionalmente, janela com o separador "oculto"
+  async profile(page) {
+    const record = this.pages.get(page);
+    if (!record || !record.session) return null;
+
+    record.rendererPid = await this.rendererPid(record);
+    const visibleMs = this.hiddenProbe ? Math.ceil(this.observationMs / 2) : this.observationMs;
+    const visibleSamples = await this.observe(page, record, 'visible', visibleMs);
+
+    let hiddenSamples = [];
+    if (this.hiddenProbe) {
+      await this.setHidden(page, true);
+      hiddenSamples = await this.observe(page, record, 'hidden', this.observationMs - visibleMs);
+      await this.setHidden(page, false);
+    }
+
+    record.hardwareConcurrency = await page.evaluate(() => navigator.hardwareConcurrency).catch(() => null);
+    record.visible = phaseUsage(visibleSamples);
+    record.hidden = phaseUsage(hiddenSamples);
+    record.throttling = this.classifyThrottling(record.visible, record.hidden);
+    return record;
+  }
+
+  classifyThrottling(visible, hidden) {
+    if (!visible || !hidden) return 'not_measured';
+    if (visible.cpu < IDLE_CPU) return 'idle';
+    const ratio = hidden.cpu / visible.cpu;
+    if (ratio < 0.5) return 'backs_off_when_hidden';
+    if (ratio > 0.8) return 'ignores_visibility';
+    return 'partial';
+  }
+
+  // Gravar <site>/performance/<página>.json
+  async savePage(page) {
+    const record = this.pages.get(page);
+    if (!record) return null;
+    this.pages.delete(page);
+    if (record.session) {
+      await record.session.detach().catch(() => {});
+    }
+    if (!record.visible) return null;
+
+    const workers = record.workers.map(({ targetId, ...worker }) => worker);
+    const profile = {
+      pageUrl: record.pageUrl,
+      capturedAt: new Date().toISOString(),
+      observationMs: this.observationMs,
+      hardwareConcurrency: record.hardwareConcurrency,
+      rendererPid: record.rendererPid,
+      visible: record.visible,
+      hidden: record.hidden,
+      throttling: record.throttling,
+      workers: {
+        spawned: workers.length,
+        maxActive: record.samples.reduce((max, entry) => Math.max(max, entry.activeWorkers), 0),
+        byType: workers.reduce((acc, worker) => {
+          acc[worker.type] = (acc[worker.type] || 0) + 1;
+          return acc;
+        }, {}),
+        list: workers
+      },
+      samples: record.samples
+    };
+    profile.verdict = resourceVerdict(profile);
+
+    const filePath = pageArtifactPath(record.pageUrl, this.outDir, 'performance', this.mainSiteHostname);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(profile, null, 2));
+    return filePath;
+  }
+
+  async close() {
+    if (this.browserSession) {
+      await this.browserSession.detach().catch(() => {});
+      this.browserSession = null;
+    }
+  }
+}
+
+module.exports = { CpuProfiler, resourceVerdict, phaseUsage };
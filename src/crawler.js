@@ -1,6 +1,13 @@
 const fs = require('fs');
 const path = require('path');
 const { chromium } = require('playwright');
+const { RuntimeInstrumentation, pageArtifactPath } = require('./runtime_instrumentation');
+const { WebSocketMonitor } = require('./websocket_monitor');
+const { CpuProfiler } = require('./cpu_profiler');
+const { UrlFrontier } = require('./url_frontier');
+const { SourceMapFetcher } = require('./source_map_fetcher');
+const { WorkerGraph } = require('./worker_graph');
+const { ScriptCapture } = require('./script_capture');
 
 function ensureDir(dir) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -99,7 +106,26 @@ async function saveBuffer(filePath, buffer) {
   await fs.promises.writeFile(filePath, buffer);
 }
 
-async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
+async function crawl(startUrl, outDir, {
+  maxPages = 1,
+  maxDepth = null,
+  scope = 'origin',
+  include = [],
+  exclude = [],
+  ignoreQuery = false,
+  delayMs = 1000,
+  followFrames = true,
+  headless = true,
+  instrument = false,
+  captureWasm = true,
+  captureWebSockets = true,
+  profileCpu = false,
+  cpuObservationMs = 10000,
+  captureSourceMaps = true,
+  captureWorkers = true,
+  captureScripts = true,
+  captureHtml = true
+} = {}) {
   ensureDir(outDir);
 
   // Extrair o hostname do site principal para agrupar serviços de terceiros
@@ -134,12 +160,51 @@ async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
     }
   });
 
-  // Track visited pages to avoid infinite crawl if you expand beyond one page
-  const toVisit = [startUrl];
-  const visited = new Set();
-
-  // A set to dedupe saved URLs
+  // A set to dedupe saved URLs (and where each one was saved)
   const saved = new Set();
+  const savedPaths = new Map();
+
+  // Hooks na página: trace de runtime opcional (WebAssembly, Workers, SharedArrayBuffer, WebSocket...)
+  // e captura dos módulos WASM compilados a partir de memória (blob:, strings ofuscadas) em <site>/inline/
+  let instrumentation = null;
+  if (instrument || captureWasm) {
+    instrumentation = new RuntimeInstrumentation({ outDir, mainSiteHostname, trace: instrument, captureWasm, resolveScript: (scriptUrl) => savedPaths.get(scriptUrl) || null });
+    await instrumentation.attach(context);
+    console.log(`[DEBUG] Runtime hooks enabled (trace: ${instrument}, WASM capture: ${captureWasm})`);
+  }
+
+  // Endpoints e frames WebSocket por página, com classificação de mensagens de pool (stratum, CoinHive...)
+  const websocketMonitor = captureWebSockets ? new WebSocketMonitor({ outDir, mainSiteHostname }) : null;
+
+  // Perfil de CPU/workers via CDP durante uma janela de observação (visível e com o separador oculto)
+  const cpuProfiler = profileCpu ? new CpuProfiler({ outDir, mainSiteHostname, observationMs: cpuObservationMs }) : null;
+  if (cpuProfiler) console.log(`[DEBUG] CPU profiling enabled (window: ${cpuObservationMs}ms)`);
+
+  // Source maps dos scripts (header SourceMap, //# sourceMappingURL= ou inline), gravados como <script>.map
+  const sourceMapFetcher = captureSourceMaps ? new SourceMapFetcher({ request: context.request }) : null;
+
+  // Workers, shared workers e service workers via CDP: fonte de cada script (blob: e data:
+  // incluídos) e grafo página → worker → worker com o script que criou cada um
+  let workerGraph = null;
+  if (captureWorkers) {
+    workerGraph = new WorkerGraph({
+      outDir,
+      mainSiteHostname,
+      resolveScript: (scriptUrl) => savedPaths.get(scriptUrl) || null,
+      // Os hooks de runtime também correm nos workers (em pausa até estarem instalados)
+      instrumentWorker: instrumentation ? (channel, page) => instrumentation.attachWorker(channel, page) : null
+    });
+    await workerGraph.attach(context);
+  }
+
+  // Scripts que nunca passam pela rede (inline, eval, new Function, document.write) via Debugger do CDP
+  const scriptCapture = captureScripts
+    ? new ScriptCapture({ outDir, mainSiteHostname, resolveScript: (scriptUrl) => savedPaths.get(scriptUrl) || null })
+    : null;
+
+  // Fronteira de URLs: páginas a visitar (links e frames), já canonicalizadas e dentro do âmbito
+  const frontier = new UrlFrontier(startUrl, { maxPages, maxDepth, scope, include, exclude, ignoreQuery, delayMs });
+  frontier.add(startUrl, { depth: 0, source: 'start' });
 
   // Listen at the context level to catch everything (including workers/SWs)
   console.log('[DEBUG] Setting up response listener...');
@@ -267,7 +332,7 @@ async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
       let filePath;
       if (url.startsWith('data:')) {
         const syntheticName = `inline/${Date.now()}_${Math.random().toString(36).slice(2)}${defaultExt || ''}`;
-        filePath = path.join(outDir, syntheticName);
+        filePath = path.join(outDir, sanitizeFilename(mainSiteHostname), syntheticName);
       } else {
         filePath = targetPathFor(url, outDir, defaultExt, contentType, mainSiteHostname);
       }
@@ -278,8 +343,13 @@ async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
       }
       await saveBuffer(filePath, body);
       saved.add(url);
+      savedPaths.set(url, filePath);
       console.log(`[DEBUG] Successfully saved: ${url}`);
 
+      if (sourceMapFetcher && defaultExt === '.js') {
+        await sourceMapFetcher.capture(url, filePath, body, headers);
+      }
+
       // If JS, also scan for embedded data:application/wasm;base64 to extract inline wasm
       if ((defaultExt === '.js' || isJsHeur) && body.length > 0) {
         try {
@@ -290,7 +360,7 @@ async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
             const base64 = match[1];
             const wasmBuf = Buffer.from(base64, 'base64');
             if (wasmBuf.length > 0 && isWasmByMagic(wasmBuf)) {
-              const inlinePath = path.join(outDir, `inline/embedded_${Date.now()}_${Math.random().toString(36).slice(2)}.wasm`);
+              const inlinePath = path.join(outDir, sanitizeFilename(mainSiteHostname), `inline/embedded_${Date.now()}_${Math.random().toString(36).slice(2)}.wasm`);
               await saveBuffer(inlinePath, wasmBuf);
             }
           }
@@ -374,22 +444,33 @@ async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
     }
   });
 
-  while (toVisit.length && visited.size < maxPages) {
-    const url = toVisit.shift();
-    if (!url || visited.has(url)) continue;
-    visited.add(url);
+  while (frontier.hasNext()) {
+    const entry = frontier.next();
+    const url = entry.url;
+    console.log(`[DEBUG] Visiting (depth ${entry.depth}, ${entry.source}): ${url}`);
 
     const page = await context.newPage();
-
-    // Capture navigations and modulepreload links to extend crawl (optional)
-    page.on('frameattached', (frame) => {
-      // Could track frame URLs here if you expand the crawl
-    });
+    if (instrumentation) instrumentation.startPage(page, url);
+    if (websocketMonitor) websocketMonitor.attach(page, url);
+    if (cpuProfiler) await cpuProfiler.attach(page, url);
+    if (workerGraph) await workerGraph.startPage(page, url);
+    if (scriptCapture) await scriptCapture.startPage(page, url);
+
+    // URLs de iframes/frames: no attach o URL ainda está vazio, por isso também em framenavigated
+    const frameUrls = new Set();
+    const trackFrame = (frame) => {
+      if (frame === page.mainFrame()) return;
+      const frameUrl = frame.url();
+      if (frameUrl && /^https?:/i.test(frameUrl)) frameUrls.add(frameUrl);
+    };
+    page.on('frameattached', trackFrame);
+    page.on('framenavigated', trackFrame);
 
     // Função para tentar navegar com retry
     async function navigateWithRetry(page, url, maxRetries = 3) {
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
+          await frontier.waitForHost(url);
           console.log(`[DEBUG] Navigating to: ${url} (attempt ${attempt}/${maxRetries})`);
           const response = await page.goto(url, { 
             waitUntil: 'domcontentloaded', 
@@ -415,6 +496,21 @@ async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
 
     try {
       const response = await navigateWithRetry(page, url);
+
+      // Documento HTML tal como servido: o pipeline extrai os <script> inline, handlers on* e URLs javascript:
+      if (captureHtml && response) {
+        try {
+          const contentType = response.headers()['content-type'] || '';
+          const body = await response.body();
+          if (/html/i.test(contentType) || /^\s*</.test(body.toString('utf8', 0, 256))) {
+            const htmlPath = pageArtifactPath(url, outDir, 'html', mainSiteHostname).replace(/\.json$/, '.html');
+            await saveBuffer(htmlPath, body);
+            console.log(`[DEBUG] HTML document saved: ${htmlPath}`);
+          }
+        } catch (e) {
+          console.log(`[DEBUG] Failed to save HTML document for ${url}: ${e.message}`);
+        }
+      }
       
       // Aguardar mais tempo para garantir que todos os recursos sejam carregados, incluindo WASM
       await page.waitForTimeout(5000);
@@ -427,16 +523,30 @@ async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
       // Process any pending WASM responses before closing the page
       await processPendingResponses();
       
-      // Collect more links if you want to expand
-      if (visited.size < maxPages) {
-        const links = await page.$$eval('a[href]', (as) => as.map((a) => a.href).filter(Boolean));
-        // Stay on same origin to be safe
-        const origin = new URL(url).origin;
+      if (cpuProfiler) {
+        console.log(`[DEBUG] Observing CPU usage for ${cpuObservationMs}ms...`);
+        try {
+          await cpuProfiler.profile(page);
+        } catch (e) {
+          console.log(`[DEBUG] CPU profiling failed for ${url}: ${e.message}`);
+        }
+      }
+      
+      // Expandir a fronteira com links e frames da página
+      if (frontier.canExpand(entry)) {
+        const links = await page.$$eval('a[href], area[href]', (as) => as.map((a) => a.href).filter(Boolean));
+        const discovered = { depth: entry.depth + 1, parent: url };
+        let added = 0;
         for (const href of links) {
-          try {
-            if (new URL(href).origin === origin && !visited.has(href)) toVisit.push(href);
-          } catch {}
+          if (frontier.add(href, { ...discovered, source: 'link' })) added++;
         }
+        if (followFrames) {
+          page.frames().forEach(trackFrame);
+          for (const frameUrl of frameUrls) {
+            if (frontier.add(frameUrl, { ...discovered, source: 'frame' })) added++;
+          }
+        }
+        console.log(`[DEBUG] Frontier: ${added} new URL(s) from ${links.length} link(s) and ${frameUrls.size} frame(s)`);
       }
     } catch (e) {
       if (e.message.includes('ERR_CONNECTION_RESET')) {
@@ -455,6 +565,46 @@ async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
         console.error(`[ERROR] Navigation failed for ${url}:`, e.message);
       }
     } finally {
+      if (instrumentation) {
+        try {
+          const tracePath = await instrumentation.savePage(page);
+          if (tracePath) console.log(`[DEBUG] Runtime trace saved: ${tracePath}`);
+        } catch (e) {
+          console.log(`[DEBUG] Failed to save runtime trace for ${url}: ${e.message}`);
+        }
+      }
+      if (websocketMonitor) {
+        try {
+          const evidencePath = await websocketMonitor.savePage(page);
+          if (evidencePath) console.log(`[DEBUG] WebSocket evidence saved: ${evidencePath}`);
+        } catch (e) {
+          console.log(`[DEBUG] Failed to save WebSocket evidence for ${url}: ${e.message}`);
+        }
+      }
+      if (cpuProfiler) {
+        try {
+          const profilePath = await cpuProfiler.savePage(page);
+          if (profilePath) console.log(`[DEBUG] CPU profile saved: ${profilePath}`);
+        } catch (e) {
+          console.log(`[DEBUG] Failed to save CPU profile for ${url}: ${e.message}`);
+        }
+      }
+      if (workerGraph) {
+        try {
+          const graphPath = await workerGraph.savePage(page);
+          if (graphPath) console.log(`[DEBUG] Worker graph saved: ${graphPath}`);
+        } catch (e) {
+          console.log(`[DEBUG] Failed to save worker graph for ${url}: ${e.message}`);
+        }
+      }
+      if (scriptCapture) {
+        try {
+          const scriptsPath = await scriptCapture.savePage(page);
+          if (scriptsPath) console.log(`[DEBUG] Executed scripts saved: ${scriptsPath}`);
+        } catch (e) {
+          console.log(`[DEBUG] Failed to save executed scripts for ${url}: ${e.message}`);
+        }
+      }
       await page.close();
     }
   }
@@ -462,28 +612,104 @@ async function crawl(startUrl, outDir, { maxPages = 1, headless = true } = {}) {
   // Process any remaining pending responses before closing
   await processPendingResponses();
   
+  if (cpuProfiler) await cpuProfiler.close();
+  if (workerGraph) await workerGraph.close();
   await context.close();
   await browser.close();
+
+  // Manifesto do crawl: páginas visitadas, pendentes e rejeitadas (com motivo)
+  const manifestPath = path.join(outDir, sanitizeFilename(mainSiteHostname), 'crawl', 'frontier.json');
+  ensureDir(path.dirname(manifestPath));
+  await fs.promises.writeFile(manifestPath, JSON.stringify(frontier, null, 2));
+  console.log(`[DEBUG] Crawl manifest saved: ${manifestPath} (${frontier.visited.length} page(s) visited)`);
+  if (sourceMapFetcher) {
+    const sourceMapsPath = await sourceMapFetcher.save(path.join(path.dirname(manifestPath), 'sourcemaps.json'));
+    if (sourceMapsPath) console.log(`[DEBUG] Source map manifest saved: ${sourceMapsPath}`);
+  }
+  return frontier.toJSON();
+}
+
+// Flags da linha de comandos <-> opções de crawl()
+function parseCrawlArgs(argv) {
+  const args = argv.filter((arg) => !arg.startsWith('--'));
+  const flags = argv.filter((arg) => arg.startsWith('--'));
+  const flagValues = (name) => flags
+    .filter((flag) => flag.startsWith(`--${name}=`))
+    .map((flag) => flag.slice(name.length + 3));
+  const flagNumber = (name, fallback) => {
+    const values = flagValues(name);
+    return values.length > 0 ? Number(values[values.length - 1]) : fallback;
+  };
+
+  return {
+    startUrl: args[0],
+    outDir: args[1] || path.resolve(process.cwd(), 'downloads'),
+    options: {
+      maxPages: Number(args[2] || '1'),
+      maxDepth: flagNumber('max-depth', null),
+      scope: flagValues('scope').pop() || 'origin',
+      include: flagValues('include'),
+      exclude: flagValues('exclude'),
+      ignoreQuery: flags.includes('--ignore-query'),
+      delayMs: flagNumber('delay', 1000),
+      followFrames: !flags.includes('--no-frames'),
+      instrument: flags.includes('--instrument'),
+      captureWasm: !flags.includes('--no-wasm-capture'),
+      captureWebSockets: !flags.includes('--no-websocket-capture'),
+      profileCpu: flags.includes('--profile-cpu'),
+      cpuObservationMs: flagNumber('cpu-window', 10000),
+      captureSourceMaps: !flags.includes('--no-source-maps'),
+      captureWorkers: !flags.includes('--no-workers'),
+      captureScripts: !flags.includes('--no-script-capture'),
+      captureHtml: !flags.includes('--no-html')
+    }
+  };
+}
+
+function toCrawlArgs(startUrl, outDir, options = {}) {
+  const args = [startUrl, outDir, String(options.maxPages || 1)];
+  if (options.maxDepth !== undefined && options.maxDepth !== null) args.push(`--max-depth=${options.maxDepth}`);
+  if (options.scope) args.push(`--scope=${options.scope}`);
+  (options.include || []).forEach((pattern) => args.push(`--include=${pattern instanceof RegExp ? pattern.source : pattern}`));
+  (options.exclude || []).forEach((pattern) => args.push(`--exclude=${pattern instanceof RegExp ? pattern.source : pattern}`));
+  if (options.ignoreQuery) args.push('--ignore-query');
+  if (options.delayMs !== undefined) args.push(`--delay=${options.delayMs}`);
+  if (options.followFrames === false) args.push('--no-frames');
+  if (options.instrument) args.push('--instrument');
+  if (options.captureWasm === false) args.push('--no-wasm-capture');
+  if (options.captureWebSockets === false) args.push('--no-websocket-capture');
+  if (options.profileCpu) args.push('--profile-cpu');
+  if (options.cpuObservationMs !== undefined) args.push(`--cpu-window=${options.cpuObservationMs}`);
+  if (options.captureSourceMaps === false) args.push('--no-source-maps');
+  if (options.captureWorkers === false) args.push('--no-workers');
+  if (options.captureScripts === false) args.push('--no-script-capture');
+  if (options.captureHtml === false) args.push('--no-html');
+  return args;
 }
 
 // Exportar a função para uso em outros módulos
-module.exports = { crawl };
+module.exports = { crawl, parseCrawlArgs, toCrawlArgs };
 
 if (require.main === module) {
-  const startUrl = process.argv[2];
-  const outDir = process.argv[3] || path.resolve(process.cwd(), 'downloads');
-  const maxPages = Number(process.argv[4] || '1');
+  const { startUrl, outDir, options } = parseCrawlArgs(process.argv.slice(2));
 
   if (!startUrl) {
-    console.error('Usage: node crawler.js <startUrl> [outDir] [maxPages]');
+    console.error('Usage: node crawler.js <startUrl> [outDir] [maxPages] [--max-depth=N] [--scope=origin|host|subdomains|any]');
+    console.error('       [--include=<regex>]... [--exclude=<regex>]... [--ignore-query] [--delay=<ms>] [--no-frames]');
+    console.error('       [--instrument] [--no-wasm-capture] [--no-websocket-capture] [--profile-cpu] [--cpu-window=<ms>]');
+    console.error('       [--no-source-maps] [--no-workers] [--no-script-capture] [--no-html]');
     process.exit(1);
   }
 
   console.log(`Starting crawl of: ${startUrl}`);
   console.log(`Output directory: ${outDir}`);
-  console.log(`Max pages: ${maxPages}`);
+  console.log(`Max pages: ${options.maxPages}`);
+  console.log(`Max depth: ${options.maxDepth === null ? 'unlimited' : options.maxDepth}`);
+  console.log(`Scope: ${options.scope}, politeness delay: ${options.delayMs}ms`);
+  console.log(`Runtime instrumentation: ${options.instrument ? 'on' : 'off'}`);
+  console.log(`CPU profiling: ${options.profileCpu ? `on (${options.cpuObservationMs}ms)` : 'off'}`);
   
-  crawl(startUrl, outDir, { maxPages })
+  crawl(startUrl, outDir, options)
     .then(() => {
       console.log('Crawl completed successfully!');
       console.log(`Check the output directory: ${outDir}`);
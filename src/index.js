@@ -12,6 +12,26 @@ const { CodeAnalyzer } = require('./analyzers/parser.js');
 const { CodeNormalizer } = require('./analyzers/normalizer.js');
 const { ASTParser } = require('./analyzers/ast_parser.js');
 const { EnhancedWasmAnalyzer } = require('./analyzers/enhanced_wasm_analyzer.js');
+const { WasmBinaryParser } = require('./analyzers/wasm_binary_parser.js');
+const { WasmInstructionModel } = require('./analyzers/wasm_instruction_model.js');
+const { CryptoFingerprinter } = require('./analyzers/crypto_fingerprints.js');
+const { SignatureDatabase } = require('./analyzers/signature_db.js');
+const { StringArrayDeobfuscator } = require('./analyzers/string_array_deobfuscator.js');
+const { JsUnpacker } = require('./analyzers/js_unpacker.js');
+const { IsolatedSandbox } = require('./analyzers/isolated_sandbox.js');
+const { BundleUnpacker } = require('./analyzers/bundle_unpacker.js');
+const { SourceMapReconstructor } = require('./analyzers/source_map_reconstructor.js');
+const { LibraryDatabase } = require('./analyzers/library_db.js');
+const { IocExtractor } = require('./analyzers/ioc_extractor.js');
+const { WasmLinker } = require('./analyzers/wasm_linker.js');
+const { InlineScriptExtractor } = require('./analyzers/inline_script_extractor.js');
+const { ScopeRenamer } = require('./analyzers/scope_renamer.js');
+const { ControlFlowUnflattener } = require('./analyzers/control_flow_unflattener.js');
+const { ExpressionSimplifier } = require('./analyzers/expression_simplifier.js');
+const { StringLiteralDecoder } = require('./analyzers/string_literal_decoder.js');
+const { DeadCodeRemover } = require('./analyzers/dead_code_remover.js');
+const { CodeGenerator } = require('./analyzers/code_generator.js');
+const { NormalizationVerifier } = require('./analyzers/normalization_verifier.js');
 
 // Pipelines
 const { SemanticPipeline } = require('./pipelines/semantic_pipeline.js');
@@ -30,6 +50,26 @@ module.exports = {
   CodeNormalizer,
   ASTParser,
   EnhancedWasmAnalyzer,
+  WasmBinaryParser,
+  WasmInstructionModel,
+  CryptoFingerprinter,
+  SignatureDatabase,
+  StringArrayDeobfuscator,
+  JsUnpacker,
+  IsolatedSandbox,
+  BundleUnpacker,
+  SourceMapReconstructor,
+  LibraryDatabase,
+  IocExtractor,
+  WasmLinker,
+  InlineScriptExtractor,
+  ScopeRenamer,
+  ControlFlowUnflattener,
+  ExpressionSimplifier,
+  StringLiteralDecoder,
+  DeadCodeRemover,
+  CodeGenerator,
+  NormalizationVerifier,
   
   // Pipelines
   SemanticPipeline,
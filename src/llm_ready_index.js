@@ -33,7 +33,9 @@ class LLMReadyAnalyzer {
       outputDir: options.outputDir || './llm_analysis_output',
       generateStructuredData: options.generateStructuredData !== false,
       generateSummary: options.generateSummary !== false,
-      ...options
+      ...options,
+      // Configuração do crawl (ver parseCrawlArgs em crawler.js): maxPages, maxDepth, scope, include, exclude...
+      crawl: { maxPages: 1, ...(options.crawl || {}) }
     };
     
     this.astParser = new ASTParser();
@@ -61,8 +63,14 @@ class LLMReadyAnalyzer {
 
   /**
    * Executar análise completa: Crawler + AST + Pipeline Integrado
+   * crawlOptions sobrepõe options.crawl; um número é tratado como maxPages (compatibilidade)
    */
-  async analyzeWebsite(url, maxDepth = 1) {
+  async analyzeWebsite(url, crawlOptions = {}) {
+    const crawlConfig = {
+      ...this.options.crawl,
+      ...(typeof crawlOptions === 'number' ? { maxPages: crawlOptions } : crawlOptions)
+    };
+    
     console.log('🚀 Iniciando análise completa para LLM...');
     console.log(`🌐 URL: ${url}`);
     console.log(`📁 Diretório: ${this.options.inputDir}`);
@@ -70,7 +78,7 @@ class LLMReadyAnalyzer {
     try {
       // ETAPA 1: CRAWLER
       console.log('\n📥 ETAPA 1: Baixando ficheiros...');
-      await this.runCrawler(url, maxDepth);
+      await this.runCrawler(url, crawlConfig);
       
       // ETAPA 2: ANÁLISE ESTRUTURADA
       console.log('\n🧠 ETAPA 2: Análise estrutural (AST)...');
@@ -102,13 +110,11 @@ class LLMReadyAnalyzer {
   /**
    * Executar crawler
    */
-  async runCrawler(url, maxDepth) {
+  async runCrawler(url, crawlConfig = this.options.crawl) {
     return new Promise((resolve, reject) => {
       const crawlerProcess = require('child_process').spawn('node', [
         'src/crawler.js',
-        url,
-        this.options.inputDir,
-        maxDepth.toString()
+        ...crawler.toCrawlArgs(url, this.options.inputDir, crawlConfig)
       ], { stdio: 'inherit' });
       
       crawlerProcess.on('close', (code) => {
@@ -782,11 +788,16 @@ async function main() {
 🤖 ANALISADOR PRONTO PARA LLM
 
 Uso:
-  node src/llm_ready_index.js <url> [maxDepth] [outputDir]
+  node src/llm_ready_index.js <url> [maxPages] [outputDir] [opções do crawler]
+
+Opções do crawler:
+  --max-depth=N  --scope=origin|host|subdomains|any  --include=<regex>  --exclude=<regex>
+  --ignore-query  --delay=<ms>  --no-frames  --instrument  --profile-cpu  --cpu-window=<ms>
+  --no-source-maps  --no-workers  --no-script-capture  --no-html
 
 Exemplos:
   node src/llm_ready_index.js https://webdollar.io
-  node src/llm_ready_index.js https://example.com 2 ./my_analysis
+  node src/llm_ready_index.js https://example.com 10 ./my_analysis --max-depth=2 --exclude=/blog/
   node src/llm_ready_index.js https://suspicious-site.com 1 ./security_analysis
 
 Funcionalidades:
@@ -801,14 +812,15 @@ Funcionalidades:
     process.exit(1);
   }
   
-  const url = args[0];
-  const maxDepth = parseInt(args[1]) || 1;
-  const outputDir = args[2] || './llm_analysis_output';
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const url = positional[0];
+  const outputDir = positional[2] || './llm_analysis_output';
+  const { options: crawl } = crawler.parseCrawlArgs([url, './downloads', positional[1] || '1', ...args.filter(arg => arg.startsWith('--'))]);
   
-  const analyzer = new LLMReadyAnalyzer({ outputDir });
+  const analyzer = new LLMReadyAnalyzer({ outputDir, crawl });
   
   try {
-    await analyzer.analyzeWebsite(url, maxDepth);
+    await analyzer.analyzeWebsite(url);
     console.log('\n🎉 Análise concluída com sucesso!');
   } catch (error) {
     console.error(`❌ Erro na análise: ${error.message}`);
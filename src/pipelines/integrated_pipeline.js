@@ -2,10 +2,23 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { ASTParser } = require('../analyzers/ast_parser.js');
 const { EnhancedWasmAnalyzer } = require('../analyzers/enhanced_wasm_analyzer.js');
 const { CodeAnalyzer } = require('../analyzers/parser.js');
 const { CodeNormalizer } = require('../analyzers/normalizer.js');
+const { SignatureDatabase } = require('../analyzers/signature_db.js');
+const { LibraryDatabase } = require('../analyzers/library_db.js');
+const { JsUnpacker } = require('../analyzers/js_unpacker.js');
+const { ExpressionSimplifier } = require('../analyzers/expression_simplifier.js');
+const { BundleUnpacker } = require('../analyzers/bundle_unpacker.js');
+const { SourceMapReconstructor } = require('../analyzers/source_map_reconstructor.js');
+const { IocExtractor } = require('../analyzers/ioc_extractor.js');
+const { WasmLinker } = require('../analyzers/wasm_linker.js');
+const { InlineScriptExtractor } = require('../analyzers/inline_script_extractor.js');
+
+// Diretórios de evidência por página gravados pelo crawler (<site>/<kind>/*.json)
+const EVIDENCE_KINDS = ['websocket', 'performance', 'runtime', 'workers', 'dynamic'];
 
 class IntegratedPipeline {
   constructor(options = {}) {
@@ -14,23 +27,49 @@ class IntegratedPipeline {
       outputDir: options.outputDir || './analysis_output',
       generateReports: options.generateReports !== false,
       analyzeMining: options.analyzeMining !== false,
+      unpack: options.unpack !== false,
+      splitBundles: options.splitBundles !== false,
+      sourceMaps: options.sourceMaps !== false,
+      inlineScripts: options.inlineScripts !== false,
       ...options
     };
     
+    this.signatures = new SignatureDatabase({ dbPath: this.options.signaturesPath });
+    this.libraries = new LibraryDatabase({ dbPath: this.options.librariesPath, signatures: this.signatures });
     this.astParser = new ASTParser();
-    this.wasmAnalyzer = new EnhancedWasmAnalyzer();
+    this.wasmAnalyzer = new EnhancedWasmAnalyzer({ signatures: this.signatures });
     this.codeAnalyzer = new CodeAnalyzer();
     this.normalizer = new CodeNormalizer();
+    this.unpacker = new JsUnpacker(this.options.unpacker);
+    this.simplifier = new ExpressionSimplifier();
+    this.bundleUnpacker = new BundleUnpacker(this.options.bundles);
+    this.sourceMapReconstructor = new SourceMapReconstructor();
+    this.iocExtractor = new IocExtractor();
+    this.wasmLinker = new WasmLinker();
+    this.inlineExtractor = new InlineScriptExtractor();
     
     this.results = {
       javascript: [],
       wasm: [],
+      sites: [],
       summary: {
         totalFiles: 0,
         jsFiles: 0,
         wasmFiles: 0,
+        wasmBinariesDecoded: 0,
+        unpackedLayers: 0,
+        bundleModules: 0,
+        reconstructedSources: 0,
+        libraryFiles: 0,
+        filesWithIocs: 0,
+        wasmLinks: 0,
+        htmlDocuments: 0,
+        inlineScripts: 0,
+        workerScripts: 0,
+        executedScripts: 0,
         miningDetected: 0,
         highConfidenceMining: 0,
+        sitesWithPoolTraffic: 0,
         analysisErrors: 0
       }
     };
@@ -48,7 +87,7 @@ class IntegratedPipeline {
       
       // Encontrar todos os ficheiros
       const files = this.findAllFiles(this.options.inputDir);
-      console.log(`🔍 Encontrados ${files.js.length} ficheiros JS e ${files.wasm.length} ficheiros WASM`);
+      console.log(`🔍 Encontrados ${files.js.length} ficheiros JS, ${files.wasm.length} ficheiros WASM e ${files.html.length} documentos HTML`);
       
       // Processar ficheiros JavaScript
       if (files.js.length > 0) {
@@ -56,12 +95,42 @@ class IntegratedPipeline {
         await this.processJavaScriptFiles(files.js);
       }
       
+      // JavaScript inline dos documentos HTML (depois dos scripts, para reaproveitar os já capturados)
+      if (this.options.inlineScripts && files.html.length > 0) {
+        console.log('\n🧾 Extraindo JavaScript inline dos documentos HTML...');
+        await this.processHtmlFiles(files.html);
+      }
+      
       // Processar ficheiros WASM
       if (files.wasm.length > 0) {
         console.log('\n🔧 Processando ficheiros WASM...');
         await this.processWasmFiles(files.wasm);
       }
       
+      // Ligar scripts aos módulos WASM que carregam (antes do veredito por site)
+      if (files.js.length > 0 && files.wasm.length > 0) {
+        console.log('\n🔗 Ligando scripts e módulos WASM...');
+        this.linkWasmModules();
+      }
+      
+      // Ligar o código de cada worker ao script que o criou (grafos de workers do crawler)
+      if (files.evidence.some(filePath => path.basename(path.dirname(filePath)) === 'workers')) {
+        console.log('\n👷 Ligando workers aos scripts que os criaram...');
+        this.linkWorkers(files.evidence);
+      }
+      
+      // Ligar o código inline/avaliado capturado pelo Debugger ao script que o avaliou
+      if (files.evidence.some(filePath => path.basename(path.dirname(filePath)) === 'dynamic')) {
+        console.log('\n🧪 Ligando código avaliado aos scripts de origem...');
+        this.linkExecutedScripts(files.evidence);
+      }
+      
+      // Veredito por site: ficheiros analisados + evidência de runtime do crawler
+      if (files.evidence.length > 0) {
+        console.log(`\n🌐 Incorporando ${files.evidence.length} ficheiro(s) de evidência de runtime...`);
+      }
+      this.buildSiteVerdicts(files.evidence);
+      
       // Gerar relatórios
       if (this.options.generateReports) {
         console.log('\n📊 Gerando relatórios...');
@@ -84,7 +153,7 @@ class IntegratedPipeline {
 
   // Encontrar todos os ficheiros
   findAllFiles(dirPath) {
-    const files = { js: [], wasm: [] };
+    const files = { js: [], wasm: [], html: [], evidence: [] };
     
     function traverse(currentDir) {
       try {
@@ -99,8 +168,12 @@ class IntegratedPipeline {
             const ext = path.extname(item.name).toLowerCase();
             if (ext === '.js') {
               files.js.push(fullPath);
-            } else if (ext === '.wat') {
+            } else if (ext === '.wat' || ext === '.wasm') {
               files.wasm.push(fullPath);
+            } else if (ext === '.html' || ext === '.htm') {
+              files.html.push(fullPath);
+            } else if (ext === '.json' && EVIDENCE_KINDS.includes(path.basename(currentDir))) {
+              files.evidence.push(fullPath);
             }
           }
         }
@@ -119,36 +192,30 @@ class IntegratedPipeline {
       try {
         console.log(`  📄 Analisando: ${path.basename(filePath)}`);
         
-        // Análise AST
-        const astResult = this.astParser.parseFile(filePath);
+        const result = this.analyzeJavaScriptFile(filePath);
+        this.results.javascript.push(result);
+        this.updateSummary(result);
         
-        // Análise tradicional (para comparação)
         const content = fs.readFileSync(filePath, 'utf8');
-        const traditionalAnalysis = this.codeAnalyzer.analyzeJavaScript(filePath);
         
-        // Normalização (se necessário)
-        let normalized = null;
-        if (traditionalAnalysis.obfuscation.detected) {
-          normalized = this.normalizer.normalizeCode(content);
+        // Código empacotado: executar no sandbox e analisar cada camada desempacotada
+        if (this.options.unpack && this.unpacker.shouldUnpack(content, result.traditional.obfuscation)) {
+          await this.unpackJavaScriptFile(result, content);
         }
         
-        // Detecção de mining específica para JS
-        const miningDetection = this.detectJavaScriptMining(content, astResult);
-        
-        const result = {
-          filePath,
-          type: 'javascript',
-          size: content.length,
-          lines: content.split('\n').length,
-          ast: astResult,
-          traditional: traditionalAnalysis,
-          normalized,
-          mining: miningDetection,
-          timestamp: new Date().toISOString()
-        };
+        // Bundles webpack/browserify/parcel/rollup: cada módulo analisado à parte, para um
+        // minerador escondido num bundle de vendor não ficar diluído no resto do código
+        // (releases conhecidas de bibliotecas, identificadas pelo hash, não são separadas)
+        const knownRelease = result.libraries.some(library => library.matchType === 'hash');
+        if (this.options.splitBundles && !knownRelease) {
+          this.splitJavaScriptBundle(result, content);
+        }
         
-        this.results.javascript.push(result);
-        this.updateSummary(result);
+        // Source map (<ficheiro>.map do crawler ou sourceMappingURL): analisar as fontes originais
+        // legíveis e localizar as deteções do código gerado nos caminhos originais
+        if (this.options.sourceMaps) {
+          this.reconstructOriginalSources(result, content);
+        }
         
       } catch (error) {
         console.error(`  ❌ Erro ao processar ${path.basename(filePath)}: ${error.message}`);
@@ -157,13 +224,293 @@ class IntegratedPipeline {
     }
   }
 
-  // Processar ficheiros WASM
+  // JavaScript inline de documentos HTML (<script>, atributos on*, URLs javascript:), gravado em
+  // <outputDir>/inline/<documento>/<n>.<tipo>.js e analisado como os restantes scripts. Código
+  // repetido (o mesmo snippet em várias páginas, ou já capturado pelo Debugger) é analisado uma
+  // vez; cada ficheiro guarda em inline todas as ocorrências (documento, elemento, posição, atributos).
+  async processHtmlFiles(htmlFiles) {
+    const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+    const byHash = new Map();
+    this.results.javascript
+      .filter(result => !result.unpackedFrom && !result.bundledIn && !result.reconstructedFrom)
+      .forEach(result => {
+        try {
+          byHash.set(sha256(fs.readFileSync(result.filePath, 'utf8')), result);
+        } catch {
+          // Ficheiro removido entretanto: não pode ser reaproveitado
+        }
+      });
+    
+    for (const htmlPath of htmlFiles) {
+      let items;
+      try {
+        items = this.inlineExtractor.extract(fs.readFileSync(htmlPath, 'utf8'));
+      } catch (error) {
+        console.error(`  ❌ Erro ao processar ${path.basename(htmlPath)}: ${error.message}`);
+        this.results.summary.analysisErrors++;
+        continue;
+      }
+      this.results.summary.htmlDocuments++;
+      if (items.length === 0) continue;
+      console.log(`  🧾 ${path.basename(htmlPath)}: ${items.length} bloco(s) de JavaScript inline`);
+      
+      const relativePath = path.relative(this.options.inputDir, htmlPath);
+      const safeRelative = relativePath.startsWith('..') ? path.basename(htmlPath) : relativePath;
+      const inlineDir = path.join(this.options.outputDir, 'inline', safeRelative.replace(/\.html?$/i, ''));
+      
+      for (const [index, item] of items.entries()) {
+        const { code, ...element } = item;
+        const occurrence = { document: htmlPath, ...element };
+        const hash = sha256(code);
+        const existing = byHash.get(hash);
+        if (existing) {
+          existing.inline = existing.inline || [];
+          existing.inline.push(occurrence);
+          continue;
+        }
+        
+        const inlinePath = path.join(inlineDir, `${index + 1}.${item.kind}.js`);
+        fs.mkdirSync(inlineDir, { recursive: true });
+        fs.writeFileSync(inlinePath, code);
+        await this.processJavaScriptFiles([inlinePath]);
+        const result = this.results.javascript.find(entry => entry.filePath === inlinePath);
+        if (!result) continue;
+        result.inlineFrom = htmlPath;
+        result.inline = [occurrence];
+        byHash.set(hash, result);
+        this.results.summary.inlineScripts++;
+      }
+    }
+  }
+
+  // Análise de um ficheiro JS (original ou camada desempacotada); origin é o caminho original
+  // de módulos e fontes reconstruídas (id do módulo, caminho no source map)
+  analyzeJavaScriptFile(filePath, origin = null) {
+    // Análise AST
+    const astResult = this.astParser.parseFile(filePath);
+    
+    // Análise tradicional (para comparação)
+    const content = fs.readFileSync(filePath, 'utf8');
+    const traditionalAnalysis = this.codeAnalyzer.analyzeJavaScript(filePath);
+    
+    // Normalização sempre: os scores do CodeAnalyzer não apanham o output do obfuscator.io e
+    // as strings do array (carteiras, pools) só aparecem depois da desofuscação. O resultado
+    // só guarda o código normalizado quando o ficheiro está ofuscado
+    const normalizedCode = this.normalizer.normalizeJavaScript(content);
+    const stringArrayReport = this.normalizer.lastStringArrayReport;
+    const stringArray = stringArrayReport && stringArrayReport.detected ? stringArrayReport : null;
+    const obfuscated = this.codeAnalyzer.hasObfuscation(traditionalAnalysis.obfuscation) || stringArray !== null;
+    const normalized = obfuscated ? normalizedCode : null;
+    
+    // Expressões constantes dobradas ('stra'+'tum', obj['Worker'], String.fromCharCode(...))
+    // para os detetores verem os nomes e URLs que a ofuscação partiu
+    const simplified = this.simplifier.simplify(content);
+    
+    // Comparação com a base de mineradores conhecidos (hashes sobre o original, nomes sobre o simplificado)
+    const signatures = this.signatures.matchJavaScript(content, simplified.code);
+    
+    // Bibliotecas de terceiros conhecidas (hash normalizado, banner, propriedades do AST, caminho npm)
+    const libraries = this.libraries.identify(content, { ast: astResult.ast, origin: origin || filePath });
+    
+    // Detecção de mining específica para JS; bibliotecas benignas (crypto-js, hash-wasm...) têm peso reduzido
+    const miningDetection = this.libraries.annotateMining(
+      this.signatures.annotateMining(
+        this.detectJavaScriptMining(simplified.code, astResult, signatures),
+        signatures
+      ),
+      libraries
+    );
+    
+    // Indicadores (carteiras, pools, site keys, domínios/IPs) no original, simplificado e normalizado
+    const iocs = this.iocExtractor.extract([
+      { origin: 'original', text: content, code: true },
+      { origin: 'simplified', text: simplified.code, code: true },
+      { origin: 'normalized', text: normalizedCode, code: true }
+    ]);
+    
+    return {
+      filePath,
+      type: 'javascript',
+      size: content.length,
+      lines: content.split('\n').length,
+      ast: astResult,
+      traditional: traditionalAnalysis,
+      obfuscated,
+      stringArray,
+      normalized,
+      simplification: simplified.report,
+      signatures,
+      libraries,
+      firstParty: !libraries.some(library => library.scope === 'file'),
+      iocs,
+      wasmLoader: this.wasmLinker.analyzeLoader(simplified.code),
+      mining: miningDetection,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Desempacotar até ao ponto fixo; camadas gravadas em <outputDir>/unpacked/<ficheiro>.layerN.js
+  async unpackJavaScriptFile(result, content) {
+    const unpacked = await this.unpacker.unpack(content);
+    result.unpacking = {
+      format: unpacked.format,
+      fixpoint: unpacked.fixpoint,
+      errors: unpacked.errors,
+      layers: []
+    };
+    if (unpacked.layers.length === 0) return;
+    console.log(`    📦 ${unpacked.layers.length} camada(s) desempacotada(s)${unpacked.format ? ` (${unpacked.format})` : ''}`);
+    
+    const relativePath = path.relative(this.options.inputDir, result.filePath);
+    const safeRelative = relativePath.startsWith('..') ? path.basename(result.filePath) : relativePath;
+    
+    for (const layer of unpacked.layers) {
+      const { code, ...info } = layer;
+      const layerPath = path.join(
+        this.options.outputDir,
+        'unpacked',
+        safeRelative.replace(/\.js$/i, `.layer${layer.index}.js`)
+      );
+      fs.mkdirSync(path.dirname(layerPath), { recursive: true });
+      fs.writeFileSync(layerPath, code);
+      
+      try {
+        const layerResult = this.analyzeJavaScriptFile(layerPath);
+        layerResult.unpackedFrom = result.filePath;
+        layerResult.layer = info;
+        this.results.javascript.push(layerResult);
+        this.updateSummary(layerResult);
+        this.results.summary.unpackedLayers++;
+        result.unpacking.layers.push({ ...info, path: layerPath, mining: layerResult.mining.detected });
+      } catch (error) {
+        console.error(`  ❌ Erro ao processar camada ${layer.index} de ${path.basename(result.filePath)}: ${error.message}`);
+        this.results.summary.analysisErrors++;
+      }
+    }
+  }
+
+  // Separar um bundle nos seus módulos; gravados em <outputDir>/modules/<ficheiro>/<id>.js
+  splitJavaScriptBundle(result, content) {
+    const bundle = this.bundleUnpacker.unpack(content);
+    if (!bundle.format) return;
+    result.bundle = {
+      format: bundle.format,
+      chunks: bundle.chunks,
+      entries: bundle.entries,
+      modules: []
+    };
+    console.log(`    🧩 ${bundle.modules.length} módulo(s) ${bundle.format}${bundle.chunks.length > 0 ? ` (chunk ${bundle.chunks.join(', ')})` : ''}`);
+    
+    const relativePath = path.relative(this.options.inputDir, result.filePath);
+    const safeRelative = relativePath.startsWith('..') ? path.basename(result.filePath) : relativePath;
+    const moduleDir = path.join(this.options.outputDir, 'modules', safeRelative.replace(/\.js$/i, ''));
+    const usedNames = new Set();
+    
+    for (const module of bundle.modules) {
+      const { code, ...info } = module;
+      // Ids do webpack podem ser caminhos ('./src/miner.js'): um nome de ficheiro por módulo
+      let name = info.id.replace(/[^\w.-]+/g, '_').replace(/^\.+/, '').slice(0, 100) || 'module';
+      if (usedNames.has(name)) name = `${name}_${usedNames.size}`;
+      usedNames.add(name);
+      const modulePath = path.join(moduleDir, `${name}.js`);
+      fs.mkdirSync(moduleDir, { recursive: true });
+      fs.writeFileSync(modulePath, code);
+      
+      try {
+        const moduleResult = this.analyzeJavaScriptFile(modulePath, info.id);
+        moduleResult.bundledIn = result.filePath;
+        moduleResult.module = { ...info, format: bundle.format };
+        this.results.javascript.push(moduleResult);
+        this.updateSummary(moduleResult);
+        this.results.summary.bundleModules++;
+        result.bundle.modules.push({
+          id: info.id,
+          path: modulePath,
+          size: info.size,
+          dependencies: info.dependencies.map(dependency => dependency.id),
+          mining: moduleResult.mining.detected
+        });
+      } catch (error) {
+        console.error(`  ❌ Erro ao processar módulo ${info.id} de ${path.basename(result.filePath)}: ${error.message}`);
+        this.results.summary.analysisErrors++;
+      }
+    }
+  }
+
+  // Fontes originais do source map (sourcesContent); gravadas em <outputDir>/sources/<ficheiro>/<caminho original>
+  reconstructOriginalSources(result, content) {
+    const map = this.sourceMapReconstructor.load(result.filePath, content);
+    if (!map) return;
+    const { sources, missing } = this.sourceMapReconstructor.reconstruct(map);
+    result.sourceMap = {
+      mapPath: map.mapPath,
+      inline: map.inline,
+      sources: map.sources.length,
+      missingContent: missing,
+      reconstructed: [],
+      locations: []
+    };
+    console.log(`    🗺️ Source map${map.inline ? ' inline' : ''}: ${sources.length}/${map.sources.length} fonte(s) com conteúdo`);
+    
+    const relativePath = path.relative(this.options.inputDir, result.filePath);
+    const safeRelative = relativePath.startsWith('..') ? path.basename(result.filePath) : relativePath;
+    const sourceDir = path.join(this.options.outputDir, 'sources', safeRelative.replace(/\.js$/i, ''));
+    
+    for (const source of sources) {
+      const sourcePath = path.join(sourceDir, source.path);
+      try {
+        fs.mkdirSync(path.dirname(sourcePath), { recursive: true });
+        fs.writeFileSync(sourcePath, source.content);
+        const entry = { source: source.source, path: sourcePath, size: source.content.length, mining: false };
+        result.sourceMap.reconstructed.push(entry);
+        if (!source.script) continue;
+        
+        const sourceResult = this.analyzeJavaScriptFile(sourcePath, source.source);
+        sourceResult.reconstructedFrom = result.filePath;
+        sourceResult.sourcePath = source.source;
+        this.results.javascript.push(sourceResult);
+        this.updateSummary(sourceResult);
+        this.results.summary.reconstructedSources++;
+        entry.mining = sourceResult.mining.detected;
+      } catch (error) {
+        console.error(`  ❌ Erro ao processar fonte ${source.source} de ${path.basename(result.filePath)}: ${error.message}`);
+        this.results.summary.analysisErrors++;
+      }
+    }
+    
+    // Termos detetados no código gerado (padrões de mining, nomes de famílias) → fonte/linha originais
+    const terms = new Set(result.mining.indicators
+      .filter(indicator => indicator.startsWith('mining_pattern: '))
+      .map(indicator => indicator.slice('mining_pattern: '.length)));
+    (result.signatures ? result.signatures.matches : [])
+      .filter(match => match.matchType === 'name')
+      .forEach(match => terms.add(match.detail));
+    result.sourceMap.locations = this.sourceMapReconstructor.locate(map, content, [...terms]);
+  }
+
+  // Processar ficheiros WASM (.wat e binários .wasm)
   async processWasmFiles(wasmFiles) {
     for (const filePath of wasmFiles) {
       try {
         console.log(`  🔧 Analisando: ${path.basename(filePath)}`);
         
-        const result = await this.wasmAnalyzer.analyzeWasm(filePath);
+        let result;
+        if (path.extname(filePath).toLowerCase() === '.wasm') {
+          // Etapa de decodificação: binário → módulo estruturado + WAT
+          const decoded = this.decodeWasmBinary(filePath);
+          result = this.wasmAnalyzer.analyzeWasmModule(decoded.module, filePath, decoded.raw);
+          result.binaryPath = filePath;
+          result.watPath = decoded.watPath;
+          this.results.summary.wasmBinariesDecoded++;
+        } else {
+          result = await this.wasmAnalyzer.analyzeWasm(filePath);
+        }
+        // IOCs nas strings dos segmentos de dados (no WAT de origem, as strings do próprio texto)
+        const segments = result.binaryPath ? (result.wasm ? result.wasm.data : []) : [{ content: fs.readFileSync(filePath, 'utf8') }];
+        result.iocs = this.iocExtractor.extract([
+          { origin: 'data', text: this.iocExtractor.wasmDataText(segments), code: false }
+        ]);
+        result.toolchains = this.wasmLinker.moduleToolchains(result.wasm);
         result.type = 'wasm';
         result.timestamp = new Date().toISOString();
         
@@ -177,8 +524,27 @@ class IntegratedPipeline {
     }
   }
 
+  // Decodificar binário WASM e guardar o WAT gerado em <outputDir>/wat
+  decodeWasmBinary(filePath) {
+    const raw = fs.readFileSync(filePath);
+    const module = this.wasmAnalyzer.binaryParser.parse(raw);
+    
+    const relativePath = path.relative(this.options.inputDir, filePath);
+    const safeRelative = relativePath.startsWith('..') ? path.basename(filePath) : relativePath;
+    const watPath = path.join(
+      this.options.outputDir,
+      'wat',
+      safeRelative.replace(/\.wasm$/i, '.wat')
+    );
+    
+    fs.mkdirSync(path.dirname(watPath), { recursive: true });
+    fs.writeFileSync(watPath, this.wasmAnalyzer.binaryParser.toWat(module));
+    
+    return { module, raw, watPath };
+  }
+
   // Detectar mining em JavaScript
-  detectJavaScriptMining(content, astResult) {
+  detectJavaScriptMining(content, astResult, signatures = null) {
     const mining = {
       detected: false,
       confidence: 0,
@@ -190,10 +556,9 @@ class IntegratedPipeline {
     let score = 0;
     let totalChecks = 0;
     
-    // 1. Verificar padrões de mining conhecidos
+    // 1. Verificar padrões de mining conhecidos (famílias vêm da base de assinaturas)
     const miningPatterns = [
-      'CoinHive', 'CryptoNight', 'WebDollar', 'CoinImp', 'CoinNebula',
-      'mining', 'hashrate', 'difficulty', 'nonce', 'block', 'chain',
+      'CryptoNight', 'mining', 'hashrate', 'difficulty', 'nonce', 'block', 'chain',
       'cryptocurrency', 'bitcoin', 'ethereum', 'monero', 'zcash'
     ];
     
@@ -252,7 +617,7 @@ class IntegratedPipeline {
     
     // 5. Verificar bibliotecas de mining conhecidas
     const miningLibraries = [
-      'coinhive', 'cryptonight', 'argon2', 'blake2', 'scrypt'
+      'cryptonight', 'argon2', 'blake2', 'scrypt'
     ];
     
     let libScore = 0;
@@ -263,6 +628,16 @@ class IntegratedPipeline {
         mining.evidence.push(`Known mining library detected: ${lib}`);
       }
     });
+    
+    // Nomes das famílias conhecidas (base de assinaturas)
+    const nameMatches = signatures
+      ? signatures.matches.filter(match => match.matchType === 'name')
+      : this.signatures.matchNames(content);
+    nameMatches.forEach(match => {
+      libScore += 0.4;
+      mining.indicators.push(`mining_library: ${match.detail}`);
+      mining.evidence.push(`Known mining library detected: ${match.detail} (${match.family})`);
+    });
     if (libScore > 0) {
       score += Math.min(libScore, 1);
       totalChecks++;
@@ -275,16 +650,399 @@ class IntegratedPipeline {
     return mining;
   }
 
+  // Ligar cada módulo WASM aos scripts que o carregam: primeiro o script registado nos metadados
+  // dos dumps de runtime (chamada e stack da compilação); depois, no mesmo site, bytes embutidos,
+  // URL .wasm ou imports fornecidos pelo script. Combina a evidência de mining dos dois lados
+  linkWasmModules() {
+    this.results.wasm.forEach(module => {
+      module.loadedBy = [];
+      module.runtimeDump = this.wasmLinker.readDumpMetadata(module.binaryPath || module.filePath);
+    });
+    const dumps = this.results.wasm.filter(module => module.runtimeDump);
+    const noLoader = { calls: [], urls: [], embedded: [], toolchains: [] };
+    
+    this.results.javascript.forEach(script => {
+      const compiled = dumps.filter(module => this.wasmLinker.runtimeReference(module.runtimeDump, script.filePath));
+      if (!script.wasmLoader && compiled.length === 0) return;
+      script.wasmLinks = [];
+      const code = fs.readFileSync(script.filePath, 'utf8');
+      const site = this.siteOf(this.originOf(script));
+      
+      this.results.wasm.forEach(module => {
+        const moduleSite = this.siteOf(this.originOf(module));
+        if (!compiled.includes(module) && site && moduleSite && site !== moduleSite) return;
+        
+        const link = this.wasmLinker.link(script.wasmLoader || noLoader, code, module, script.filePath);
+        if (!link) return;
+        script.wasmLinks.push({ module: module.binaryPath || module.filePath, ...link, toolchains: module.toolchains });
+        module.loadedBy.push({ script: script.filePath, ...link, toolchains: (script.wasmLoader || noLoader).toolchains });
+        this.combineLinkedMining(script, module);
+        this.results.summary.wasmLinks++;
+      });
+    });
+    
+    this.recountMining();
+  }
+  
+  // Ligar os scripts de cada worker (principal, importScripts, eval) ao script que criou o worker,
+  // a partir dos grafos <site>/workers/<página>.json, e combinar a evidência de mining dos dois
+  linkWorkers(evidenceFiles) {
+    const linked = new Set();
+    const workerScripts = new Set();
+    
+    this.readCaptureGraphs(evidenceFiles, 'workers').forEach(({ graph, resolve }) => {
+      (graph.workers || []).forEach(worker => {
+        const spawnedBy = worker.spawnedBy || {};
+        const spawner = resolve(spawnedBy.path);
+        
+        (worker.scripts || []).forEach(entry => {
+          const script = resolve(entry.path);
+          if (!script || script === spawner) return;
+          const key = `${spawner ? spawner.filePath : spawnedBy.script}→${script.filePath}`;
+          if (linked.has(key)) return;
+          linked.add(key);
+          workerScripts.add(script);
+          
+          script.spawnedBy = script.spawnedBy || [];
+          script.spawnedBy.push({ script: spawner ? spawner.filePath : (spawnedBy.script || null), api: spawnedBy.api || null, workerType: worker.type, kind: entry.kind, pageUrl: graph.pageUrl });
+          if (!spawner) return;
+          spawner.workers = spawner.workers || [];
+          spawner.workers.push({ script: script.filePath, api: spawnedBy.api || null, workerType: worker.type, kind: entry.kind });
+          this.combineWorkerMining(spawner, script);
+        });
+      });
+    });
+    
+    this.results.summary.workerScripts = workerScripts.size;
+    this.recountMining();
+  }
+  
+  // Ligar os scripts capturados pelo Debugger (inline, eval, new Function, document.write...) ao
+  // script que os avaliou, a partir de <site>/dynamic/<página>.json, e combinar a evidência de mining
+  linkExecutedScripts(evidenceFiles) {
+    const linked = new Set();
+    const executed = new Set();
+    
+    this.readCaptureGraphs(evidenceFiles, 'dynamic').forEach(({ graph, resolve }) => {
+      (graph.scripts || []).filter(entry => entry.captured !== 'network').forEach(entry => {
+        const script = resolve(entry.path);
+        if (!script) return;
+        const caller = entry.parent || {};
+        const parent = resolve(caller.path);
+        const key = `${parent ? parent.filePath : caller.url || ''}→${script.filePath}`;
+        if (linked.has(key)) return;
+        linked.add(key);
+        executed.add(script);
+        
+        script.executed = script.executed || [];
+        script.executed.push({
+          type: entry.type,
+          pageUrl: graph.pageUrl,
+          sourceURL: entry.sourceURL || null,
+          position: entry.position || null,
+          evaluatedBy: parent ? parent.filePath : (caller.url || null),
+          line: caller.line || null,
+          stack: entry.stack || []
+        });
+        if (!parent || parent === script) return;
+        parent.evaluates = parent.evaluates || [];
+        parent.evaluates.push({ script: script.filePath, type: entry.type, line: caller.line || null });
+        // Código avaliado por uma release benigna conhecida pelo hash (jQuery.globalEval...) é julgado sozinho
+        if (!parent.mining.library) this.combineEvaluatedMining(parent, script);
+      });
+    });
+    
+    this.results.summary.executedScripts = executed.size;
+    this.recountMining();
+  }
+  
+  // Grafos do crawler de um tipo (workers, dynamic) com os caminhos relativos resolvidos para resultados JS
+  readCaptureGraphs(evidenceFiles, kind) {
+    const byPath = new Map(this.results.javascript.map(result => [path.resolve(result.filePath), result]));
+    
+    return evidenceFiles.filter(filePath => path.basename(path.dirname(filePath)) === kind).flatMap(filePath => {
+      try {
+        const graph = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const resolve = relativePath => relativePath ? byPath.get(path.resolve(path.dirname(filePath), relativePath)) : null;
+        return [{ graph, resolve }];
+      } catch (error) {
+        console.warn(`⚠️ Grafo ${kind} inválido ${filePath}: ${error.message}`);
+        this.results.summary.analysisErrors++;
+        return [];
+      }
+    });
+  }
+  
+  // A ligação pode mudar a deteção de ficheiros já contados no resumo
+  recountMining() {
+    const miningFiles = [...this.results.javascript, ...this.results.wasm].filter(result => result.mining && result.mining.detected);
+    this.results.summary.miningDetected = miningFiles.length;
+    this.results.summary.highConfidenceMining = miningFiles.filter(result => result.mining.confidence >= 0.8).length;
+  }
+
+  // Script e módulo ligados: módulos carregados por uma release benigna conhecida (hash exato) herdam
+  // o peso reduzido; de resto combina-se como quaisquer dois ficheiros que correm juntos
+  combineLinkedMining(script, module) {
+    if (script.mining.library) {
+      if (!module.mining.library) this.libraries.annotateMining(module.mining, script.libraries);
+      return;
+    }
+    
+    // Limiares de deteção do JS (0.5) e do analisador WASM (0.3)
+    this.combineMining(
+      { file: script, indicator: 'linked_wasm', evidence: 'Linked WASM module', threshold: 0.5 },
+      { file: module, indicator: 'linked_loader', evidence: 'Linked loader script', threshold: 0.3 }
+    );
+  }
+  
+  // Worker e script que o criou: o código do worker só corre às ordens do spawner
+  combineWorkerMining(spawner, script) {
+    this.combineMining(
+      { file: spawner, indicator: 'spawns_worker', evidence: 'Spawns worker running', threshold: 0.5 },
+      { file: script, indicator: 'spawned_by', evidence: 'Runs in worker spawned by', threshold: 0.5 }
+    );
+  }
+  
+  // Código gerado em runtime e o script que o avaliou: o mesmo programa em dois ficheiros
+  combineEvaluatedMining(parent, script) {
+    this.combineMining(
+      { file: parent, indicator: 'evaluates', evidence: 'Evaluates code', threshold: 0.5 },
+      { file: script, indicator: 'evaluated_by', evidence: 'Evaluated by', threshold: 0.5 }
+    );
+  }
+  
+  // Dois ficheiros ligados: mining detetado num lado passa para o outro, e dois lados suspeitos
+  // (≥30%) somam +10%. Cada lado indica como descrever o outro na sua evidência.
+  combineMining(first, second) {
+    const a = first.file.mining;
+    const b = second.file.mining;
+    const agree = a.confidence >= 0.3 && b.confidence >= 0.3;
+    if (!a.detected && !b.detected && !agree) return;
+    const combined = Math.min(1, Math.max(a.confidence, b.confidence) + (agree ? 0.1 : 0));
+    
+    [[first, second.file, b.confidence], [second, first.file, a.confidence]].forEach(([side, other, otherConfidence]) => {
+      const file = side.file;
+      if (combined <= file.mining.confidence) return;
+      const name = path.basename(other.binaryPath || other.filePath);
+      file.mining.confidence = combined;
+      file.mining.detected = file.mining.detected || combined >= side.threshold;
+      file.mining.indicators.push(`${side.indicator}: ${name}`);
+      file.mining.evidence.push(`${side.evidence} ${name} (mining ${(otherConfidence * 100).toFixed(1)}%)`);
+    });
+  }
+
+  // Ficheiro de entrada de onde um resultado veio (camadas, módulos e fontes derivadas apontam para o original)
+  originOf(result) {
+    const parentPath = result.unpackedFrom || result.bundledIn || result.reconstructedFrom;
+    if (parentPath) {
+      // Derivados de derivados (camada de um script inline, módulo de uma camada...) sobem até ao ficheiro de entrada
+      const parent = this.results.javascript.find(item => item.filePath === parentPath);
+      return parent && parent !== result ? this.originOf(parent) : parentPath;
+    }
+    return result.inlineFrom || result.binaryPath || result.filePath;
+  }
+
+  // Site de um ficheiro: primeiro diretório relativo ao inputDir (estrutura do crawler)
+  siteOf(filePath) {
+    const relativePath = path.relative(this.options.inputDir, filePath);
+    if (relativePath.startsWith('..')) return null;
+    const parts = relativePath.split(path.sep);
+    return parts.length > 1 ? parts[0] : null;
+  }
+
+  // Agregar por site os resultados de ficheiros e a evidência de runtime num veredito de mining
+  buildSiteVerdicts(evidenceFiles) {
+    const sites = new Map();
+    const siteEntry = (name) => {
+      if (!sites.has(name)) {
+        sites.set(name, {
+          site: name,
+          files: [],
+          websocket: { pages: [], endpoints: [], protocols: [], messageTypes: {}, poolTraffic: false, confidence: 0 },
+          performance: { pages: [], maxCpu: 0, workersSpawned: 0, indicators: [], abuse: false, idle: false, confidence: 0 },
+          mining: { detected: false, confidence: 0, sources: [], evidence: [] },
+          evidenceIocs: []
+        });
+      }
+      return sites.get(name);
+    };
+    
+    [...this.results.javascript, ...this.results.wasm].forEach(result => {
+      const name = this.siteOf(this.originOf(result));
+      if (name) siteEntry(name).files.push(result);
+    });
+    
+    evidenceFiles.forEach(filePath => {
+      const name = this.siteOf(filePath);
+      if (!name) return;
+      try {
+        const evidence = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const kind = path.basename(path.dirname(filePath));
+        if (kind === 'websocket') this.mergeWebSocketEvidence(siteEntry(name).websocket, evidence, filePath);
+        if (kind === 'performance') this.mergePerformanceEvidence(siteEntry(name).performance, evidence, filePath);
+        // Mensagens WebSocket (login com carteira, URL do pool) e eventos de runtime
+        if (kind === 'websocket' || kind === 'runtime') {
+          const iocs = this.iocExtractor.extract([{ origin: kind, text: fs.readFileSync(filePath, 'utf8'), code: false }]);
+          siteEntry(name).evidenceIocs.push({ path: filePath, iocs });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Evidência inválida ${filePath}: ${error.message}`);
+        this.results.summary.analysisErrors++;
+      }
+    });
+    
+    this.results.sites = [...sites.values()].map(site => {
+      const { files, evidenceIocs, ...rest } = site;
+      rest.mining = this.computeSiteVerdict(files, site.websocket, site.performance);
+      rest.files = files.map(file => file.binaryPath || file.filePath);
+      rest.libraries = this.siteLibraries(files);
+      rest.iocs = this.siteIocs(files, evidenceIocs);
+      if (site.websocket.poolTraffic) this.results.summary.sitesWithPoolTraffic++;
+      return rest;
+    });
+  }
+
+  // Bibliotecas de um site (sem versão só quando nenhuma cópia da biblioteca teve versão identificada)
+  siteLibraries(files) {
+    const all = files.flatMap(file => file.libraries || []);
+    const versioned = new Set(all.filter(library => library.version).map(library => library.name));
+    return [...new Set(all
+      .filter(library => library.version || !versioned.has(library.name))
+      .map(library => this.libraries.label(library)))];
+  }
+
+  // IOCs de um site: os de cada ficheiro e da evidência de rede, com os caminhos onde apareceram
+  siteIocs(files, evidenceIocs) {
+    const found = new Map();
+    const sources = [
+      ...files.map(file => ({ path: file.binaryPath || file.filePath, iocs: file.iocs || [] })),
+      ...evidenceIocs
+    ];
+    sources.forEach(source => {
+      source.iocs.forEach(ioc => {
+        const key = `${ioc.type}:${ioc.value}`;
+        if (!found.has(key)) {
+          const { origins, ...rest } = ioc;
+          found.set(key, { ...rest, sources: [] });
+        }
+        const entry = found.get(key);
+        if (!entry.sources.includes(source.path)) entry.sources.push(source.path);
+      });
+    });
+    return this.iocExtractor.sort([...found.values()]);
+  }
+
+  // Juntar a evidência WebSocket de uma página à do site
+  mergeWebSocketEvidence(websocket, evidence, filePath) {
+    const verdict = evidence.verdict || {};
+    websocket.pages.push({
+      pageUrl: evidence.pageUrl,
+      evidencePath: filePath,
+      sockets: (evidence.sockets || []).map(socket => socket.url),
+      verdict
+    });
+    (verdict.endpoints || []).forEach(endpoint => {
+      if (!websocket.endpoints.includes(endpoint)) websocket.endpoints.push(endpoint);
+    });
+    (verdict.protocols || []).forEach(protocol => {
+      if (!websocket.protocols.includes(protocol)) websocket.protocols.push(protocol);
+    });
+    Object.entries(verdict.messageTypes || {}).forEach(([type, count]) => {
+      websocket.messageTypes[type] = (websocket.messageTypes[type] || 0) + count;
+    });
+    websocket.poolTraffic = websocket.poolTraffic || Boolean(verdict.poolTraffic);
+    websocket.confidence = Math.max(websocket.confidence, verdict.confidence || 0);
+  }
+
+  // Juntar o perfil de CPU/workers de uma página ao do site
+  mergePerformanceEvidence(performance, evidence, filePath) {
+    const verdict = evidence.verdict || {};
+    const workers = evidence.workers || {};
+    performance.pages.push({
+      pageUrl: evidence.pageUrl,
+      evidencePath: filePath,
+      cpu: verdict.cpu || 0,
+      hiddenCpu: evidence.hidden ? evidence.hidden.cpu : null,
+      throttling: evidence.throttling,
+      workersSpawned: workers.spawned || 0,
+      hardwareConcurrency: evidence.hardwareConcurrency,
+      verdict
+    });
+    performance.maxCpu = Math.max(performance.maxCpu, verdict.cpu || 0);
+    performance.workersSpawned = Math.max(performance.workersSpawned, workers.spawned || 0);
+    (verdict.indicators || []).forEach(indicator => {
+      if (!performance.indicators.includes(indicator)) performance.indicators.push(indicator);
+    });
+    performance.abuse = performance.abuse || Boolean(verdict.abuse);
+    performance.confidence = Math.max(performance.confidence, verdict.confidence || 0);
+    // O site só conta como inativo se todas as páginas observadas estiverem inativas
+    performance.idle = performance.pages.every(page => page.verdict.idle);
+  }
+
+  // Veredito do site: a evidência mais forte prevalece; fontes independentes que concordam reforçam
+  computeSiteVerdict(files, websocket, performance) {
+    const mining = { detected: false, confidence: 0, sources: [], evidence: [] };
+    
+    const miningFiles = files.filter(file => file.mining && file.mining.detected);
+    const staticConfidence = miningFiles.reduce((max, file) => Math.max(max, file.mining.confidence), 0);
+    if (miningFiles.length > 0) {
+      mining.sources.push('static');
+      miningFiles.forEach(file => {
+        const family = file.mining.family ? ` [${file.mining.family}]` : '';
+        mining.evidence.push(`${path.basename(file.binaryPath || file.filePath)}: ${(file.mining.confidence * 100).toFixed(1)}%${family}`);
+      });
+    }
+    
+    if (websocket.poolTraffic) {
+      mining.sources.push('websocket');
+      const types = Object.keys(websocket.messageTypes).join(', ');
+      websocket.endpoints.forEach(endpoint => {
+        mining.evidence.push(`Pool traffic (${websocket.protocols.join('/')}: ${types}) to ${endpoint}`);
+      });
+    }
+    
+    // Uso real de recursos: sozinho não prova mining (jogos, WebGL...), mas pesa na confiança
+    if (performance.abuse) {
+      mining.sources.push('performance');
+      mining.evidence.push(`Resource abuse: ${performance.indicators.join(', ')}`);
+    }
+    
+    mining.confidence = Math.max(
+      staticConfidence,
+      websocket.poolTraffic ? websocket.confidence : 0,
+      performance.abuse ? performance.confidence : 0
+    );
+    if (mining.sources.length > 1) {
+      mining.confidence = Math.min(1, mining.confidence + 0.1 * (mining.sources.length - 1));
+    }
+    
+    // Código suspeito mas sem consumo de CPU observado: baixar a confiança estática
+    if (performance.pages.length > 0 && performance.idle && !websocket.poolTraffic && staticConfidence > 0) {
+      mining.confidence = Math.max(0, mining.confidence - 0.1);
+      mining.evidence.push(`No CPU usage observed (max ${(performance.maxCpu * 100).toFixed(0)}%)`);
+    }
+    
+    mining.detected = mining.sources.includes('static') || mining.sources.includes('websocket') ||
+      (performance.abuse && performance.confidence >= 0.8);
+    
+    return mining;
+  }
+
   // Atualizar resumo
   updateSummary(result) {
     this.results.summary.totalFiles++;
     
     if (result.type === 'javascript') {
       this.results.summary.jsFiles++;
+      if (result.firstParty === false) this.results.summary.libraryFiles++;
     } else if (result.type === 'wasm') {
       this.results.summary.wasmFiles++;
     }
     
+    if (result.iocs && result.iocs.length > 0) {
+      this.results.summary.filesWithIocs++;
+    }
+    
     if (result.mining && result.mining.detected) {
       this.results.summary.miningDetected++;
       
@@ -351,11 +1109,56 @@ class IntegratedPipeline {
     report.push(`- Total de ficheiros analisados: ${this.results.summary.totalFiles}`);
     report.push(`- Ficheiros JavaScript: ${this.results.summary.jsFiles}`);
     report.push(`- Ficheiros WASM: ${this.results.summary.wasmFiles}`);
+    report.push(`- Binários WASM decodificados: ${this.results.summary.wasmBinariesDecoded}`);
+    report.push(`- Camadas JS desempacotadas: ${this.results.summary.unpackedLayers}`);
+    report.push(`- Módulos de bundles separados: ${this.results.summary.bundleModules}`);
+    report.push(`- Fontes originais reconstruídas (source maps): ${this.results.summary.reconstructedSources}`);
+    report.push(`- Ficheiros de bibliotecas conhecidas: ${this.results.summary.libraryFiles}`);
+    report.push(`- Ficheiros com IOCs: ${this.results.summary.filesWithIocs}`);
+    report.push(`- Ligações JS↔WASM: ${this.results.summary.wasmLinks}`);
+    report.push(`- Documentos HTML: ${this.results.summary.htmlDocuments}`);
+    report.push(`- Blocos de JavaScript inline: ${this.results.summary.inlineScripts}`);
+    report.push(`- Scripts de workers: ${this.results.summary.workerScripts}`);
+    report.push(`- Scripts capturados em execução (inline/eval): ${this.results.summary.executedScripts}`);
     report.push(`- Mining detectado: ${this.results.summary.miningDetected}`);
     report.push(`- Alta confiança de mining: ${this.results.summary.highConfidenceMining}`);
+    report.push(`- Sites com tráfego de pool: ${this.results.summary.sitesWithPoolTraffic}`);
     report.push(`- Erros de análise: ${this.results.summary.analysisErrors}`);
     report.push('');
     
+    // Veredito por site
+    if (this.results.sites.length > 0) {
+      report.push('VEREDITO POR SITE:');
+      report.push('-'.repeat(50));
+      this.results.sites.forEach(site => {
+        const status = site.mining.detected ? `MINING (${(site.mining.confidence * 100).toFixed(1)}%)` : 'limpo';
+        report.push(`\n🌐 ${site.site}: ${status}`);
+        report.push(`   Ficheiros: ${site.files.length}`);
+        if (site.websocket.pages.length > 0) {
+          report.push(`   WebSockets: ${site.websocket.pages.reduce((sum, page) => sum + page.sockets.length, 0)} em ${site.websocket.pages.length} página(s)`);
+        }
+        if (site.performance.pages.length > 0) {
+          report.push(`   CPU: máx ${(site.performance.maxCpu * 100).toFixed(0)}%, workers: ${site.performance.workersSpawned}`);
+        }
+        if (site.libraries.length > 0) {
+          report.push(`   Bibliotecas: ${site.libraries.join(', ')}`);
+        }
+        if (site.iocs.length > 0) {
+          report.push(`   IOCs: ${this.iocExtractor.summarize(site.iocs)}`);
+          this.iocExtractor.mining(site.iocs).slice(0, 10).forEach(ioc => {
+            report.push(`     • ${this.iocExtractor.label(ioc)}`);
+          });
+        }
+        if (site.mining.sources.length > 0) {
+          report.push(`   Fontes: ${site.mining.sources.join(', ')}`);
+        }
+        site.mining.evidence.slice(0, 5).forEach(evidence => {
+          report.push(`     • ${evidence}`);
+        });
+      });
+      report.push('');
+    }
+    
     // Estatísticas de mining
     const miningFiles = [...this.results.javascript, ...this.results.wasm]
       .filter(r => r.mining && r.mining.detected);
@@ -367,7 +1170,55 @@ class IntegratedPipeline {
       miningFiles.forEach(file => {
         report.push(`\n📄 ${path.basename(file.filePath)}`);
         report.push(`   Tipo: ${file.type.toUpperCase()}`);
+        if (file.binaryPath) {
+          report.push(`   Binário original: ${file.binaryPath}`);
+        }
+        if (file.unpackedFrom) {
+          report.push(`   Desempacotado de: ${file.unpackedFrom} (camada ${file.layer.index}, via ${file.layer.sink})`);
+        }
+        if (file.bundledIn) {
+          report.push(`   Módulo ${file.module.id} de: ${file.bundledIn} (${file.module.format}, offsets ${file.module.start}-${file.module.end})`);
+        }
+        if (file.reconstructedFrom) {
+          report.push(`   Fonte original ${file.sourcePath} de: ${file.reconstructedFrom}`);
+        }
+        (file.inline || []).slice(0, 3).forEach(occurrence => {
+          report.push(`   Inline em: ${occurrence.document} (${this.inlineExtractor.label(occurrence)})`);
+        });
+        if (file.sourceMap && file.sourceMap.locations.length > 0) {
+          report.push(`   Nas fontes originais:`);
+          file.sourceMap.locations.slice(0, 5).forEach(location => {
+            report.push(`     • ${location.term} → ${location.source}:${location.line}:${location.column}`);
+          });
+        }
         report.push(`   Confiança: ${(file.mining.confidence * 100).toFixed(1)}%`);
+        if (file.mining.family) {
+          report.push(`   Família: ${file.mining.family} (${file.mining.matchType})`);
+        }
+        if (file.mining.library) {
+          report.push(`   Biblioteca: ${file.mining.library}`);
+        }
+        (file.wasmLinks || []).forEach(link => {
+          report.push(`   Carrega WASM: ${link.module} (${link.via.join(', ')})`);
+        });
+        (file.loadedBy || []).forEach(link => {
+          report.push(`   Carregado por: ${link.script} (${link.via.join(', ')})`);
+        });
+        (file.workers || []).forEach(worker => {
+          report.push(`   Cria worker: ${worker.script} (${worker.workerType}, ${worker.kind})`);
+        });
+        (file.spawnedBy || []).forEach(worker => {
+          report.push(`   Corre em worker: ${worker.workerType} criado por ${worker.script || 'script desconhecido'}`);
+        });
+        (file.evaluates || []).forEach(item => {
+          report.push(`   Avalia: ${item.script} (${item.type})`);
+        });
+        (file.executed || []).filter(item => item.evaluatedBy).forEach(item => {
+          report.push(`   Avaliado por: ${item.evaluatedBy}${item.line ? `:${item.line}` : ''} (${item.type})`);
+        });
+        this.iocExtractor.mining(file.iocs).slice(0, 5).forEach(ioc => {
+          report.push(`   IOC: ${this.iocExtractor.label(ioc)}`);
+        });
         report.push(`   Indicadores: ${file.mining.indicators.length}`);
         
         if (file.mining.evidence.length > 0) {
@@ -392,12 +1243,60 @@ class IntegratedPipeline {
     report.push('='.repeat(80));
     report.push('RELATÓRIO DE DETECÇÃO DE MINING');
     report.push('='.repeat(80));
+    report.push(`Base de assinaturas: v${this.signatures.version}`);
     report.push('');
     
     const miningFiles = [...this.results.javascript, ...this.results.wasm]
       .filter(r => r.mining && r.mining.detected)
       .sort((a, b) => b.mining.confidence - a.mining.confidence);
     
+    // Sites com tráfego de pool observado pelo crawler
+    const poolSites = this.results.sites.filter(site => site.websocket.poolTraffic);
+    if (poolSites.length > 0) {
+      report.push('🔌 TRÁFEGO DE POOL (WebSocket):');
+      report.push('-'.repeat(40));
+      poolSites.forEach(site => {
+        report.push(`\n🌐 ${site.site}`);
+        report.push(`   Confiança do site: ${(site.mining.confidence * 100).toFixed(1)}% (${site.mining.sources.join(' + ')})`);
+        report.push(`   Protocolos: ${site.websocket.protocols.join(', ')}`);
+        report.push(`   Mensagens: ${Object.entries(site.websocket.messageTypes).map(([type, count]) => `${type}×${count}`).join(', ')}`);
+        site.websocket.endpoints.forEach(endpoint => {
+          report.push(`   Endpoint: ${endpoint}`);
+        });
+      });
+      report.push('');
+    }
+    
+    // Carteiras, site keys e pools extraídos por site (código, dados WASM e tráfego de rede)
+    const iocSites = this.results.sites.filter(site => this.iocExtractor.mining(site.iocs).length > 0);
+    if (iocSites.length > 0) {
+      report.push('🔎 IOCS DE MINING:');
+      report.push('-'.repeat(40));
+      iocSites.forEach(site => {
+        report.push(`\n🌐 ${site.site}`);
+        this.iocExtractor.mining(site.iocs).forEach(ioc => {
+          report.push(`   ${this.iocExtractor.label(ioc)} (${ioc.sources.map(source => path.basename(source)).join(', ')})`);
+        });
+      });
+      report.push('');
+    }
+    
+    // Sites com abuso de recursos medido pelo crawler
+    const abuseSites = this.results.sites.filter(site => site.performance.abuse);
+    if (abuseSites.length > 0) {
+      report.push('🔥 ABUSO DE CPU (perfil de runtime):');
+      report.push('-'.repeat(40));
+      abuseSites.forEach(site => {
+        report.push(`\n🌐 ${site.site}`);
+        report.push(`   Confiança do site: ${(site.mining.confidence * 100).toFixed(1)}% (${site.mining.sources.join(' + ')})`);
+        site.performance.pages.forEach(page => {
+          const hidden = page.hiddenCpu !== null ? `, oculto ${(page.hiddenCpu * 100).toFixed(0)}%` : '';
+          report.push(`   ${page.pageUrl}: CPU ${(page.cpu * 100).toFixed(0)}%${hidden}, workers ${page.workersSpawned}, ${page.throttling}`);
+        });
+      });
+      report.push('');
+    }
+    
     if (miningFiles.length === 0) {
       report.push('✅ Nenhum ficheiro com mining detectado.');
       return report.join('\n');
@@ -416,6 +1315,9 @@ class IntegratedPipeline {
         report.push(`\n📄 ${path.basename(file.filePath)}`);
         report.push(`   Confiança: ${(file.mining.confidence * 100).toFixed(1)}%`);
         report.push(`   Tipo: ${file.type.toUpperCase()}`);
+        if (file.mining.family) {
+          report.push(`   Família: ${file.mining.family} (${file.mining.matchType})`);
+        }
         report.push(`   Indicadores: ${file.mining.indicators.join(', ')}`);
       });
       report.push('');
@@ -428,6 +1330,9 @@ class IntegratedPipeline {
         report.push(`\n📄 ${path.basename(file.filePath)}`);
         report.push(`   Confiança: ${(file.mining.confidence * 100).toFixed(1)}%`);
         report.push(`   Tipo: ${file.type.toUpperCase()}`);
+        if (file.mining.family) {
+          report.push(`   Família: ${file.mining.family} (${file.mining.matchType})`);
+        }
         report.push(`   Indicadores: ${file.mining.indicators.join(', ')}`);
       });
     }
@@ -444,10 +1349,13 @@ class IntegratedPipeline {
     report.push('='.repeat(80));
     report.push('');
     
-    report.push(`Total de ficheiros JS: ${this.results.javascript.length}`);
+    // Código próprio primeiro; ficheiros que são bibliotecas conhecidas ficam numa secção à parte
+    const firstParty = this.results.javascript.filter(file => file.firstParty !== false);
+    const libraryFiles = this.results.javascript.filter(file => file.firstParty === false);
+    report.push(`Total de ficheiros JS: ${this.results.javascript.length} (código próprio: ${firstParty.length}, bibliotecas conhecidas: ${libraryFiles.length})`);
     report.push('');
     
-    this.results.javascript.forEach(file => {
+    const describe = file => {
       report.push(`\n📄 ${path.basename(file.filePath)}`);
       report.push(`   Tamanho: ${(file.size / 1024).toFixed(2)} KB`);
       report.push(`   Linhas: ${file.lines}`);
@@ -462,19 +1370,131 @@ class IntegratedPipeline {
       
       if (file.traditional) {
         report.push(`   📊 Análise Tradicional:`);
-        report.push(`     - Obfuscação: ${file.traditional.obfuscation.detected ? 'SIM' : 'NÃO'}`);
-        report.push(`     - Tipos: ${file.traditional.obfuscation.types ? file.traditional.obfuscation.types.join(', ') : 'Nenhum'}`);
+        report.push(`     - Obfuscação: ${file.obfuscated ? 'SIM' : 'NÃO'}`);
+        const types = Object.keys(file.traditional.obfuscation).filter(type => file.traditional.obfuscation[type].detected);
+        if (file.stringArray) types.push(`stringArray (${file.stringArray.variant})`);
+        report.push(`     - Tipos: ${types.length > 0 ? types.join(', ') : 'Nenhum'}`);
         report.push(`     - Métricas: Complexidade(${file.traditional.metrics.complexity}), Comentários(${file.traditional.metrics.commentRatio.toFixed(1)}%)`);
       }
       
+      if (file.unpacking && file.unpacking.layers.length > 0) {
+        report.push(`   📦 Desempacotamento: ${file.unpacking.format || 'sinks eval/Function'}`);
+        report.push(`     - Camadas: ${file.unpacking.layers.length}${file.unpacking.fixpoint ? '' : ' (limite atingido antes do ponto fixo)'}`);
+        file.unpacking.layers.forEach(layer => {
+          report.push(`     - #${layer.index} via ${layer.sink} (profundidade ${layer.depth}, ${layer.size} bytes)${layer.mining ? ' ⛏️' : ''}`);
+        });
+      }
+      
+      if (file.unpackedFrom) {
+        report.push(`   📦 Camada ${file.layer.index} de ${path.basename(file.unpackedFrom)} (via ${file.layer.sink})`);
+      }
+      
+      if (file.bundle) {
+        report.push(`   🧩 Bundle ${file.bundle.format}: ${file.bundle.modules.length} módulo(s)${file.bundle.entries.length > 0 ? `, entrada ${file.bundle.entries.join(', ')}` : ''}`);
+        file.bundle.modules.filter(module => module.mining).forEach(module => {
+          report.push(`     - Módulo ${module.id} (${module.size} bytes) ⛏️`);
+        });
+      }
+      
+      if (file.bundledIn) {
+        const dependencies = file.module.dependencies.map(dependency => dependency.request || dependency.id);
+        report.push(`   🧩 Módulo ${file.module.id} de ${path.basename(file.bundledIn)} (${file.module.format})${dependencies.length > 0 ? ` → ${dependencies.join(', ')}` : ''}`);
+      }
+      
+      if (file.sourceMap) {
+        report.push(`   🗺️ Source map${file.sourceMap.inline ? ' inline' : ` ${path.basename(file.sourceMap.mapPath)}`}: ${file.sourceMap.reconstructed.length}/${file.sourceMap.sources} fonte(s) reconstruída(s)`);
+        file.sourceMap.reconstructed.filter(source => source.mining).forEach(source => {
+          report.push(`     - ${source.source} ⛏️`);
+        });
+        file.sourceMap.locations.slice(0, 10).forEach(location => {
+          report.push(`     - ${location.term} → ${location.source}:${location.line}:${location.column}`);
+        });
+      }
+      
+      if (file.reconstructedFrom) {
+        report.push(`   🗺️ Fonte original ${file.sourcePath} de ${path.basename(file.reconstructedFrom)}`);
+      }
+      
+      if (file.inline) {
+        file.inline.slice(0, 5).forEach(occurrence => {
+          const attributes = Object.entries(occurrence.attributes)
+            .filter(([name]) => name !== occurrence.attribute)
+            .map(([name, value]) => value ? `${name}="${value.slice(0, 40)}"` : name);
+          report.push(`   🧾 Inline em ${path.basename(occurrence.document)}: ${this.inlineExtractor.label(occurrence)}${attributes.length > 0 ? ` [${attributes.join(' ')}]` : ''}`);
+        });
+        if (file.inline.length > 5) {
+          report.push(`     - ... e mais ${file.inline.length - 5} ocorrências`);
+        }
+      }
+      
+      if (file.libraries && file.libraries.length > 0) {
+        const labels = file.libraries.map(library => `${this.libraries.label(library)} (${library.matchType}${library.scope === 'file' ? '' : ', só etiqueta'})`);
+        report.push(`   📚 Bibliotecas: ${labels.join(', ')}`);
+      }
+      
+      if (file.wasmLoader) {
+        const loader = file.wasmLoader;
+        const toolchains = loader.toolchains.length > 0 ? ` [${loader.toolchains.join(', ')}]` : '';
+        report.push(`   🔗 Loader WASM${toolchains}: ${loader.calls.length > 0 ? loader.calls.join(', ') : 'sem chamadas WebAssembly'}${loader.embedded.length > 0 ? `, ${loader.embedded.length} módulo(s) embutido(s)` : ''}`);
+        (file.wasmLinks || []).forEach(link => {
+          const imports = link.imports.total > 0 ? `; ${link.imports.provided}/${link.imports.total} imports fornecidos` : '';
+          const moduleToolchains = link.toolchains.length > 0 ? ` [${link.toolchains.join(', ')}]` : '';
+          report.push(`     - ${path.basename(link.module)} (${link.via.join(', ')}${imports})${moduleToolchains}`);
+        });
+      }
+      
+      if (file.spawnedBy) {
+        file.spawnedBy.forEach(worker => {
+          const spawner = worker.script ? path.basename(worker.script) : 'script desconhecido';
+          report.push(`   👷 Corre em ${worker.workerType} (${worker.kind}) criado por ${spawner}${worker.api ? ` via ${worker.api}` : ''}`);
+        });
+      }
+      
+      if (file.executed) {
+        file.executed.forEach(item => {
+          const where = item.position ? ` linha ${item.position.line}, coluna ${item.position.column}` : '';
+          const by = item.evaluatedBy ? ` avaliado por ${path.basename(item.evaluatedBy)}${item.line ? `:${item.line}` : ''}` : '';
+          report.push(`   🧪 Executado (${item.type}${item.sourceURL ? `, ${item.sourceURL}` : ''}) em ${item.pageUrl}${where}${by}`);
+        });
+      }
+      
+      if (file.evaluates && file.evaluates.length > 0) {
+        report.push(`   🧪 Código avaliado: ${file.evaluates.map(item => `${path.basename(item.script)} (${item.type}${item.line ? `, linha ${item.line}` : ''})`).join(', ')}`);
+      }
+      
+      if (file.workers && file.workers.length > 0) {
+        report.push(`   👷 Workers criados: ${file.workers.map(worker => `${path.basename(worker.script)} (${worker.workerType}, ${worker.kind})`).join(', ')}`);
+      }
+      
+      if (file.iocs && file.iocs.length > 0) {
+        report.push(`   🔎 IOCs: ${this.iocExtractor.summarize(file.iocs)}`);
+        this.iocExtractor.mining(file.iocs).forEach(ioc => {
+          report.push(`     - ${this.iocExtractor.label(ioc)}`);
+        });
+      }
+      
       if (file.mining) {
         report.push(`   ⛏️ Mining: ${file.mining.detected ? 'DETECTADO' : 'Não detectado'}`);
         if (file.mining.detected) {
           report.push(`     - Confiança: ${(file.mining.confidence * 100).toFixed(1)}%`);
           report.push(`     - Indicadores: ${file.mining.indicators.length}`);
         }
+        if (file.mining.library) {
+          report.push(`     - Biblioteca benigna: ${file.mining.library}${file.mining.indicators.some(indicator => indicator.startsWith('benign_library: ')) ? ' (confiança reduzida)' : ''}`);
+        }
       }
-    });
+    };
+    
+    report.push('CÓDIGO PRÓPRIO:');
+    report.push('-'.repeat(50));
+    firstParty.forEach(describe);
+    
+    if (libraryFiles.length > 0) {
+      report.push('');
+      report.push('BIBLIOTECAS CONHECIDAS:');
+      report.push('-'.repeat(50));
+      libraryFiles.forEach(describe);
+    }
     
     return report.join('\n');
   }
@@ -496,6 +1516,7 @@ class IntegratedPipeline {
     console.log(`🔧 WASM: ${this.results.summary.wasmFiles}`);
     console.log(`⛏️ Mining detectado: ${this.results.summary.miningDetected}`);
     console.log(`🚨 Alta confiança: ${this.results.summary.highConfidenceMining}`);
+    console.log(`🔌 Sites com tráfego de pool: ${this.results.summary.sitesWithPoolTraffic}`);
     console.log(`❌ Erros: ${this.results.summary.analysisErrors}`);
     
     if (this.results.summary.miningDetected > 0) {
@@ -2,12 +2,12 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { WasmBinaryParser } = require('../analyzers/wasm_binary_parser.js');
 
 class WasmPipeline {
   constructor() {
-    this.wasm2watPath = 'wasm2wat'; // Assumindo que está no PATH
-    this.wat2wasmPath = 'wat2wasm'; // Assumindo que está no PATH
+    // Decodificador nativo: não depende do wabt (wasm2wat) instalado
+    this.binaryParser = new WasmBinaryParser();
   }
 
   // Pipeline completo para WASM
@@ -108,14 +108,18 @@ class WasmPipeline {
           fs.mkdirSync(watDirPath, { recursive: true });
         }
 
-        // Converter usando wasm2wat
-        execSync(`${this.wasm2watPath} "${wasmFile}" -o "${watFile}"`, { stdio: 'pipe' });
+        // Decodificar o binário e gerar o texto WAT
+        const module = this.binaryParser.parseFile(wasmFile);
+        fs.writeFileSync(watFile, this.binaryParser.toWat(module));
         
         results.successful++;
         results.files.push({
           wasm: wasmFile,
           wat: watFile,
-          status: 'success'
+          status: 'success',
+          functions: module.functions.filter(func => !func.imported).length,
+          imports: module.imports.length,
+          exports: module.exports.length
         });
 
         console.log(`  ✅ ${path.basename(wasmFile)} → ${path.basename(watFile)}`);
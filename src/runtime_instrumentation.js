@@ -0,0 +1,398 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Nomes das bindings expostas às páginas (eventos de runtime e bytes de WASM)
+const TRACE_BINDING = '__minerRuntimeTrace';
+const WASM_DUMP_BINDING = '__minerWasmDump';
+// URL de um frame de stack trace do V8 ("at f (https://x/a.js:1:2)" ou "at https://x/a.js:1:2")
+const STACK_FRAME_URL = /((?:https?|blob):[^\s()]+?):\d+:\d+\)?$/;
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function sanitizeFilename(url) {
+  const clean = url.replace(/[^a-zA-Z0-9-_./]/g, '_');
+  return clean.length > 200 ? clean.slice(0, 200) : clean;
+}
+
+// Caminho de um artefacto por página: baseDir/<site>/<kind>/<host_path_query>.json
+function pageArtifactPath(pageUrl, baseDir, kind, mainSiteHostname = null) {
+  const urlObj = new URL(pageUrl);
+  const siteHostname = mainSiteHostname || urlObj.hostname;
+  let name = `${urlObj.hostname}${urlObj.pathname}${urlObj.search}`.replace(/\//g, '_');
+  if (name.endsWith('_')) name += 'index';
+  return path.join(baseDir, sanitizeFilename(siteHostname), kind, `${sanitizeFilename(name).replace(/\//g, '_')}.json`);
+}
+
+// Script injetado em cada documento antes dos scripts da página, e em cada worker antes do seu
+// script principal (ver attachWorker). Corre no browser: não pode usar nada deste módulo além
+// do argumento config.
+function runtimeHooks(config) {
+  const scope = self;
+  if (scope.__minerRuntimeHooksInstalled) return;
+  scope.__minerRuntimeHooksInstalled = true;
+
+  const counts = {};
+
+  // Bindings do Playwright recebem objetos; as do CDP (Runtime.addBinding, em workers) só strings
+  const send = (name, payload) => {
+    const binding = scope[name];
+    if (typeof binding !== 'function') return;
+    const result = binding(config.serialize ? JSON.stringify(payload) : payload);
+    if (result && typeof result.catch === 'function') result.catch(() => {});
+  };
+
+  // Primeiras linhas são os próprios hooks (sem URL), ignoradas em scriptFromStack
+  const captureStack = () => {
+    const lines = (new Error().stack || '').split('\n').slice(2, 2 + config.stackDepth);
+    return lines.map(line => line.trim());
+  };
+
+  const scriptFromStack = stack => {
+    for (const line of stack) {
+      const match = line.match(/((?:https?|blob|data|file):[^\s()]+?)(?::\d+){0,2}\)?$/);
+      if (match) return match[1];
+    }
+    return null;
+  };
+
+  const emit = (type, details, stack = captureStack()) => {
+    try {
+      counts[type] = (counts[type] || 0) + 1;
+      if (counts[type] > config.maxEventsPerType) return;
+
+      send(config.binding, {
+        type,
+        time: Date.now(),
+        frameUrl: location.href,
+        scriptUrl: scriptFromStack(stack),
+        stack,
+        details
+      });
+    } catch (e) {
+      // Nunca interferir com a página
+    }
+  };
+
+  // Enviar os bytes exatos de um módulo compilado a partir de memória (o host deduplica por SHA-256:
+  // o mesmo ArrayBuffer pode ser reutilizado para outro módulo)
+  const dumpBytes = (api, source, stack) => {
+    try {
+      if (!config.captureWasm || typeof scope[config.wasmBinding] !== 'function') return;
+
+      let bytes = null;
+      if (source instanceof ArrayBuffer) {
+        bytes = new Uint8Array(source);
+      } else if (source && ArrayBuffer.isView(source)) {
+        bytes = new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+      }
+      if (!bytes || bytes.byteLength === 0 || bytes.byteLength > config.maxWasmBytes) return;
+
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+
+      send(config.wasmBinding, {
+        api,
+        frameUrl: location.href,
+        scriptUrl: scriptFromStack(stack),
+        stack,
+        base64: btoa(binary)
+      });
+    } catch (e) {
+      // Nunca interferir com a página
+    }
+  };
+
+  const describeSource = source => {
+    if (typeof WebAssembly === 'object' && source instanceof WebAssembly.Module) return { source: 'module' };
+    if (source instanceof ArrayBuffer) return { source: 'buffer', byteLength: source.byteLength };
+    if (source && ArrayBuffer.isView(source)) return { source: 'buffer', byteLength: source.byteLength };
+    return { source: typeof source };
+  };
+
+  const wrapConstructor = (owner, name, describe, onConstruct = null) => {
+    const original = owner[name];
+    if (typeof original !== 'function') return;
+    owner[name] = new Proxy(original, {
+      construct(target, args, newTarget) {
+        const stack = captureStack();
+        const details = describe(args);
+        if (details) emit(details.type, details.info, stack);
+        if (onConstruct) onConstruct(args, stack);
+        return Reflect.construct(target, args, newTarget);
+      }
+    });
+  };
+
+  // WebAssembly
+  if (typeof WebAssembly === 'object') {
+    ['instantiate', 'compile'].forEach(name => {
+      const original = WebAssembly[name];
+      if (typeof original !== 'function') return;
+      WebAssembly[name] = function (...args) {
+        const stack = captureStack();
+        emit('wasm', { api: `WebAssembly.${name}`, ...describeSource(args[0]) }, stack);
+        dumpBytes(`WebAssembly.${name}`, args[0], stack);
+        return original.apply(this, args);
+      };
+    });
+
+    ['instantiateStreaming', 'compileStreaming'].forEach(name => {
+      const original = WebAssembly[name];
+      if (typeof original !== 'function') return;
+      WebAssembly[name] = function (...args) {
+        const stack = captureStack();
+        // Clonar a resposta (pode vir de blob:) para guardar os bytes sem a consumir
+        const source = Promise.resolve(args[0]).then(response => {
+          emit('wasm', { api: `WebAssembly.${name}`, source: 'stream', responseUrl: response && response.url }, stack);
+          if (config.captureWasm && response && typeof response.clone === 'function') {
+            response.clone().arrayBuffer().then(buffer => dumpBytes(`WebAssembly.${name}`, buffer, stack), () => {});
+          }
+          return response;
+        });
+        return original.call(this, source, ...args.slice(1));
+      };
+    });
+
+    wrapConstructor(WebAssembly, 'Module', args => ({
+      type: 'wasm',
+      info: { api: 'WebAssembly.Module', ...describeSource(args[0]) }
+    }), (args, stack) => dumpBytes('WebAssembly.Module', args[0], stack));
+
+    // Memória partilhada também cria um SharedArrayBuffer
+    wrapConstructor(WebAssembly, 'Memory', args => (args[0] && args[0].shared ? {
+      type: 'shared_array_buffer',
+      info: { api: 'WebAssembly.Memory', initial: args[0].initial, maximum: args[0].maximum }
+    } : null));
+  }
+
+  // Workers (dentro de workers só existe Worker)
+  ['Worker', 'SharedWorker'].forEach(name => {
+    wrapConstructor(scope, name, args => ({
+      type: 'worker',
+      info: { api: name, scriptUrl: String(args[0]), workerType: args[1] && args[1].type ? args[1].type : 'classic' }
+    }));
+  });
+
+  // SharedArrayBuffer (só existe com cross-origin isolation)
+  wrapConstructor(scope, 'SharedArrayBuffer', args => ({
+    type: 'shared_array_buffer',
+    info: { api: 'SharedArrayBuffer', byteLength: args[0] }
+  }));
+
+  // Leituras de navigator.hardwareConcurrency
+  const navigatorProto = (scope.Navigator || scope.WorkerNavigator).prototype;
+  const concurrency = Object.getOwnPropertyDescriptor(navigatorProto, 'hardwareConcurrency');
+  if (concurrency && concurrency.get) {
+    Object.defineProperty(navigatorProto, 'hardwareConcurrency', {
+      ...concurrency,
+      get() {
+        const value = concurrency.get.call(this);
+        emit('hardware_concurrency', { value });
+        return value;
+      }
+    });
+  }
+
+  // WebSockets
+  wrapConstructor(scope, 'WebSocket', args => ({
+    type: 'websocket',
+    info: { api: 'WebSocket', url: String(args[0]), protocols: args[1] || null }
+  }));
+}
+
+// Recolhe os eventos de runtime por página e grava um JSON por página.
+// Com captureWasm, os módulos compilados a partir de memória são gravados em <site>/inline/.
+class RuntimeInstrumentation {
+  constructor(options = {}) {
+    this.outDir = options.outDir;
+    this.mainSiteHostname = options.mainSiteHostname || null;
+    // URL → ficheiro já gravado pelo crawler (scripts que instanciaram os módulos capturados)
+    this.resolveScript = options.resolveScript || (() => null);
+    this.trace = options.trace !== false;
+    this.config = {
+      binding: TRACE_BINDING,
+      wasmBinding: WASM_DUMP_BINDING,
+      captureWasm: options.captureWasm !== false,
+      maxWasmBytes: options.maxWasmBytes || 64 * 1024 * 1024,
+      stackDepth: options.stackDepth || 8,
+      maxEventsPerType: options.maxEventsPerType || 500
+    };
+    this.traces = new Map();
+    this.dumpedWasm = new Map();
+  }
+
+  async attach(context) {
+    await context.exposeBinding(TRACE_BINDING, (source, event) => {
+      if (this.trace) this.record(source.page, event);
+    });
+    await context.exposeBinding(WASM_DUMP_BINDING, (source, payload) => this.saveWasmDump(source.page, payload));
+    await context.addInitScript(runtimeHooks, this.config);
+  }
+
+  // Os init scripts não correm em workers, onde os miners costumam compilar o WASM: instalar os
+  // mesmos hooks num worker acabado de ligar (channel: sessão CDP do worker, ver WorkerGraph)
+  async attachWorker(channel, page) {
+    channel.on('Runtime.bindingCalled', ({ name, payload }) => {
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch {
+        return;
+      }
+      if (name === TRACE_BINDING && this.trace) this.record(page, data);
+      if (name === WASM_DUMP_BINDING) {
+        this.saveWasmDump(page, data).catch(e => console.log(`[DEBUG] Failed to save worker WASM dump: ${e.message}`));
+      }
+    });
+    await channel.send('Runtime.addBinding', { name: TRACE_BINDING });
+    await channel.send('Runtime.addBinding', { name: WASM_DUMP_BINDING });
+    const { exceptionDetails } = await channel.send('Runtime.evaluate', {
+      expression: `(${runtimeHooks})(${JSON.stringify({ ...this.config, serialize: true })})`
+    });
+    if (exceptionDetails) throw new Error((exceptionDetails.exception && exceptionDetails.exception.description) || exceptionDetails.text);
+  }
+
+  // Gravar bytes de WASM vindos da página (deduplicados por SHA-256) com metadados de origem
+  async saveWasmDump(page, payload) {
+    if (!payload || !payload.base64) return null;
+
+    const bytes = Buffer.from(payload.base64, 'base64');
+    if (bytes.length < 4 || bytes[0] !== 0x00 || bytes[1] !== 0x61 || bytes[2] !== 0x73 || bytes[3] !== 0x6d) {
+      return null;
+    }
+
+    const sha256 = crypto.createHash('sha256').update(bytes).digest('hex');
+    const pageUrl = page ? (this.traces.has(page) ? this.traces.get(page).pageUrl : page.url()) : null;
+    const reference = {
+      api: payload.api,
+      pageUrl,
+      frameUrl: payload.frameUrl,
+      scriptUrl: payload.scriptUrl,
+      stack: payload.stack,
+      capturedAt: new Date().toISOString()
+    };
+
+    let dump = this.dumpedWasm.get(sha256);
+    if (!dump) {
+      // Na árvore do site como os outros artefactos: o pipeline conta o módulo para o veredito do site
+      let siteHostname = this.mainSiteHostname;
+      try {
+        siteHostname = siteHostname || new URL(pageUrl).hostname;
+      } catch {
+        siteHostname = null;
+      }
+      const filePath = path.join(this.outDir, sanitizeFilename(siteHostname || 'unknown'), 'inline', `runtime_${sha256.slice(0, 16)}.wasm`);
+      dump = { filePath, metaPath: filePath.replace(/\.wasm$/, '.json'), sha256, size: bytes.length, references: [] };
+      this.dumpedWasm.set(sha256, dump);
+      ensureDir(path.dirname(filePath));
+      await fs.promises.writeFile(filePath, bytes);
+      console.log(`[DEBUG] Captured in-memory WASM (${bytes.length} bytes) from ${payload.scriptUrl || pageUrl} -> ${filePath}`);
+    }
+
+    dump.references.push(reference);
+    await this.writeDumpMetadata(dump);
+
+    if (page && this.trace) {
+      this.record(page, {
+        type: 'wasm_dump',
+        time: Date.now(),
+        frameUrl: payload.frameUrl,
+        scriptUrl: payload.scriptUrl,
+        stack: payload.stack,
+        details: { api: payload.api, sha256, size: dump.size, file: dump.filePath }
+      });
+    }
+
+    return dump.filePath;
+  }
+
+  // Metadados ao lado do .wasm: cada referência (chamada que compilou o módulo) fica com o
+  // ficheiro gravado do script da chamada e dos scripts da stack, relativos à pasta do dump
+  async writeDumpMetadata(dump) {
+    const relative = filePath => path.relative(path.dirname(dump.metaPath), filePath).split(path.sep).join('/');
+    dump.references.forEach(reference => {
+      const scriptPath = reference.scriptUrl ? this.resolveScript(reference.scriptUrl) : null;
+      reference.scriptPath = scriptPath ? relative(scriptPath) : null;
+      const stackPaths = (reference.stack || [])
+        .map(frame => (STACK_FRAME_URL.exec(frame) || [])[1])
+        .map(url => url ? this.resolveScript(url) : null)
+        .filter(Boolean)
+        .map(relative);
+      reference.stackPaths = [...new Set(stackPaths)];
+    });
+    await fs.promises.writeFile(dump.metaPath, JSON.stringify({
+      sha256: dump.sha256,
+      size: dump.size,
+      file: path.basename(dump.filePath),
+      references: dump.references
+    }, null, 2));
+  }
+
+  getTrace(page) {
+    if (!this.traces.has(page)) {
+      this.traces.set(page, {
+        pageUrl: page.url(),
+        startedAt: new Date().toISOString(),
+        events: []
+      });
+    }
+    return this.traces.get(page);
+  }
+
+  startPage(page, url) {
+    const trace = this.getTrace(page);
+    trace.pageUrl = url;
+    return trace;
+  }
+
+  record(page, event) {
+    if (!page || !event) return;
+    this.getTrace(page).events.push(event);
+  }
+
+  summarize(events) {
+    const count = type => events.filter(event => event.type === type).length;
+    return {
+      wasmCompilations: count('wasm'),
+      workers: count('worker'),
+      sharedArrayBuffers: count('shared_array_buffer'),
+      hardwareConcurrencyReads: count('hardware_concurrency'),
+      websockets: count('websocket'),
+      wasmDumps: count('wasm_dump'),
+      scripts: [...new Set(events.map(event => event.scriptUrl).filter(Boolean))]
+    };
+  }
+
+  // Gravar o trace da página e libertá-lo da memória. Os metadados dos dumps são regravados:
+  // o script que instanciou o módulo pode ter sido gravado da rede depois da captura
+  async savePage(page) {
+    for (const dump of this.dumpedWasm.values()) {
+      if (dump.references.some(reference => reference.scriptUrl && !reference.scriptPath)) await this.writeDumpMetadata(dump);
+    }
+
+    const trace = this.traces.get(page);
+    if (!trace) return null;
+    this.traces.delete(page);
+    if (!this.trace) return null;
+
+    const output = {
+      pageUrl: trace.pageUrl,
+      startedAt: trace.startedAt,
+      finishedAt: new Date().toISOString(),
+      summary: this.summarize(trace.events),
+      events: trace.events
+    };
+
+    const filePath = pageArtifactPath(trace.pageUrl, this.outDir, 'runtime', this.mainSiteHostname);
+    ensureDir(path.dirname(filePath));
+    await fs.promises.writeFile(filePath, JSON.stringify(output, null, 2));
+    return filePath;
+  }
+}
+
+module.exports = { RuntimeInstrumentation, runtimeHooks, pageArtifactPath, TRACE_BINDING, WASM_DUMP_BINDING };
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pageArtifactPath } = require('./runtime_instrumentation');
+const { saveScriptSource, scriptLabel } = require('./worker_graph');
+
+// Código que o próprio Playwright avalia no mundo principal (init scripts, utility script)
+const AUTOMATION_SOURCE = /__pwInitScripts|\butilityScript\b/;
+// Tempo máximo à espera das fontes pedidas quando a página fecha
+const SOURCE_TIMEOUT_MS = 5000;
+
+// Scripts que o browser executou na página, via Debugger.scriptParsed + Debugger.getScriptSource:
+// blocos <script> inline, código dinâmico (eval, new Function, setTimeout(string),
+// document.write('<script>')) e scripts externos que não chegaram a ser gravados da rede. Cada
+// script fica com a origem: URL ou //# sourceURL, posição no documento, script que o avaliou e
+// stack trace. Grava <site>/dynamic/<página>.json e as fontes em <site>/dynamic/scripts/.
+class ScriptCapture {
+  constructor(options = {}) {
+    this.outDir = options.outDir;
+    this.mainSiteHostname = options.mainSiteHostname || null;
+    // URL → ficheiro já gravado pelo crawler (scripts da rede não são gravados duas vezes)
+    this.resolveScript = options.resolveScript || (() => null);
+    this.stackDepth = options.stackDepth || 8;
+    // Páginas que geram código sem parar (eval em ciclo) não enchem o disco
+    this.maxScripts = options.maxScripts || 1000;
+    this.pages = new Map();
+    this.savedScripts = new Map();
+  }
+
+  // Ligar o Debugger antes da navegação: scriptParsed só é emitido para scripts posteriores
+  async startPage(page, pageUrl) {
+    const record = { pageUrl, session: null, scripts: [], dropped: 0 };
+    this.pages.set(page, record);
+
+    try {
+      record.session = await page.context().newCDPSession(page);
+      record.session.on('Debugger.scriptParsed', event => this.onScriptParsed(record, event));
+      await record.session.send('Debugger.enable');
+    } catch (e) {
+      console.log(`[DEBUG] CDP script capture unavailable for ${pageUrl}: ${e.message}`);
+      record.session = null;
+    }
+    return record;
+  }
+
+  // inline: URL do documento numa posição > 0; dynamic: sem URL ou com //# sourceURL;
+  // external: ficheiro próprio (http, blob:, data:)
+  scriptType(event) {
+    if (!event.url || event.hasSourceURL) return 'dynamic';
+    if (/^https?:/i.test(event.url) && (event.startLine > 0 || event.startColumn > 0)) return 'inline';
+    return 'external';
+  }
+
+  onScriptParsed(record, event) {
+    // Mundos isolados (utility world do Playwright, extensões) não são código da página
+    const aux = event.executionContextAuxData || {};
+    if (aux.isDefault === false || /^(?:chrome|chrome-extension|devtools):/i.test(event.url)) return;
+    if (record.scripts.length >= this.maxScripts) {
+      record.dropped++;
+      return;
+    }
+
+    const type = this.scriptType(event);
+    const frames = event.stackTrace ? event.stackTrace.callFrames : [];
+    const caller = frames[0];
+    const entry = {
+      scriptId: event.scriptId,
+      type,
+      url: event.url.length > 200 ? `${event.url.slice(0, 200)}...` : event.url,
+      fullUrl: event.url,
+      sourceURL: event.hasSourceURL ? event.url : null,
+      // Posição do bloco no documento (1-based)
+      position: type === 'inline' ? { line: event.startLine + 1, column: event.startColumn + 1 } : null,
+      isModule: Boolean(event.isModule),
+      parent: caller ? {
+        scriptId: caller.scriptId,
+        url: caller.url,
+        functionName: caller.functionName || null,
+        line: caller.lineNumber + 1,
+        column: caller.columnNumber + 1
+      } : null,
+      stack: frames.slice(0, this.stackDepth)
+        .map(frame => `${frame.functionName || '<anonymous>'} (${frame.url || `script ${frame.scriptId}`}:${frame.lineNumber + 1}:${frame.columnNumber + 1})`),
+      // Scripts externos normalmente já foram gravados da rede: fonte só pedida no fim, se faltar
+      source: type === 'external' ? null : this.fetchSource(record, event.scriptId)
+    };
+    record.scripts.push(entry);
+  }
+
+  fetchSource(record, scriptId) {
+    return record.session.send('Debugger.getScriptSource', { scriptId })
+      .then(({ scriptSource }) => scriptSource)
+      .catch(() => null);
+  }
+
+  // Gravar <site>/dynamic/<página>.json com as fontes dos scripts executados
+  async savePage(page) {
+    const record = this.pages.get(page);
+    if (!record) return null;
+    this.pages.delete(page);
+
+    const filePath = pageArtifactPath(record.pageUrl, this.outDir, 'dynamic', this.mainSiteHostname);
+    const graphDir = path.dirname(filePath);
+    const scriptsDir = path.join(graphDir, 'scripts');
+    const relative = target => path.relative(graphDir, target).split(path.sep).join('/');
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), SOURCE_TIMEOUT_MS));
+
+    const scripts = [];
+    const byScriptId = new Map();
+    for (const entry of record.scripts) {
+      const { source: pending, fullUrl, ...item } = entry;
+      const fromNetwork = item.type === 'external' ? this.resolveScript(fullUrl) : null;
+      let source = null;
+      if (fromNetwork) {
+        source = await fs.promises.readFile(fromNetwork, 'utf8').catch(() => null);
+      } else if (record.session) {
+        source = await Promise.race([pending || this.fetchSource(record, item.scriptId), timeout]);
+      }
+      if (typeof source !== 'string' || source.length === 0) continue;
+      if (item.type === 'dynamic' && !item.parent && AUTOMATION_SOURCE.test(source)) continue;
+
+      const saved = fromNetwork
+        ? { sha256: crypto.createHash('sha256').update(source).digest('hex'), filePath: fromNetwork }
+        : await saveScriptSource(scriptsDir, item.type === 'inline' ? 'inline' : scriptLabel(fullUrl), source, this.savedScripts);
+      byScriptId.set(item.scriptId, saved.filePath);
+      scripts.push({
+        ...item,
+        path: relative(saved.filePath),
+        sha256: saved.sha256,
+        size: Buffer.byteLength(source),
+        captured: fromNetwork ? 'network' : 'debugger'
+      });
+    }
+
+    // Script que fez o eval: outro script capturado na página ou um ficheiro gravado da rede
+    scripts.forEach(script => {
+      if (!script.parent) return;
+      const parentPath = byScriptId.get(script.parent.scriptId) || (script.parent.url ? this.resolveScript(script.parent.url) : null);
+      script.parent.path = parentPath ? relative(parentPath) : null;
+    });
+
+    if (record.session) await record.session.detach().catch(() => {});
+    if (scripts.every(script => script.captured === 'network')) return null;
+
+    const result = {
+      pageUrl: record.pageUrl,
+      capturedAt: new Date().toISOString(),
+      summary: {
+        scripts: scripts.length,
+        byType: scripts.reduce((acc, script) => {
+          acc[script.type] = (acc[script.type] || 0) + 1;
+          return acc;
+        }, {}),
+        dropped: record.dropped
+      },
+      scripts
+    };
+
+    fs.mkdirSync(graphDir, { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(result, null, 2));
+    return filePath;
+  }
+}
+
+module.exports = { ScriptCapture };
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { SourceMapReconstructor, findSourceMappingUrl, decodeDataUrl } = require('./analyzers/source_map_reconstructor');
+
+// Descarrega o source map de cada script guardado (header SourceMap/X-SourceMap, comentário
+// //# sourceMappingURL= ou mapa inline em base64) e grava-o como <script>.map ao lado do script
+class SourceMapFetcher {
+  constructor(options = {}) {
+    this.request = options.request;
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.reconstructor = new SourceMapReconstructor();
+    this.maps = [];
+  }
+
+  // Referência ao mapa: o header tem prioridade sobre o comentário no fim do script
+  reference(text, headers = {}) {
+    const header = (headers.sourcemap || headers['x-sourcemap'] || '').trim();
+    if (header) return { url: header, via: header.startsWith('data:') ? 'inline' : 'header' };
+    const comment = findSourceMappingUrl(text);
+    if (comment) return { url: comment, via: comment.startsWith('data:') ? 'inline' : 'comment' };
+    return null;
+  }
+
+  async capture(scriptUrl, scriptPath, body, headers = {}) {
+    const found = this.reference(body.toString('utf8'), headers);
+    if (!found) return null;
+
+    const record = { scriptUrl, scriptPath, mapUrl: null, via: found.via, path: null, sources: 0, sourcesContent: 0, error: null };
+    this.maps.push(record);
+    try {
+      let text;
+      if (found.via === 'inline') {
+        text = decodeDataUrl(found.url);
+      } else {
+        record.mapUrl = new URL(found.url, scriptUrl).href;
+        const response = await this.request.get(record.mapUrl, { timeout: this.timeoutMs, failOnStatusCode: false });
+        if (!response.ok()) throw new Error(`HTTP ${response.status()}`);
+        text = (await response.body()).toString('utf8');
+      }
+
+      // Só gravar o que é mesmo um source map v3 (há servidores que devolvem o HTML de erro com 200)
+      const map = this.reconstructor.parse(text);
+      if (!map) throw new Error('not a source map v3');
+      record.sources = map.sources.length;
+      record.sourcesContent = map.sourcesContent.filter(content => content !== null).length;
+
+      record.path = `${scriptPath}.map`;
+      fs.mkdirSync(path.dirname(record.path), { recursive: true });
+      await fs.promises.writeFile(record.path, text);
+      console.log(`[DEBUG] Source map saved (${found.via}, ${record.sourcesContent}/${record.sources} sources with content): ${record.path}`);
+    } catch (e) {
+      record.error = e.message;
+      console.log(`[DEBUG] Failed to capture source map for ${scriptUrl}: ${e.message}`);
+    }
+    return record;
+  }
+
+  // Manifesto dos mapas encontrados (gravados ou com o erro que impediu a descarga)
+  async save(manifestPath) {
+    if (this.maps.length === 0) return null;
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    await fs.promises.writeFile(manifestPath, JSON.stringify(this.maps, null, 2));
+    return manifestPath;
+  }
+}
+
+module.exports = { SourceMapFetcher };
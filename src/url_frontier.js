@@ -0,0 +1,145 @@
+// Parâmetros de tracking removidos na canonicalização
+const TRACKING_PARAMS = /^(?:utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|_gl|yclid|ref_src)$/i;
+
+function toPattern(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
+// Fronteira de URLs do crawl: canonicalização, âmbito, profundidade e cortesia por host
+class UrlFrontier {
+  constructor(startUrl, options = {}) {
+    this.startUrl = new URL(startUrl);
+    this.maxPages = options.maxPages || 1;
+    this.maxDepth = options.maxDepth === undefined || options.maxDepth === null ? Infinity : options.maxDepth;
+    this.scope = options.scope || 'origin';
+    this.include = (options.include || []).map(toPattern);
+    this.exclude = (options.exclude || []).map(toPattern);
+    this.ignoreQuery = options.ignoreQuery || false;
+    this.delayMs = options.delayMs === undefined ? 1000 : options.delayMs;
+
+    this.queue = [];
+    this.seen = new Set();
+    this.visited = [];
+    this.skipped = [];
+    this.lastFetchByHost = new Map();
+  }
+
+  // Forma canónica usada para deduplicar: sem #fragmento, host em minúsculas, sem porta por omissão,
+  // query ordenada e sem parâmetros de tracking (ou sem query, com ignoreQuery)
+  canonicalize(url, base = undefined) {
+    let urlObj;
+    try {
+      urlObj = new URL(url, base);
+    } catch {
+      return null;
+    }
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return null;
+
+    urlObj.hash = '';
+    urlObj.hostname = urlObj.hostname.toLowerCase();
+    if ((urlObj.protocol === 'http:' && urlObj.port === '80') || (urlObj.protocol === 'https:' && urlObj.port === '443')) {
+      urlObj.port = '';
+    }
+    urlObj.pathname = urlObj.pathname.replace(/\/{2,}/g, '/');
+
+    if (this.ignoreQuery) {
+      urlObj.search = '';
+    } else {
+      const params = [...urlObj.searchParams.entries()]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+      urlObj.search = new URLSearchParams(params).toString();
+    }
+    return urlObj.toString();
+  }
+
+  inScope(url) {
+    const urlObj = new URL(url);
+    const start = this.startUrl;
+    switch (this.scope) {
+      case 'any':
+        return true;
+      case 'host':
+        return urlObj.hostname === start.hostname;
+      case 'subdomains':
+        return urlObj.hostname === start.hostname || urlObj.hostname.endsWith(`.${start.hostname}`);
+      case 'origin':
+      default:
+        return urlObj.origin === start.origin;
+    }
+  }
+
+  // Motivo para não visitar o URL (ou null se pode ser visitado)
+  rejectReason(url, depth) {
+    if (depth > this.maxDepth) return 'max_depth';
+    if (!this.inScope(url)) return 'out_of_scope';
+    if (this.exclude.some(pattern => pattern.test(url))) return 'excluded';
+    if (this.include.length > 0 && depth > 0 && !this.include.some(pattern => pattern.test(url))) return 'not_included';
+    return null;
+  }
+
+  // Adicionar um URL descoberto; devolve true se entrou na fila
+  add(url, { depth = 0, parent = null, source = 'link' } = {}) {
+    const canonical = this.canonicalize(url, parent || undefined);
+    if (!canonical || this.seen.has(canonical)) return false;
+    this.seen.add(canonical);
+
+    const reason = this.rejectReason(canonical, depth);
+    if (reason) {
+      this.skipped.push({ url: canonical, depth, parent, source, reason });
+      return false;
+    }
+    this.queue.push({ url: canonical, depth, parent, source });
+    return true;
+  }
+
+  hasNext() {
+    return this.queue.length > 0 && this.visited.length < this.maxPages;
+  }
+
+  next() {
+    if (!this.hasNext()) return null;
+    const entry = this.queue.shift();
+    this.visited.push(entry);
+    return entry;
+  }
+
+  // Pode a página ainda expandir a fronteira?
+  canExpand(entry) {
+    return entry.depth < this.maxDepth && this.visited.length < this.maxPages;
+  }
+
+  // Esperar o intervalo mínimo entre pedidos ao mesmo host
+  async waitForHost(url) {
+    const host = new URL(url).host;
+    const last = this.lastFetchByHost.get(host);
+    if (last !== undefined && this.delayMs > 0) {
+      const wait = this.delayMs - (Date.now() - last);
+      if (wait > 0) {
+        console.log(`[DEBUG] Politeness delay for ${host}: ${wait}ms`);
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+    this.lastFetchByHost.set(host, Date.now());
+  }
+
+  toJSON() {
+    return {
+      startUrl: this.startUrl.toString(),
+      config: {
+        maxPages: this.maxPages,
+        maxDepth: this.maxDepth === Infinity ? null : this.maxDepth,
+        scope: this.scope,
+        include: this.include.map(pattern => pattern.source),
+        exclude: this.exclude.map(pattern => pattern.source),
+        ignoreQuery: this.ignoreQuery,
+        delayMs: this.delayMs
+      },
+      visited: this.visited,
+      pending: this.queue,
+      skipped: this.skipped
+    };
+  }
+}
+
+module.exports = { UrlFrontier };
@@ -222,6 +222,9 @@ Opções:
   --decode-strings       Decodificar strings (padrão: true)
   --remove-dead-code     Remover código morto (padrão: true)
   --add-comments         Adicionar comentários (padrão: true)
+  --indent <n|tab>       Indentação do código regenerado (padrão: 2)
+  --no-verify            Não verificar a equivalência do código normalizado
+  --verify-runtime       Verificar também executando original e normalizado num sandbox
 
 Exemplos:
   node analyze_and_normalize.js ./downloads
@@ -242,7 +245,9 @@ Exemplos:
       renameVariables: !args.includes('--no-rename-vars'),
       decodeStrings: !args.includes('--no-decode-strings'),
       removeDeadCode: !args.includes('--no-remove-dead-code'),
-      addComments: !args.includes('--no-add-comments')
+      addComments: !args.includes('--no-add-comments'),
+      verify: !args.includes('--no-verify'),
+      verifyRuntime: args.includes('--verify-runtime')
     }
   };
 
@@ -252,6 +257,12 @@ Exemplos:
     options.outputDir = args[outputDirIndex + 1];
   }
 
+  const indentIndex = args.indexOf('--indent');
+  if (indentIndex !== -1 && indentIndex + 1 < args.length) {
+    const indent = args[indentIndex + 1];
+    options.normalizeOptions.indent = indent === 'tab' ? '\t' : parseInt(indent, 10) || 2;
+  }
+
   if (!fs.existsSync(inputDir)) {
     console.error(`❌ Diretório não encontrado: ${inputDir}`);
     process.exit(1);
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { pageArtifactPath } = require('./runtime_instrumentation');
+
+// Métodos JSON-RPC de stratum (Bitcoin-like) e de pools CryptoNote (xmrig, proxies web)
+const STRATUM_METHODS = new Map([
+  ['mining.subscribe', 'subscribe'],
+  ['mining.authorize', 'authorize'],
+  ['mining.notify', 'job'],
+  ['mining.set_difficulty', 'difficulty'],
+  ['mining.set_target', 'difficulty'],
+  ['mining.submit', 'submit'],
+  ['mining.set_extranonce', 'subscribe'],
+  ['mining.extranonce.subscribe', 'subscribe']
+]);
+
+const CRYPTONOTE_METHODS = new Map([
+  ['login', 'login'],
+  ['job', 'job'],
+  ['getjob', 'job'],
+  ['submit', 'submit'],
+  ['keepalived', 'keepalive']
+]);
+
+// Mensagens {"type": ...} usadas por CoinHive e clones (CryptoLoot, deepMiner...)
+const COINHIVE_TYPES = new Map([
+  ['auth', 'login'],
+  ['authed', 'authorized'],
+  ['job', 'job'],
+  ['submit', 'submit'],
+  ['hash_accepted', 'accepted'],
+  ['banned', 'error'],
+  ['error', 'error'],
+  ['verify', 'submit'],
+  ['verified', 'accepted']
+]);
+
+// Máximo de frames guardados como amostra por socket
+const MAX_SAMPLE_FRAMES = 20;
+const MAX_SAMPLE_LENGTH = 500;
+
+function parseJsonFrame(payload) {
+  if (typeof payload !== 'string') {
+    if (!Buffer.isBuffer(payload)) return null;
+    payload = payload.toString('utf8');
+  }
+  const text = payload.trim();
+  if (!text.startsWith('{') && !text.startsWith('[')) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Parâmetros com a forma de um job: blob/job_id/target (CryptoNote, CoinHive) ou o array do mining.notify
+function isJobParams(params) {
+  if (Array.isArray(params)) return params.length >= 4 && typeof params[0] === 'string';
+  return Boolean(params && typeof params === 'object' && params.job_id !== undefined && (params.blob || params.target));
+}
+
+// Parâmetros com a forma de uma share: nonce e job/resultado, ou worker/job/nonce do mining.submit
+function isSubmitParams(params) {
+  if (Array.isArray(params)) return params.length >= 3 && typeof params[0] === 'string';
+  return Boolean(params && typeof params === 'object' && params.nonce !== undefined && (params.job_id !== undefined || params.result !== undefined));
+}
+
+// Endereço com a forma de uma carteira (Monero/CryptoNote, Bitcoin base58 ou bech32, Ethereum),
+// com ou sem sufixo de worker/dificuldade (.rig1, +50000)
+const WALLET_LOGIN = /^(?:[48][1-9A-HJ-NP-Za-km-z]{94}(?:[1-9A-HJ-NP-Za-km-z]{11})?|[13][1-9A-HJ-NP-Za-km-z]{25,34}|bc1[02-9ac-hj-np-z]{11,71}|0x[0-9a-fA-F]{40})(?:[.+/:][\w.+-]*)?$/;
+
+// Login com carteira: login do CryptoNote, utilizador do mining.authorize, user do CoinHive
+function hasWalletParams(params) {
+  const values = Array.isArray(params)
+    ? params.slice(0, 1)
+    : params && typeof params === 'object' ? [params.login, params.user] : [];
+  return values.some(value => typeof value === 'string' && WALLET_LOGIN.test(value.trim()));
+}
+
+// Tipos que exigem a forma do protocolo: um {"method": "job"} qualquer não é um job de pool
+function poolMessage(protocol, messageType, method, params) {
+  if (messageType === 'job' && !isJobParams(params)) return null;
+  if (messageType === 'submit' && !isSubmitParams(params)) return null;
+  const classification = { protocol, messageType, method };
+  if ((messageType === 'login' || messageType === 'authorize') && hasWalletParams(params)) classification.wallet = true;
+  return classification;
+}
+
+// Classificar uma frame como mensagem de protocolo de pool (ou null)
+function classifyPoolMessage(payload) {
+  const message = parseJsonFrame(payload);
+  if (!message || typeof message !== 'object') return null;
+
+  if (typeof message.method === 'string') {
+    const method = message.method;
+    if (STRATUM_METHODS.has(method)) {
+      return poolMessage('stratum', STRATUM_METHODS.get(method), method, message.params);
+    }
+    if (CRYPTONOTE_METHODS.has(method)) {
+      return poolMessage('cryptonote-jsonrpc', CRYPTONOTE_METHODS.get(method), method, message.params);
+    }
+  }
+
+  if (typeof message.type === 'string' && COINHIVE_TYPES.has(message.type) && message.params !== undefined) {
+    return poolMessage('coinhive', COINHIVE_TYPES.get(message.type), message.type, message.params);
+  }
+
+  // Respostas sem método: job embutido no resultado do login ou confirmação de share
+  const result = message.result;
+  if (result && typeof result === 'object') {
+    const job = result.job || result;
+    if (job && job.blob && job.job_id && job.target) {
+      return { protocol: 'cryptonote-jsonrpc', messageType: 'job', method: null };
+    }
+    if (result.status === 'OK' && message.id !== undefined) {
+      return { protocol: 'cryptonote-jsonrpc', messageType: 'accepted', method: null };
+    }
+  }
+
+  const params = message.params;
+  if (params && typeof params === 'object' && params.blob && params.job_id && params.target) {
+    return { protocol: 'unknown', messageType: 'job', method: null };
+  }
+
+  return null;
+}
+
+// Veredito a partir das mensagens classificadas de todas as sockets da página. Só há tráfego de
+// pool com jobs/shares ou um login com carteira: auth, error ou login genéricos aparecem em
+// sockets de chat e jogos
+function poolVerdict(sockets) {
+  const messageTypes = {};
+  const endpoints = [];
+  const protocols = new Set();
+  let walletLogins = 0;
+
+  sockets.forEach(socket => {
+    const types = Object.keys(socket.poolMessages);
+    if (types.length === 0) return;
+    types.forEach(type => {
+      messageTypes[type] = (messageTypes[type] || 0) + socket.poolMessages[type];
+    });
+    walletLogins += socket.walletLogins || 0;
+    if (!socket.poolMessages.job && !socket.poolMessages.submit && !socket.walletLogins) return;
+    endpoints.push(socket.url);
+    socket.protocols.forEach(protocol => protocols.add(protocol));
+  });
+
+  let confidence = 0;
+  if (messageTypes.job && messageTypes.submit) confidence = 0.95;
+  else if (messageTypes.job || messageTypes.submit) confidence = 0.85;
+  else if (walletLogins > 0) confidence = 0.7;
+
+  return {
+    poolTraffic: endpoints.length > 0,
+    confidence,
+    endpoints,
+    protocols: [...protocols],
+    messageTypes,
+    walletLogins
+  };
+}
+
+// Regista endpoints e frames WebSocket de cada página e grava a evidência por página
+class WebSocketMonitor {
+  constructor(options = {}) {
+    this.outDir = options.outDir;
+    this.mainSiteHostname = options.mainSiteHostname || null;
+    this.pages = new Map();
+  }
+
+  attach(page, pageUrl) {
+    const record = { pageUrl, sockets: [] };
+    this.pages.set(page, record);
+
+    page.on('websocket', (ws) => {
+      const socket = {
+        url: ws.url(),
+        openedAt: new Date().toISOString(),
+        closedAt: null,
+        framesSent: 0,
+        framesReceived: 0,
+        poolMessages: {},
+        walletLogins: 0,
+        protocols: [],
+        samples: []
+      };
+      record.sockets.push(socket);
+      console.log(`[DEBUG] WebSocket opened: ${socket.url}`);
+
+      const onFrame = (direction) => ({ payload }) => {
+        if (direction === 'sent') socket.framesSent++;
+        else socket.framesReceived++;
+
+        const classification = classifyPoolMessage(payload);
+        if (classification) {
+          socket.poolMessages[classification.messageType] = (socket.poolMessages[classification.messageType] || 0) + 1;
+          if (!socket.protocols.includes(classification.protocol)) socket.protocols.push(classification.protocol);
+          if (classification.wallet) socket.walletLogins++;
+        }
+
+        if (socket.samples.length < MAX_SAMPLE_FRAMES) {
+          const text = typeof payload === 'string' ? payload : `<binary ${payload.length} bytes>`;
+          socket.samples.push({
+            direction,
+            time: new Date().toISOString(),
+            payload: text.length > MAX_SAMPLE_LENGTH ? `${text.slice(0, MAX_SAMPLE_LENGTH)}...` : text,
+            classification
+          });
+        }
+      };
+
+      ws.on('framesent', onFrame('sent'));
+      ws.on('framereceived', onFrame('received'));
+      ws.on('close', () => {
+        socket.closedAt = new Date().toISOString();
+      });
+    });
+
+    return record;
+  }
+
+  // Gravar a evidência da página (só se houve WebSockets)
+  async savePage(page) {
+    const record = this.pages.get(page);
+    if (!record) return null;
+    this.pages.delete(page);
+    if (record.sockets.length === 0) return null;
+
+    const evidence = {
+      pageUrl: record.pageUrl,
+      capturedAt: new Date().toISOString(),
+      verdict: poolVerdict(record.sockets),
+      sockets: record.sockets
+    };
+
+    const filePath = pageArtifactPath(record.pageUrl, this.outDir, 'websocket', this.mainSiteHostname);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(evidence, null, 2));
+    return filePath;
+  }
+}
+
+module.exports = { WebSocketMonitor, classifyPoolMessage, poolVerdict };
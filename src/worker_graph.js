@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pageArtifactPath } = require('./runtime_instrumentation');
+
+// Tipos de target CDP que correm código da página fora da main thread
+const WORKER_TARGET_TYPES = ['worker', 'shared_worker', 'service_worker'];
+const SPAWN_BINDING = '__minerWorkerSpawn';
+// Tempo máximo à espera das fontes pedidas quando a página fecha
+const SOURCE_TIMEOUT_MS = 5000;
+
+// Nome legível para a fonte de um script: blob, data, eval ou o nome do ficheiro do URL
+// (também o //# sourceURL de um eval, que não precisa de ser um URL)
+function scriptLabel(url) {
+  if (!url) return 'eval';
+  if (/^blob:/i.test(url)) return 'blob';
+  if (/^data:/i.test(url)) return 'data';
+  let name = url;
+  try {
+    name = new URL(url).pathname;
+  } catch {
+    // sourceURL sem esquema
+  }
+  return path.posix.basename(name.split(/[?#]/)[0]).replace(/\.[cm]?js$/i, '').replace(/[^\w.-]+/g, '_').slice(0, 60) || 'index';
+}
+
+// Gravar a fonte de um script capturado via CDP em scriptsDir, deduplicada por SHA-256
+// (saved: Map sha256 → caminho, partilhado entre páginas)
+async function saveScriptSource(scriptsDir, label, source, saved) {
+  const sha256 = crypto.createHash('sha256').update(source).digest('hex');
+  if (saved.has(sha256)) return { sha256, filePath: saved.get(sha256) };
+
+  const filePath = path.join(scriptsDir, `${label}_${sha256.slice(0, 16)}.js`);
+  fs.mkdirSync(scriptsDir, { recursive: true });
+  await fs.promises.writeFile(filePath, source);
+  saved.set(sha256, filePath);
+  return { sha256, filePath };
+}
+
+// Script injetado em cada documento: regista quem cria cada worker (URL absoluto + stack).
+// Corre no browser: não pode usar nada deste módulo além do argumento config.
+function workerSpawnHooks(config) {
+  if (window.__minerWorkerHooksInstalled) return;
+  window.__minerWorkerHooksInstalled = true;
+
+  const report = (api, scriptUrl) => {
+    try {
+      const binding = window[config.binding];
+      if (typeof binding !== 'function') return;
+
+      // As linhas dos hooks não têm URL; o primeiro URL da stack é o script que criou o worker
+      const stack = (new Error().stack || '').split('\n').slice(2, 2 + config.stackDepth).map(line => line.trim());
+      let script = null;
+      for (const line of stack) {
+        const match = line.match(/((?:https?|blob|data|file):[^\s()]+?)(?::\d+){0,2}\)?$/);
+        if (match) {
+          script = match[1];
+          break;
+        }
+      }
+
+      let url = String(scriptUrl);
+      try {
+        url = new URL(url, location.href).href;
+      } catch (e) {
+        // URL inválido: o próprio construtor vai falhar
+      }
+      const result = binding({ api, url, frameUrl: location.href, script, stack });
+      if (result && typeof result.catch === 'function') result.catch(() => {});
+    } catch (e) {
+      // Nunca interferir com a página
+    }
+  };
+
+  ['Worker', 'SharedWorker'].forEach(name => {
+    const original = window[name];
+    if (typeof original !== 'function') return;
+    window[name] = new Proxy(original, {
+      construct(target, args, newTarget) {
+        report(name, args[0]);
+        return Reflect.construct(target, args, newTarget);
+      }
+    });
+  });
+
+  const container = window.ServiceWorkerContainer && window.ServiceWorkerContainer.prototype;
+  if (container && typeof container.register === 'function') {
+    const register = container.register;
+    container.register = function (scriptUrl, ...rest) {
+      report('ServiceWorker', scriptUrl);
+      return register.call(this, scriptUrl, ...rest);
+    };
+  }
+}
+
+// Sessão CDP de um target sem flatten: a raiz é a CDPSession da página (ou do browser); os
+// filhos falam através de Target.sendMessageToTarget / Target.receivedMessageFromTarget do pai
+class TargetChannel {
+  constructor(parent, sessionId = null) {
+    this.parent = parent;
+    this.sessionId = sessionId;
+    this.handlers = new Map();
+    this.pending = new Map();
+    this.nextId = 1;
+    this.listener = params => this.receive(params);
+    if (sessionId) parent.on('Target.receivedMessageFromTarget', this.listener);
+  }
+
+  on(method, handler) {
+    if (!this.sessionId) {
+      this.parent.on(method, handler);
+      return;
+    }
+    if (!this.handlers.has(method)) this.handlers.set(method, []);
+    this.handlers.get(method).push(handler);
+  }
+
+  off(method, handler) {
+    if (!this.sessionId) {
+      this.parent.off(method, handler);
+      return;
+    }
+    this.handlers.set(method, (this.handlers.get(method) || []).filter(item => item !== handler));
+  }
+
+  send(method, params = {}) {
+    if (!this.sessionId) return this.parent.send(method, params);
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.parent.send('Target.sendMessageToTarget', {
+        sessionId: this.sessionId,
+        message: JSON.stringify({ id, method, params })
+      }).catch(error => {
+        this.pending.delete(id);
+        reject(error);
+      });
+    });
+  }
+
+  receive({ sessionId, message }) {
+    if (sessionId !== this.sessionId) return;
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch {
+      return;
+    }
+
+    if (data.id !== undefined) {
+      const pending = this.pending.get(data.id);
+      if (!pending) return;
+      this.pending.delete(data.id);
+      if (data.error) pending.reject(new Error(data.error.message));
+      else pending.resolve(data.result);
+      return;
+    }
+    (this.handlers.get(data.method) || []).forEach(handler => handler(data.params));
+  }
+
+  // O target terminou: pedidos sem resposta falham e o pai deixa de encaminhar mensagens
+  close() {
+    this.pending.forEach(pending => pending.reject(new Error('Target closed')));
+    this.pending.clear();
+    if (this.sessionId) this.parent.off('Target.receivedMessageFromTarget', this.listener);
+  }
+}
+
+// Grafo página → workers (dedicados, partilhados e service workers, incluindo blob: e data:):
+// auto-attach via CDP aos targets de worker (também dentro de workers), fonte de cada script que
+// o worker corre (principal, importScripts, eval) via Debugger.getScriptSource e o script que
+// criou cada worker. Grava <site>/workers/<página>.json e as fontes em <site>/workers/scripts/.
+class WorkerGraph {
+  constructor(options = {}) {
+    this.outDir = options.outDir;
+    this.mainSiteHostname = options.mainSiteHostname || null;
+    // URL → ficheiro já gravado pelo crawler (scripts da rede não são gravados duas vezes)
+    this.resolveScript = options.resolveScript || (() => null);
+    // Hooks de runtime a instalar em cada worker antes de o retomar: (channel, page) => Promise
+    this.instrumentWorker = options.instrumentWorker || null;
+    this.stackDepth = options.stackDepth || 8;
+    this.pages = new Map();
+    this.currentPage = null;
+    this.browserSession = null;
+    this.browserChannel = null;
+    this.savedScripts = new Map();
+  }
+
+  async attach(context) {
+    await context.exposeBinding(SPAWN_BINDING, (source, spawn) => {
+      const record = this.pages.get(source.page);
+      if (record && spawn) record.spawns.push(spawn);
+    });
+    await context.addInitScript(workerSpawnHooks, { binding: SPAWN_BINDING, stackDepth: this.stackDepth });
+  }
+
+  // Ligar ao CDP da página antes da navegação (os workers ficam em pausa até termos a fonte)
+  async startPage(page, pageUrl) {
+    const record = { page, pageUrl, session: null, workers: [], spawns: [], pending: [], channels: [] };
+    this.pages.set(page, record);
+    this.currentPage = record;
+
+    try {
+      record.session = await page.context().newCDPSession(page);
+      this.autoAttach(record, new TargetChannel(record.session), null);
+      await record.session.send('Target.setAutoAttach', {
+        autoAttach: true,
+        waitForDebuggerOnStart: true,
+        flatten: false
+      });
+    } catch (e) {
+      console.log(`[DEBUG] CDP worker capture unavailable for ${pageUrl}: ${e.message}`);
+      record.session = null;
+    }
+
+    // Shared workers não são filhos da página: descobertos ao nível do browser
+    if (!this.browserSession) {
+      try {
+        this.browserSession = await page.context().browser().newBrowserCDPSession();
+        this.browserChannel = new TargetChannel(this.browserSession);
+        this.browserChannel.on('Target.targetCreated', ({ targetInfo }) => this.attachSharedWorker(targetInfo));
+        await this.browserSession.send('Target.setDiscoverTargets', { discover: true });
+      } catch (e) {
+        console.log(`[DEBUG] Shared worker discovery unavailable: ${e.message}`);
+        this.browserSession = null;
+      }
+    }
+    return record;
+  }
+
+  autoAttach(record, channel, parent) {
+    channel.on('Target.attachedToTarget', ({ sessionId, targetInfo }) => {
+      if (!WORKER_TARGET_TYPES.includes(targetInfo.type)) {
+        // iframes fora do processo e afins: retomar e largar
+        const other = new TargetChannel(channel, sessionId);
+        other.send('Runtime.runIfWaitingForDebugger')
+          .catch(() => {})
+          .then(() => channel.send('Target.detachFromTarget', { sessionId }))
+          .catch(() => {})
+          .then(() => other.close());
+        return;
+      }
+      record.pending.push(this.captureWorker(record, new TargetChannel(channel, sessionId), targetInfo, parent));
+    });
+    channel.on('Target.detachedFromTarget', ({ sessionId }) => {
+      const child = record.channels.find(item => item.sessionId === sessionId && item.parent === channel);
+      if (child) child.close();
+    });
+  }
+
+  async attachSharedWorker(targetInfo) {
+    const record = this.currentPage;
+    if (targetInfo.type !== 'shared_worker' || !record) return;
+    if (record.workers.some(worker => worker.id === targetInfo.targetId)) return;
+    try {
+      const { sessionId } = await this.browserSession.send('Target.attachToTarget', { targetId: targetInfo.targetId, flatten: false });
+      record.pending.push(this.captureWorker(record, new TargetChannel(this.browserSession, sessionId), targetInfo, null));
+    } catch (e) {
+      console.log(`[DEBUG] Failed to attach to shared worker ${targetInfo.url}: ${e.message}`);
+    }
+  }
+
+  async captureWorker(record, channel, targetInfo, parent) {
+    record.channels.push(channel);
+    const worker = {
+      id: targetInfo.targetId,
+      type: targetInfo.type,
+      url: targetInfo.url,
+      parentId: parent ? parent.id : null,
+      parentUrl: parent ? parent.url : record.pageUrl,
+      spawnedBy: null,
+      attachedAt: new Date().toISOString(),
+      scripts: [],
+      sources: [],
+      error: null
+    };
+    record.workers.push(worker);
+    console.log(`[DEBUG] Worker attached (${worker.type}): ${worker.url.slice(0, 120)}`);
+
+    channel.on('Debugger.scriptParsed', ({ scriptId, url }) => {
+      worker.sources.push(channel.send('Debugger.getScriptSource', { scriptId })
+        .then(({ scriptSource }) => ({ url, source: scriptSource }))
+        .catch(() => null));
+    });
+
+    try {
+      // Hooks de runtime primeiro: o Playwright retoma os workers dedicados sem esperar por esta
+      // sessão, e o que o script principal compila depois disso já passa pelos hooks
+      if (this.instrumentWorker) {
+        await this.instrumentWorker(channel, record.page).catch(e => {
+          console.log(`[DEBUG] Failed to install runtime hooks in worker ${worker.url.slice(0, 120)}: ${e.message}`);
+        });
+      }
+      await channel.send('Debugger.enable');
+      // Workers criados dentro do worker
+      this.autoAttach(record, channel, worker);
+      await channel.send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: true, flatten: false }).catch(() => {});
+      await channel.send('Runtime.runIfWaitingForDebugger');
+    } catch (e) {
+      worker.error = e.message;
+    }
+    return worker;
+  }
+
+  // Script que criou o worker: o do topo da stack do construtor; em workers aninhados, o script
+  // principal do worker pai
+  spawnerOf(record, worker, graphDir) {
+    const relative = filePath => filePath ? path.relative(graphDir, filePath).split(path.sep).join('/') : null;
+
+    if (worker.parentId) {
+      const parent = record.workers.find(item => item.id === worker.parentId);
+      const main = parent ? parent.scripts.find(script => script.kind === 'main') : null;
+      return { api: 'Worker', script: parent ? parent.url : null, path: main ? main.path : null, stack: [] };
+    }
+
+    const index = record.spawns.findIndex(spawn => spawn.url === worker.url);
+    if (index < 0) return null;
+    const [spawn] = record.spawns.splice(index, 1);
+    return {
+      api: spawn.api,
+      script: spawn.script,
+      frameUrl: spawn.frameUrl,
+      path: spawn.script ? relative(this.resolveScript(spawn.script)) : null,
+      stack: spawn.stack
+    };
+  }
+
+  // Gravar <site>/workers/<página>.json com as fontes dos workers
+  async savePage(page) {
+    const record = this.pages.get(page);
+    if (!record) return null;
+    this.pages.delete(page);
+    if (this.currentPage === record) this.currentPage = null;
+
+    const timeout = new Promise(resolve => setTimeout(resolve, SOURCE_TIMEOUT_MS));
+    await Promise.race([Promise.all(record.pending), timeout]);
+    if (record.workers.length === 0) {
+      record.channels.forEach(channel => channel.close());
+      if (record.session) await record.session.detach().catch(() => {});
+      return null;
+    }
+
+    const filePath = pageArtifactPath(record.pageUrl, this.outDir, 'workers', this.mainSiteHostname);
+    const graphDir = path.dirname(filePath);
+    const scriptsDir = path.join(graphDir, 'scripts');
+    const relative = target => path.relative(graphDir, target).split(path.sep).join('/');
+
+    for (const worker of record.workers) {
+      const sources = await Promise.race([Promise.all(worker.sources), timeout.then(() => [])]);
+      for (const item of sources.filter(Boolean)) {
+        const kind = item.url === worker.url ? 'main' : (item.url ? 'import' : 'eval');
+        const fromNetwork = /^https?:/i.test(item.url) ? this.resolveScript(item.url) : null;
+        const saved = fromNetwork
+          ? { sha256: crypto.createHash('sha256').update(item.source).digest('hex'), filePath: fromNetwork }
+          : await saveScriptSource(scriptsDir, scriptLabel(item.url), item.source, this.savedScripts);
+        worker.scripts.push({
+          kind,
+          url: item.url.length > 200 ? `${item.url.slice(0, 200)}...` : item.url,
+          path: relative(saved.filePath),
+          sha256: saved.sha256,
+          size: Buffer.byteLength(item.source),
+          captured: fromNetwork ? 'network' : 'debugger'
+        });
+      }
+    }
+    // Depois das fontes: o spawner de workers aninhados é o script principal do pai
+    record.workers.forEach(worker => {
+      worker.spawnedBy = this.spawnerOf(record, worker, graphDir);
+    });
+
+    record.channels.forEach(channel => channel.close());
+    if (record.session) await record.session.detach().catch(() => {});
+
+    const workers = record.workers.map(({ sources, ...worker }) => worker);
+    const graph = {
+      pageUrl: record.pageUrl,
+      capturedAt: new Date().toISOString(),
+      summary: {
+        workers: workers.length,
+        byType: workers.reduce((acc, worker) => {
+          acc[worker.type] = (acc[worker.type] || 0) + 1;
+          return acc;
+        }, {}),
+        scripts: workers.reduce((sum, worker) => sum + worker.scripts.length, 0)
+      },
+      workers
+    };
+
+    fs.mkdirSync(graphDir, { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(graph, null, 2));
+    return filePath;
+  }
+
+  async close() {
+    if (this.browserSession) {
+      await this.browserSession.detach().catch(() => {});
+      this.browserSession = null;
+    }
+  }
+}
+
+module.exports = { WorkerGraph, TargetChannel, workerSpawnHooks, saveScriptSource, scriptLabel };
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CryptoFingerprinter } = require('../src/analyzers/crypto_fingerprints');
+
+const PROFILE = { histogram: {}, maxLoopDepth: 0 };
+const i32 = value => ({ op: 'i32.const', value });
+const i64 = value => ({ op: 'i64.const', value: BigInt(value) });
+
+// Fingerprints do módulo com uma função por lista de instruções
+function moduleHits(...bodies) {
+  const fingerprinter = new CryptoFingerprinter();
+  const functions = bodies.map((instructions, index) => ({
+    index,
+    name: `func_${index}`,
+    fingerprints: fingerprinter.scanFunction(instructions, PROFILE)
+  }));
+  return fingerprinter.collect(functions, []).map(hit => hit.id);
+}
+
+test('tamanhos e máscaras sozinhos não são fingerprints', () => {
+  assert.deepStrictEqual(moduleHits([i32(0x40000), i32(0x400)], [i32(0x1ffff0)], [i32(0xffff0), i32(0x3ffff0)]), []);
+});
+
+test('memória Argon2 com BLAKE2b no mesmo módulo', () => {
+  const iv = ['0x6a09e667f3bcc908', '0xbb67ae8584caa73b', '0x3c6ef372fe94f82b', '0xa54ff53a5f1d36f1'].map(i64);
+  assert.deepStrictEqual(moduleHits([i32(0x40000), i32(0x400)], iv).sort(), ['argon2_memory', 'blake2b_iv']);
+
+  // Rotações da função G: rotr direto, rotl equivalente ou par de shifts
+  const rotations = [
+    i64(32), { op: 'i64.rotr' }, i64(40), { op: 'i64.rotl' },
+    i64(16), { op: 'i64.shr_u' }, i64(48), { op: 'i64.shl' },
+    i64(63), { op: 'i64.rotr' }
+  ];
+  assert.deepStrictEqual(moduleHits([i32(0x40000), i32(0x400)], rotations).sort(), ['argon2_memory', 'blake2b_g_rotations']);
+});
+
+test('máscara de scratchpad CryptoNight com AES/Keccak no mesmo módulo', () => {
+  const te0 = ['0xc66363a5', '0xf87c7c84', '0xee777799', '0xf67b7b8d'].map(value => i32(Number(value) | 0));
+  assert.deepStrictEqual(moduleHits([i32(0x1ffff0)], te0).sort(), ['aes_te0', 'cryptonight_scratchpad']);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedWasmAnalyzer } = require('../src/analyzers/enhanced_wasm_analyzer');
+
+// Binário mínimo: uma função exportada com `block`, memória (partilhada ou não) e um segmento de dados
+function wasmModule({ exportName, sharedMemory = false, data = null }) {
+  const section = (id, bytes) => [id, bytes.length, ...bytes];
+  const name = text => [Buffer.byteLength(text), ...Buffer.from(text)];
+  return Buffer.from([
+    0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+    ...section(0x01, [0x01, 0x60, 0x00, 0x00]),
+    ...section(0x03, [0x01, 0x00]),
+    ...section(0x05, sharedMemory ? [0x01, 0x03, 0x01, 0x02] : [0x01, 0x00, 0x01]),
+    ...section(0x07, [0x01, ...name(exportName), 0x00, 0x00]),
+    ...section(0x0a, [0x01, 0x05, 0x00, 0x02, 0x40, 0x0b, 0x0b]),
+    ...(data ? section(0x0b, [0x01, 0x00, 0x41, 0x00, 0x0b, ...name(data)]) : [])
+  ]);
+}
+
+async function analyze(bytes) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wasm-analyzer-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'module.wasm'), bytes);
+    return await new EnhancedWasmAnalyzer().analyzeWasm(path.join(dir, 'module.wasm'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('mnemónicos do WAT não contam como nomes suspeitos', async () => {
+  const result = await analyze(wasmModule({ exportName: 'run', sharedMemory: true }));
+  assert.match(result.content, /\bblock\b/);
+  assert.match(result.content, /\bshared\b/);
+  assert.deepStrictEqual(result.mining.indicators.filter(indicator => /^(?:mining_pattern|suspicious_string|crypto_library|hash_function):/.test(indicator)), []);
+});
+
+test('nomes de exports e strings de dados, como palavras inteiras', async () => {
+  const result = await analyze(wasmModule({
+    exportName: 'cryptonightHash',
+    data: 'stratum+tcp://pool.example:3333\u0000shared_nonce\u0000bitcoinjs'
+  }));
+  const indicators = result.mining.indicators;
+
+  assert.ok(indicators.includes('hash_function: cryptonight_hash'));
+  assert.ok(indicators.includes('suspicious_string: stratum'));
+  assert.ok(indicators.includes('suspicious_string: nonce'));
+  assert.ok(!indicators.includes('suspicious_string: share'));
+  assert.ok(!indicators.includes('suspicious_string: coin'));
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IntegratedPipeline } = require('../src/pipelines/integrated_pipeline');
+
+const WALLET = '44AFFq5kSiGBoZ4NMDwYtN18obc8AemS33DBLWs3H7otXft3XjrpDtQGv7SqSsaBYBb98uNbr2VBBEt7f2wfn3RVGQBEP3A';
+
+// Diretório de entrada com a estrutura do crawler (<site>/<ficheiro>) e diretório de saída temporários
+async function runPipeline(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'integrated-pipeline-'));
+  const inputDir = path.join(root, 'downloads');
+  for (const [relative, source] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(inputDir, relative)), { recursive: true });
+    fs.writeFileSync(path.join(inputDir, relative), source);
+  }
+  const pipeline = new IntegratedPipeline({ inputDir, outputDir: path.join(root, 'analysis_output') });
+  try {
+    await pipeline.run();
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+  return pipeline.results;
+}
+
+test('IOCs que só existem dentro do string array (obfuscator.io, RC4)', async () => {
+  const source = fs.readFileSync(path.join(__dirname, 'fixtures', 'obfuscator_rc4_miner.js.txt'), 'utf8');
+  assert.ok(!source.includes(WALLET) && !source.includes('minexmr'));
+
+  const results = await runPipeline({ 'miner.example/obf.js': source });
+  const file = results.javascript[0];
+  assert.strictEqual(file.obfuscated, true);
+  assert.strictEqual(file.stringArray.encoding, 'rc4');
+
+  const wallet = file.iocs.find(ioc => ioc.type === 'wallet');
+  assert.strictEqual(wallet.value, WALLET);
+  assert.deepStrictEqual(wallet.origins, ['normalized']);
+  assert.ok(file.iocs.some(ioc => ioc.type === 'pool' && ioc.value === 'wss://pool.minexmr.com:4444'));
+  assert.ok(file.iocs.some(ioc => ioc.type === 'domain' && ioc.value === 'pool.minexmr.com'));
+
+  const site = results.sites.find(entry => entry.site === 'miner.example');
+  assert.ok(JSON.stringify(site.iocs).includes(WALLET));
+});
+
+// Módulo (import env.hash, export run) que o loader vai buscar a um URL sem .wasm: só a captura em runtime o liga
+const RUNTIME_MODULE = Buffer.from('AGFzbQEAAAABBgFgAX8BfwIMAQNlbnYEaGFzaAAAAwIBAAUDAQABBxACBm1lbW9yeQIAA3J1bgABCggBBgAgABAACw==', 'base64');
+const BLOB_LOADER = "fetch('/api/module?id=3').then(function (r) { return r.arrayBuffer(); }).then(function (b) { return WebAssembly.instantiate(b, { env: { hash: function (x) { return x; } } }); });";
+
+function dumpMetadata(reference) {
+  return JSON.stringify({
+    sha256: 'f00d',
+    size: RUNTIME_MODULE.length,
+    file: 'runtime_f00d.wasm',
+    references: [{
+      api: 'WebAssembly.instantiate',
+      pageUrl: 'https://miner.example/',
+      scriptUrl: 'https://miner.example/js/loader.js',
+      stack: ['at WebAssembly.<computed> [as instantiate] (<anonymous>:114:23)', 'at https://miner.example/js/loader.js:1:120'],
+      ...reference
+    }]
+  });
+}
+
+test('módulo capturado em runtime ligado ao script dos metadados do dump', async () => {
+  const results = await runPipeline({
+    'miner.example/js/loader.js': BLOB_LOADER,
+    'miner.example/js/other.js': "WebAssembly.instantiate(new Uint8Array(8), {});",
+    'miner.example/inline/runtime_f00d.wasm': RUNTIME_MODULE,
+    'miner.example/inline/runtime_f00d.json': dumpMetadata({ scriptPath: '../js/loader.js', stackPaths: ['../js/loader.js'] })
+  });
+
+  const module = results.wasm[0];
+  assert.strictEqual(module.loadedBy.length, 1);
+  assert.match(module.loadedBy[0].script, /loader\.js$/);
+  assert.deepStrictEqual(module.loadedBy[0].via, ['runtime']);
+  assert.strictEqual(module.loadedBy[0].runtime.scriptUrl, 'https://miner.example/js/loader.js');
+});
+
+test('dump sem ficheiros resolvidos noutra pasta: ligação pelo URL do script', async () => {
+  const results = await runPipeline({
+    'miner.example/js/js_loader.js': BLOB_LOADER,
+    'inline/runtime_f00d.wasm': RUNTIME_MODULE,
+    'inline/runtime_f00d.json': dumpMetadata({})
+  });
+
+  const module = results.wasm[0];
+  assert.strictEqual(module.loadedBy.length, 1);
+  assert.deepStrictEqual(module.loadedBy[0].via, ['runtime']);
+});
+
+test('banner de biblioteca à frente de um minerador é só etiqueta', async () => {
+  const loader = [
+    "var miner = new Miner('SITE_KEY', { throttle: 0.1 });",
+    'miner.start();',
+    "var socket = new WebSocket('wss://pool.minexmr.com:4444');",
+    'socket.onmessage = function (event) { var job = JSON.parse(event.data); cryptonight_hash(job.blob, job.target); };',
+    "var worker = new Worker('cryptonight.worker.js');",
+    "worker.postMessage({ job: 'submit', nonce: 0, hashrate: miner.getHashesPerSecond() });"
+  ].join('\n');
+  const results = await runPipeline({
+    'miner.example/plain.js': loader,
+    'miner.example/banner.js': '/*! jQuery v3.7.1 | (c) OpenJS Foundation and other contributors | jquery.org/license */\n' + loader
+  });
+
+  const byName = name => results.javascript.find(file => path.basename(file.filePath) === name);
+  const banner = byName('banner.js');
+  assert.deepStrictEqual(banner.libraries.map(library => [library.name, library.matchType, library.scope]), [['jQuery', 'banner', 'embedded']]);
+  assert.strictEqual(banner.firstParty, true);
+  assert.strictEqual(banner.mining.library, undefined);
+  assert.ok(banner.mining.confidence > 0);
+  assert.strictEqual(banner.mining.confidence, byName('plain.js').mining.confidence);
+});
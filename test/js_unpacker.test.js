@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsUnpacker } = require('../src/analyzers/js_unpacker');
+
+const PAYLOAD = "var miner = new CoinHive.Anonymous('SITEKEY123'); miner.start();";
+
+test('loader com código de promises antes do eval(atob(...))', async () => {
+  const loader = [
+    "fetch('cn.wasm').then(function (r) { return r.arrayBuffer(); }).then(function (b) { return WebAssembly.instantiate(b, {}); });",
+    `eval(atob('${Buffer.from(PAYLOAD).toString('base64')}'));`
+  ].join('\n');
+
+  const result = await new JsUnpacker().unpack(loader);
+  assert.strictEqual(result.format, 'eval-atob');
+  assert.strictEqual(result.layers.length, 1);
+  assert.strictEqual(result.layers[0].sink, 'eval');
+  assert.strictEqual(result.layers[0].code, PAYLOAD);
+});
+
+test('eval depois de await fetch(...) numa função async', async () => {
+  const loader = `(async function () {
+    var response = await fetch('cn.wasm');
+    var bytes = await response.arrayBuffer();
+    eval(atob('${Buffer.from(PAYLOAD).toString('base64')}'));
+  })();`;
+
+  const result = await new JsUnpacker().unpack(loader);
+  assert.deepStrictEqual(result.layers.map(layer => layer.code), [PAYLOAD]);
+});
+
+test('o código desempacotado não chega ao processo do host', async () => {
+  const target = path.join(os.tmpdir(), `js-unpacker-escape-${process.pid}`);
+  const escapes = [
+    `this.constructor.constructor("return process")().getBuiltinModule("fs").writeFileSync(${JSON.stringify(target)}, "x")`,
+    `Function.prototype.constructor.constructor("return process")().mainModule.require("fs").writeFileSync(${JSON.stringify(target)}, "x")`,
+    `eval("this.constructor.constructor('return process')()").binding("fs")`
+  ];
+
+  for (const code of escapes) {
+    await new JsUnpacker().unpack(`eval(${JSON.stringify(code)})`);
+  }
+  assert.strictEqual(fs.existsSync(target), false);
+});
+
+test('ciclo infinito e excesso de memória terminam com erro', async () => {
+  const unpacker = new JsUnpacker({ timeout: 300, memoryLimitMb: 32 });
+  const loop = await unpacker.unpack("eval('while (true) {}')");
+  assert.ok(loop.errors.length > 0);
+
+  const memory = await unpacker.unpack("eval('var a = []; for (;;) a.push(new Array(1e5).fill(1));')");
+  assert.ok(memory.errors.length > 0);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryDatabase } = require('../src/analyzers/library_db');
+
+// Biblioteca pequena com hash, banner, pacote e propriedades numa base temporária
+const RELEASE = [
+  '/*! Tiny v1.0.0 */',
+  '(function (root) {',
+  '  var tiny = { version: "1.0.0", sha: function (data) { return hash(data, 256); } };',
+  '  tiny.digest = function (data, rounds) { for (var i = 0; i < rounds; i++) data = tiny.sha(data); return data; };',
+  '  tiny.hex = function (bytes) { return bytes.map(function (b) { return b.toString(16); }).join(""); };',
+  '  root.Tiny = tiny;',
+  '})(this);'
+].join('\n');
+
+function withDatabase(fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'library-db-'));
+  const dbPath = path.join(root, 'libraries.json');
+  const releasePath = path.join(root, 'tiny.js');
+  fs.writeFileSync(dbPath, JSON.stringify({
+    version: 1,
+    libraries: [{ name: 'Tiny', benign: true, packages: ['tiny'], banners: ['Tiny v(\\d+\\.\\d+\\.\\d+)'], versions: [], shapes: ['sha', 'digest', 'hex'], hashes: {} }]
+  }));
+  fs.writeFileSync(releasePath, RELEASE);
+  try {
+    const db = new LibraryDatabase({ dbPath });
+    db.addSamples('Tiny', '1.0.0', [releasePath]);
+    return fn(db);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+const mining = () => ({ detected: true, confidence: 0.6, indicators: [], evidence: [] });
+
+test('só o hash normalizado exato identifica o ficheiro', () => withDatabase(db => {
+  const [release] = db.identify(RELEASE.replace(/\n\s*/g, '\n'));
+  assert.strictEqual(release.scope, 'file');
+  assert.strictEqual(release.matchType, 'hash');
+  assert.strictEqual(db.annotateMining(mining(), [release]).confidence, 0.6 * db.benignMiningWeight);
+}));
+
+test('banner, caminho de pacote e propriedades são só etiqueta', () => withDatabase(db => {
+  const forged = RELEASE.replace('root.Tiny = tiny;', 'root.Tiny = tiny; new Worker("miner.js");');
+  const [library] = db.identify(forged, { origin: 'webpack:///node_modules/tiny/index.js' });
+  assert.strictEqual(library.scope, 'embedded');
+  assert.deepStrictEqual(library.evidence.map(item => item.matchType).sort(), ['banner', 'package', 'shape']);
+
+  const result = db.annotateMining(mining(), [library]);
+  assert.strictEqual(result.confidence, 0.6);
+  assert.strictEqual(result.library, undefined);
+}));
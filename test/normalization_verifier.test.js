@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NormalizationVerifier } = require('../src/analyzers/normalization_verifier');
+
+const ORIGINAL = "var pool = 'wss://pool.example:3333'; var ws = new WebSocket(pool); ws.onopen = function () { ws.send('login'); };";
+
+test('traços iguais: a normalização preserva o comportamento', () => {
+  const normalized = "var pool = 'wss://pool.example:3333';\nvar ws = new WebSocket(pool);\nws.onopen = function () {\n  ws.send('login');\n};";
+  const result = new NormalizationVerifier().verify(ORIGINAL, [{ transform: 'removeDeadCode', code: normalized }], { runtime: true });
+  assert.strictEqual(result.verified, true);
+  assert.strictEqual(result.runtime.equivalent, true);
+  assert.ok(result.runtime.events > 0);
+});
+
+test('traços diferentes apontam a transformação responsável', () => {
+  const broken = "var pool = 'wss://pool.example:3333'; var ws = new WebSocket(pool);";
+  const result = new NormalizationVerifier().verify(ORIGINAL, [{ transform: 'removeDeadCode', code: broken }], { runtime: true });
+  assert.strictEqual(result.verified, false);
+  assert.strictEqual(result.reason, 'runtime_trace_mismatch');
+  assert.strictEqual(result.failedTransform, 'removeDeadCode');
+});
+
+test('o código verificado não chega ao processo do host', () => {
+  const target = path.join(os.tmpdir(), `normalization-verifier-escape-${process.pid}`);
+  const original = `this.constructor.constructor('return process')().mainModule.require('fs').writeFileSync(${JSON.stringify(target)}, 'x');`;
+  const result = new NormalizationVerifier().verify(original, [{ transform: 'beautifyCode', code: `${original}\n` }], { runtime: true });
+  assert.strictEqual(fs.existsSync(target), false);
+  assert.strictEqual(result.runtime.equivalent, true);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const acorn = require('acorn');
+const { CodeNormalizer } = require('../src/analyzers/normalizer');
+
+const parse = code => acorn.parse(code, { ecmaVersion: 'latest' });
+const OPTIONS = { unflattenControlFlow: false, simplifyExpressions: false, renameVariables: false, beautify: false, addComments: false };
+
+test('escapes decodificados continuam strings válidas', () => {
+  const normalizer = new CodeNormalizer();
+  const normalized = normalizer.normalizeJavaScript('var q = "\\x22", a = \'\\x41\\u0042\\103\', nl = "\\x0a";', { ...OPTIONS, removeDeadCode: false });
+  assert.strictEqual(normalized, 'var q = "\\"", a = \'ABC\', nl = "\\n";');
+  assert.strictEqual(normalizer.lastVerification.verified, true);
+});
+
+test('diretivas mantêm os escapes', () => {
+  const code = 'function f() { "use\\x20strict"; return this; }';
+  assert.strictEqual(new CodeNormalizer().normalizeJavaScript(code, { ...OPTIONS, removeDeadCode: false }), code);
+});
+
+test('console.log só sai quando os argumentos não têm efeitos', () => {
+  const normalizer = new CodeNormalizer();
+  const normalized = normalizer.normalizeJavaScript('console.log(g(3));\nconsole.log("x", y);\nif (a) console.log(`v=${a}`); else b();\n', { ...OPTIONS, decodeStrings: false });
+  assert.strictEqual(normalized, 'console.log(g(3));\n\nif (a) ; else b();\n');
+  parse(normalized);
+});
+
+test('comentários de debug removidos sem juntar instruções', () => {
+  const normalized = new CodeNormalizer().normalizeJavaScript('a = 1 /* debug:\n */\nb = 2 // debug\nc = 3', { ...OPTIONS, decodeStrings: false });
+  assert.deepStrictEqual(parse(normalized).body.map(statement => statement.expression.left.name), ['a', 'b', 'c']);
+});
+
+test('verificação falhada devolve o último passo que passou', () => {
+  const normalizer = new CodeNormalizer();
+  normalizer.renameVariables = content => `${content} +`;
+  const normalized = normalizer.normalizeJavaScript('var s = "\\x41";', { ...OPTIONS, renameVariables: true, beautify: true });
+  assert.strictEqual(normalized, 'var s = "A";');
+  assert.strictEqual(normalizer.lastVerification.failedTransform, 'renameVariables');
+  assert.strictEqual(normalizer.lastVerification.returnedStep, 'removeDeadCode');
+  assert.strictEqual(normalizer.lastSourceMap.x_originalOffsets.length > 0, true);
+});
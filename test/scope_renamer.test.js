@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ScopeRenamer } = require('../src/analyzers/scope_renamer');
+
+const SCRIPT = "function g(s) { return r.test(s); }\nvar r = /ab/;\n(function () { var w = new Worker('cn.js'); w.postMessage(g); })();";
+
+test('globais de scripts clássicos mantêm o nome por omissão', () => {
+  const { code, report } = new ScopeRenamer().rename(SCRIPT);
+
+  assert.match(code, /^function g\(/);
+  assert.match(code, /\nvar r = \/ab\//);
+  assert.match(code, /var worker = new Worker/);
+  assert.strictEqual(report.skipped.global, 2);
+});
+
+test('renameGlobals: true renomeia também os globais', () => {
+  const { code } = new ScopeRenamer({ renameGlobals: true }).rename(SCRIPT);
+
+  assert.doesNotMatch(code, /^function g\(/);
+  assert.doesNotMatch(code, /\nvar r = /);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SignatureDatabase } = require('../src/analyzers/signature_db');
+
+// Amostras reais: coin-hive 1.10.0 e coin-imp 1.0.6 (src/miner.js)
+const COIN_HIVE = fs.readFileSync(path.join(__dirname, 'fixtures', 'coin_hive_miner.js.txt'));
+const COIN_IMP = fs.readFileSync(path.join(__dirname, 'fixtures', 'coin_imp_miner.js.txt'));
+
+test('todas as famílias com amostras têm sha256 e fuzzy', () => {
+  const db = new SignatureDatabase();
+  ['CoinHive', 'CoinImp'].forEach(name => {
+    const family = db.load().families.find(item => item.name === name);
+    assert.ok(family.sha256.length > 0, name);
+    assert.ok(family.fuzzy.length > 0, name);
+  });
+});
+
+test('ficheiro conhecido corresponde por sha256', () => {
+  const result = new SignatureDatabase().matchJavaScript(COIN_HIVE.toString('utf8'));
+  assert.strictEqual(result.family, 'CoinHive');
+  assert.strictEqual(result.matchType, 'sha256');
+});
+
+test('variante reformatada e renomeada corresponde por fuzzy hash', () => {
+  const variant = COIN_HIVE.toString('utf8')
+    .replace(/\bminer\b/g, 'm')
+    .replace(/\bintervalId\b/g, 'i')
+    .replace(/\n\s*/g, '\n');
+  const result = new SignatureDatabase().matchJavaScript(variant);
+  assert.strictEqual(result.family, 'CoinHive');
+  assert.strictEqual(result.matchType, 'fuzzy');
+});
+
+test('o fork CoinImp fica na sua família', () => {
+  const result = new SignatureDatabase().matchJavaScript(COIN_IMP.toString('utf8'));
+  assert.strictEqual(result.family, 'CoinImp');
+  assert.strictEqual(result.matchType, 'sha256');
+});
+
+test('nomes só correspondem como palavra inteira', () => {
+  const db = new SignatureDatabase();
+  const families = content => db.matchNames(content).map(match => match.family);
+  assert.deepStrictEqual(families('const coinimporter = new DeepMinerStats();'), []);
+  assert.deepStrictEqual(families('<script src="https://www.coinimp.com/lib.js">'), ['CoinImp']);
+  assert.deepStrictEqual(families('var m = new CoinHive.Anonymous(key);'), ['CoinHive']);
+});
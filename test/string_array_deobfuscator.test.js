@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StringArrayDeobfuscator } = require('../src/analyzers/string_array_deobfuscator');
+
+// Array, rotação e decoder com deslocamento do índice, no formato do obfuscator.io
+function obfuscated(rotationBody) {
+  return [
+    "var _0x1a2b = ['wss://pool.minexmr.com:4444', 'start', 'connect', 'log'];",
+    `(function (_0x3c4d, _0x5e6f) { ${rotationBody} while (--_0x5e6f) { _0x3c4d['push'](_0x3c4d['shift']()); } }(_0x1a2b, 0x2));`,
+    'var _0x7a8b = function (_0x9c, _0xd) { _0x9c = _0x9c - 0x0; return _0x1a2b[_0x9c]; };',
+    "miner[_0x7a8b('0x0')](_0x7a8b('0x3'));"
+  ].join('\n');
+}
+
+test('decoder, array e rotação são resolvidos no sandbox', () => {
+  const { code, report } = new StringArrayDeobfuscator().deobfuscate(obfuscated(''));
+  assert.strictEqual(report.detected, true);
+  assert.strictEqual(report.replacements, 2);
+  assert.match(code, /miner\["start"\]\("wss:\/\/pool\.minexmr\.com:4444"\)/);
+});
+
+test('rotação hostil não chega ao processo do host', () => {
+  const target = path.join(os.tmpdir(), `string-array-escape-${process.pid}`);
+  const escape = `this.constructor.constructor('return process')().mainModule.require('fs').writeFileSync(${JSON.stringify(target)}, 'x');`;
+  const { code, report } = new StringArrayDeobfuscator().deobfuscate(obfuscated(escape));
+
+  assert.strictEqual(fs.existsSync(target), false);
+  assert.strictEqual(report.detected, false);
+  assert.match(report.errors[0], /^sandbox: /);
+  assert.strictEqual(code, obfuscated(escape));
+});
+
+test('rotação que esgota a memória ou não termina falha sem derrubar o processo', () => {
+  const deobfuscator = new StringArrayDeobfuscator({ timeout: 300, memoryLimitMb: 32 });
+  for (const body of ['var _0xbig = []; for (;;) _0xbig.push(new Array(1e5).fill(_0x5e6f));', 'for (;;) {}']) {
+    const { report } = deobfuscator.deobfuscate(obfuscated(body));
+    assert.strictEqual(report.detected, false);
+    assert.match(report.errors[0], /^sandbox: /);
+  }
+});
+
+test('array simples lido só com índices literais passa a literais', () => {
+  const code = "var k = ['wss://pool.example:3333', 'login', 'use strict'];\nfunction f() { k[2]; return new WebSocket(k[0]).send(k[1]); }";
+  const { code: inlined, report } = new StringArrayDeobfuscator().inlineIndexedArrays(code);
+  assert.strictEqual(report.replacements, 3);
+  assert.ok(inlined.includes('new WebSocket("wss://pool.example:3333").send("login")'));
+  assert.ok(inlined.includes('("use strict");'));
+});
+
+test('array alterado, passado como valor ou com índice fora dos limites fica como está', () => {
+  const deobfuscator = new StringArrayDeobfuscator();
+  [
+    "var k = ['a', 'b', 'c']; k[0] = 'x'; f(k[0]);",
+    "var k = ['a', 'b', 'c']; g(k); f(k[0]);",
+    "var k = ['a', 'b', 'c']; f(k[3], k[0]);",
+    "var k = ['a', 'b', 'c']; function h(k) { return k[0]; } f(k[1]);",
+    "var k = ['a', 'b', 'c']; [k[0]] = ['x']; f(k[0]);"
+  ].forEach(code => {
+    assert.strictEqual(deobfuscator.inlineIndexedArrays(code).code, code);
+  });
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WasmBinaryParser } = require('../src/analyzers/wasm_binary_parser');
+
+const section = (id, bytes) => [id, bytes.length, ...bytes];
+
+// Import env.log sem nome, função 1 que o chama e usa i32x4.extend_low_i16x8_u, export e start
+const MODULE = Buffer.from([
+  0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+  ...section(0x01, [0x01, 0x60, 0x00, 0x00]),
+  ...section(0x02, [0x01, 0x03, 0x65, 0x6e, 0x76, 0x03, 0x6c, 0x6f, 0x67, 0x00, 0x00]),
+  ...section(0x03, [0x01, 0x00]),
+  ...section(0x07, [0x01, 0x03, 0x72, 0x75, 0x6e, 0x00, 0x01]),
+  ...section(0x08, [0x01]),
+  ...section(0x0a, [0x01, 0x19, 0x00, 0x10, 0x00,
+    0xfd, 0x0c, ...new Array(16).fill(0), 0xfd, 0xa9, 0x01, 0x1a, 0x0b])
+]);
+
+test('funções sem nome: (;N;) nas definições e índice nas referências', () => {
+  const parser = new WasmBinaryParser();
+  const wat = parser.toWat(parser.parse(MODULE));
+
+  assert.match(wat, /\(import "env" "log" \(func \(;0;\) \(type 0\)\)\)/);
+  assert.match(wat, /\(func \(;1;\) \(type 0\)/);
+  assert.match(wat, /\n\s+call 0\n/);
+  assert.match(wat, /\(export "run" \(func 1\)\)/);
+  assert.match(wat, /\(start 1\)/);
+  assert.match(wat, /i32x4\.extend_low_i16x8_u/);
+  assert.doesNotMatch(wat, /\(func \d+ \(type|op_\d/);
+});
+
+test('nomes inválidos ou repetidos na name section não viram $nome', () => {
+  const parser = new WasmBinaryParser();
+  const module = parser.parse(MODULE);
+  module.names.functions = { 0: 'has space', 1: 'ok_name' };
+  assert.match(parser.toWat(module), /\(func \(;0;\) \(type 0\)\)\)[\s\S]*\(func \$ok_name/);
+
+  module.names.functions = { 0: 'dup', 1: 'dup' };
+  assert.doesNotMatch(parser.toWat(module), /\$dup/);
+});
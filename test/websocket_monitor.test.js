@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyPoolMessage, poolVerdict } = require('../src/websocket_monitor');
+
+const WALLET = '44AFFq5kSiGBoZ4NMDwYtN18obc8AemS33DBLWs3H7otXft3XjrpDtQGv7SqSsaBYBb98uNbr2VBBEt7f2wfn3RVGQBEP3A';
+
+// Socket como as gravadas pelo WebSocketMonitor, a partir das frames trocadas
+function socketFor(url, frames) {
+  const socket = { url, poolMessages: {}, walletLogins: 0, protocols: [] };
+  frames.forEach(frame => {
+    const classification = classifyPoolMessage(JSON.stringify(frame));
+    if (!classification) return;
+    socket.poolMessages[classification.messageType] = (socket.poolMessages[classification.messageType] || 0) + 1;
+    if (!socket.protocols.includes(classification.protocol)) socket.protocols.push(classification.protocol);
+    if (classification.wallet) socket.walletLogins++;
+  });
+  return socket;
+}
+
+test('chaves do protótipo não são métodos de pool', () => {
+  ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(name => {
+    assert.strictEqual(classifyPoolMessage(JSON.stringify({ method: name, params: {} })), null);
+    assert.strictEqual(classifyPoolMessage(JSON.stringify({ type: name, params: {} })), null);
+  });
+});
+
+test('frames genéricas de chat ou jogos não marcam tráfego de pool', () => {
+  const verdict = poolVerdict([socketFor('wss://chat.example/socket', [
+    { type: 'auth', params: {} },
+    { type: 'error', params: {} },
+    { method: 'login' },
+    { method: 'login', params: { login: 'alice', pass: 'x' } },
+    { method: 'job', params: { id: 1 } },
+    { type: 'submit', params: { text: 'hello' } }
+  ])]);
+
+  assert.strictEqual(verdict.poolTraffic, false);
+  assert.strictEqual(verdict.confidence, 0);
+  assert.deepStrictEqual(verdict.endpoints, []);
+});
+
+test('login com carteira e troca de jobs/shares marcam a pool', () => {
+  const login = poolVerdict([socketFor('wss://pool.example/proxy', [
+    { id: 1, method: 'login', params: { login: `${WALLET}.rig1`, pass: 'x', agent: 'web' } }
+  ])]);
+  assert.strictEqual(login.poolTraffic, true);
+  assert.strictEqual(login.confidence, 0.7);
+
+  const exchange = poolVerdict([socketFor('wss://pool.example/proxy', [
+    { type: 'job', params: { job_id: 'a1', blob: '0707', target: 'b88d0600' } },
+    { type: 'submit', params: { job_id: 'a1', nonce: 'deadbeef', result: '00ff' } }
+  ])]);
+  assert.strictEqual(exchange.poolTraffic, true);
+  assert.strictEqual(exchange.confidence, 0.95);
+  assert.deepStrictEqual(exchange.endpoints, ['wss://pool.example/proxy']);
+});